@@ -0,0 +1,127 @@
+import { ApiMethods } from './src/routes';
+
+export * from './src/routes';
+
+/** Cuerpo JSON de una respuesta correcta: { success: true, ...campos de la operación } */
+export interface ApiResponse {
+    success?: boolean;
+    [field: string]: unknown;
+}
+
+export interface RequestOptions {
+    signal?: AbortSignal;
+    /** Milisegundos; 0 = sin límite */
+    timeout?: number;
+    headers?: Record<string, string>;
+}
+
+export interface ApiClientOptions {
+    /** URL del servidor, sin /api */
+    baseUrl: string;
+    apiKey: string;
+    fetch?: typeof fetch;
+    timeout?: number;
+    headers?: Record<string, string>;
+}
+
+export interface ApiClient extends ApiMethods {}
+
+export declare class ApiClient {
+    constructor(options: ApiClientOptions);
+    call(name: keyof ApiMethods, params?: object, options?: RequestOptions): Promise<ApiResponse | Response>;
+}
+
+export type EventType = 'message' | 'qrCode' | 'ready' | 'authenticated' | 'disconnected' | 'auth_failure' | 'browserCrash' | 'messageAck'
+    | 'conversationAssigned' | 'conversationStatusChanged' | 'campaignFinished';
+
+export interface EventFrame {
+    eventType: EventType;
+    data: { number?: string; [field: string]: unknown };
+    seq: number;
+    number: string | null;
+}
+
+export interface SubscriptionFilters {
+    events?: EventType[];
+    chatIds?: string[];
+    groupsOnly?: boolean;
+}
+
+export interface Subscription {
+    number: string;
+    events: EventType[] | null;
+    chatIds: string[] | null;
+    groupsOnly: boolean;
+}
+
+export interface GapNotice {
+    number: string;
+    reason: 'log_exceeded' | 'sequence_ahead';
+    lastSeq: number;
+    currentSeq: number;
+    oldestAvailableSeq: number | null;
+    missedFrom: number | null;
+    missedTo: number | null;
+}
+
+export type RpcMethod = 'sendMessage' | 'sendMessageOrFile' | 'replyToMessage' | 'reactToMessage' | 'markChatRead' | 'sendChatState';
+
+export interface EventClientOptions {
+    /** URL del servidor (http(s) o ws(s)) */
+    baseUrl: string;
+    /** API key con el scope events */
+    apiKey: string;
+    WebSocket?: unknown;
+    reconnect?: boolean;
+    minReconnectDelay?: number;
+    maxReconnectDelay?: number;
+    requestTimeout?: number;
+}
+
+export declare class EventClient {
+    constructor(options: EventClientOptions);
+    readonly connected: boolean;
+    /** Último seq recibido por número */
+    readonly positions: Map<string, number>;
+    connect(): Promise<void>;
+    close(): void;
+    subscribe(numbers: string | string[], filters?: SubscriptionFilters): Promise<Subscription[]>;
+    unsubscribe(numbers?: string | string[]): Promise<Subscription[]>;
+    rpc(method: RpcMethod, params?: object): Promise<ApiResponse>;
+
+    on(eventName: EventType, listener: (data: EventFrame['data'], frame: EventFrame) => void): this;
+    on(eventName: 'event', listener: (frame: EventFrame) => void): this;
+    on(eventName: 'gap', listener: (notice: GapNotice) => void): this;
+    on(eventName: 'open', listener: () => void): this;
+    on(eventName: 'close', listener: (info: { code: number; reason: string }) => void): this;
+    on(eventName: 'reconnecting', listener: (info: { attempt: number; delay: number }) => void): this;
+    on(eventName: 'error', listener: (error: ApiError) => void): this;
+    once(eventName: string, listener: (...args: any[]) => void): this;
+    off(eventName: string, listener: (...args: any[]) => void): this;
+}
+
+export declare class ApiError extends Error {
+    status: number | null;
+    body: unknown;
+    operation: string | null;
+    /** Código del frame de error del WebSocket (forbidden, invalid_subscription...) */
+    code?: string;
+}
+
+export declare class ValidationError extends ApiError {
+    errors: Array<{ field?: string; message: string; value?: unknown }>;
+}
+
+export declare class AuthenticationError extends ApiError {}
+export declare class ForbiddenError extends ApiError {}
+export declare class NotFoundError extends ApiError {}
+
+export declare class RateLimitError extends ApiError {
+    retryAfter: number | null;
+}
+
+export declare class ServerError extends ApiError {}
+
+export declare class NetworkError extends ApiError {
+    cause?: unknown;
+}
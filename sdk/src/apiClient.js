@@ -0,0 +1,159 @@
+// sdk/src/apiClient.js
+const routes = require('./routes');
+const { fromResponse, NetworkError } = require('./errors');
+
+/**
+ * Cliente REST: un método por operación de la API (sdk/src/routes.js, generado desde la especificación OpenAPI)
+ *
+ *   const api = new ApiClient({ baseUrl: 'https://api.example.com', apiKey: 'wak_...' });
+ *   await api.sendMessage({ clientId: '34600000000', tel: '34611111111', mensaje: 'Hola' });
+ *
+ * Cada método recibe un único objeto con los parámetros de ruta, query, cabecera y cuerpo;
+ * devuelve el cuerpo JSON de la respuesta (o la Response de fetch si no es JSON)
+ * y lanza un ApiError (ValidationError, ForbiddenError...) si la API responde con error
+ */
+class ApiClient {
+    /**
+     * @param {Object} options
+     * @param {string} options.baseUrl - URL del servidor (sin /api)
+     * @param {string} options.apiKey
+     * @param {Function} [options.fetch] - Implementación de fetch (por defecto la global)
+     * @param {number} [options.timeout] - Milisegundos por petición (0 = sin límite)
+     * @param {Object} [options.headers] - Cabeceras añadidas a cada petición
+     */
+    constructor({ baseUrl, apiKey, fetch: fetchImpl, timeout = 30000, headers = {} } = {}) {
+        if (!baseUrl) throw new TypeError('baseUrl is required');
+        if (!apiKey) throw new TypeError('apiKey is required');
+
+        this.baseUrl = `${baseUrl.replace(/\/+$/, '')}/api`;
+        this.apiKey = apiKey;
+        this.fetch = fetchImpl || globalThis.fetch?.bind(globalThis);
+        this.timeout = timeout;
+        this.headers = headers;
+
+        if (!this.fetch) {
+            throw new TypeError('fetch is not available; pass options.fetch');
+        }
+    }
+
+    /**
+     * Llamar a una operación por nombre
+     * @param {string} name - operationId (p. ej. 'sendMessage')
+     * @param {Object} [params]
+     * @param {Object} [options] - signal, timeout, headers
+     */
+    call(name, params, options) {
+        const route = ApiClient.ROUTES[name];
+        if (!route) {
+            throw new TypeError(`Unknown operation: ${name}`);
+        }
+        return this.request(route, params, options);
+    }
+
+    async request(route, params = {}, { signal, timeout = this.timeout, headers = {} } = {}) {
+        const { url, init } = this.buildRequest(route, params);
+        init.headers = { ...init.headers, ...this.headers, ...headers };
+
+        // Tiempo límite y cancelación del llamante sobre el mismo AbortController
+        const controller = new AbortController();
+        const timer = timeout > 0 ? setTimeout(() => controller.abort(), timeout) : null;
+        const onAbort = () => controller.abort();
+        signal?.addEventListener('abort', onAbort);
+
+        let response;
+        try {
+            response = await this.fetch(url, { ...init, signal: controller.signal });
+        } catch (error) {
+            const timedOut = controller.signal.aborted && !signal?.aborted;
+            throw new NetworkError(timedOut ? `Request timed out after ${timeout}ms` : error.message, {
+                operation: route.name,
+                cause: error
+            });
+        } finally {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', onAbort);
+        }
+
+        if (!response.ok) {
+            const body = await this.readBody(response);
+            const retryAfter = Number(response.headers.get('retry-after')) || null;
+            throw fromResponse(response.status, body, { operation: route.name, retryAfter });
+        }
+
+        return route.raw ? response : this.readBody(response);
+    }
+
+    /**
+     * Repartir los parámetros entre ruta, query, cabeceras y cuerpo
+     */
+    buildRequest(route, params) {
+        const rest = { ...params };
+        const headers = { Authorization: `Bearer ${this.apiKey}` };
+
+        const path = route.path.replace(/\{(\w+)\}/g, (match, name) => {
+            if (params[name] === undefined || params[name] === null || params[name] === '') {
+                throw new TypeError(`${route.name}: ${name} is required`);
+            }
+            // Si el campo también va en el cuerpo (markChatAsRead) se conserva para él
+            if (!route.body.includes(name)) delete rest[name];
+            return encodeURIComponent(params[name]);
+        });
+
+        route.headers.forEach(({ name, param }) => {
+            if (rest[param] !== undefined) headers[name] = String(rest[param]);
+            delete rest[param];
+        });
+
+        const query = new URLSearchParams();
+        const addQuery = (name, value) => {
+            if (value === undefined || value === null) return;
+            query.append(name, Array.isArray(value) ? value.join(',') : String(value));
+        };
+
+        route.query.forEach(name => {
+            addQuery(name, rest[name]);
+            delete rest[name];
+        });
+
+        const init = { method: route.method, headers };
+
+        if (route.binaryBody) {
+            headers['Content-Type'] = route.binaryBody;
+            init.body = rest.body;
+        } else if (route.method === 'GET') {
+            // fetch no admite cuerpo en GET: el resto de parámetros van en la query
+            Object.entries(rest).forEach(([name, value]) => addQuery(name, value));
+        } else if (Object.keys(rest).length > 0) {
+            headers['Content-Type'] = 'application/json';
+            init.body = JSON.stringify(rest);
+        }
+
+        const search = query.toString();
+        return { url: `${this.baseUrl}${path}${search ? `?${search}` : ''}`, init };
+    }
+
+    async readBody(response) {
+        const text = await response.text();
+        if (!text) return null;
+
+        if ((response.headers.get('content-type') || '').includes('json')) {
+            try {
+                return JSON.parse(text);
+            } catch (error) {
+                return text;
+            }
+        }
+        return text;
+    }
+}
+
+ApiClient.ROUTES = Object.fromEntries(routes.map(route => [route.name, route]));
+
+// Un método por operación: api.sendMessage(params, options)
+routes.forEach(route => {
+    ApiClient.prototype[route.name] = function (params, options) {
+        return this.request(route, params, options);
+    };
+});
+
+module.exports = ApiClient;
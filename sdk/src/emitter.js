@@ -0,0 +1,48 @@
+// sdk/src/emitter.js
+
+/**
+ * Emisor de eventos mínimo (el módulo 'events' de Node no existe en el navegador)
+ */
+class Emitter {
+    constructor() {
+        this.listeners = new Map();
+    }
+
+    on(eventName, listener) {
+        if (!this.listeners.has(eventName)) {
+            this.listeners.set(eventName, new Set());
+        }
+        this.listeners.get(eventName).add(listener);
+        return this;
+    }
+
+    once(eventName, listener) {
+        const wrapper = (...args) => {
+            this.off(eventName, wrapper);
+            listener(...args);
+        };
+        return this.on(eventName, wrapper);
+    }
+
+    off(eventName, listener) {
+        this.listeners.get(eventName)?.delete(listener);
+        return this;
+    }
+
+    emit(eventName, ...args) {
+        const listeners = this.listeners.get(eventName);
+        if (!listeners || listeners.size === 0) return false;
+
+        [...listeners].forEach(listener => {
+            try {
+                listener(...args);
+            } catch (error) {
+                // Un listener que falla no debe cortar la entrega al resto
+                if (eventName !== 'error') this.emit('error', error);
+            }
+        });
+        return true;
+    }
+}
+
+module.exports = Emitter;
@@ -0,0 +1,93 @@
+// sdk/src/errors.js
+
+/**
+ * Errores del SDK: uno por cada tipo de respuesta de error de la API
+ * Todos heredan de ApiError y conservan el status y el cuerpo recibidos
+ */
+class ApiError extends Error {
+    /**
+     * @param {string} message
+     * @param {Object} [details]
+     * @param {number} [details.status] - Status HTTP (o el de la ruta REST en llamadas RPC por WebSocket)
+     * @param {Object|string} [details.body] - Cuerpo de la respuesta
+     * @param {string} [details.operation] - Método del SDK que falló
+     */
+    constructor(message, { status = null, body = null, operation = null } = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = status;
+        this.body = body;
+        this.operation = operation;
+    }
+}
+
+/** 400: reglas de validación ({ success: false, message, errors }) o petición rechazada por el handler */
+class ValidationError extends ApiError {
+    constructor(message, details = {}) {
+        super(message, details);
+        this.errors = Array.isArray(details.body?.errors) ? details.body.errors : [];
+    }
+}
+
+/** 401: API key ausente, inválida, revocada o caducada */
+class AuthenticationError extends ApiError {}
+
+/** 403: falta el scope o el acceso al número */
+class ForbiddenError extends ApiError {}
+
+/** 404 */
+class NotFoundError extends ApiError {}
+
+/** 429: límite de peticiones superado */
+class RateLimitError extends ApiError {
+    constructor(message, details = {}) {
+        super(message, details);
+        this.retryAfter = details.retryAfter ?? null;
+    }
+}
+
+/** 5xx */
+class ServerError extends ApiError {}
+
+/** Sin respuesta: red caída, tiempo agotado o conexión WebSocket cerrada */
+class NetworkError extends ApiError {
+    constructor(message, details = {}) {
+        super(message, details);
+        this.cause = details.cause;
+    }
+}
+
+/**
+ * Crear el error que corresponde a una respuesta de la API
+ * Lee los sobres { success: false, error }, { status: 'error', message, error } y de validación
+ * @param {number} status
+ * @param {Object|string} body
+ * @param {Object} [extra] - operation, retryAfter
+ * @returns {ApiError}
+ */
+const fromResponse = (status, body, extra = {}) => {
+    const message = (body && typeof body === 'object')
+        ? body.error || body.message || `Request failed with status ${status}`
+        : (body || `Request failed with status ${status}`);
+    const details = { status, body, ...extra };
+
+    if (status === 400) return new ValidationError(message, details);
+    if (status === 401) return new AuthenticationError(message, details);
+    if (status === 403) return new ForbiddenError(message, details);
+    if (status === 404) return new NotFoundError(message, details);
+    if (status === 429) return new RateLimitError(message, details);
+    if (status >= 500) return new ServerError(message, details);
+    return new ApiError(message, details);
+};
+
+module.exports = {
+    ApiError,
+    ValidationError,
+    AuthenticationError,
+    ForbiddenError,
+    NotFoundError,
+    RateLimitError,
+    ServerError,
+    NetworkError,
+    fromResponse
+};
@@ -0,0 +1,421 @@
+// sdk/src/eventClient.js
+const Emitter = require('./emitter');
+const { fromResponse, ApiError, NetworkError } = require('./errors');
+
+// Códigos de error de los frames → status HTTP equivalente (para elegir la clase de error)
+const ERROR_STATUS = {
+    unauthorized: 401,
+    forbidden: 403,
+    too_many_requests: 429,
+    internal_error: 500
+};
+
+// Cierres del servidor que no se arreglan reconectando
+const FATAL_CLOSE_CODES = { 4401: 401, 4403: 403 };
+
+const resolveWebSocket = (WebSocketImpl) => {
+    if (WebSocketImpl) return WebSocketImpl;
+    if (globalThis.WebSocket) return globalThis.WebSocket;
+
+    try {
+        // Node < 22 no tiene WebSocket global; en el navegador 'ws' se sustituye por un módulo vacío
+        const ws = require('ws');
+        if (typeof ws === 'function') return ws;
+    } catch (error) {
+        // sin implementación disponible
+    }
+    throw new TypeError('No WebSocket implementation available; pass options.WebSocket');
+};
+
+/**
+ * Cliente de eventos en tiempo real sobre el WebSocket de la API (protocolo en /api/events/websocket-schema)
+ *
+ *   const events = new EventClient({ baseUrl, apiKey });
+ *   events.on('message', (data, frame) => ...);
+ *   await events.connect();
+ *   await events.subscribe(['34600000000'], { events: ['message', 'messageAck'] });
+ *
+ * - Reconecta con espera exponencial y vuelve a suscribirse pidiendo los eventos perdidos, que se entregan
+ *   antes que los nuevos
+ * - Descarta eventos repetidos por su seq y emite 'gap' cuando el servidor ya no los tiene
+ * - rpc() envía por el socket las mismas operaciones que la API REST y devuelve su cuerpo
+ *
+ * Eventos emitidos: 'open', 'close', 'reconnecting', 'event' (todos los eventos), cada tipo de evento
+ * por su nombre ('message', 'ready', 'messageAck'...), 'gap' y 'error'
+ */
+class EventClient extends Emitter {
+    /**
+     * @param {Object} options
+     * @param {string} options.baseUrl - URL del servidor (http(s) o ws(s))
+     * @param {string} options.apiKey - API key con el scope events
+     * @param {Function} [options.WebSocket] - Implementación de WebSocket (por defecto la global o el paquete ws)
+     * @param {boolean} [options.reconnect] - Reconectar automáticamente (true)
+     * @param {number} [options.minReconnectDelay] - Primera espera en ms (1000)
+     * @param {number} [options.maxReconnectDelay] - Espera máxima en ms (30000)
+     * @param {number} [options.requestTimeout] - Espera máxima de acks y respuestas RPC en ms (15000)
+     */
+    constructor({
+        baseUrl,
+        apiKey,
+        WebSocket: WebSocketImpl,
+        reconnect = true,
+        minReconnectDelay = 1000,
+        maxReconnectDelay = 30000,
+        requestTimeout = 15000
+    } = {}) {
+        super();
+        if (!baseUrl) throw new TypeError('baseUrl is required');
+        if (!apiKey) throw new TypeError('apiKey is required');
+
+        // Los navegadores no envían cabeceras en el handshake: la key va en ?token=
+        const url = new URL(baseUrl.replace(/^http/, 'ws'));
+        url.searchParams.set('token', apiKey);
+        this.url = url.toString();
+
+        this.WebSocket = resolveWebSocket(WebSocketImpl);
+        this.reconnect = reconnect;
+        this.minReconnectDelay = minReconnectDelay;
+        this.maxReconnectDelay = maxReconnectDelay;
+        this.requestTimeout = requestTimeout;
+
+        this.socket = null;
+        this.closedByUser = false;
+        this.attempt = 0;
+        this.reconnectTimer = null;
+        this.requestCounter = 0;
+        this.pending = new Map();
+
+        // número → filtros { events, chatIds, groupsOnly }, reenviados al reconectar
+        this.subscriptions = new Map();
+        // número → último seq recibido, para 'resume'
+        this.positions = new Map();
+        // número → eventos recibidos mientras se espera su 'resumed' (reenviados y en vivo)
+        this.resuming = new Map();
+    }
+
+    get connected() {
+        return Boolean(this.socket) && this.socket.readyState === 1;
+    }
+
+    /**
+     * Abrir la conexión; resuelve al abrirse y rechaza si el primer intento falla
+     * @returns {Promise<void>}
+     */
+    connect() {
+        this.closedByUser = false;
+        clearTimeout(this.reconnectTimer);
+
+        if (this.connected) return Promise.resolve();
+
+        return new Promise((resolve, reject) => {
+            const onOpen = () => {
+                this.off('close', onClose);
+                resolve();
+            };
+            const onClose = ({ code, reason }) => {
+                this.off('open', onOpen);
+                reject(new NetworkError(`WebSocket closed before opening (${code}${reason ? `: ${reason}` : ''})`));
+            };
+            this.once('open', onOpen);
+            this.once('close', onClose);
+            this.open();
+        });
+    }
+
+    /**
+     * Cerrar sin reconectar
+     */
+    close() {
+        this.closedByUser = true;
+        clearTimeout(this.reconnectTimer);
+        if (this.socket) {
+            this.socket.close(1000, 'Client closed');
+        }
+    }
+
+    open() {
+        const socket = new this.WebSocket(this.url);
+        this.socket = socket;
+
+        socket.onopen = () => {
+            this.attempt = 0;
+            this.emit('open');
+            this.restore();
+        };
+
+        socket.onmessage = (message) => {
+            let frame;
+            try {
+                frame = JSON.parse(typeof message.data === 'string' ? message.data : String(message.data));
+            } catch (error) {
+                this.emit('error', new ApiError('Invalid frame from server'));
+                return;
+            }
+            this.handleFrame(frame);
+        };
+
+        // Los errores de conexión llegan seguidos de 'close', que es quien decide reconectar
+        socket.onerror = () => {};
+
+        socket.onclose = ({ code, reason }) => {
+            if (this.socket !== socket) return;
+            this.socket = null;
+
+            // Lo retenido se vuelve a pedir al reconectar: positions no avanzó
+            this.resuming.clear();
+            this.rejectPending(new NetworkError(`WebSocket closed (${code})`));
+            this.emit('close', { code, reason: String(reason || '') });
+
+            if (FATAL_CLOSE_CODES[code]) {
+                this.emit('error', fromResponse(FATAL_CLOSE_CODES[code], { error: String(reason || 'Connection rejected') }));
+                return;
+            }
+
+            if (this.reconnect && !this.closedByUser) {
+                this.scheduleReconnect();
+            }
+        };
+    }
+
+    scheduleReconnect() {
+        const base = Math.min(this.maxReconnectDelay, this.minReconnectDelay * 2 ** this.attempt);
+        // Jitter para que muchos clientes no reconecten a la vez tras un reinicio
+        const delay = Math.round(base / 2 + Math.random() * base / 2);
+        this.attempt += 1;
+
+        this.emit('reconnecting', { attempt: this.attempt, delay });
+        this.reconnectTimer = setTimeout(() => this.open(), delay);
+    }
+
+    /**
+     * Tras (re)conectar: repetir las suscripciones y pedir lo perdido desde el último seq
+     * La suscripción lleva las posiciones para que el servidor reenvíe lo perdido antes que lo nuevo;
+     * hasta su 'resumed' los eventos del número se retienen y luego se entregan en orden de seq
+     */
+    restore() {
+        this.positions.forEach((seq, number) => this.resuming.set(number, []));
+
+        // Una suscripción por combinación de filtros
+        const groups = new Map();
+        this.subscriptions.forEach((filters, number) => {
+            const key = JSON.stringify(filters);
+            if (!groups.has(key)) groups.set(key, { filters, numbers: [] });
+            groups.get(key).numbers.push(number);
+        });
+
+        groups.forEach(({ filters, numbers }) => {
+            const positions = Object.fromEntries(numbers
+                .filter(number => this.positions.has(number))
+                .map(number => [number, this.positions.get(number)]));
+
+            this.request({ action: 'subscribe', numbers, ...filters, positions })
+                .catch(error => {
+                    numbers.forEach(number => this.finishResume(number));
+                    this.emit('error', error);
+                });
+        });
+
+        // Números con eventos pero sin suscripción (socket sin suscribir, que recibe todos sus números)
+        const unsubscribed = [...this.positions.keys()].filter(number => !this.subscriptions.has(number));
+        if (unsubscribed.length > 0) {
+            this.send({
+                action: 'resume',
+                positions: Object.fromEntries(unsubscribed.map(number => [number, this.positions.get(number)]))
+            });
+        }
+    }
+
+    /**
+     * Entregar en orden de seq lo retenido durante el resume de un número
+     * @param {string} number
+     */
+    finishResume(number) {
+        const held = this.resuming.get(number);
+        if (!held) return;
+
+        this.resuming.delete(number);
+        held.sort((a, b) => a.seq - b.seq).forEach(frame => this.handleEvent(frame));
+    }
+
+    /**
+     * Suscribirse a uno o varios números (sustituye los filtros de esos números)
+     * @param {string|string[]} numbers
+     * @param {Object} [filters]
+     * @param {string[]} [filters.events] - Tipos de evento
+     * @param {string[]} [filters.chatIds] - Solo eventos de estos chats
+     * @param {boolean} [filters.groupsOnly] - Solo eventos de grupos
+     * @returns {Promise<Object[]>} Suscripciones activas del socket
+     */
+    async subscribe(numbers, { events, chatIds, groupsOnly } = {}) {
+        const list = [].concat(numbers).map(String);
+        const filters = {
+            ...(events ? { events } : {}),
+            ...(chatIds ? { chatIds } : {}),
+            ...(groupsOnly ? { groupsOnly: true } : {})
+        };
+
+        const previous = new Map(list.map(number => [number, this.subscriptions.get(number)]));
+        list.forEach(number => this.subscriptions.set(number, filters));
+        if (!this.connected) return this.describeSubscriptions();
+
+        try {
+            const { subscriptions } = await this.request({ action: 'subscribe', numbers: list, ...filters });
+            return subscriptions;
+        } catch (error) {
+            // Rechazada (número sin acceso, filtros inválidos): no repetirla al reconectar
+            previous.forEach((filters, number) => {
+                if (filters) {
+                    this.subscriptions.set(number, filters);
+                } else {
+                    this.subscriptions.delete(number);
+                }
+            });
+            throw error;
+        }
+    }
+
+    /**
+     * Cancelar suscripciones (sin números: todas)
+     * @param {string|string[]} [numbers]
+     * @returns {Promise<Object[]>}
+     */
+    async unsubscribe(numbers) {
+        const list = numbers === undefined ? null : [].concat(numbers).map(String);
+
+        if (list) {
+            list.forEach(number => this.subscriptions.delete(number));
+        } else {
+            this.subscriptions.clear();
+        }
+        if (!this.connected) return this.describeSubscriptions();
+
+        const { subscriptions } = await this.request({ action: 'unsubscribe', ...(list ? { numbers: list } : {}) });
+        return subscriptions;
+    }
+
+    describeSubscriptions() {
+        return [...this.subscriptions.entries()].map(([number, filters]) => ({
+            number,
+            events: filters.events || null,
+            chatIds: filters.chatIds || null,
+            groupsOnly: Boolean(filters.groupsOnly)
+        }));
+    }
+
+    /**
+     * Ejecutar una operación REST por el socket (sendMessage, replyToMessage, reactToMessage,
+     * markChatRead, sendChatState, sendMessageOrFile)
+     * @param {string} method
+     * @param {Object} params - Mismo cuerpo que la ruta REST
+     * @returns {Promise<Object>} Cuerpo de la respuesta; rechaza con ApiError si el status es de error
+     */
+    async rpc(method, params = {}) {
+        const { status, body } = await this.request({ action: 'rpc', method, params });
+
+        if (status >= 400) {
+            throw fromResponse(status, body, { operation: method });
+        }
+        return body;
+    }
+
+    /**
+     * Enviar un frame con requestId y esperar su ack, response o error
+     */
+    request(frame) {
+        if (!this.connected) {
+            return Promise.reject(new NetworkError('WebSocket is not connected'));
+        }
+
+        this.requestCounter += 1;
+        const requestId = `sdk-${this.requestCounter}`;
+
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.pending.delete(requestId);
+                reject(new NetworkError(`No response to ${frame.action} after ${this.requestTimeout}ms`));
+            }, this.requestTimeout);
+
+            this.pending.set(requestId, { resolve, reject, timer });
+            this.send({ ...frame, requestId });
+        });
+    }
+
+    send(frame) {
+        if (this.connected) {
+            this.socket.send(JSON.stringify(frame));
+        }
+    }
+
+    settle(requestId, error, value) {
+        const pending = this.pending.get(requestId);
+        if (!pending) return false;
+
+        clearTimeout(pending.timer);
+        this.pending.delete(requestId);
+        if (error) {
+            pending.reject(error);
+        } else {
+            pending.resolve(value);
+        }
+        return true;
+    }
+
+    rejectPending(error) {
+        [...this.pending.keys()].forEach(requestId => this.settle(requestId, error));
+    }
+
+    handleFrame(frame) {
+        const { eventType, data = {} } = frame;
+
+        switch (eventType) {
+        case 'ack':
+        case 'response':
+            this.settle(data.requestId, null, data);
+            return;
+        case 'error': {
+            const error = fromResponse(ERROR_STATUS[data.code] || 400, data);
+            error.code = data.code;
+            if (data.action === 'resume' && data.number) {
+                this.finishResume(String(data.number));
+            }
+            if (!this.settle(data.requestId, error)) {
+                this.emit('error', error);
+            }
+            return;
+        }
+        case 'gap':
+            // El servidor se reinició y su secuencia empieza de nuevo: seguir desde la actual
+            if (data.reason === 'sequence_ahead') {
+                this.positions.set(data.number, data.currentSeq);
+            }
+            this.emit('gap', data);
+            return;
+        case 'resumed':
+            this.finishResume(data.number);
+            return;
+        case 'subscribed':
+            return;
+        default:
+            this.handleEvent(frame);
+        }
+    }
+
+    handleEvent(frame) {
+        const { eventType, data, seq, number } = frame;
+
+        if (number && Number.isInteger(seq)) {
+            if (this.resuming.has(number)) {
+                this.resuming.get(number).push(frame);
+                return;
+            }
+            // Repetido por un 'resume' que se solapa con lo ya recibido
+            if (seq <= (this.positions.get(number) || 0)) return;
+            this.positions.set(number, seq);
+        }
+
+        this.emit('event', frame);
+        this.emit(eventType, data, frame);
+    }
+}
+
+module.exports = EventClient;
@@ -0,0 +1,10 @@
+// sdk/src/index.js
+const ApiClient = require('./apiClient');
+const EventClient = require('./eventClient');
+const errors = require('./errors');
+
+module.exports = {
+    ApiClient,
+    EventClient,
+    ...errors
+};
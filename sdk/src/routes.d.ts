@@ -0,0 +1,1174 @@
+// Generado por src/scripts/generateSdk.js a partir de la especificación OpenAPI (1.0.0); no editar a mano
+
+import { ApiResponse, RequestOptions } from '../index';
+
+export interface GetHealthMetricsParams {
+}
+
+export interface GetHealthMetricsByNumberParams {
+    number: string;
+}
+
+export interface GetClientStateInfoParams {
+    number: string;
+}
+
+export interface ForceReconnectParams {
+}
+
+export interface GetReconnectionStatusParams {
+}
+
+export interface CheckClientOperationalParams {
+    number: string;
+}
+
+export interface GetQrCodeParams {
+    number: string;
+}
+
+export interface GetConnectionStatusParams {
+    /** Debe ser una cadena de texto */
+    number: string;
+}
+
+export interface AddClientParams {
+    /** Debe ser una cadena de texto */
+    number: string;
+}
+
+export interface GetClientStatusParams {
+    /** Debe ser una cadena de texto */
+    number: string;
+}
+
+export interface RemoveClientParams {
+    /** Debe ser una cadena de texto */
+    number: string;
+}
+
+export interface ExportClientBundleParams {
+    /** Debe ser una cadena de texto; La passphrase debe tener al menos 12 caracteres */
+    passphrase: string;
+    /** Debe ser un valor booleano */
+    detach?: boolean;
+    /** Campo obligatorio */
+    number: string;
+}
+
+export interface ImportClientBundleParams {
+    /** Raw application/octet-stream body */
+    body: Blob | ArrayBuffer | Uint8Array;
+    /** Debe ser una cadena de texto; La passphrase debe tener al menos 12 caracteres */
+    bundlePassphrase: string;
+}
+
+export interface SendMessageParams {
+    /** Debe ser una cadena de texto */
+    clientId: string;
+    /** Debe ser una cadena de texto */
+    tel: string;
+    /** Mensaje demasiado largo; Envía mensaje o cannedResponseId, no ambos */
+    mensaje?: string;
+    /** Id de respuesta predefinida inválido */
+    cannedResponseId?: string;
+    /** variables debe ser un objeto */
+    variables?: Record<string, unknown>;
+    /** Debe ser una cadena de texto; Longitud inválida */
+    agentName?: string;
+}
+
+export interface SendGroupMessageParams {
+    /** Debe ser una cadena de texto */
+    clientId: string;
+    groupId?: string;
+    /** Mensaje demasiado largo */
+    mensaje: string;
+}
+
+export interface SendMessageWithMentionParams {
+    /** Debe ser una cadena de texto */
+    clientId: string;
+    /** Debe ser una cadena de texto */
+    tel: string;
+    /** Debe ser un valor booleano */
+    isGroup: boolean;
+    /** Debe ser una cadena de texto */
+    mentionTel: string;
+    message: string;
+}
+
+export interface SendMessageOrFileParams {
+    /** Debe ser una cadena de texto */
+    clientId: string;
+    chatId?: string;
+    /** Una plantilla no se puede combinar con message ni fileContent */
+    message?: string;
+    filePath?: string;
+    /** Id de plantilla inválido */
+    templateId?: string;
+    /** Nombre de plantilla inválido; Envía templateId o templateName, no ambos */
+    templateName?: string;
+    /** Una plantilla no se puede combinar con message ni fileContent */
+    fileContent?: unknown;
+    /** params debe ser un objeto */
+    params?: Record<string, unknown>;
+    /** locale debe ser un código de idioma (es, en-US) */
+    locale?: string;
+    /** Debe ser un número entero positivo */
+    templateVersion?: number;
+}
+
+export interface SendStickerParams {
+    /** Debe ser una cadena de texto */
+    clientId: string;
+    /** Debe ser una cadena de texto */
+    tel: string;
+    stickerPath?: string;
+    /** Debe ser un valor booleano */
+    isGroup: boolean;
+}
+
+export interface SendImageParams {
+    /** Debe ser una cadena de texto */
+    clientId: string;
+    /** Debe ser una cadena de texto */
+    tel: string;
+    imagePath?: string;
+    /** Debe ser un valor booleano */
+    isGroup: boolean;
+}
+
+export interface SendAudioParams {
+    /** Debe ser una cadena de texto */
+    clientId: string;
+    /** Debe ser una cadena de texto */
+    tel: string;
+}
+
+export interface SendMessageProductParams {
+    /** Debe ser una cadena de texto */
+    clientId: string;
+    /** Debe ser una cadena de texto */
+    tel: string;
+    mensaje?: string;
+    /** Debe ser una cadena de texto; Formato Base64 inválido */
+    imagen: string;
+}
+
+export interface SendMessageProductGroupParams {
+    /** Debe ser una cadena de texto */
+    clientId: string;
+    groupId?: string;
+    mensaje?: string;
+    /** Debe ser una cadena de texto; Formato Base64 inválido */
+    imagen: string;
+}
+
+export interface GetChatsParams {
+    /** Debe ser un número entero positivo */
+    page?: number;
+    /** Debe ser un número entre 1 y 100 */
+    limit?: number;
+}
+
+export interface GetUnreadChatsParams {
+    /** Debe ser un número entero positivo */
+    page?: number;
+    /** Debe ser un número entre 1 y 100 */
+    limit?: number;
+}
+
+export interface GetGroupChatsParams {
+    /** Campo obligatorio; Debe ser una cadena de texto */
+    clientId: string;
+}
+
+export interface MarkChatAsReadParams {
+    /** Debe ser una cadena de texto */
+    clientId: string;
+    /** Debe ser una cadena de texto */
+    tel: string;
+    /** Debe ser un valor booleano */
+    isGroup: boolean;
+}
+
+export interface SendChatStateParams {
+    /** Debe ser una cadena de texto */
+    clientId: string;
+    /** Debe ser una cadena de texto */
+    tel: string;
+    /** Estado inválido. Permitidos: typing, recording, paused */
+    state: "typing" | "recording" | "paused";
+    /** Debe ser un valor booleano */
+    isGroup: boolean;
+}
+
+export interface MarkChatAsUnreadParams {
+    /** Debe ser una cadena de texto */
+    clientId: string;
+    /** Debe ser una cadena de texto */
+    tel: string;
+    /** Debe ser un valor booleano */
+    isGroup: boolean;
+}
+
+export interface PinChatParams {
+    /** Debe ser una cadena de texto */
+    clientId: string;
+    /** Debe ser una cadena de texto */
+    tel: string;
+    /** Debe ser un valor booleano */
+    isGroup: boolean;
+}
+
+export interface UnpinChatParams {
+    /** Debe ser una cadena de texto */
+    clientId: string;
+    /** Debe ser una cadena de texto */
+    tel: string;
+    /** Debe ser un valor booleano */
+    isGroup: boolean;
+}
+
+export interface MuteChatParams {
+    /** Debe ser una cadena de texto */
+    clientId: string;
+    /** Debe ser una cadena de texto */
+    tel: string;
+    /** Debe ser un valor booleano */
+    isGroup: boolean;
+    /** Debe ser una fecha válida */
+    unmuteDate?: string;
+}
+
+export interface GetContactsParams {
+    /** Debe ser un número entero positivo */
+    page?: number;
+    /** Debe ser un número entre 1 y 100 */
+    limit?: number;
+}
+
+export interface SaveContactParams {
+    /** Debe ser una cadena de texto */
+    clientNumber: string;
+    /** Debe ser una cadena de texto */
+    contactNumber: string;
+    /** Longitud inválida */
+    contactName: string;
+}
+
+export interface GetChatMessagesParams {
+    /** Debe ser una cadena de texto */
+    clientId: string;
+    /** Debe ser una cadena de texto */
+    tel: string;
+    /** Debe ser un número entre 1 y 100 */
+    limit?: number;
+    /** Debe ser un número entero positivo */
+    before?: number;
+    /** Debe ser una cadena de texto */
+    beforeId?: string;
+}
+
+export interface GetGroupChatMessagesParams {
+    number: string;
+    groupId: string;
+    /** Debe ser un número entre 1 y 100 */
+    limit?: number;
+    /** Debe ser un número entero positivo */
+    before?: number;
+    /** Debe ser una cadena de texto */
+    beforeId?: string;
+}
+
+export interface ForwardMessageParams {
+    /** Debe ser una cadena de texto */
+    clientId: string;
+    /** Debe ser una cadena de texto */
+    fromTel: string;
+    /** Debe ser una cadena de texto */
+    toTel: string;
+    /** messageIds debe ser un array con al menos un elemento */
+    messageIds: Array<string>;
+    /** isGroupFrom debe ser un valor booleano */
+    isGroupFrom: boolean;
+    /** isGroupTo debe ser un valor booleano */
+    isGroupTo: boolean;
+}
+
+export interface ReplyToMessageParams {
+    /** Debe ser una cadena de texto */
+    clientId: string;
+    /** Debe ser una cadena de texto */
+    tel: string;
+    messageId?: string;
+    /** Respuesta demasiado larga */
+    reply: string;
+    /** Debe ser un valor booleano */
+    isGroup: boolean;
+}
+
+export interface ReactToMessageParams {
+    /** Debe ser una cadena de texto */
+    clientId: string;
+    /** Debe ser una cadena de texto */
+    tel: string;
+    /** Campo obligatorio */
+    messageId: string;
+    /** Debe ser una cadena de texto; Reacción inválida */
+    reaction: string;
+    /** Debe ser un valor booleano */
+    isGroup: boolean;
+}
+
+export interface SearchMessagesParams {
+    /** Campo obligatorio; Longitud inválida */
+    q: string;
+    /** Debe ser una cadena de texto */
+    number?: string;
+    /** Debe ser una cadena de texto */
+    chatId?: string;
+    /** Debe ser una cadena de texto */
+    sender?: string;
+    /** Debe ser una cadena de texto */
+    type?: string;
+    /** Debe ser una fecha válida */
+    from?: string;
+    /** Debe ser una fecha válida */
+    to?: string;
+    /** Debe ser un valor booleano */
+    hasMedia?: boolean;
+    /** Debe ser un valor booleano */
+    includeDeleted?: boolean;
+    /** Debe ser un número entero positivo */
+    page?: number;
+    /** Debe ser un número entre 1 y 100 */
+    limit?: number;
+}
+
+export interface GetMessageStatusParams {
+    /** Campo obligatorio */
+    id: string;
+}
+
+export interface GetMessageInfoParams {
+    /** Debe ser una cadena de texto */
+    clientId: string;
+    /** Debe ser una cadena de texto */
+    tel: string;
+    messageId?: string;
+    /** Debe ser un valor booleano */
+    isGroup: boolean;
+}
+
+export interface DeleteMessageParams {
+    /** Debe ser una cadena de texto */
+    clientId: string;
+    /** Debe ser una cadena de texto */
+    tel: string;
+    messageId: string;
+    /** Debe ser un valor booleano */
+    isGroup: boolean;
+}
+
+export interface EditMessageParams {
+    /** Debe ser una cadena de texto */
+    clientId: string;
+    /** Debe ser una cadena de texto */
+    tel: string;
+    messageId: string;
+    newContent: string;
+    /** Debe ser un valor booleano */
+    isGroup: boolean;
+}
+
+export interface MarkMessageAsImportantParams {
+    /** Debe ser una cadena de texto */
+    clientId: string;
+    /** Debe ser una cadena de texto */
+    tel: string;
+    messageId: string;
+    /** Debe ser un valor booleano */
+    isGroup: boolean;
+}
+
+export interface UnmarkMessageAsImportantParams {
+    /** Debe ser una cadena de texto */
+    clientId: string;
+    /** Debe ser una cadena de texto */
+    tel: string;
+    messageId: string;
+    /** Debe ser un valor booleano */
+    isGroup: boolean;
+}
+
+export interface GetAllAuthenticatedAccountsInfoParams {
+}
+
+export interface GetMediaStatusParams {
+    messageId: string;
+}
+
+export interface GetMediaFileParams {
+    fileId: string;
+}
+
+export interface CleanTempMediaFilesParams {
+}
+
+export interface CreateApiKeyParams {
+    /** Campo obligatorio; Longitud inválida */
+    name: string;
+    /** scopes debe ser un array con al menos un elemento */
+    scopes: Array<"*" | "monitoring" | "clients" | "messaging" | "chats" | "contacts" | "messages" | "media" | "events" | "graphql" | "webhooks" | "conversations" | "admin">;
+    /** numbers debe ser un array */
+    numbers?: Array<string>;
+    /** Debe ser una fecha válida */
+    expiresAt?: string | null;
+}
+
+export interface ListApiKeysParams {
+}
+
+export interface RevokeApiKeyParams {
+    /** Id de API key inválido */
+    id: string;
+}
+
+export interface RotateApiKeyParams {
+    /** gracePeriodSeconds debe estar entre 0 y 604800 */
+    gracePeriodSeconds?: number;
+    /** Id de API key inválido */
+    id: string;
+}
+
+export interface GetAuditLogParams {
+    /** Debe ser un número entero positivo */
+    page?: number;
+    /** Debe ser un número entre 1 y 100 */
+    limit?: number;
+    /** Debe ser una cadena de texto */
+    actor?: string;
+    /** Debe ser una cadena de texto */
+    handler?: string;
+    /** Debe ser una cadena de texto */
+    number?: string;
+    /** Debe ser una cadena de texto */
+    chat?: string;
+    /** Debe ser una cadena de texto */
+    message?: string;
+    /** outcome debe ser success o failure */
+    outcome?: "success" | "failure";
+    /** Debe ser una fecha válida */
+    from?: string;
+    /** Debe ser una fecha válida */
+    to?: string;
+}
+
+export interface ExportAuditLogParams {
+    /** Debe ser una cadena de texto */
+    actor?: string;
+    /** Debe ser una cadena de texto */
+    handler?: string;
+    /** Debe ser una cadena de texto */
+    number?: string;
+    /** Debe ser una cadena de texto */
+    chat?: string;
+    /** Debe ser una cadena de texto */
+    message?: string;
+    /** outcome debe ser success o failure */
+    outcome?: "success" | "failure";
+    /** Debe ser una fecha válida */
+    from?: string;
+    /** Debe ser una fecha válida */
+    to?: string;
+}
+
+export interface CreateWebhookParams {
+    /** url debe ser una URL http(s) válida */
+    url: string;
+    /** Campo obligatorio; Debe ser una cadena de texto */
+    number: string;
+    /** events debe ser un array con al menos un elemento */
+    events: Array<"message" | "ready" | "authenticated" | "auth_failure" | "disconnected" | "qrUpdated" | "status" | "groupJoin" | "groupLeave" | "groupUpdate" | "groupAdminChanged" | "messageReaction" | "messageAck" | "contactChanged">;
+    /** Debe ser una cadena de texto; secret debe tener entre 16 y 256 caracteres */
+    secret?: string;
+    /** Debe ser una cadena de texto; Longitud inválida */
+    description?: string | null;
+}
+
+export interface ListWebhooksParams {
+}
+
+export interface ListDeadLettersParams {
+    /** Id de webhook inválido */
+    subscriptionId?: string;
+}
+
+export interface RedeliverDeadLetterParams {
+    /** Id de dead letter inválido */
+    id: string;
+}
+
+export interface DeleteWebhookParams {
+    /** Id de webhook inválido */
+    id: string;
+}
+
+export interface GetWebhookDeliveriesParams {
+    /** Id de webhook inválido */
+    id: string;
+    /** Debe ser un número entre 1 y 100 */
+    limit?: number;
+}
+
+export interface StreamEventsParams {
+    /** Debe ser una cadena de texto */
+    numbers?: string;
+    /** Eventos inválidos. Permitidos: message, qrCode, ready, authenticated, disconnected, auth_failure, browserCrash, messageAck, conversationAssigned, conversationStatusChanged, campaignFinished */
+    events?: unknown;
+    /** Debe ser una cadena de texto */
+    lastEventId?: string;
+}
+
+export interface GetWebSocketSchemaParams {
+}
+
+export interface CreateChatExportParams {
+    /** Campo obligatorio; Debe ser una cadena de texto */
+    number: string;
+    /** chatIds debe ser un array de 1 a 50 chats */
+    chatIds: Array<string>;
+    /** Formato inválido. Permitidos: json, csv, html */
+    format: "json" | "csv" | "html";
+    /** Modo de media inválido. Permitidos: none, link, embed; El formato CSV no admite media embebida; usa link o none */
+    media?: "none" | "link" | "embed";
+}
+
+export interface ListChatExportsParams {
+    /** Debe ser una cadena de texto */
+    number?: string;
+    /** Estado inválido */
+    status?: "queued" | "running" | "completed" | "failed" | "expired";
+}
+
+export interface GetChatExportParams {
+    /** Id de exportación inválido */
+    id: string;
+}
+
+export interface DeleteChatExportParams {
+    /** Id de exportación inválido */
+    id: string;
+}
+
+export interface CreateCannedResponseParams {
+    /** Campo obligatorio; Debe ser una cadena de texto */
+    number?: string;
+    /** shortcode debe tener de 1 a 32 letras minúsculas, dígitos, _ o - */
+    shortcode: string;
+    /** Debe ser una cadena de texto; Texto demasiado largo */
+    text?: string;
+    /** Debe ser una cadena de texto; Longitud inválida */
+    title?: string | null;
+    /** Debe ser una cadena de texto; Longitud inválida */
+    category?: string | null;
+    /** media debe ser un objeto { fileName, fileContent } */
+    media?: { fileName: string; fileContent: string } | null;
+}
+
+export interface ListCannedResponsesParams {
+    /** Debe ser una cadena de texto */
+    number?: string;
+    /** Debe ser una cadena de texto */
+    category?: string;
+    /** Debe ser una cadena de texto */
+    q?: string;
+}
+
+export interface GetCannedResponseParams {
+    /** Id de respuesta predefinida inválido */
+    id: string;
+}
+
+export interface UpdateCannedResponseParams {
+    /** shortcode debe tener de 1 a 32 letras minúsculas, dígitos, _ o - */
+    shortcode?: string;
+    /** Debe ser una cadena de texto; Texto demasiado largo */
+    text?: string | null;
+    /** Debe ser una cadena de texto; Longitud inválida */
+    title?: string | null;
+    /** Debe ser una cadena de texto; Longitud inválida */
+    category?: string | null;
+    /** El número de una respuesta no se puede cambiar */
+    number: string;
+    /** media debe ser un objeto { fileName, fileContent } */
+    media?: { fileName: string; fileContent: string } | null;
+    /** Id de respuesta predefinida inválido */
+    id: string;
+}
+
+export interface DeleteCannedResponseParams {
+    /** Id de respuesta predefinida inválido */
+    id: string;
+}
+
+export interface GetCannedResponseMediaParams {
+    /** Id de respuesta predefinida inválido */
+    id: string;
+}
+
+export interface CreateTemplateParams {
+    /** Debe ser una cadena de texto; name debe empezar por una letra y tener hasta 64 letras minúsculas, dígitos o _ */
+    name: string;
+    /** Campo obligatorio; Debe ser una cadena de texto */
+    number?: string;
+    /** Debe ser una cadena de texto; defaultLocale debe ser un código de idioma (es, en-US) */
+    defaultLocale: string;
+    /** parameters debe ser un array de hasta 30 elementos */
+    parameters?: Array<{ name?: string; type?: "string" | "number" | "integer" | "currency" | "date" | "enum" | "list"; required?: boolean }>;
+    /** variants debe ser un objeto { "<idioma>": { header, body, footer } } */
+    variants: Record<string, unknown>;
+    /** Debe ser una cadena de texto; Longitud inválida */
+    description?: string | null;
+    /** media debe ser un objeto { fileName, fileContent } */
+    media?: { fileName: string; fileContent: string } | null;
+}
+
+export interface ListTemplatesParams {
+    /** Debe ser una cadena de texto */
+    number?: string;
+    /** Debe ser una cadena de texto */
+    q?: string;
+}
+
+export interface SetContactLocaleParams {
+    /** Debe ser una cadena de texto; Campo obligatorio */
+    number: string;
+    /** Debe ser una cadena de texto; Campo obligatorio */
+    chatId: string;
+    /** locale debe ser un código de idioma (es, en-US) */
+    locale?: string | null;
+}
+
+export interface GetTemplateParams {
+    /** Id de plantilla inválido */
+    id: string;
+}
+
+export interface DeleteTemplateParams {
+    /** Id de plantilla inválido */
+    id: string;
+}
+
+export interface CreateTemplateVersionParams {
+    /** Debe ser una cadena de texto; defaultLocale debe ser un código de idioma (es, en-US) */
+    defaultLocale: string;
+    /** parameters debe ser un array de hasta 30 elementos */
+    parameters?: Array<{ name?: string; type?: "string" | "number" | "integer" | "currency" | "date" | "enum" | "list"; required?: boolean }>;
+    /** variants debe ser un objeto { "<idioma>": { header, body, footer } } */
+    variants: Record<string, unknown>;
+    /** Debe ser una cadena de texto; Longitud inválida */
+    description?: string | null;
+    /** media debe ser un objeto { fileName, fileContent } */
+    media?: { fileName: string; fileContent: string } | null;
+    /** Debe ser un valor booleano */
+    activate?: boolean;
+    /** El nombre y el número de una plantilla no se pueden cambiar */
+    name: string;
+    /** El nombre y el número de una plantilla no se pueden cambiar */
+    number: string;
+    /** Id de plantilla inválido */
+    id: string;
+}
+
+export interface ActivateTemplateVersionParams {
+    /** Debe ser un número entero positivo */
+    version: number;
+    /** Id de plantilla inválido */
+    id: string;
+}
+
+export interface PreviewTemplateParams {
+    /** params debe ser un objeto */
+    params?: Record<string, unknown>;
+    /** locale debe ser un código de idioma (es, en-US) */
+    locale?: string;
+    /** Debe ser un número entero positivo */
+    version?: number;
+    /** Debe ser una cadena de texto */
+    number?: string;
+    /** Debe ser una cadena de texto */
+    chatId?: string;
+    /** Id de plantilla inválido */
+    id: string;
+}
+
+export interface CreateScheduledMessageParams {
+    /** Debe ser una cadena de texto */
+    clientId: string;
+    /** Debe ser una cadena de texto; Campo obligatorio */
+    chatId: string;
+    /** Debe ser un valor booleano */
+    isGroup?: boolean;
+    /** Debe ser una cadena de texto; Longitud inválida */
+    label?: string | null;
+    /** Debe ser una cadena de texto; Mensaje demasiado largo */
+    message?: string;
+    /** Debe ser una cadena de texto; fileName debe tener entre 1 y 200 caracteres */
+    fileName?: string;
+    /** Debe ser una cadena de texto */
+    fileContent?: string;
+    /** Id inválido */
+    templateId?: string;
+    /** Id inválido */
+    cannedResponseId?: string;
+    /** Nombre de plantilla inválido */
+    templateName?: string;
+    /** Debe ser un objeto */
+    params?: Record<string, unknown>;
+    /** Debe ser un objeto */
+    variables?: Record<string, unknown>;
+    /** locale debe ser un código de idioma (es, en-US) */
+    locale?: string;
+    /** Debe ser un número entero positivo */
+    templateVersion?: number;
+    /** Debe ser una fecha válida */
+    sendAt?: string;
+    /** Debe ser una fecha válida */
+    startAt?: string;
+    /** Debe ser una fecha válida */
+    endAt?: string | null;
+    /** Debe ser una cadena de texto; Longitud inválida */
+    cron?: string;
+    /** Debe ser una cadena de texto */
+    timezone?: string;
+    /** Debe ser un número entero positivo */
+    maxRuns?: number | null;
+    /** Debe ser un número entero positivo */
+    misfireGraceMinutes?: number | null;
+}
+
+export interface ListScheduledMessagesParams {
+    /** Debe ser una cadena de texto */
+    number?: string;
+    /** Debe ser una cadena de texto */
+    chatId?: string;
+    /** Estado inválido. Permitidos: scheduled, parked, running, paused, completed, failed, cancelled */
+    status?: "scheduled" | "parked" | "running" | "paused" | "completed" | "failed" | "cancelled";
+    /** Debe ser un número entero positivo */
+    page?: number;
+    /** Debe ser un número entre 1 y 100 */
+    limit?: number;
+}
+
+export interface GetScheduledMessageParams {
+    /** Id de mensaje programado inválido */
+    id: string;
+}
+
+export interface UpdateScheduledMessageParams {
+    /** El número y el destino de un mensaje programado no se pueden cambiar */
+    clientId: string;
+    /** El número y el destino de un mensaje programado no se pueden cambiar */
+    chatId: string;
+    /** El número y el destino de un mensaje programado no se pueden cambiar */
+    isGroup: string;
+    /** Debe ser una cadena de texto; Longitud inválida */
+    label?: string | null;
+    /** Debe ser una cadena de texto; Mensaje demasiado largo */
+    message?: string;
+    /** Debe ser una cadena de texto; fileName debe tener entre 1 y 200 caracteres */
+    fileName?: string;
+    /** Debe ser una cadena de texto */
+    fileContent?: string;
+    /** Id inválido */
+    templateId?: string;
+    /** Id inválido */
+    cannedResponseId?: string;
+    /** Nombre de plantilla inválido */
+    templateName?: string;
+    /** Debe ser un objeto */
+    params?: Record<string, unknown>;
+    /** Debe ser un objeto */
+    variables?: Record<string, unknown>;
+    /** locale debe ser un código de idioma (es, en-US) */
+    locale?: string;
+    /** Debe ser un número entero positivo */
+    templateVersion?: number;
+    /** Debe ser una fecha válida */
+    sendAt?: string;
+    /** Debe ser una fecha válida */
+    startAt?: string;
+    /** Debe ser una fecha válida */
+    endAt?: string | null;
+    /** Debe ser una cadena de texto; Longitud inválida */
+    cron?: string;
+    /** Debe ser una cadena de texto */
+    timezone?: string;
+    /** Debe ser un número entero positivo */
+    maxRuns?: number | null;
+    /** Debe ser un número entero positivo */
+    misfireGraceMinutes?: number | null;
+    /** Id de mensaje programado inválido */
+    id: string;
+}
+
+export interface CancelScheduledMessageParams {
+    /** Id de mensaje programado inválido */
+    id: string;
+}
+
+export interface PauseScheduledMessageParams {
+    /** Id de mensaje programado inválido */
+    id: string;
+}
+
+export interface ResumeScheduledMessageParams {
+    /** Id de mensaje programado inválido */
+    id: string;
+}
+
+export interface CreateCampaignParams {
+    /** Debe ser una cadena de texto */
+    clientId: string;
+    /** Debe ser una cadena de texto; name debe tener entre 1 y 100 caracteres */
+    name: string;
+    /** recipients debe ser un array de 1 a 10000 elementos */
+    recipients?: Array<unknown>;
+    /** Debe ser una cadena de texto; Campo obligatorio */
+    csv?: string;
+    /** Una plantilla no se puede combinar con message ni fileContent */
+    message?: string;
+    /** Debe ser una cadena de texto; fileName debe tener entre 1 y 200 caracteres */
+    fileName?: string;
+    /** Una plantilla no se puede combinar con message ni fileContent */
+    fileContent?: string;
+    /** Id de plantilla inválido */
+    templateId?: string;
+    /** Nombre de plantilla inválido */
+    templateName?: string;
+    /** params debe ser un objeto */
+    params?: Record<string, unknown>;
+    /** locale debe ser un código de idioma (es, en-US) */
+    locale?: string;
+    /** ratePerMinute debe estar entre 1 y 60 */
+    ratePerMinute?: number;
+    /** jitter debe estar entre 0 y 1 */
+    jitter?: number;
+    /** Debe ser una fecha válida */
+    startAt?: string;
+}
+
+export interface ListCampaignsParams {
+    /** Debe ser una cadena de texto */
+    number?: string;
+    /** Estado inválido. Permitidos: scheduled, running, paused, completed, cancelled */
+    status?: "scheduled" | "running" | "paused" | "completed" | "cancelled";
+    /** Debe ser un número entero positivo */
+    page?: number;
+    /** Debe ser un número entre 1 y 100 */
+    limit?: number;
+}
+
+export interface GetCampaignParams {
+    /** Id de campaña inválido */
+    id: string;
+}
+
+export interface CancelCampaignParams {
+    /** Id de campaña inválido */
+    id: string;
+}
+
+export interface ListCampaignRecipientsParams {
+    /** Id de campaña inválido */
+    id: string;
+    /** Estado inválido. Permitidos: queued, sending, sent, delivered, read, failed, skipped */
+    status?: "queued" | "sending" | "sent" | "delivered" | "read" | "failed" | "skipped";
+    /** Debe ser un número entero positivo */
+    page?: number;
+    /** Debe ser un número entre 1 y 500 */
+    limit?: number;
+}
+
+export interface GetCampaignReportParams {
+    /** Id de campaña inválido */
+    id: string;
+}
+
+export interface PauseCampaignParams {
+    /** Id de campaña inválido */
+    id: string;
+}
+
+export interface ResumeCampaignParams {
+    /** Id de campaña inválido */
+    id: string;
+}
+
+export interface ListConversationsParams {
+    /** Debe ser una cadena de texto */
+    number?: string;
+    /** Debe ser una cadena de texto */
+    chatId?: string;
+    /** Estado inválido. Permitidos: open, pending, resolved */
+    status?: "open" | "pending" | "resolved";
+    /** Debe ser una cadena de texto */
+    agentId?: string;
+    /** Debe ser una cadena de texto */
+    teamId?: string;
+    /** Debe ser un valor booleano */
+    unassigned?: boolean;
+    /** Debe ser un número entero positivo */
+    page?: number;
+    /** limit debe estar entre 1 y 200 */
+    limit?: number;
+}
+
+export interface GetConversationParams {
+    /** Id de conversación inválido */
+    id: string;
+}
+
+export interface AssignConversationParams {
+    /** Indica agentId y/o teamId (null para desasignar) */
+    agentId: string | null;
+    /** Debe ser una cadena de texto; teamId debe tener de 1 a 100 letras, dígitos o . @ : _ - */
+    teamId?: string | null;
+    /** Id de conversación inválido */
+    id: string;
+}
+
+export interface SetConversationStatusParams {
+    /** Estado inválido. Permitidos: open, pending, resolved */
+    status: "open" | "pending" | "resolved";
+    /** Id de conversación inválido */
+    id: string;
+}
+
+export interface ExecuteGraphqlPostParams {
+    /** Debe ser una cadena de texto; Campo obligatorio; La consulta no puede superar 20000 caracteres */
+    query: string;
+    /** variables debe ser un objeto */
+    variables?: unknown | null;
+    /** Debe ser una cadena de texto */
+    operationName?: string | null;
+}
+
+export interface ExecuteGraphqlGetParams {
+    /** Debe ser una cadena de texto; Campo obligatorio; La consulta no puede superar 20000 caracteres */
+    query: string;
+    /** variables debe ser un objeto */
+    variables?: unknown | null;
+    /** Debe ser una cadena de texto */
+    operationName?: string | null;
+}
+
+export interface ApiMethods {
+    /** Get health metrics for all clients or specific client (scope: monitoring) */
+    getHealthMetrics(params?: GetHealthMetricsParams, options?: RequestOptions): Promise<ApiResponse>;
+    /** Get health metrics for all clients or specific client (scope: monitoring) */
+    getHealthMetricsByNumber(params: GetHealthMetricsByNumberParams, options?: RequestOptions): Promise<ApiResponse>;
+    /** Get detailed client state information (scope: monitoring) */
+    getClientStateInfo(params: GetClientStateInfoParams, options?: RequestOptions): Promise<ApiResponse>;
+    /** Force reconnection for a specific client (scope: monitoring) */
+    forceReconnect(params?: ForceReconnectParams, options?: RequestOptions): Promise<ApiResponse>;
+    /** Get reconnection status for all clients (scope: monitoring) */
+    getReconnectionStatus(params?: GetReconnectionStatusParams, options?: RequestOptions): Promise<ApiResponse>;
+    /** Check client operational (scope: monitoring) */
+    checkClientOperational(params: CheckClientOperationalParams, options?: RequestOptions): Promise<ApiResponse>;
+    /** Get QR code for client authentication (scope: clients) */
+    getQrCode(params: GetQrCodeParams, options?: RequestOptions): Promise<ApiResponse>;
+    /** Get connection status (scope: clients) */
+    getConnectionStatus(params: GetConnectionStatusParams, options?: RequestOptions): Promise<ApiResponse>;
+    /** Add new WhatsApp client (scope: clients) */
+    addClient(params: AddClientParams, options?: RequestOptions): Promise<ApiResponse>;
+    /** Get client authentication status (scope: clients) */
+    getClientStatus(params: GetClientStatusParams, options?: RequestOptions): Promise<ApiResponse>;
+    /** Remove WhatsApp client (scope: clients) */
+    removeClient(params: RemoveClientParams, options?: RequestOptions): Promise<ApiResponse>;
+    /** Export a client as an encrypted bundle file for migration to another instance (scope: clients) */
+    exportClientBundle(params: ExportClientBundleParams, options?: RequestOptions): Promise<Response>;
+    /** Import a client bundle (raw application/octet-stream body, passphrase in X-Bundle-Passphrase) (scope: clients) */
+    importClientBundle(params: ImportClientBundleParams, options?: RequestOptions): Promise<ApiResponse>;
+    /** Send messages: raw text in mensaje, or a canned response by cannedResponseId with its placeholders filled from the contact, variables and agentName (scope: messaging) */
+    sendMessage(params: SendMessageParams, options?: RequestOptions): Promise<ApiResponse>;
+    /** Send messages on groups (scope: messaging) */
+    sendGroupMessage(params: SendGroupMessageParams, options?: RequestOptions): Promise<ApiResponse>;
+    /** Send message with mention (scope: messaging) */
+    sendMessageWithMention(params: SendMessageWithMentionParams, options?: RequestOptions): Promise<ApiResponse>;
+    /** Send messages or giles (scope: messaging) */
+    sendMessageOrFile(params: SendMessageOrFileParams, options?: RequestOptions): Promise<ApiResponse>;
+    /** Send stickers (scope: messaging) */
+    sendSticker(params: SendStickerParams, options?: RequestOptions): Promise<ApiResponse>;
+    /** Send Images (scope: messaging) */
+    sendImage(params: SendImageParams, options?: RequestOptions): Promise<ApiResponse>;
+    /** Send audio message (scope: messaging) */
+    sendAudio(params: SendAudioParams, options?: RequestOptions): Promise<ApiResponse>;
+    /** Send messages about products (scope: messaging) */
+    sendMessageProduct(params: SendMessageProductParams, options?: RequestOptions): Promise<ApiResponse>;
+    /** Send message product group (scope: messaging) */
+    sendMessageProductGroup(params: SendMessageProductGroupParams, options?: RequestOptions): Promise<ApiResponse>;
+    /** Get chats with pagination (scope: chats) */
+    getChats(params?: GetChatsParams, options?: RequestOptions): Promise<ApiResponse>;
+    /** Get unread chats with pagination (scope: chats) */
+    getUnreadChats(params?: GetUnreadChatsParams, options?: RequestOptions): Promise<ApiResponse>;
+    /** Get all group chats with members (scope: chats) */
+    getGroupChats(params: GetGroupChatsParams, options?: RequestOptions): Promise<ApiResponse>;
+    /** Mark chat as read (scope: chats) */
+    markChatAsRead(params: MarkChatAsReadParams, options?: RequestOptions): Promise<ApiResponse>;
+    /** Show typing/recording state in a chat or clear it (paused) (scope: chats) */
+    sendChatState(params: SendChatStateParams, options?: RequestOptions): Promise<ApiResponse>;
+    /** Mark chat as unread (scope: chats) */
+    markChatAsUnread(params: MarkChatAsUnreadParams, options?: RequestOptions): Promise<ApiResponse>;
+    /** Pin chat (scope: chats) */
+    pinChat(params: PinChatParams, options?: RequestOptions): Promise<ApiResponse>;
+    /** Unpin chat (scope: chats) */
+    unpinChat(params: UnpinChatParams, options?: RequestOptions): Promise<ApiResponse>;
+    /** Mute chat (scope: chats) */
+    muteChat(params: MuteChatParams, options?: RequestOptions): Promise<ApiResponse>;
+    /** Get contacts with pagination (scope: contacts) */
+    getContacts(params?: GetContactsParams, options?: RequestOptions): Promise<ApiResponse>;
+    /** Save contact for specific client (scope: contacts) */
+    saveContact(params: SaveContactParams, options?: RequestOptions): Promise<ApiResponse>;
+    /** Get media status (agregar a controlador existente) Usar query param: GET /chats/:clientId/:tel/messages?mediaStatus=messageId (scope: messages) */
+    getChatMessages(params: GetChatMessagesParams, options?: RequestOptions): Promise<ApiResponse>;
+    /** Get group chat messages (scope: messages) */
+    getGroupChatMessages(params: GetGroupChatMessagesParams, options?: RequestOptions): Promise<ApiResponse>;
+    /** Forward message (scope: messages) */
+    forwardMessage(params: ForwardMessageParams, options?: RequestOptions): Promise<ApiResponse>;
+    /** Reply to message (scope: messages) */
+    replyToMessage(params: ReplyToMessageParams, options?: RequestOptions): Promise<ApiResponse>;
+    /** React to a message with an emoji (empty reaction removes it) (scope: messages) */
+    reactToMessage(params: ReactToMessageParams, options?: RequestOptions): Promise<ApiResponse>;
+    /** Search stored messages (bodies, captions, vCard names, document text) Document text is indexed only for plain-text attachments (text/*, JSON, XML, CSV; listed in indexedDocumentTypes); PDFs and other binary documents are found by their caption only (scope: messages) */
+    searchMessages(params: SearchMessagesParams, options?: RequestOptions): Promise<ApiResponse>;
+    /** Get delivery/read status and ack history of a sent message (scope: messages) */
+    getMessageStatus(params: GetMessageStatusParams, options?: RequestOptions): Promise<ApiResponse>;
+    /** Get message info (scope: messages) */
+    getMessageInfo(params: GetMessageInfoParams, options?: RequestOptions): Promise<ApiResponse>;
+    /** Delete message (scope: messages) */
+    deleteMessage(params: DeleteMessageParams, options?: RequestOptions): Promise<ApiResponse>;
+    /** Edit message (scope: messages) */
+    editMessage(params: EditMessageParams, options?: RequestOptions): Promise<ApiResponse>;
+    /** Mark message as important (scope: messages) */
+    markMessageAsImportant(params: MarkMessageAsImportantParams, options?: RequestOptions): Promise<ApiResponse>;
+    /** Unmark message as important (scope: messages) */
+    unmarkMessageAsImportant(params: UnmarkMessageAsImportantParams, options?: RequestOptions): Promise<ApiResponse>;
+    /** Get info about accounts (scope: clients) */
+    getAllAuthenticatedAccountsInfo(params?: GetAllAuthenticatedAccountsInfoParams, options?: RequestOptions): Promise<ApiResponse>;
+    /** Get media download status (scope: media) */
+    getMediaStatus(params: GetMediaStatusParams, options?: RequestOptions): Promise<ApiResponse>;
+    /** Get media file (scope: media) */
+    getMediaFile(params: GetMediaFileParams, options?: RequestOptions): Promise<Response>;
+    /** Clean temporary media files based on retention policy (scope: media) */
+    cleanTempMediaFiles(params?: CleanTempMediaFilesParams, options?: RequestOptions): Promise<ApiResponse>;
+    /** Create a new API key (the raw key is only returned here) (scope: admin) */
+    createApiKey(params: CreateApiKeyParams, options?: RequestOptions): Promise<ApiResponse>;
+    /** List API keys (without secrets) (scope: admin) */
+    listApiKeys(params?: ListApiKeysParams, options?: RequestOptions): Promise<ApiResponse>;
+    /** Revoke an API key (scope: admin) */
+    revokeApiKey(params: RevokeApiKeyParams, options?: RequestOptions): Promise<ApiResponse>;
+    /** Rotate an API key, optionally keeping the old one valid for a grace period (scope: admin) */
+    rotateApiKey(params: RotateApiKeyParams, options?: RequestOptions): Promise<ApiResponse>;
+    /** Paginated audit log, newest first (scope: admin) */
+    getAuditLog(params?: GetAuditLogParams, options?: RequestOptions): Promise<ApiResponse>;
+    /** Export matching audit entries as JSON Lines (scope: admin) */
+    exportAuditLog(params?: ExportAuditLogParams, options?: RequestOptions): Promise<Response>;
+    /** Register a webhook subscription (the secret is only returned here) (scope: webhooks) */
+    createWebhook(params: CreateWebhookParams, options?: RequestOptions): Promise<ApiResponse>;
+    /** List webhook subscriptions (scope: webhooks) */
+    listWebhooks(params?: ListWebhooksParams, options?: RequestOptions): Promise<ApiResponse>;
+    /** List dead-lettered deliveries (scope: webhooks) */
+    listDeadLetters(params?: ListDeadLettersParams, options?: RequestOptions): Promise<ApiResponse>;
+    /** Manually redeliver a dead-lettered delivery (scope: webhooks) */
+    redeliverDeadLetter(params: RedeliverDeadLetterParams, options?: RequestOptions): Promise<ApiResponse>;
+    /** Delete a webhook subscription (scope: webhooks) */
+    deleteWebhook(params: DeleteWebhookParams, options?: RequestOptions): Promise<ApiResponse>;
+    /** Delivery log of a subscription, newest first (scope: webhooks) */
+    getWebhookDeliveries(params: GetWebhookDeliveriesParams, options?: RequestOptions): Promise<ApiResponse>;
+    /** Server-Sent Events stream with the same events as the WebSocket. Supports ?numbers=a,b, ?events=message,ready and Last-Event-ID (header or ?lastEventId=) The stream ends with an 'unauthorized' event once the API key is revoked or expires (scope: events) */
+    streamEvents(params?: StreamEventsParams, options?: RequestOptions): Promise<Response>;
+    /** JSON Schema of the WebSocket frames (client actions, acks, errors and events) (scope: events) */
+    getWebSocketSchema(params?: GetWebSocketSchemaParams, options?: RequestOptions): Promise<Response>;
+    /** Queue an export of one or more chats (scope: messages) */
+    createChatExport(params: CreateChatExportParams, options?: RequestOptions): Promise<ApiResponse>;
+    /** List export jobs of the caller's numbers (scope: messages) */
+    listChatExports(params?: ListChatExportsParams, options?: RequestOptions): Promise<ApiResponse>;
+    /** Status and progress of an export job (scope: messages) */
+    getChatExport(params: GetChatExportParams, options?: RequestOptions): Promise<ApiResponse>;
+    /** Cancel an export job or delete its files (scope: messages) */
+    deleteChatExport(params: DeleteChatExportParams, options?: RequestOptions): Promise<ApiResponse>;
+    /** Create a canned response, global (number '*', the default) or for one client number (scope: messaging) */
+    createCannedResponse(params: CreateCannedResponseParams, options?: RequestOptions): Promise<ApiResponse>;
+    /** List canned responses; with number, the ones usable from that number (its own and the global ones) (scope: messaging) */
+    listCannedResponses(params?: ListCannedResponsesParams, options?: RequestOptions): Promise<ApiResponse>;
+    /** Get a canned response (scope: messaging) */
+    getCannedResponse(params: GetCannedResponseParams, options?: RequestOptions): Promise<ApiResponse>;
+    /** Update a canned response; omitted fields are kept and media null removes the attachment (scope: messaging) */
+    updateCannedResponse(params: UpdateCannedResponseParams, options?: RequestOptions): Promise<ApiResponse>;
+    /** Delete a canned response and its attachment (scope: messaging) */
+    deleteCannedResponse(params: DeleteCannedResponseParams, options?: RequestOptions): Promise<ApiResponse>;
+    /** Download the attachment of a canned response (scope: messaging) */
+    getCannedResponseMedia(params: GetCannedResponseMediaParams, options?: RequestOptions): Promise<Response>;
+    /** Create a template, global (number '*', the default) or for one client number (scope: messaging) */
+    createTemplate(params: CreateTemplateParams, options?: RequestOptions): Promise<ApiResponse>;
+    /** List templates; with number, the ones usable from that number (its own and the global ones) (scope: messaging) */
+    listTemplates(params?: ListTemplatesParams, options?: RequestOptions): Promise<ApiResponse>;
+    /** Store the language a contact prefers for templates sent from a client number (locale null forgets it) (scope: messaging) */
+    setContactLocale(params: SetContactLocaleParams, options?: RequestOptions): Promise<ApiResponse>;
+    /** Get a template with every version (scope: messaging) */
+    getTemplate(params: GetTemplateParams, options?: RequestOptions): Promise<ApiResponse>;
+    /** Delete a template with all its versions and attachments (scope: messaging) */
+    deleteTemplate(params: DeleteTemplateParams, options?: RequestOptions): Promise<ApiResponse>;
+    /** Add a version to a template; it becomes the active one unless activate is false (scope: messaging) */
+    createTemplateVersion(params: CreateTemplateVersionParams, options?: RequestOptions): Promise<ApiResponse>;
+    /** Make a previous (or newer, inactive) version the one that is sent (scope: messaging) */
+    activateTemplateVersion(params: ActivateTemplateVersionParams, options?: RequestOptions): Promise<ApiResponse>;
+    /** Render a template without sending it: validates the parameters and returns the final text (scope: messaging) */
+    previewTemplate(params: PreviewTemplateParams, options?: RequestOptions): Promise<ApiResponse>;
+    /** Schedule a message: one-off with sendAt or recurring with a cron expression and time zone (scope: messaging) */
+    createScheduledMessage(params: CreateScheduledMessageParams, options?: RequestOptions): Promise<ApiResponse>;
+    /** List scheduled messages, soonest first (scope: messaging) */
+    listScheduledMessages(params?: ListScheduledMessagesParams, options?: RequestOptions): Promise<ApiResponse>;
+    /** Get a scheduled message with its recent runs (scope: messaging) */
+    getScheduledMessage(params: GetScheduledMessageParams, options?: RequestOptions): Promise<ApiResponse>;
+    /** Edit a pending job: content fields replace the whole content, schedule fields are merged (scope: messaging) */
+    updateScheduledMessage(params: UpdateScheduledMessageParams, options?: RequestOptions): Promise<ApiResponse>;
+    /** Cancel a job; it stays listed as cancelled (scope: messaging) */
+    cancelScheduledMessage(params: CancelScheduledMessageParams, options?: RequestOptions): Promise<ApiResponse>;
+    /** Pause a scheduled or parked job (scope: messaging) */
+    pauseScheduledMessage(params: PauseScheduledMessageParams, options?: RequestOptions): Promise<ApiResponse>;
+    /** Resume a paused job, or retry a failed one-off (scope: messaging) */
+    resumeScheduledMessage(params: ResumeScheduledMessageParams, options?: RequestOptions): Promise<ApiResponse>;
+    /** Create a broadcast campaign from a recipient list or CSV; it starts right away or at startAt (scope: messaging) */
+    createCampaign(params: CreateCampaignParams, options?: RequestOptions): Promise<ApiResponse>;
+    /** List campaigns, newest first (scope: messaging) */
+    listCampaigns(params?: ListCampaignsParams, options?: RequestOptions): Promise<ApiResponse>;
+    /** Get a campaign with its per-status counts and progress (scope: messaging) */
+    getCampaign(params: GetCampaignParams, options?: RequestOptions): Promise<ApiResponse>;
+    /** Cancel a campaign: pending recipients are skipped and the final report is built (scope: messaging) */
+    cancelCampaign(params: CancelCampaignParams, options?: RequestOptions): Promise<ApiResponse>;
+    /** List the recipients of a campaign with their delivery status (scope: messaging) */
+    listCampaignRecipients(params: ListCampaignRecipientsParams, options?: RequestOptions): Promise<ApiResponse>;
+    /** Campaign report: totals, delivery and read rates and failures by reason (final once it ends) (scope: messaging) */
+    getCampaignReport(params: GetCampaignReportParams, options?: RequestOptions): Promise<ApiResponse>;
+    /** Pause a running or scheduled campaign (scope: messaging) */
+    pauseCampaign(params: PauseCampaignParams, options?: RequestOptions): Promise<ApiResponse>;
+    /** Resume a paused campaign where it left off (scope: messaging) */
+    resumeCampaign(params: ResumeCampaignParams, options?: RequestOptions): Promise<ApiResponse>;
+    /** List shared-inbox conversations, most recently updated first (scope: conversations) */
+    listConversations(params?: ListConversationsParams, options?: RequestOptions): Promise<ApiResponse>;
+    /** Get a conversation with its assignment and status history (scope: conversations) */
+    getConversation(params: GetConversationParams, options?: RequestOptions): Promise<ApiResponse>;
+    /** Assign a conversation to an agent and/or team; null clears a field, an omitted field is kept (scope: conversations) */
+    assignConversation(params: AssignConversationParams, options?: RequestOptions): Promise<ApiResponse>;
+    /** Move a conversation to open, pending or resolved (scope: conversations) */
+    setConversationStatus(params: SetConversationStatusParams, options?: RequestOptions): Promise<ApiResponse>;
+    /** Execute a GraphQL query or mutation. POST takes { query, variables, operationName } as JSON; GET takes the same fields in the query string (queries only) (scope: graphql) */
+    executeGraphqlPost(params: ExecuteGraphqlPostParams, options?: RequestOptions): Promise<ApiResponse>;
+    /** Execute a GraphQL query or mutation. POST takes { query, variables, operationName } as JSON; GET takes the same fields in the query string (queries only) (scope: graphql) */
+    executeGraphqlGet(params: ExecuteGraphqlGetParams, options?: RequestOptions): Promise<ApiResponse>;
+}
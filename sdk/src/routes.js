@@ -0,0 +1,105 @@
+// Generado por src/scripts/generateSdk.js a partir de la especificación OpenAPI (1.0.0); no editar a mano
+module.exports = [
+    {"name":"getHealthMetrics","method":"GET","path":"/health/metrics","scope":"monitoring","pathParams":[],"query":[],"headers":[],"body":[],"binaryBody":null,"raw":false},
+    {"name":"getHealthMetricsByNumber","method":"GET","path":"/health/metrics/{number}","scope":"monitoring","pathParams":["number"],"query":[],"headers":[],"body":[],"binaryBody":null,"raw":false},
+    {"name":"getClientStateInfo","method":"GET","path":"/client/state/{number}","scope":"monitoring","pathParams":["number"],"query":[],"headers":[],"body":[],"binaryBody":null,"raw":false},
+    {"name":"forceReconnect","method":"POST","path":"/client/reconnect","scope":"monitoring","pathParams":[],"query":[],"headers":[],"body":[],"binaryBody":null,"raw":false},
+    {"name":"getReconnectionStatus","method":"GET","path":"/reconnection/status","scope":"monitoring","pathParams":[],"query":[],"headers":[],"body":[],"binaryBody":null,"raw":false},
+    {"name":"checkClientOperational","method":"GET","path":"/operational/{number}","scope":"monitoring","pathParams":["number"],"query":[],"headers":[],"body":[],"binaryBody":null,"raw":false},
+    {"name":"getQrCode","method":"GET","path":"/qr/{number}","scope":"clients","pathParams":["number"],"query":[],"headers":[],"body":[],"binaryBody":null,"raw":false},
+    {"name":"getConnectionStatus","method":"GET","path":"/status_connection/{number}","scope":"clients","pathParams":["number"],"query":[],"headers":[],"body":["number"],"binaryBody":null,"raw":false},
+    {"name":"addClient","method":"POST","path":"/addClient","scope":"clients","pathParams":[],"query":[],"headers":[],"body":["number"],"binaryBody":null,"raw":false},
+    {"name":"getClientStatus","method":"GET","path":"/status/{number}","scope":"clients","pathParams":["number"],"query":[],"headers":[],"body":["number"],"binaryBody":null,"raw":false},
+    {"name":"removeClient","method":"POST","path":"/removeClient","scope":"clients","pathParams":[],"query":[],"headers":[],"body":["number"],"binaryBody":null,"raw":false},
+    {"name":"exportClientBundle","method":"POST","path":"/clients/{number}/bundle","scope":"clients","pathParams":["number"],"query":[],"headers":[],"body":["passphrase","detach"],"binaryBody":null,"raw":true},
+    {"name":"importClientBundle","method":"POST","path":"/clients/import","scope":"clients","pathParams":[],"query":[],"headers":[{"name":"X-Bundle-Passphrase","param":"bundlePassphrase"}],"body":[],"binaryBody":"application/octet-stream","raw":false},
+    {"name":"sendMessage","method":"POST","path":"/sendMessage","scope":"messaging","pathParams":[],"query":[],"headers":[],"body":["clientId","tel","mensaje","cannedResponseId","variables","agentName"],"binaryBody":null,"raw":false},
+    {"name":"sendGroupMessage","method":"POST","path":"/sendGroupMessage","scope":"messaging","pathParams":[],"query":[],"headers":[],"body":["clientId","groupId","mensaje"],"binaryBody":null,"raw":false},
+    {"name":"sendMessageWithMention","method":"POST","path":"/sendMention","scope":"messaging","pathParams":[],"query":[],"headers":[],"body":["clientId","tel","isGroup","mentionTel","message"],"binaryBody":null,"raw":false},
+    {"name":"sendMessageOrFile","method":"POST","path":"/sendMessageorFile","scope":"messaging","pathParams":[],"query":[],"headers":[],"body":["clientId","chatId","message","filePath","templateId","templateName","fileContent","params","locale","templateVersion"],"binaryBody":null,"raw":false},
+    {"name":"sendSticker","method":"POST","path":"/sendSticker","scope":"messaging","pathParams":[],"query":[],"headers":[],"body":["clientId","tel","stickerPath","isGroup"],"binaryBody":null,"raw":false},
+    {"name":"sendImage","method":"POST","path":"/sendImage","scope":"messaging","pathParams":[],"query":[],"headers":[],"body":["clientId","tel","imagePath","isGroup"],"binaryBody":null,"raw":false},
+    {"name":"sendAudio","method":"POST","path":"/sendAudio","scope":"messaging","pathParams":[],"query":[],"headers":[],"body":["clientId","tel"],"binaryBody":null,"raw":false},
+    {"name":"sendMessageProduct","method":"POST","path":"/sendMessageProducts","scope":"messaging","pathParams":[],"query":[],"headers":[],"body":["clientId","tel","mensaje","imagen"],"binaryBody":null,"raw":false},
+    {"name":"sendMessageProductGroup","method":"POST","path":"/sendGroupProducts","scope":"messaging","pathParams":[],"query":[],"headers":[],"body":["clientId","groupId","mensaje","imagen"],"binaryBody":null,"raw":false},
+    {"name":"getChats","method":"GET","path":"/chats","scope":"chats","pathParams":[],"query":["page","limit"],"headers":[],"body":[],"binaryBody":null,"raw":false},
+    {"name":"getUnreadChats","method":"GET","path":"/unreadChats","scope":"chats","pathParams":[],"query":["page","limit"],"headers":[],"body":[],"binaryBody":null,"raw":false},
+    {"name":"getGroupChats","method":"GET","path":"/groups/{clientId}","scope":"chats","pathParams":["clientId"],"query":[],"headers":[],"body":[],"binaryBody":null,"raw":false},
+    {"name":"markChatAsRead","method":"POST","path":"/markChatRead/{clientId}/{tel}/{isGroup}","scope":"chats","pathParams":["clientId","tel","isGroup"],"query":[],"headers":[],"body":["clientId","tel","isGroup"],"binaryBody":null,"raw":false},
+    {"name":"sendChatState","method":"POST","path":"/sendChatState","scope":"chats","pathParams":[],"query":[],"headers":[],"body":["clientId","tel","state","isGroup"],"binaryBody":null,"raw":false},
+    {"name":"markChatAsUnread","method":"POST","path":"/markChatAsUnread","scope":"chats","pathParams":[],"query":[],"headers":[],"body":["clientId","tel","isGroup"],"binaryBody":null,"raw":false},
+    {"name":"pinChat","method":"POST","path":"/pinChat","scope":"chats","pathParams":[],"query":[],"headers":[],"body":["clientId","tel","isGroup"],"binaryBody":null,"raw":false},
+    {"name":"unpinChat","method":"POST","path":"/unpinChat","scope":"chats","pathParams":[],"query":[],"headers":[],"body":["clientId","tel","isGroup"],"binaryBody":null,"raw":false},
+    {"name":"muteChat","method":"POST","path":"/muteChat","scope":"chats","pathParams":[],"query":[],"headers":[],"body":["clientId","tel","isGroup","unmuteDate"],"binaryBody":null,"raw":false},
+    {"name":"getContacts","method":"GET","path":"/getContacts","scope":"contacts","pathParams":[],"query":["page","limit"],"headers":[],"body":[],"binaryBody":null,"raw":false},
+    {"name":"saveContact","method":"POST","path":"/saveContact","scope":"contacts","pathParams":[],"query":[],"headers":[],"body":["clientNumber","contactNumber","contactName"],"binaryBody":null,"raw":false},
+    {"name":"getChatMessages","method":"GET","path":"/chatMessages/{clientId}/{tel}","scope":"messages","pathParams":["clientId","tel"],"query":["limit","before","beforeId"],"headers":[],"body":["clientId","tel"],"binaryBody":null,"raw":false},
+    {"name":"getGroupChatMessages","method":"GET","path":"/chatGroupMessages/{number}/{groupId}","scope":"messages","pathParams":["number","groupId"],"query":["limit","before","beforeId"],"headers":[],"body":[],"binaryBody":null,"raw":false},
+    {"name":"forwardMessage","method":"POST","path":"/forwardMessage","scope":"messages","pathParams":[],"query":[],"headers":[],"body":["clientId","fromTel","toTel","messageIds","isGroupFrom","isGroupTo"],"binaryBody":null,"raw":false},
+    {"name":"replyToMessage","method":"POST","path":"/replyMessage","scope":"messages","pathParams":[],"query":[],"headers":[],"body":["clientId","tel","messageId","reply","isGroup"],"binaryBody":null,"raw":false},
+    {"name":"reactToMessage","method":"POST","path":"/reactMessage","scope":"messages","pathParams":[],"query":[],"headers":[],"body":["clientId","tel","messageId","reaction","isGroup"],"binaryBody":null,"raw":false},
+    {"name":"searchMessages","method":"GET","path":"/messages/search","scope":"messages","pathParams":[],"query":["q","number","chatId","sender","type","from","to","hasMedia","includeDeleted","page","limit"],"headers":[],"body":[],"binaryBody":null,"raw":false},
+    {"name":"getMessageStatus","method":"GET","path":"/messages/{id}/status","scope":"messages","pathParams":["id"],"query":[],"headers":[],"body":[],"binaryBody":null,"raw":false},
+    {"name":"getMessageInfo","method":"GET","path":"/getMessageInfo","scope":"messages","pathParams":[],"query":[],"headers":[],"body":["clientId","tel","messageId","isGroup"],"binaryBody":null,"raw":false},
+    {"name":"deleteMessage","method":"DELETE","path":"/deleteMessage","scope":"messages","pathParams":[],"query":[],"headers":[],"body":["clientId","tel","messageId","isGroup"],"binaryBody":null,"raw":false},
+    {"name":"editMessage","method":"POST","path":"/editMessage","scope":"messages","pathParams":[],"query":[],"headers":[],"body":["clientId","tel","messageId","newContent","isGroup"],"binaryBody":null,"raw":false},
+    {"name":"markMessageAsImportant","method":"POST","path":"/markMessageAsImportant","scope":"messages","pathParams":[],"query":[],"headers":[],"body":["clientId","tel","messageId","isGroup"],"binaryBody":null,"raw":false},
+    {"name":"unmarkMessageAsImportant","method":"POST","path":"/unmarkMessageImportant","scope":"messages","pathParams":[],"query":[],"headers":[],"body":["clientId","tel","messageId","isGroup"],"binaryBody":null,"raw":false},
+    {"name":"getAllAuthenticatedAccountsInfo","method":"GET","path":"/authenticated-accounts","scope":"clients","pathParams":[],"query":[],"headers":[],"body":[],"binaryBody":null,"raw":false},
+    {"name":"getMediaStatus","method":"GET","path":"/media/status/{messageId}","scope":"media","pathParams":["messageId"],"query":[],"headers":[],"body":[],"binaryBody":null,"raw":false},
+    {"name":"getMediaFile","method":"GET","path":"/media/{fileId}","scope":"media","pathParams":["fileId"],"query":[],"headers":[],"body":[],"binaryBody":null,"raw":true},
+    {"name":"cleanTempMediaFiles","method":"POST","path":"/media/cleanup","scope":"media","pathParams":[],"query":[],"headers":[],"body":[],"binaryBody":null,"raw":false},
+    {"name":"createApiKey","method":"POST","path":"/keys","scope":"admin","pathParams":[],"query":[],"headers":[],"body":["name","scopes","numbers","expiresAt"],"binaryBody":null,"raw":false},
+    {"name":"listApiKeys","method":"GET","path":"/keys","scope":"admin","pathParams":[],"query":[],"headers":[],"body":[],"binaryBody":null,"raw":false},
+    {"name":"revokeApiKey","method":"POST","path":"/keys/{id}/revoke","scope":"admin","pathParams":["id"],"query":[],"headers":[],"body":[],"binaryBody":null,"raw":false},
+    {"name":"rotateApiKey","method":"POST","path":"/keys/{id}/rotate","scope":"admin","pathParams":["id"],"query":[],"headers":[],"body":["gracePeriodSeconds"],"binaryBody":null,"raw":false},
+    {"name":"getAuditLog","method":"GET","path":"/audit","scope":"admin","pathParams":[],"query":["page","limit","actor","handler","number","chat","message","outcome","from","to"],"headers":[],"body":[],"binaryBody":null,"raw":false},
+    {"name":"exportAuditLog","method":"GET","path":"/audit/export","scope":"admin","pathParams":[],"query":["actor","handler","number","chat","message","outcome","from","to"],"headers":[],"body":[],"binaryBody":null,"raw":true},
+    {"name":"createWebhook","method":"POST","path":"/webhooks","scope":"webhooks","pathParams":[],"query":[],"headers":[],"body":["url","number","events","secret","description"],"binaryBody":null,"raw":false},
+    {"name":"listWebhooks","method":"GET","path":"/webhooks","scope":"webhooks","pathParams":[],"query":[],"headers":[],"body":[],"binaryBody":null,"raw":false},
+    {"name":"listDeadLetters","method":"GET","path":"/webhooks/dead-letters","scope":"webhooks","pathParams":[],"query":["subscriptionId"],"headers":[],"body":[],"binaryBody":null,"raw":false},
+    {"name":"redeliverDeadLetter","method":"POST","path":"/webhooks/dead-letters/{id}/redeliver","scope":"webhooks","pathParams":["id"],"query":[],"headers":[],"body":[],"binaryBody":null,"raw":false},
+    {"name":"deleteWebhook","method":"DELETE","path":"/webhooks/{id}","scope":"webhooks","pathParams":["id"],"query":[],"headers":[],"body":[],"binaryBody":null,"raw":false},
+    {"name":"getWebhookDeliveries","method":"GET","path":"/webhooks/{id}/deliveries","scope":"webhooks","pathParams":["id"],"query":["limit"],"headers":[],"body":[],"binaryBody":null,"raw":false},
+    {"name":"streamEvents","method":"GET","path":"/events","scope":"events","pathParams":[],"query":["numbers","events","lastEventId"],"headers":[],"body":[],"binaryBody":null,"raw":true},
+    {"name":"getWebSocketSchema","method":"GET","path":"/events/websocket-schema","scope":"events","pathParams":[],"query":[],"headers":[],"body":[],"binaryBody":null,"raw":true},
+    {"name":"createChatExport","method":"POST","path":"/exports","scope":"messages","pathParams":[],"query":[],"headers":[],"body":["number","chatIds","format","media"],"binaryBody":null,"raw":false},
+    {"name":"listChatExports","method":"GET","path":"/exports","scope":"messages","pathParams":[],"query":["number","status"],"headers":[],"body":[],"binaryBody":null,"raw":false},
+    {"name":"getChatExport","method":"GET","path":"/exports/{id}","scope":"messages","pathParams":["id"],"query":[],"headers":[],"body":[],"binaryBody":null,"raw":false},
+    {"name":"deleteChatExport","method":"DELETE","path":"/exports/{id}","scope":"messages","pathParams":["id"],"query":[],"headers":[],"body":[],"binaryBody":null,"raw":false},
+    {"name":"createCannedResponse","method":"POST","path":"/canned-responses","scope":"messaging","pathParams":[],"query":[],"headers":[],"body":["number","shortcode","text","title","category","media"],"binaryBody":null,"raw":false},
+    {"name":"listCannedResponses","method":"GET","path":"/canned-responses","scope":"messaging","pathParams":[],"query":["number","category","q"],"headers":[],"body":[],"binaryBody":null,"raw":false},
+    {"name":"getCannedResponse","method":"GET","path":"/canned-responses/{id}","scope":"messaging","pathParams":["id"],"query":[],"headers":[],"body":[],"binaryBody":null,"raw":false},
+    {"name":"updateCannedResponse","method":"POST","path":"/canned-responses/{id}","scope":"messaging","pathParams":["id"],"query":[],"headers":[],"body":["shortcode","text","title","category","number","media"],"binaryBody":null,"raw":false},
+    {"name":"deleteCannedResponse","method":"DELETE","path":"/canned-responses/{id}","scope":"messaging","pathParams":["id"],"query":[],"headers":[],"body":[],"binaryBody":null,"raw":false},
+    {"name":"getCannedResponseMedia","method":"GET","path":"/canned-responses/{id}/media","scope":"messaging","pathParams":["id"],"query":[],"headers":[],"body":[],"binaryBody":null,"raw":true},
+    {"name":"createTemplate","method":"POST","path":"/templates","scope":"messaging","pathParams":[],"query":[],"headers":[],"body":["name","number","defaultLocale","parameters","variants","description","media"],"binaryBody":null,"raw":false},
+    {"name":"listTemplates","method":"GET","path":"/templates","scope":"messaging","pathParams":[],"query":["number","q"],"headers":[],"body":[],"binaryBody":null,"raw":false},
+    {"name":"setContactLocale","method":"POST","path":"/templates/contact-locales","scope":"messaging","pathParams":[],"query":[],"headers":[],"body":["number","chatId","locale"],"binaryBody":null,"raw":false},
+    {"name":"getTemplate","method":"GET","path":"/templates/{id}","scope":"messaging","pathParams":["id"],"query":[],"headers":[],"body":[],"binaryBody":null,"raw":false},
+    {"name":"deleteTemplate","method":"DELETE","path":"/templates/{id}","scope":"messaging","pathParams":["id"],"query":[],"headers":[],"body":[],"binaryBody":null,"raw":false},
+    {"name":"createTemplateVersion","method":"POST","path":"/templates/{id}/versions","scope":"messaging","pathParams":["id"],"query":[],"headers":[],"body":["defaultLocale","parameters","variants","description","media","activate","name","number"],"binaryBody":null,"raw":false},
+    {"name":"activateTemplateVersion","method":"POST","path":"/templates/{id}/activate","scope":"messaging","pathParams":["id"],"query":[],"headers":[],"body":["version"],"binaryBody":null,"raw":false},
+    {"name":"previewTemplate","method":"POST","path":"/templates/{id}/preview","scope":"messaging","pathParams":["id"],"query":[],"headers":[],"body":["params","locale","version","number","chatId"],"binaryBody":null,"raw":false},
+    {"name":"createScheduledMessage","method":"POST","path":"/scheduled-messages","scope":"messaging","pathParams":[],"query":[],"headers":[],"body":["clientId","chatId","isGroup","label","message","fileName","fileContent","templateId","cannedResponseId","templateName","params","variables","locale","templateVersion","sendAt","startAt","endAt","cron","timezone","maxRuns","misfireGraceMinutes"],"binaryBody":null,"raw":false},
+    {"name":"listScheduledMessages","method":"GET","path":"/scheduled-messages","scope":"messaging","pathParams":[],"query":["number","chatId","status","page","limit"],"headers":[],"body":[],"binaryBody":null,"raw":false},
+    {"name":"getScheduledMessage","method":"GET","path":"/scheduled-messages/{id}","scope":"messaging","pathParams":["id"],"query":[],"headers":[],"body":[],"binaryBody":null,"raw":false},
+    {"name":"updateScheduledMessage","method":"POST","path":"/scheduled-messages/{id}","scope":"messaging","pathParams":["id"],"query":[],"headers":[],"body":["clientId","chatId","isGroup","label","message","fileName","fileContent","templateId","cannedResponseId","templateName","params","variables","locale","templateVersion","sendAt","startAt","endAt","cron","timezone","maxRuns","misfireGraceMinutes"],"binaryBody":null,"raw":false},
+    {"name":"cancelScheduledMessage","method":"DELETE","path":"/scheduled-messages/{id}","scope":"messaging","pathParams":["id"],"query":[],"headers":[],"body":[],"binaryBody":null,"raw":false},
+    {"name":"pauseScheduledMessage","method":"POST","path":"/scheduled-messages/{id}/pause","scope":"messaging","pathParams":["id"],"query":[],"headers":[],"body":[],"binaryBody":null,"raw":false},
+    {"name":"resumeScheduledMessage","method":"POST","path":"/scheduled-messages/{id}/resume","scope":"messaging","pathParams":["id"],"query":[],"headers":[],"body":[],"binaryBody":null,"raw":false},
+    {"name":"createCampaign","method":"POST","path":"/campaigns","scope":"messaging","pathParams":[],"query":[],"headers":[],"body":["clientId","name","recipients","csv","message","fileName","fileContent","templateId","templateName","params","locale","ratePerMinute","jitter","startAt"],"binaryBody":null,"raw":false},
+    {"name":"listCampaigns","method":"GET","path":"/campaigns","scope":"messaging","pathParams":[],"query":["number","status","page","limit"],"headers":[],"body":[],"binaryBody":null,"raw":false},
+    {"name":"getCampaign","method":"GET","path":"/campaigns/{id}","scope":"messaging","pathParams":["id"],"query":[],"headers":[],"body":[],"binaryBody":null,"raw":false},
+    {"name":"cancelCampaign","method":"DELETE","path":"/campaigns/{id}","scope":"messaging","pathParams":["id"],"query":[],"headers":[],"body":[],"binaryBody":null,"raw":false},
+    {"name":"listCampaignRecipients","method":"GET","path":"/campaigns/{id}/recipients","scope":"messaging","pathParams":["id"],"query":["status","page","limit"],"headers":[],"body":[],"binaryBody":null,"raw":false},
+    {"name":"getCampaignReport","method":"GET","path":"/campaigns/{id}/report","scope":"messaging","pathParams":["id"],"query":[],"headers":[],"body":[],"binaryBody":null,"raw":false},
+    {"name":"pauseCampaign","method":"POST","path":"/campaigns/{id}/pause","scope":"messaging","pathParams":["id"],"query":[],"headers":[],"body":[],"binaryBody":null,"raw":false},
+    {"name":"resumeCampaign","method":"POST","path":"/campaigns/{id}/resume","scope":"messaging","pathParams":["id"],"query":[],"headers":[],"body":[],"binaryBody":null,"raw":false},
+    {"name":"listConversations","method":"GET","path":"/conversations","scope":"conversations","pathParams":[],"query":["number","chatId","status","agentId","teamId","unassigned","page","limit"],"headers":[],"body":[],"binaryBody":null,"raw":false},
+    {"name":"getConversation","method":"GET","path":"/conversations/{id}","scope":"conversations","pathParams":["id"],"query":[],"headers":[],"body":[],"binaryBody":null,"raw":false},
+    {"name":"assignConversation","method":"POST","path":"/conversations/{id}/assign","scope":"conversations","pathParams":["id"],"query":[],"headers":[],"body":["agentId","teamId"],"binaryBody":null,"raw":false},
+    {"name":"setConversationStatus","method":"POST","path":"/conversations/{id}/status","scope":"conversations","pathParams":["id"],"query":[],"headers":[],"body":["status"],"binaryBody":null,"raw":false},
+    {"name":"executeGraphqlPost","method":"POST","path":"/graphql","scope":"graphql","pathParams":[],"query":[],"headers":[],"body":["query","variables","operationName"],"binaryBody":null,"raw":false},
+    {"name":"executeGraphqlGet","method":"GET","path":"/graphql","scope":"graphql","pathParams":[],"query":["query","variables","operationName"],"headers":[],"body":[],"binaryBody":null,"raw":false}
+];
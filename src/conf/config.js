@@ -10,9 +10,52 @@ const config = {
     authPath: process.env.AUTH_PATH || path.join(__dirname, '..', '.wwebjs_auth'),
     mediaPath: process.env.MEDIA_PATH || path.join(__dirname, 'media'),
     tempPath: process.env.TEMP_PATH || path.join(__dirname, 'temp'),
+    dataPath: process.env.DATA_PATH || path.join(__dirname, '..', 'data'),
     reconnectDelay: parseInt(process.env.RECONNECT_DELAY) || 5000,
     maxRetries: parseInt(process.env.MAX_RETRIES) || 3,
-    passEncrypted: process.env.PASS_ENCRYPTED || 'Nigga'
+    // Claves AES-256-GCM "keyId:base64,keyId2:base64"; la activa cifra, todas descifran
+    encryptionKeys: process.env.ENCRYPTION_KEYS || '',
+    encryptionActiveKeyId: process.env.ENCRYPTION_ACTIVE_KEY_ID || null,
+    // Clave del formato AES-192 ECB antiguo, solo para leer y migrar datos existentes
+    passEncrypted: process.env.PASS_ENCRYPTED || null,
+    // Cifrar en reposo las sesiones LocalAuth (requiere ENCRYPTION_KEYS)
+    sessionEncryption: process.env.SESSION_ENCRYPTION !== 'false',
+    // Webhooks salientes: intentos máximos y retardo base del backoff exponencial (ms)
+    webhookMaxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6,
+    webhookRetryBaseDelay: parseInt(process.env.WEBHOOK_RETRY_BASE_DELAY) || 2000,
+    // Importación de historial al quedar listo un cliente (chats más recientes y mensajes por chat)
+    messageBackfill: process.env.MESSAGE_BACKFILL !== 'false',
+    messageBackfillChats: parseInt(process.env.MESSAGE_BACKFILL_CHATS) || 50,
+    messageBackfillLimit: parseInt(process.env.MESSAGE_BACKFILL_LIMIT) || 200,
+    // Exportación de chats: mensajes máximos por chat, vigencia del enlace (horas) y media embebida máxima (bytes)
+    exportMaxMessages: parseInt(process.env.EXPORT_MAX_MESSAGES) || 10000,
+    exportLinkTtlHours: parseInt(process.env.EXPORT_LINK_TTL_HOURS) || 24,
+    exportEmbedMaxBytes: parseInt(process.env.EXPORT_EMBED_MAX_BYTES) || 5 * 1024 * 1024,
+    // URL pública del servidor (sin /api) para los enlaces de descarga; no se toma de la cabecera Host
+    publicBaseUrl: (process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/+$/, ''),
+    // Tamaño máximo de un bundle de migración de cliente (MB)
+    clientBundleMaxBytes: (parseInt(process.env.CLIENT_BUNDLE_MAX_MB) || 500) * 1024 * 1024,
+    // Eventos guardados por número para reenviar a sockets que reconectan (acción resume)
+    eventReplaySize: parseInt(process.env.EVENT_REPLAY_SIZE) || 500,
+    // Bus de eventos para otros servicios: adaptador memory | redis | amqp, URL del broker y stream/exchange
+    eventBusAdapter: process.env.EVENT_BUS_ADAPTER || 'memory',
+    eventBusUrl: process.env.EVENT_BUS_URL || null,
+    eventBusTopic: process.env.EVENT_BUS_TOPIC || 'whatsapp.events',
+    // Tipos publicados en el bus (el QR no sale del proceso salvo que se pida), entregas máximas y espera de ack (ms)
+    eventBusEvents: process.env.EVENT_BUS_EVENTS?.split(',').map(type => type.trim()).filter(Boolean)
+        || ['message', 'messageAck', 'ready', 'authenticated', 'disconnected', 'auth_failure', 'browserCrash'],
+    eventBusMaxDeliveries: parseInt(process.env.EVENT_BUS_MAX_DELIVERIES) || 5,
+    eventBusAckTimeout: parseInt(process.env.EVENT_BUS_ACK_TIMEOUT) || 30000,
+    // Bandeja compartida: abrir conversaciones también para los mensajes de grupos
+    inboxIncludeGroups: process.env.INBOX_INCLUDE_GROUPS === 'true',
+    // Mensajes programados: intentos por envío, retardo base del backoff (ms) y zona horaria por defecto de los cron
+    schedulerMaxAttempts: parseInt(process.env.SCHEDULER_MAX_ATTEMPTS) || 5,
+    schedulerRetryBaseDelay: parseInt(process.env.SCHEDULER_RETRY_BASE_DELAY) || 30000,
+    schedulerTimezone: process.env.SCHEDULER_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC',
+    // Campañas de difusión: envíos por minuto por defecto (por número) y destinatarios máximos
+    campaignRatePerMinute: parseInt(process.env.CAMPAIGN_RATE_PER_MINUTE) || 20,
+    campaignMaxRecipients: parseInt(process.env.CAMPAIGN_MAX_RECIPIENTS) || 10000,
+    adminApiKey: process.env.API_ADMIN_KEY || null
 };
 
 module.exports = config;
\ No newline at end of file
@@ -1,12 +1,40 @@
 // websocket.js
 const WebSocket = require('ws');
 const logger = require('../conf/logger');
+const requestContext = require('../utils/requestContext');
+const eventLog = require('../utils/eventLog');
+const eventStream = require('../utils/eventStream');
+const apiKeyStore = require('../utils/apiKeyStore');
+const socketRpc = require('../routes/socketRpc');
 
+/**
+ * Protocolo WebSocket (esquema publicado en conf/websocket.schema.json)
+ *
+ * Cliente → servidor: { action, requestId?, ... }
+ *   subscribe     { numbers | number, events?, chatIds?, groupsOnly?, positions? }  positions: resume en el mismo paso
+ *   unsubscribe   { numbers? }            sin numbers = todas
+ *   subscriptions {}                      lista las suscripciones activas
+ *   resume        { number, lastSeq } | { positions: { "<número>": lastSeq } }
+ *   rpc           { requestId, method, params }  mismas reglas que la ruta REST (routes/socketRpc.js)
+ *   ping          {}
+ *
+ * Servidor → cliente: { eventType, data, seq?, number? }
+ *   eventos (con seq y number), 'ack' y 'error' (con action, requestId y code), 'gap', 'resumed',
+ *   'response' (requestId, method, status y body de la ruta REST)
+ *
+ * Un socket que nunca envió subscribe recibe todos los eventos de sus números salvo qrCode (comportamiento previo);
+ * tras suscribirse solo recibe lo suscrito, aunque después cancele todas las suscripciones
+ *
+ * Si la key se revoca o expira, el socket se cierra con 4401 (ver closeIfRevoked)
+ */
 class WebSocketHandler {
     constructor(wss) {
         this.wss = wss;
+        this.EVENT_TYPES = eventStream.EVENT_TYPES;
+        this.MAX_NUMBERS_PER_FRAME = 50;
+        this.MAX_CHAT_FILTERS = 200;
+        this.MAX_PENDING_CALLS = 20;
         this.setupHeartbeat();
-        this.subscribers = new Map();
     }
 
     setupHeartbeat() {
@@ -23,6 +51,8 @@ class WebSocketHandler {
                     logger.info(`Terminando cliente inactivo: ${ws.ip || 'Unknown'}`);
                     return ws.terminate();
                 }
+                // Sockets sin tráfico cuya key expiró o se revocó
+                if (ws.readyState === WebSocket.OPEN && this.closeIfRevoked(ws)) return;
                 ws.isAlive = false;
                 ws.ping(() => {});
             });
@@ -31,116 +61,398 @@ class WebSocketHandler {
 
     handleConnection(ws) {
         ws.ip = ws._socket.remoteAddress;
+        // número → { events: Set|null, chatIds: Set|null, groupsOnly: boolean }
+        ws.subscriptions = new Map();
+        ws.hasSubscribed = false;
+        ws.pendingCalls = 0;
         logger.info(`Nueva conexión WebSocket establecida desde ${ws.ip}`);
-        
+
+        const actions = {
+            subscribe: data => this.subscribeClient(ws, data),
+            unsubscribe: data => this.unsubscribeClient(ws, data),
+            subscriptions: data => this.sendAck(ws, data, { subscriptions: this.describeSubscriptions(ws) }),
+            // Reenviar lo perdido desde la última secuencia recibida
+            resume: data => this.resumeClient(ws, data),
+            // Peticiones con respuesta correlacionada por requestId
+            rpc: data => this.handleRpc(ws, data),
+            // Manejar mensajes ping para mantener viva la conexión
+            ping: () => { ws.isAlive = true; }
+        };
+
         ws.on('message', (message) => {
+            let data;
             try {
-                const data = JSON.parse(message);
-                logger.info(`Mensaje WebSocket recibido: ${JSON.stringify(data)}`);
+                data = JSON.parse(message);
+            } catch (error) {
+                this.sendError(ws, {}, 'invalid_json', 'Frame is not valid JSON');
+                return;
+            }
 
-                // Manejar suscripciones a números específicos
-                if (data.action === "subscribe" && data.number) {
-                    this.subscribeClient(ws, data.number);
+            try {
+                if (!data || typeof data !== 'object' || Array.isArray(data)) {
+                    this.sendError(ws, {}, 'invalid_frame', 'Frame must be a JSON object');
                     return;
                 }
 
-                // Manejar mensajes ping para mantener viva la conexión
-                if (data.action === "ping") {
-                    ws.isAlive = true;
+                // Sin el frame completo: las llamadas rpc pueden llevar ficheros en base64
+                logger.info(`Mensaje WebSocket recibido de ${ws.ip}: ${data.action}${data.method ? ` ${data.method}` : ''}`);
+
+                if (data.action === undefined) {
+                    this.sendError(ws, data, 'invalid_frame', 'action is required');
                     return;
                 }
 
-                this.broadcast('message', data);
+                const handler = actions[data.action];
+                if (!handler) {
+                    this.sendError(ws, data, 'unknown_action', `Unknown action: ${data.action}`);
+                    return;
+                }
+                if (this.closeIfRevoked(ws, data)) return;
+                handler(data);
             } catch (error) {
                 logger.error('Error processing WebSocket message:', error);
+                this.sendError(ws, data, 'internal_error', 'Error processing frame');
             }
         });
 
         ws.on('close', () => {
+            ws.subscriptions.clear();
             logger.info('WebSocket connection closed');
         });
     }
 
-     // Suscribir un cliente a un número específico
-    subscribeClient(ws, number) {
-        ws.subscribedNumber = number;
-        
-        // Añadir a la lista de suscriptores
-        if (!this.subscribers.has(number)) {
-            this.subscribers.set(number, new Set());
+    // Verificar si la key del socket puede ver eventos del número
+    canReceive(ws, number) {
+        return requestContext.canAccessNumber(number, ws.auth);
+    }
+
+    sendToClient(ws, eventType, data) {
+        if (ws.readyState !== WebSocket.OPEN) return;
+
+        try {
+            ws.send(JSON.stringify({ eventType, data }));
+        } catch (error) {
+            logger.error(`Error enviando mensaje a cliente ${ws.ip}:`, error);
         }
-        this.subscribers.get(number).add(ws);
-        
-        logger.info(`Cliente ${ws.ip} suscrito al número: ${number}`);
     }
 
-    unsubscribeClientFromAll(ws) {
-        if (ws.subscribedNumber) {
-            const subscriberSet = this.subscribers.get(ws.subscribedNumber);
-            if (subscriberSet) {
-                subscriberSet.delete(ws);
-                if (subscriberSet.size === 0) {
-                    this.subscribers.delete(ws.subscribedNumber);
-                }
+    sendAck(ws, request, details = {}) {
+        this.sendToClient(ws, 'ack', {
+            action: request.action,
+            requestId: request.requestId ?? null,
+            ...details
+        });
+    }
+
+    sendError(ws, request, code, error, details = {}) {
+        this.sendToClient(ws, 'error', {
+            action: request?.action ?? null,
+            requestId: request?.requestId ?? null,
+            code,
+            error,
+            ...details
+        });
+    }
+
+    /**
+     * Validar y normalizar los filtros de un frame subscribe
+     * @returns {{ numbers: string[], filters: Object }|{ error: string }}
+     */
+    parseSubscription(data) {
+        const numbers = Array.isArray(data.numbers)
+            ? data.numbers
+            : (data.number !== undefined ? [data.number] : []);
+
+        if (numbers.length === 0 || numbers.length > this.MAX_NUMBERS_PER_FRAME ||
+            !numbers.every(number => typeof number === 'string' || typeof number === 'number')) {
+            return { error: `numbers must be an array of 1 to ${this.MAX_NUMBERS_PER_FRAME} numbers` };
+        }
+
+        if (data.events !== undefined) {
+            if (!Array.isArray(data.events) || data.events.length === 0) {
+                return { error: 'events must be a non-empty array' };
+            }
+            const invalid = data.events.filter(event => !this.EVENT_TYPES.includes(event));
+            if (invalid.length > 0) {
+                return { error: `Invalid events: ${invalid.join(', ')}. Allowed: ${this.EVENT_TYPES.join(', ')}` };
             }
-            ws.subscribedNumber = null;
         }
+
+        if (data.chatIds !== undefined && (!Array.isArray(data.chatIds) ||
+            data.chatIds.length > this.MAX_CHAT_FILTERS ||
+            !data.chatIds.every(chatId => typeof chatId === 'string'))) {
+            return { error: `chatIds must be an array of up to ${this.MAX_CHAT_FILTERS} chat IDs` };
+        }
+
+        if (data.groupsOnly !== undefined && typeof data.groupsOnly !== 'boolean') {
+            return { error: 'groupsOnly must be a boolean' };
+        }
+
+        const normalized = [...new Set(numbers.map(String))];
+
+        if (data.positions !== undefined && (!data.positions || typeof data.positions !== 'object' ||
+            Array.isArray(data.positions) ||
+            !Object.entries(data.positions).every(([number, seq]) => normalized.includes(number) && Number.isInteger(seq) && seq >= 0))) {
+            return { error: 'positions must map subscribed numbers to a non-negative integer lastSeq' };
+        }
+
+        return {
+            numbers: normalized,
+            positions: data.positions || {},
+            filters: {
+                events: data.events ? new Set(data.events) : null,
+                chatIds: data.chatIds?.length ? new Set(data.chatIds) : null,
+                groupsOnly: data.groupsOnly === true
+            }
+        };
     }
 
-    handleMessage(ws, data) {
-        if (!data || typeof data !== 'object' || !data.type) {
-            logger.warn('Invalid WebSocket message received');
+    /**
+     * Suscribir el socket a uno o varios números con filtros opcionales
+     * Volver a suscribir un número sustituye sus filtros. El formato antiguo { number } sustituye todas
+     * Con positions se reenvía lo perdido en el mismo paso, antes de cualquier evento en vivo
+     */
+    subscribeClient(ws, data) {
+        const parsed = this.parseSubscription(data);
+        if (parsed.error) {
+            this.sendError(ws, data, 'invalid_subscription', parsed.error);
             return;
         }
-        logger.info('Received message:', data);
+
+        const denied = parsed.numbers.filter(number => !this.canReceive(ws, number));
+        if (denied.length > 0) {
+            logger.warn(`Cliente ${ws.ip} (key ${ws.auth?.keyId}) sin acceso a: ${denied.join(', ')}`);
+            this.sendError(ws, data, 'forbidden', 'Access denied to this number', { numbers: denied });
+            return;
+        }
+
+        const legacy = !Array.isArray(data.numbers);
+        if (legacy) {
+            ws.subscriptions.clear();
+        }
+
+        parsed.numbers.forEach(number => ws.subscriptions.set(number, parsed.filters));
+        ws.hasSubscribed = true;
+        logger.info(`Cliente ${ws.ip} suscrito a: ${parsed.numbers.join(', ')}`);
+
+        this.sendAck(ws, data, { subscriptions: this.describeSubscriptions(ws) });
+        if (legacy) {
+            this.sendToClient(ws, 'subscribed', { number: parsed.numbers[0] });
+        }
+
+        Object.entries(parsed.positions).forEach(([number, lastSeq]) => this.replayMissed(ws, data, number, lastSeq));
     }
 
-    handleError(error) {
-        logger.error('WebSocket error:', error);
+    unsubscribeClient(ws, data) {
+        if (data.numbers !== undefined && !Array.isArray(data.numbers)) {
+            this.sendError(ws, data, 'invalid_subscription', 'numbers must be an array');
+            return;
+        }
+
+        if (data.numbers) {
+            data.numbers.forEach(number => ws.subscriptions.delete(String(number)));
+        } else {
+            ws.subscriptions.clear();
+        }
+
+        this.sendAck(ws, data, { subscriptions: this.describeSubscriptions(ws) });
     }
 
-    broadcast(eventType, data) {
-        const payload = JSON.stringify({ eventType, data });
-        logger.info(`Transmitiendo evento ${eventType} a todos los clientes`);
-        
-        this.wss.clients.forEach((client) => {
-            if (client.readyState === WebSocket.OPEN) {
-                try {
-                    client.send(payload);
-                } catch (error) {
-                    logger.error(`Error enviando mensaje a cliente ${client.ip}:`, error);
-                }
+    describeSubscriptions(ws) {
+        return Array.from(ws.subscriptions.entries()).map(([number, filters]) => ({
+            number,
+            events: filters.events ? Array.from(filters.events) : null,
+            chatIds: filters.chatIds ? Array.from(filters.chatIds) : null,
+            groupsOnly: filters.groupsOnly
+        }));
+    }
+
+    /**
+     * Chat al que pertenece un evento (null para eventos de cuenta: ready, qrCode...)
+     */
+    getEventChatId(data) {
+        return data?.message?.id?.remote || data?.message?.from || data?.chatId || null;
+    }
+
+    /**
+     * Decidir si un evento se entrega a un socket según sus suscripciones
+     */
+    shouldDeliver(ws, eventType, data) {
+        const number = data?.number != null ? String(data.number) : null;
+        if (!this.canReceive(ws, number)) return false;
+
+        if (!ws.hasSubscribed) {
+            return eventType !== 'qrCode';
+        }
+
+        const filters = ws.subscriptions.get(number);
+        if (!filters) return false;
+        if (filters.events && !filters.events.has(eventType)) return false;
+
+        // Los filtros de chat solo aplican a eventos de un chat
+        const chatId = this.getEventChatId(data);
+        if (chatId) {
+            if (filters.groupsOnly && !chatId.endsWith('@g.us')) return false;
+            if (filters.chatIds && !filters.chatIds.has(chatId)) return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Cerrar el socket si su key se revocó o expiró después de conectar
+     * (se comprueba en cada frame recibido, en cada evento y en el heartbeat)
+     * @param {WebSocket} ws
+     * @param {Object} [request] - Frame que se rechaza: se responde con un error 'unauthorized' antes de cerrar
+     * @returns {boolean} true si se cerró
+     */
+    closeIfRevoked(ws, request = null) {
+        if (apiKeyStore.isPrincipalActive(ws.auth)) return false;
+
+        logger.info(`Cerrando cliente ${ws.ip} (key ${ws.auth?.keyId}): API key revocada o expirada`);
+        if (request) {
+            this.sendError(ws, request, 'unauthorized', 'API key revoked or expired');
+        }
+        ws.close(4401, 'API key revoked or expired');
+        return true;
+    }
+
+    /**
+     * Entregar un evento ya serializado (con secuencia) a los sockets que corresponda
+     * @param {string} eventType - Tipo de evento
+     * @param {Object} data - Datos del evento
+     * @param {string} frame - JSON del frame
+     */
+    dispatch(eventType, data, frame) {
+        this.wss.clients.forEach(client => {
+            if (client.readyState !== WebSocket.OPEN || this.closeIfRevoked(client)) return;
+            if (!this.shouldDeliver(client, eventType, data)) return;
+
+            try {
+                client.send(frame);
+            } catch (error) {
+                logger.error(`Error broadcasting to client ${client.ip}:`, error);
+                client.terminate();
             }
         });
     }
 
-    broadcastToSubscribers(eventType, data, number) {
-        if (!number) {
-            logger.warn('Intento de broadcast sin especificar número');
+    /**
+     * Reenviar los eventos perdidos: { action: 'resume', number, lastSeq }
+     * o varios números a la vez: { action: 'resume', positions: { "<número>": lastSeq } }
+     * Para no recibir eventos en vivo antes que los perdidos, reanudar con positions en subscribe
+     */
+    resumeClient(ws, data) {
+        const positions = data.positions && typeof data.positions === 'object'
+            ? data.positions
+            : { [data.number]: data.lastSeq };
+
+        Object.entries(positions).forEach(([number, lastSeq]) => {
+            const seq = Number(lastSeq);
+
+            if (!number || number === 'undefined' || !Number.isInteger(seq) || seq < 0) {
+                this.sendError(ws, data, 'invalid_resume', 'number and a non-negative integer lastSeq are required', { number });
+                return;
+            }
+
+            if (!this.canReceive(ws, number)) {
+                this.sendError(ws, data, 'forbidden', 'Access denied to this number', { number });
+                return;
+            }
+
+            this.replayMissed(ws, data, number, seq);
+        });
+    }
+
+    /**
+     * Reenviar los eventos de un número posteriores a seq y cerrar con 'resumed'
+     * Si el registro ya no cubre el rango se envía 'gap' antes de lo que quede disponible
+     * Los eventos reenviados respetan los filtros de suscripción del socket. El reenvío es síncrono:
+     * ningún dispatch en vivo puede colarse entre los eventos reenviados y 'resumed'
+     */
+    replayMissed(ws, request, number, seq) {
+        const { events, complete, currentSeq, oldestSeq } = eventLog.since(number, seq);
+
+        if (!complete) {
+            // Los eventos del hueco se perdieron: el cliente debe recargar el estado por REST
+            const ahead = seq > currentSeq;
+            this.sendToClient(ws, 'gap', {
+                number,
+                reason: ahead ? 'sequence_ahead' : 'log_exceeded',
+                lastSeq: seq,
+                currentSeq,
+                oldestAvailableSeq: oldestSeq,
+                missedFrom: ahead ? null : seq + 1,
+                missedTo: ahead ? null : (events.length > 0 ? events[0].seq - 1 : currentSeq)
+            });
+        }
+
+        const replayed = events.filter(event => {
+            if (ws.readyState !== WebSocket.OPEN) return false;
+            if (!this.shouldDeliver(ws, event.eventType, JSON.parse(event.frame).data)) return false;
+            ws.send(event.frame);
+            return true;
+        });
+
+        logger.info(`Cliente ${ws.ip} reanudado en ${number}: ${replayed.length} eventos desde #${seq}`);
+        this.sendToClient(ws, 'resumed', {
+            requestId: request.requestId ?? null,
+            number,
+            fromSeq: seq,
+            toSeq: currentSeq,
+            replayed: replayed.length
+        });
+    }
+
+    /**
+     * Ejecutar una llamada RPC y responder con el mismo requestId
+     */
+    async handleRpc(ws, data) {
+        const { requestId, method, params = {} } = data;
+
+        if ((typeof requestId !== 'string' || requestId === '') && typeof requestId !== 'number') {
+            this.sendError(ws, data, 'invalid_rpc', 'requestId is required');
             return;
         }
-        
-        const payload = JSON.stringify({ eventType, data });
-        const subscribers = this.subscribers.get(number);
-        
-        if (!subscribers || subscribers.size === 0) {
-            logger.info(`No hay suscriptores para el número ${number}`);
+
+        if (!socketRpc.METHOD_NAMES.includes(method)) {
+            this.sendError(ws, data, 'unknown_method', `Unknown method: ${method}. Allowed: ${socketRpc.METHOD_NAMES.join(', ')}`);
             return;
         }
-        
-        logger.info(`Transmitiendo evento ${eventType} a ${subscribers.size} suscriptores del número ${number}`);
-        
-        subscribers.forEach(client => {
-            if (client.readyState === WebSocket.OPEN) {
-                try {
-                    client.send(payload);
-                } catch (error) {
-                    logger.error(`Error enviando mensaje a suscriptor ${client.ip}:`, error);
-                    client.terminate();
-                }
-            }
-        });
+
+        if (!params || typeof params !== 'object' || Array.isArray(params)) {
+            this.sendError(ws, data, 'invalid_rpc', 'params must be an object');
+            return;
+        }
+
+        if (ws.pendingCalls >= this.MAX_PENDING_CALLS) {
+            this.sendError(ws, data, 'too_many_requests', `Too many pending calls (max ${this.MAX_PENDING_CALLS})`);
+            return;
+        }
+
+        ws.pendingCalls++;
+        try {
+            const { status, body } = await socketRpc.call(ws.auth, method, params, { ip: ws.ip });
+            this.sendToClient(ws, 'response', { requestId, method, status, body });
+        } catch (error) {
+            logger.error(`Error en RPC ${method} de ${ws.ip}:`, error);
+            this.sendError(ws, data, 'internal_error', 'Error processing call');
+        } finally {
+            ws.pendingCalls--;
+        }
+    }
+
+    handleMessage(ws, data) {
+        if (!data || typeof data !== 'object' || !data.type) {
+            logger.warn('Invalid WebSocket message received');
+            return;
+        }
+        logger.info('Received message:', data);
+    }
+
+    handleError(error) {
+        logger.error('WebSocket error:', error);
     }
 }
 
-module.exports = WebSocketHandler;
\ No newline at end of file
+module.exports = WebSocketHandler;
@@ -0,0 +1,181 @@
+const apiKeyStore = require('../utils/apiKeyStore');
+const requestContext = require('../utils/requestContext');
+const logger = require('../conf/logger');
+
+
+class ApiKeyController {
+  constructor() {
+  }
+
+  /**
+   * Check that the caller's number restriction covers the given key
+   * @param {Object} apiKey - Stored API key record
+   * @returns {boolean}
+   */
+  canManage(apiKey) {
+    const allowedNumbers = requestContext.getAllowedNumbers();
+    if (!allowedNumbers) return true;
+
+    const numbers = apiKey.numbers || [];
+    return numbers.length > 0 && numbers.every(number => allowedNumbers.includes(number));
+  }
+
+  /**
+   * Check that the caller holds every scope of a key it issues (only '*' can grant '*')
+   * @param {Object} principal - Authenticated caller
+   * @param {string[]} scopes - Scopes of the new key
+   * @returns {boolean}
+   */
+  coversScopes(principal, scopes) {
+    return (scopes || []).every(scope => apiKeyStore.hasScope(principal, scope));
+  }
+
+  /**
+   * Create a new API key (the raw key is only returned here)
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   */
+  async createApiKey(req, res) {
+    try {
+      const { name, scopes, numbers, expiresAt } = req.body;
+
+      // Una key limitada a ciertos números no puede emitir keys con más alcance
+      const allowedNumbers = requestContext.getAllowedNumbers();
+      if (allowedNumbers) {
+        const requested = apiKeyStore.normalizeNumbers(numbers);
+        if (requested.length === 0 || requested.some(number => !allowedNumbers.includes(number))) {
+          return res.status(403).json({
+            success: false,
+            error: `numbers debe ser un subconjunto de: ${allowedNumbers.join(', ')}`
+          });
+        }
+      }
+
+      // Ni con más scopes que los propios
+      if (!apiKeyController.coversScopes(req.auth, scopes)) {
+        return res.status(403).json({
+          success: false,
+          error: `scopes debe ser un subconjunto de: ${req.auth.scopes.join(', ')}`
+        });
+      }
+
+      const { key, record } = apiKeyStore.create({ name, scopes, numbers, expiresAt });
+
+      logger.info(`API key ${record.prefix} creada por ${req.auth.keyId}`);
+
+      res.status(201).json({
+        success: true,
+        key,
+        apiKey: record
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * List API keys (without secrets)
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   */
+  async listApiKeys(req, res) {
+    try {
+      const apiKeys = apiKeyStore.list().filter(apiKey => apiKeyController.canManage(apiKey));
+
+      res.json({
+        success: true,
+        total: apiKeys.length,
+        apiKeys
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Revoke an API key
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   */
+  async revokeApiKey(req, res) {
+    try {
+      const { id } = req.params;
+      const existing = apiKeyStore.findById(id);
+      const apiKey = existing && apiKeyController.canManage(existing) ? apiKeyStore.revoke(id) : null;
+
+      if (!apiKey) {
+        return res.status(404).json({
+          success: false,
+          error: 'API key not found'
+        });
+      }
+
+      logger.info(`API key ${apiKey.prefix} revocada por ${req.auth.keyId}`);
+
+      res.json({
+        success: true,
+        apiKey
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Rotate an API key, optionally keeping the old one valid for a grace period
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   */
+  async rotateApiKey(req, res) {
+    try {
+      const { id } = req.params;
+      const gracePeriodSeconds = parseInt(req.body.gracePeriodSeconds, 10) || 0;
+      const existing = apiKeyStore.findById(id);
+
+      // Rotar entrega el secreto nuevo: mismo límite de scopes que al crear
+      if (existing && apiKeyController.canManage(existing) && !apiKeyController.coversScopes(req.auth, existing.scopes)) {
+        return res.status(403).json({
+          success: false,
+          error: `scopes debe ser un subconjunto de: ${req.auth.scopes.join(', ')}`
+        });
+      }
+
+      const rotated = existing && apiKeyController.canManage(existing)
+        ? apiKeyStore.rotate(id, gracePeriodSeconds)
+        : null;
+
+      if (!rotated) {
+        return res.status(404).json({
+          success: false,
+          error: 'API key not found or inactive'
+        });
+      }
+
+      logger.info(`API key ${id} rotada por ${req.auth.keyId}`);
+
+      res.json({
+        success: true,
+        key: rotated.key,
+        apiKey: rotated.record,
+        previous: apiKeyStore.toPublic(apiKeyStore.findById(id))
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+}
+
+const apiKeyController = new ApiKeyController();
+module.exports = apiKeyController;
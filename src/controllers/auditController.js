@@ -0,0 +1,92 @@
+const auditLog = require('../utils/auditLog');
+const requestContext = require('../utils/requestContext');
+
+
+class AuditController {
+  constructor() {
+  }
+
+  /**
+   * Build audit filters from the query string, scoped to the caller's numbers
+   * @param {Object} query - Express query object
+   * @returns {Object}
+   */
+  buildFilters(query) {
+    const { actor, handler, number, chat, message, outcome, from, to } = query;
+    const principal = requestContext.getPrincipal();
+
+    return {
+      actor,
+      handler,
+      number,
+      chat,
+      message,
+      outcome,
+      from: from ? new Date(from).toISOString() : undefined,
+      to: to ? new Date(to).toISOString() : undefined,
+      // Una key limitada solo ve entradas de sus números
+      canAccess: requestContext.getAllowedNumbers()
+        ? entry => Boolean(entry.target?.number) &&
+          requestContext.canAccessNumber(String(entry.target.number), principal)
+        : null
+    };
+  }
+
+  /**
+   * Paginated audit log, newest first
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   */
+  async getAuditLog(req, res) {
+    try {
+      const page = parseInt(req.query.page, 10) || 1;
+      const limit = parseInt(req.query.limit, 10) || 50;
+
+      const result = await auditLog.query(auditController.buildFilters(req.query), { page, limit });
+
+      res.json({
+        success: true,
+        ...result
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Export matching audit entries as JSON Lines
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   */
+  async exportAuditLog(req, res) {
+    try {
+      const filters = auditController.buildFilters(req.query);
+
+      res.setHeader('Content-Type', 'application/x-ndjson');
+      res.setHeader('Content-Disposition', `attachment; filename="audit-${Date.now()}.jsonl"`);
+
+      for await (const entry of auditLog.entries(filters)) {
+        if (!res.write(`${JSON.stringify(entry)}\n`)) {
+          await new Promise(resolve => res.once('drain', resolve));
+        }
+      }
+
+      res.end();
+    } catch (error) {
+      if (res.headersSent) {
+        return res.destroy(error);
+      }
+
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+}
+
+const auditController = new AuditController();
+module.exports = auditController;
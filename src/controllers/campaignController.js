@@ -0,0 +1,207 @@
+const campaignManager = require('../utils/campaignManager');
+const requestContext = require('../utils/requestContext');
+const { NotFoundError } = require('../utils/asyncHandler');
+const logger = require('../conf/logger');
+
+
+class CampaignController {
+  constructor() {
+  }
+
+  /**
+   * Find a campaign of a number the caller can access
+   * @param {string} id - Campaign ID
+   * @returns {Object}
+   */
+  findAccessible(id) {
+    const campaign = campaignManager.findById(id);
+
+    if (!campaign || !requestContext.canAccessNumber(campaign.number)) {
+      throw new NotFoundError('Campaign not found');
+    }
+
+    return campaign;
+  }
+
+  /**
+   * Create a broadcast campaign from a recipient list or CSV; it starts right away or at startAt
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   */
+  async createCampaign(req, res) {
+    const {
+      clientId, name, recipients, csv, message, fileName, fileContent,
+      templateId, templateName, params, locale, ratePerMinute, jitter, startAt
+    } = req.body;
+
+    try {
+      const campaign = campaignManager.create({
+        clientId,
+        name,
+        recipients,
+        csv,
+        content: { message, fileName, fileContent, templateId, templateName, params, locale },
+        ratePerMinute,
+        jitter,
+        startAt
+      }, req.auth.keyId);
+
+      res.status(201).json({
+        success: true,
+        campaign
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * List campaigns, newest first
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   */
+  async listCampaigns(req, res) {
+    const { number, status, page, limit } = req.query;
+
+    const { campaigns, pagination } = campaignManager.list({
+      canAccess: campaignNumber => requestContext.canAccessNumber(campaignNumber),
+      number,
+      status
+    }, {
+      page: parseInt(page, 10) || 1,
+      limit: parseInt(limit, 10) || campaignManager.DEFAULT_PAGE_SIZE
+    });
+
+    res.json({
+      success: true,
+      campaigns,
+      pagination
+    });
+  }
+
+  /**
+   * Get a campaign with its per-status counts and progress
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   */
+  async getCampaign(req, res) {
+    const campaign = campaignController.findAccessible(req.params.id);
+
+    res.json({
+      success: true,
+      campaign: campaignManager.toPublic(campaign)
+    });
+  }
+
+  /**
+   * List the recipients of a campaign with their delivery status
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   */
+  async listCampaignRecipients(req, res) {
+    const campaign = campaignController.findAccessible(req.params.id);
+    const { status, page, limit } = req.query;
+
+    const { recipients, pagination } = campaignManager.listRecipients(campaign.id, { status }, {
+      page: parseInt(page, 10) || 1,
+      limit: parseInt(limit, 10) || campaignManager.DEFAULT_PAGE_SIZE
+    });
+
+    res.json({
+      success: true,
+      recipients,
+      pagination
+    });
+  }
+
+  /**
+   * Campaign report: totals, delivery and read rates and failures by reason (final once it ends)
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   */
+  async getCampaignReport(req, res) {
+    const campaign = campaignController.findAccessible(req.params.id);
+
+    res.json({
+      success: true,
+      campaignId: campaign.id,
+      status: campaign.status,
+      report: campaign.report || campaignManager.buildReport(campaign)
+    });
+  }
+
+  /**
+   * Pause a running or scheduled campaign
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   */
+  async pauseCampaign(req, res) {
+    const { id } = req.params;
+    campaignController.findAccessible(id);
+
+    try {
+      res.json({
+        success: true,
+        campaign: campaignManager.pause(id)
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Resume a paused campaign where it left off
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   */
+  async resumeCampaign(req, res) {
+    const { id } = req.params;
+    campaignController.findAccessible(id);
+
+    try {
+      res.json({
+        success: true,
+        campaign: campaignManager.resume(id)
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Cancel a campaign: pending recipients are skipped and the final report is built
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   */
+  async cancelCampaign(req, res) {
+    const { id } = req.params;
+    campaignController.findAccessible(id);
+
+    try {
+      const campaign = campaignManager.cancel(id);
+      logger.info(`Campaña ${id} cancelada por ${req.auth.keyId}`);
+
+      res.json({
+        success: true,
+        campaign
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+}
+
+const campaignController = new CampaignController();
+module.exports = campaignController;
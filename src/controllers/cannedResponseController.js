@@ -0,0 +1,172 @@
+const cannedResponses = require('../utils/cannedResponses');
+const requestContext = require('../utils/requestContext');
+const { NotFoundError, ForbiddenError } = require('../utils/asyncHandler');
+const logger = require('../conf/logger');
+
+
+class CannedResponseController {
+  constructor() {
+  }
+
+  /**
+   * Find a canned response the caller can read (global ones are visible to every key)
+   * @param {string} id - Canned response ID
+   * @returns {Object}
+   */
+  findReadable(id) {
+    const response = cannedResponses.findById(id);
+
+    if (!response || (response.number !== cannedResponses.ALL_NUMBERS && !requestContext.canAccessNumber(response.number))) {
+      throw new NotFoundError('Canned response not found');
+    }
+
+    return response;
+  }
+
+  /**
+   * Find a canned response the caller can change: global ones need a key without number restrictions
+   * @param {string} id - Canned response ID
+   * @returns {Object}
+   */
+  findWritable(id) {
+    const response = cannedResponseController.findReadable(id);
+
+    if (response.number === cannedResponses.ALL_NUMBERS && requestContext.getAllowedNumbers()) {
+      throw new ForbiddenError('Una key limitada a ciertos números no puede modificar respuestas globales');
+    }
+
+    return response;
+  }
+
+  /**
+   * Create a canned response, global (number '*', the default) or for one client number
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   */
+  async createCannedResponse(req, res) {
+    const { number = cannedResponses.ALL_NUMBERS, shortcode, title, category, text, media } = req.body;
+
+    if (number === cannedResponses.ALL_NUMBERS && requestContext.getAllowedNumbers()) {
+      throw new ForbiddenError('Una key limitada a ciertos números no puede crear respuestas globales');
+    }
+
+    try {
+      const response = cannedResponses.create({ number, shortcode, title, category, text, media }, req.auth.keyId);
+
+      res.status(201).json({
+        success: true,
+        cannedResponse: response
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * List canned responses; with number, the ones usable from that number (its own and the global ones)
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   */
+  async listCannedResponses(req, res) {
+    const { number, category, q } = req.query;
+
+    const responses = cannedResponses.list({
+      canAccess: responseNumber => requestContext.canAccessNumber(responseNumber),
+      number,
+      category,
+      q
+    });
+
+    res.json({
+      success: true,
+      total: responses.length,
+      categories: cannedResponses.getCategories(responses),
+      cannedResponses: responses
+    });
+  }
+
+  /**
+   * Get a canned response
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   */
+  async getCannedResponse(req, res) {
+    const response = cannedResponseController.findReadable(req.params.id);
+
+    res.json({
+      success: true,
+      cannedResponse: cannedResponses.toPublic(response)
+    });
+  }
+
+  /**
+   * Download the attachment of a canned response
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   */
+  async getCannedResponseMedia(req, res) {
+    const response = cannedResponseController.findReadable(req.params.id);
+    const media = await cannedResponses.readMedia(response);
+
+    if (!media) {
+      throw new NotFoundError('Canned response has no attachment');
+    }
+
+    res.setHeader('Content-Type', media.mimetype);
+    res.setHeader('Content-Disposition', `inline; filename="${encodeURIComponent(media.fileName)}"`);
+    res.send(Buffer.from(media.data, 'base64'));
+  }
+
+  /**
+   * Update a canned response; omitted fields are kept and media null removes the attachment
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   */
+  async updateCannedResponse(req, res) {
+    const { id } = req.params;
+    cannedResponseController.findWritable(id);
+
+    const changes = {};
+    ['shortcode', 'title', 'category', 'text', 'media'].forEach(field => {
+      if (req.body[field] !== undefined) changes[field] = req.body[field];
+    });
+
+    try {
+      const response = cannedResponses.update(id, changes, req.auth.keyId);
+
+      res.json({
+        success: true,
+        cannedResponse: response
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Delete a canned response and its attachment
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   */
+  async deleteCannedResponse(req, res) {
+    const { id } = req.params;
+    cannedResponseController.findWritable(id);
+
+    const response = cannedResponses.remove(id);
+    logger.info(`Respuesta predefinida ${id} eliminada por ${req.auth.keyId}`);
+
+    res.json({
+      success: true,
+      cannedResponse: response
+    });
+  }
+}
+
+const cannedResponseController = new CannedResponseController();
+module.exports = cannedResponseController;
@@ -3,6 +3,7 @@ const WhatsAppService = require('../services/services');
 const whatsappService = new WhatsAppService();
 const { ValidationError, NotFoundError } = require('../utils/asyncHandler');
 const logger = require('../conf/logger');
+const config = require('../conf/config');
 const mediaHandler = require('../utils/mediaHandler');
 
 
@@ -341,6 +342,77 @@ class WhatsAppController {
     }
   }
 
+  /**
+   * Export a client as an encrypted bundle file for migration to another instance
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   */
+  async exportClientBundle(req, res) {
+    const { number } = req.params;
+    const { passphrase, detach } = req.body;
+
+    const bundle = await whatsappService.exportClientBundle(number, { passphrase, detach: detach === true });
+    const date = new Date().toISOString().slice(0, 10);
+
+    res.set({
+      'Content-Type': 'application/octet-stream',
+      'Content-Disposition': `attachment; filename="client-${number}-${date}.wacb"`,
+      'Content-Length': bundle.length,
+      'Cache-Control': 'no-store'
+    });
+    res.send(bundle);
+  }
+
+  /**
+   * Import a client bundle (raw application/octet-stream body, passphrase in X-Bundle-Passphrase)
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   */
+  async importClientBundle(req, res) {
+    const passphrase = req.get('X-Bundle-Passphrase');
+    if (!passphrase) {
+      throw new ValidationError('X-Bundle-Passphrase header is required');
+    }
+
+    const buffer = await whatsAppController.readRawBody(req, config.clientBundleMaxBytes);
+    const result = await whatsappService.importClientBundle(buffer, passphrase, req.auth.keyId);
+
+    res.status(202).json({
+      success: true,
+      message: `Client ${result.number} imported, starting with the restored session`,
+      ...result
+    });
+  }
+
+  /**
+   * Read a raw request body up to a size limit
+   * @param {Request} req - Express request object
+   * @param {number} limit - Maximum bytes
+   * @returns {Promise<Buffer>}
+   * @private
+   */
+  readRawBody(req, limit) {
+    if (!req.is('application/octet-stream')) {
+      return Promise.reject(new ValidationError('Content-Type must be application/octet-stream'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+
+      req.on('data', chunk => {
+        size += chunk.length;
+        if (size > limit) {
+          req.destroy();
+          return reject(new ValidationError(`Bundle exceeds ${limit} bytes`));
+        }
+        chunks.push(chunk);
+      });
+      req.on('end', () => resolve(Buffer.concat(chunks)));
+      req.on('error', reject);
+    });
+  }
+
   /**
    * Save contact for specific client
    * @param {Request} req - Express request object
@@ -609,12 +681,19 @@ class WhatsAppController {
         return res.json({ success: true, mediaStatus: status });
       }
 
-      // Flujo normal optimizado
-      const messages = await whatsappService.getChatMessages(clientId, tel);
+      // Historial desde el almacén local, paginado hacia atrás con ?before=<nextBefore>&beforeId=<nextBeforeId>
+      const history = await whatsappService.getChatMessages(clientId, tel, {
+        limit: parseInt(req.query.limit, 10) || undefined,
+        before: parseInt(req.query.before, 10) || undefined,
+        beforeId: req.query.beforeId || undefined
+      });
       
       res.json({ 
         success: true, 
-        messages: messages,
+        messages: history.messages,
+        hasMore: history.hasMore,
+        nextBefore: history.nextBefore,
+        nextBeforeId: history.nextBeforeId,
         mediaQueueStats: await whatsappService.getMediaQueueStats()
       });
     } catch (error) {
@@ -648,11 +727,18 @@ class WhatsAppController {
   async getGroupChatMessages(req, res) {
     try {
       const { number, groupId } = req.params;
-      const messages = await whatsappService.getGroupChatMessages(number, groupId);
+      const history = await whatsappService.getGroupChatMessages(number, groupId, {
+        limit: parseInt(req.query.limit, 10) || undefined,
+        before: parseInt(req.query.before, 10) || undefined,
+        beforeId: req.query.beforeId || undefined
+      });
       
       res.json({ 
           success: true, 
-          messages: messages 
+          messages: history.messages,
+          hasMore: history.hasMore,
+          nextBefore: history.nextBefore,
+          nextBeforeId: history.nextBeforeId
       });
     } catch (error) {
       res.status(500).json({ 
@@ -663,22 +749,31 @@ class WhatsAppController {
   }
 
   /**
-   * Send messages
+   * Send messages: raw text in mensaje, or a canned response by cannedResponseId with its placeholders
+   * filled from the contact, variables and agentName
    * @param {Request} req - Express request object
    * @param {Response} res - Express response object
    */
 
   async sendMessage (req, res) {
     try {
-      const { clientId, tel, mensaje } = req.body;
-      await whatsappService.sendMessage(clientId, tel, mensaje);
+      const { clientId, tel, mensaje, cannedResponseId, variables, agentName } = req.body;
+
+      if (!mensaje && !cannedResponseId) {
+        throw new ValidationError('mensaje or cannedResponseId is required');
+      }
+
+      const sent = cannedResponseId
+        ? await whatsappService.sendCannedResponse(clientId, tel, cannedResponseId, { variables, agentName })
+        : await whatsappService.sendMessage(clientId, tel, mensaje);
       
       res.json({
         success: true,
-        message: 'Message sent successfully'
+        message: 'Message sent successfully',
+        ...sent
       });
     } catch (error) {
-      res.status(500).json({ 
+      res.status(error.statusCode || 500).json({ 
         success: false, 
         error: error.message 
       });
@@ -695,7 +790,7 @@ class WhatsAppController {
       const { clientId, fileName, audioBase64, chatId, isGroup } = req.body;
       const message = '';
 
-      await whatsappService.sendMessageOrFile({
+      const sent = await whatsappService.sendMessageOrFile({
         clientId,
         chatId,
         message,
@@ -708,6 +803,7 @@ class WhatsAppController {
       res.json({
         success: true,
         message: 'Audio sent successfully',
+        ...sent
       });
     } catch (error) {
       res.status(500).json({
@@ -726,11 +822,12 @@ class WhatsAppController {
   async sendGroupMessage (req, res) {
     try {
       const { clientId, groupId, mensaje } = req.body;
-      await whatsappService.sendGroupMessage(clientId, groupId, mensaje);
+      const sent = await whatsappService.sendGroupMessage(clientId, groupId, mensaje);
       
       res.json({
         success: true,
-        message: 'Group message sent successfully'
+        message: 'Group message sent successfully',
+        ...sent
       });
     } catch (error) {
       res.status(500).json({ 
@@ -748,26 +845,33 @@ class WhatsAppController {
 
   async sendMessageOrFile(req, res) {
   try {
-    const { clientId, message, fileName, fileContent, chatId, isGroup } = req.body;
+    const { clientId, message, fileName, fileContent, chatId, isGroup, templateId, templateName, params, locale, templateVersion } = req.body;
     
-    await whatsappService.sendMessageOrFile({
+    const sent = await whatsappService.sendMessageOrFile({
       clientId,
       chatId,
       message,
       fileName,
       fileContent,
-      isGroup
+      isGroup,
+      templateId,
+      templateName,
+      params,
+      locale,
+      templateVersion
     });
     
     res.json({
       success: true,
-      message: fileContent ? 'File sent successfully' : 'Message sent successfully'
+      message: templateId || templateName ? 'Template sent successfully' : fileContent ? 'File sent successfully' : 'Message sent successfully',
+      ...sent
     });
   } catch (error) {
     console.error('Error in sendMessageOrFile controller:', error);
-    res.status(500).json({ 
+    res.status(error.statusCode || 500).json({ 
       success: false, 
-      error: error.message 
+      error: error.message,
+      ...(error.errors ? { errors: error.errors } : {})
     });
   }
 }
@@ -781,7 +885,7 @@ class WhatsAppController {
   async sendSticker (req, res) {
     try {
       const { clientId, tel, stickerPath, isGroup } = req.body;
-      await whatsappService.sendMediaMessage({
+      const sent = await whatsappService.sendMediaMessage({
         clientId,
         tel,
         mediaPath: stickerPath,
@@ -791,7 +895,8 @@ class WhatsAppController {
       
       res.json({
         success: true,
-        message: 'Sticker sent successfully'
+        message: 'Sticker sent successfully',
+        ...sent
       });
     } catch (error) {
       res.status(500).json({ 
@@ -810,7 +915,7 @@ class WhatsAppController {
   async sendImage (req, res) {
     try {
       const { clientId, tel, imagePath, isGroup } = req.body;
-      await whatsappService.sendMediaMessage({
+      const sent = await whatsappService.sendMediaMessage({
         clientId,
         tel,
         mediaPath: imagePath,
@@ -820,7 +925,8 @@ class WhatsAppController {
       
       res.json({
         success: true,
-        message: 'Image sent successfully'
+        message: 'Image sent successfully',
+        ...sent
       });
     } catch (error) {
       res.status(500).json({ 
@@ -839,7 +945,7 @@ class WhatsAppController {
   async sendMessageProduct (req, res) {
     try {
       const { clientId, tel, mensaje, imagen } = req.body;
-      await whatsappService.sendProductMessage({
+      const sent = await whatsappService.sendProductMessage({
         clientId,
         tel,
         message: mensaje,
@@ -849,7 +955,8 @@ class WhatsAppController {
       
       res.json({
         success: true,
-        message: 'Product message sent successfully'
+        message: 'Product message sent successfully',
+        ...sent
       });
     } catch (error) {
       res.status(500).json({ 
@@ -884,7 +991,7 @@ class WhatsAppController {
   async replyToMessage(req, res) {
     try {
       const { clientId, tel, messageId, reply, isGroup } = req.body;
-      await whatsappService.replyToMessage(
+      const sent = await whatsappService.replyToMessage(
         clientId, 
         tel, 
         messageId, 
@@ -894,7 +1001,8 @@ class WhatsAppController {
 
       res.json({ 
         success: true, 
-        message: 'Respuesta enviada correctamente.' 
+        message: 'Respuesta enviada correctamente.',
+        ...sent
       });
     } catch (error) {
       res.status(500).json({ 
@@ -904,6 +1012,36 @@ class WhatsAppController {
     }
   }
 
+  /**
+   * React to a message with an emoji (empty reaction removes it)
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   */
+  async reactToMessage(req, res) {
+    const { clientId, tel, messageId, reaction, isGroup } = req.body;
+    await whatsappService.reactToMessage(clientId, tel, messageId, reaction, isGroup);
+
+    res.json({
+      success: true,
+      message: reaction ? 'Reacción enviada correctamente.' : 'Reacción eliminada correctamente.'
+    });
+  }
+
+  /**
+   * Show typing/recording state in a chat or clear it (paused)
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   */
+  async sendChatState(req, res) {
+    const { clientId, tel, state, isGroup } = req.body;
+    await whatsappService.sendChatState(clientId, tel, state, isGroup);
+
+    res.json({
+      success: true,
+      state
+    });
+  }
+
   async deleteMessage(req, res) {
     try {
       const { clientId, tel, messageId, forEveryone, isGroup } = req.body;
@@ -955,7 +1093,7 @@ class WhatsAppController {
   async sendMessageProductGroup(req, res) {
     try {
       const { clientId, groupId, mensaje, imagen } = req.body;
-      await whatsappService.sendMessageProductGroup({
+      const sent = await whatsappService.sendMessageProductGroup({
         clientId, 
         groupId, 
         mmesage: mensaje, 
@@ -965,7 +1103,8 @@ class WhatsAppController {
 
       res.json({ 
         success: true, 
-        message: 'Producto y imagen enviados correctamente.' 
+        message: 'Producto y imagen enviados correctamente.',
+        ...sent
       });
     } catch (error) {
       res.status(500).json({ 
@@ -1156,6 +1295,73 @@ class WhatsAppController {
       });
     }
   }
+
+  /**
+   * Search stored messages (bodies, captions, vCard names, document text)
+   * Document text is indexed only for plain-text attachments (text/*, JSON, XML, CSV; listed in indexedDocumentTypes);
+   * PDFs and other binary documents are found by their caption only
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   */
+  async searchMessages(req, res) {
+    try {
+      const { q, number, chatId, sender, from, to, type, hasMedia, includeDeleted } = req.query;
+
+      const result = await whatsappService.searchMessages({
+        q,
+        number,
+        chatId,
+        sender,
+        from,
+        to,
+        type,
+        hasMedia: hasMedia === undefined ? undefined : hasMedia === 'true',
+        includeDeleted: includeDeleted === 'true',
+        page: parseInt(req.query.page, 10) || 1,
+        limit: parseInt(req.query.limit, 10) || 20
+      });
+
+      res.json({
+        success: true,
+        query: q,
+        ...result
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get delivery/read status and ack history of a sent message
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   */
+  async getMessageStatus(req, res) {
+    try {
+      const { id } = req.params;
+      const status = whatsappService.getMessageStatus(id);
+
+      if (!status) {
+        return res.status(404).json({
+          success: false,
+          error: 'Message not tracked'
+        });
+      }
+
+      res.json({
+        success: true,
+        ...status
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
 }
 
 const whatsAppController = new WhatsAppController();
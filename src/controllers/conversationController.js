@@ -0,0 +1,104 @@
+const conversationManager = require('../utils/conversationManager');
+const requestContext = require('../utils/requestContext');
+const { NotFoundError } = require('../utils/asyncHandler');
+
+
+class ConversationController {
+  constructor() {
+  }
+
+  /**
+   * Find a conversation visible to the caller
+   * @param {string} id - Conversation ID
+   * @returns {Object}
+   */
+  findAccessible(id) {
+    const conversation = conversationManager.findById(id);
+
+    if (!conversation || !requestContext.canAccessNumber(conversation.number)) {
+      throw new NotFoundError('Conversation not found');
+    }
+
+    return conversation;
+  }
+
+  /**
+   * List shared-inbox conversations, most recently updated first
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   */
+  async listConversations(req, res) {
+    const { number, chatId, status, agentId, teamId, unassigned, page, limit } = req.query;
+
+    const { conversations, pagination } = conversationManager.list({
+      canAccess: conversationNumber => requestContext.canAccessNumber(conversationNumber),
+      number,
+      chatId,
+      status,
+      agentId,
+      teamId,
+      unassigned: unassigned === 'true'
+    }, {
+      page: parseInt(page, 10) || 1,
+      limit: parseInt(limit, 10) || conversationManager.DEFAULT_PAGE_SIZE
+    });
+
+    res.json({
+      success: true,
+      conversations,
+      pagination
+    });
+  }
+
+  /**
+   * Get a conversation with its assignment and status history
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   */
+  async getConversation(req, res) {
+    const conversation = conversationController.findAccessible(req.params.id);
+
+    res.json({
+      success: true,
+      conversation: conversationManager.toPublic(conversation, { includeHistory: true })
+    });
+  }
+
+  /**
+   * Assign a conversation to an agent and/or team; null clears a field, an omitted field is kept
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   */
+  async assignConversation(req, res) {
+    const { id } = req.params;
+    const { agentId, teamId } = req.body;
+
+    conversationController.findAccessible(id);
+    const conversation = conversationManager.assign(id, { agentId, teamId }, req.auth.keyId);
+
+    res.json({
+      success: true,
+      conversation: conversationManager.toPublic(conversation)
+    });
+  }
+
+  /**
+   * Move a conversation to open, pending or resolved
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   */
+  async setConversationStatus(req, res) {
+    const { id } = req.params;
+
+    conversationController.findAccessible(id);
+    const conversation = conversationManager.setStatus(id, req.body.status, req.auth.keyId);
+
+    res.json({
+      success: true,
+      conversation: conversationManager.toPublic(conversation)
+    });
+  }
+}
+
+const conversationController = new ConversationController();
+module.exports = conversationController;
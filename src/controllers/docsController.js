@@ -0,0 +1,61 @@
+const express = require('express');
+const swaggerUiDist = require('swagger-ui-dist');
+const openApi = require('../utils/openApi');
+
+
+class DocsController {
+  constructor() {
+    // Swagger UI se sirve desde node_modules: la CSP de helmet no permite scripts de un CDN
+    this.assets = express.static(swaggerUiDist.getAbsoluteFSPath(), { index: false });
+  }
+
+  /**
+   * OpenAPI 3 specification generated from the routes table and the validation rules
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   */
+  async getOpenApiSpec(req, res) {
+    res.json(openApi.getSpec());
+  }
+
+  /**
+   * Interactive documentation page (Swagger UI) for the OpenAPI specification
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   */
+  async getApiDocs(req, res) {
+    const base = `${req.baseUrl}/docs`;
+
+    res.type('html').send(`<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>WhatsApp API docs</title>
+  <link rel="stylesheet" href="${base}/assets/swagger-ui.css">
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="${base}/assets/swagger-ui-bundle.js"></script>
+  <script src="${base}/init.js"></script>
+</body>
+</html>`);
+  }
+
+  /**
+   * Swagger UI bootstrap script (kept out of the page because the CSP forbids inline scripts)
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   */
+  async getApiDocsScript(req, res) {
+    res.type('application/javascript').send(`window.ui = SwaggerUIBundle({
+  url: new URL('../openapi.json', document.currentScript.src).href,
+  dom_id: '#swagger-ui',
+  deepLinking: true,
+  persistAuthorization: true
+});
+`);
+  }
+}
+
+const docsController = new DocsController();
+module.exports = docsController;
@@ -0,0 +1,49 @@
+const eventStream = require('../utils/eventStream');
+const webSocketSchema = require('../conf/websocket.schema.json');
+
+
+class EventController {
+  constructor() {
+  }
+
+  /**
+   * Split a comma-separated query value
+   * @param {string} value - Query value
+   * @returns {string[]}
+   */
+  parseList(value) {
+    return value ? String(value).split(',').map(item => item.trim()).filter(Boolean) : [];
+  }
+
+  /**
+   * Server-Sent Events stream with the same events as the WebSocket.
+   * Supports ?numbers=a,b, ?events=message,ready and Last-Event-ID (header or ?lastEventId=)
+   * The stream ends with an 'unauthorized' event once the API key is revoked or expires
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   */
+  async streamEvents(req, res) {
+    // Sin límite de tiempo: la conexión dura lo que el cliente quiera
+    req.setTimeout(0);
+
+    eventStream.addClient(res, {
+      principal: req.auth,
+      numbers: eventController.parseList(req.query.numbers),
+      events: eventController.parseList(req.query.events),
+      lastEventId: req.get('Last-Event-ID') || req.query.lastEventId,
+      ip: req.ip
+    });
+  }
+
+  /**
+   * JSON Schema of the WebSocket frames (client actions, acks, errors and events)
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   */
+  async getWebSocketSchema(req, res) {
+    res.type('application/schema+json').send(JSON.stringify(webSocketSchema, null, 2));
+  }
+}
+
+const eventController = new EventController();
+module.exports = eventController;
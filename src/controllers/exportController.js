@@ -0,0 +1,187 @@
+const chatExporter = require('../utils/chatExporter');
+const requestContext = require('../utils/requestContext');
+const WhatsAppService = require('../services/services');
+const whatsappService = new WhatsAppService();
+const logger = require('../conf/logger');
+
+
+class ExportController {
+  constructor() {
+  }
+
+  /**
+   * Public view of a job, with the download link once it is ready
+   * @param {Object} job - Export job
+   * @returns {Object}
+   */
+  present(job) {
+    const view = chatExporter.toPublic(job);
+
+    if (job.status === 'completed') {
+      view.downloadUrl = chatExporter.getDownloadUrl(job);
+    }
+
+    return view;
+  }
+
+  /**
+   * Find a job visible to the caller
+   * @param {string} id - Job ID
+   * @returns {Object|null}
+   */
+  findAccessible(id) {
+    const job = chatExporter.findById(id);
+    return job && requestContext.canAccessNumber(job.number) ? job : null;
+  }
+
+  /**
+   * Queue an export of one or more chats
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   */
+  async createChatExport(req, res) {
+    const { number, chatIds, format, media } = req.body;
+
+    const job = await whatsappService.createChatExport({
+      number,
+      chatIds,
+      format,
+      media
+    }, req.auth.keyId);
+
+    res.status(202).json({
+      success: true,
+      export: job
+    });
+  }
+
+  /**
+   * List export jobs of the caller's numbers
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   */
+  async listChatExports(req, res) {
+    try {
+      const { number, status } = req.query;
+
+      const exports = chatExporter.getJobs()
+        .filter(job => requestContext.canAccessNumber(job.number))
+        .filter(job => (!number || job.number === number) && (!status || job.status === status))
+        .reverse()
+        .map(job => exportController.present(job));
+
+      res.json({
+        success: true,
+        total: exports.length,
+        exports
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Status and progress of an export job
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   */
+  async getChatExport(req, res) {
+    try {
+      const job = exportController.findAccessible(req.params.id);
+
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          error: 'Export not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        export: exportController.present(job)
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Cancel an export job or delete its files
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   */
+  async deleteChatExport(req, res) {
+    try {
+      const { id } = req.params;
+
+      if (!exportController.findAccessible(id)) {
+        return res.status(404).json({
+          success: false,
+          error: 'Export not found'
+        });
+      }
+
+      const job = chatExporter.remove(id);
+      logger.info(`Exportación ${id} eliminada por ${req.auth.keyId}`);
+
+      res.json({
+        success: true,
+        export: job
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Download an export (or one of its linked media files) with the job's expiring token.
+   * Public route: the token in the link is the credential
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   */
+  async downloadChatExport(req, res) {
+    try {
+      const { token, file } = req.query;
+      const download = chatExporter.resolveDownload(req.params.id, token, file || null);
+
+      if (!download) {
+        return res.status(404).json({
+          success: false,
+          error: 'Export not found or link expired'
+        });
+      }
+
+      if (download.contentType) {
+        res.type(download.contentType);
+      }
+
+      res.set('Cache-Control', 'private, no-store');
+      // La media enlazada se carga desde el HTML descargado, que no comparte origen con la API
+      if (file) {
+        res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+      }
+      res.download(download.filePath, download.fileName, error => {
+        if (error && !res.headersSent) {
+          res.status(500).json({ success: false, error: 'Download failed' });
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+}
+
+const exportController = new ExportController();
+module.exports = exportController;
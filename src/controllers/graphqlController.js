@@ -0,0 +1,48 @@
+const graphqlApi = require('../graphql');
+const { ValidationError } = require('../utils/asyncHandler');
+
+
+class GraphqlController {
+  constructor() {
+  }
+
+  /**
+   * Execute a GraphQL query or mutation.
+   * POST takes { query, variables, operationName } as JSON; GET takes the same fields in the query string (queries only)
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   */
+  async executeGraphql(req, res) {
+    const source = req.method === 'GET' ? req.query : req.body;
+    const variables = typeof source.variables === 'string'
+      ? graphqlController.parseVariables(source.variables)
+      : source.variables;
+
+    const { status, body } = await graphqlApi.executeHttp({
+      query: source.query,
+      variables,
+      operationName: source.operationName || null,
+      method: req.method,
+      principal: req.auth,
+      ip: req.ip
+    });
+
+    res.status(status).json(body);
+  }
+
+  /**
+   * Parse the JSON variables of a GET request
+   * @param {string} value - JSON text
+   * @returns {Object}
+   */
+  parseVariables(value) {
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      throw new ValidationError('variables must be valid JSON');
+    }
+  }
+}
+
+const graphqlController = new GraphqlController();
+module.exports = graphqlController;
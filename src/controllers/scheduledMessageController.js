@@ -0,0 +1,215 @@
+const messageScheduler = require('../utils/messageScheduler');
+const requestContext = require('../utils/requestContext');
+const { NotFoundError } = require('../utils/asyncHandler');
+const logger = require('../conf/logger');
+
+const CONTENT_FIELDS = [
+  'message', 'fileName', 'fileContent',
+  'templateId', 'templateName', 'params', 'locale', 'templateVersion',
+  'cannedResponseId', 'variables'
+];
+const SCHEDULE_FIELDS = ['sendAt', 'cron', 'timezone', 'startAt', 'endAt', 'maxRuns', 'misfireGraceMinutes'];
+
+
+class ScheduledMessageController {
+  constructor() {
+  }
+
+  /**
+   * Find a job of a number the caller can access
+   * @param {string} id - Job ID
+   * @returns {Object}
+   */
+  findAccessible(id) {
+    const job = messageScheduler.findById(id);
+
+    if (!job || !requestContext.canAccessNumber(job.number)) {
+      throw new NotFoundError('Scheduled message not found');
+    }
+
+    return job;
+  }
+
+  /**
+   * Pick the given fields from the request body
+   * @param {Object} body - Request body
+   * @param {string[]} fields - Field names
+   * @returns {Object|null} null when none of the fields was sent
+   */
+  pick(body, fields) {
+    const picked = {};
+    fields.forEach(field => {
+      if (body[field] !== undefined) picked[field] = body[field];
+    });
+    return Object.keys(picked).length > 0 ? picked : null;
+  }
+
+  /**
+   * Schedule a message: one-off with sendAt or recurring with a cron expression and time zone
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   */
+  async createScheduledMessage(req, res) {
+    const { clientId, chatId, isGroup, label } = req.body;
+
+    try {
+      const job = messageScheduler.create({
+        clientId,
+        chatId,
+        isGroup,
+        label,
+        content: scheduledMessageController.pick(req.body, CONTENT_FIELDS) || {},
+        schedule: scheduledMessageController.pick(req.body, SCHEDULE_FIELDS) || {}
+      }, req.auth.keyId);
+
+      res.status(201).json({
+        success: true,
+        scheduledMessage: job
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * List scheduled messages, soonest first
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   */
+  async listScheduledMessages(req, res) {
+    const { number, chatId, status, page, limit } = req.query;
+
+    const { scheduledMessages, pagination } = messageScheduler.list({
+      canAccess: jobNumber => requestContext.canAccessNumber(jobNumber),
+      number,
+      chatId,
+      status
+    }, {
+      page: parseInt(page, 10) || 1,
+      limit: parseInt(limit, 10) || messageScheduler.DEFAULT_PAGE_SIZE
+    });
+
+    res.json({
+      success: true,
+      scheduledMessages,
+      pagination
+    });
+  }
+
+  /**
+   * Get a scheduled message with its recent runs
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   */
+  async getScheduledMessage(req, res) {
+    const job = scheduledMessageController.findAccessible(req.params.id);
+
+    res.json({
+      success: true,
+      scheduledMessage: messageScheduler.toPublic(job, { includeHistory: true })
+    });
+  }
+
+  /**
+   * Edit a pending job: content fields replace the whole content, schedule fields are merged
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   */
+  async updateScheduledMessage(req, res) {
+    const { id } = req.params;
+    scheduledMessageController.findAccessible(id);
+
+    try {
+      const job = messageScheduler.update(id, {
+        label: req.body.label,
+        content: scheduledMessageController.pick(req.body, CONTENT_FIELDS),
+        schedule: scheduledMessageController.pick(req.body, SCHEDULE_FIELDS) || {}
+      });
+
+      res.json({
+        success: true,
+        scheduledMessage: job
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Pause a scheduled or parked job
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   */
+  async pauseScheduledMessage(req, res) {
+    const { id } = req.params;
+    scheduledMessageController.findAccessible(id);
+
+    try {
+      res.json({
+        success: true,
+        scheduledMessage: messageScheduler.pause(id)
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Resume a paused job, or retry a failed one-off
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   */
+  async resumeScheduledMessage(req, res) {
+    const { id } = req.params;
+    scheduledMessageController.findAccessible(id);
+
+    try {
+      res.json({
+        success: true,
+        scheduledMessage: messageScheduler.resume(id)
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Cancel a job; it stays listed as cancelled
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   */
+  async cancelScheduledMessage(req, res) {
+    const { id } = req.params;
+    scheduledMessageController.findAccessible(id);
+
+    try {
+      const job = messageScheduler.cancel(id);
+      logger.info(`Mensaje programado ${id} cancelado por ${req.auth.keyId}`);
+
+      res.json({
+        success: true,
+        scheduledMessage: job
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+}
+
+const scheduledMessageController = new ScheduledMessageController();
+module.exports = scheduledMessageController;
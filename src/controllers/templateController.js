@@ -0,0 +1,218 @@
+const messageTemplates = require('../utils/messageTemplates');
+const requestContext = require('../utils/requestContext');
+const { NotFoundError, ForbiddenError } = require('../utils/asyncHandler');
+const logger = require('../conf/logger');
+
+
+class TemplateController {
+  constructor() {
+  }
+
+  /**
+   * Find a template the caller can read (global ones are visible to every key)
+   * @param {string} id - Template ID
+   * @returns {Object}
+   */
+  findReadable(id) {
+    const template = messageTemplates.findById(id);
+
+    if (!template || (template.number !== messageTemplates.ALL_NUMBERS && !requestContext.canAccessNumber(template.number))) {
+      throw new NotFoundError('Template not found');
+    }
+
+    return template;
+  }
+
+  /**
+   * Find a template the caller can change: global ones need a key without number restrictions
+   * @param {string} id - Template ID
+   * @returns {Object}
+   */
+  findWritable(id) {
+    const template = templateController.findReadable(id);
+
+    if (template.number === messageTemplates.ALL_NUMBERS && requestContext.getAllowedNumbers()) {
+      throw new ForbiddenError('Una key limitada a ciertos números no puede modificar plantillas globales');
+    }
+
+    return template;
+  }
+
+  /**
+   * Create a template, global (number '*', the default) or for one client number
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   */
+  async createTemplate(req, res) {
+    const { name, number = messageTemplates.ALL_NUMBERS, description, defaultLocale, parameters, variants, media } = req.body;
+
+    if (number === messageTemplates.ALL_NUMBERS && requestContext.getAllowedNumbers()) {
+      throw new ForbiddenError('Una key limitada a ciertos números no puede crear plantillas globales');
+    }
+
+    try {
+      const template = messageTemplates.create(
+        { name, number, description, defaultLocale, parameters, variants, media },
+        req.auth.keyId
+      );
+
+      res.status(201).json({
+        success: true,
+        template
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * List templates; with number, the ones usable from that number (its own and the global ones)
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   */
+  async listTemplates(req, res) {
+    const { number, q } = req.query;
+
+    const templates = messageTemplates.list({
+      canAccess: templateNumber => requestContext.canAccessNumber(templateNumber),
+      number,
+      q
+    });
+
+    res.json({
+      success: true,
+      total: templates.length,
+      templates
+    });
+  }
+
+  /**
+   * Get a template with every version
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   */
+  async getTemplate(req, res) {
+    const template = templateController.findReadable(req.params.id);
+
+    res.json({
+      success: true,
+      template: messageTemplates.toPublic(template, { includeVersions: true })
+    });
+  }
+
+  /**
+   * Add a version to a template; it becomes the active one unless activate is false
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   */
+  async createTemplateVersion(req, res) {
+    const { id } = req.params;
+    templateController.findWritable(id);
+
+    const { defaultLocale, parameters, variants, media, description, activate = true } = req.body;
+
+    try {
+      const template = messageTemplates.addVersion(
+        id,
+        { defaultLocale, parameters, variants, media },
+        { activate, description },
+        req.auth.keyId
+      );
+
+      res.status(201).json({
+        success: true,
+        template
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Make a previous (or newer, inactive) version the one that is sent
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   */
+  async activateTemplateVersion(req, res) {
+    const { id } = req.params;
+    templateController.findWritable(id);
+
+    try {
+      const template = messageTemplates.activateVersion(id, req.body.version);
+      logger.info(`Plantilla ${id}: versión ${req.body.version} activada por ${req.auth.keyId}`);
+
+      res.json({
+        success: true,
+        template
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Delete a template with all its versions and attachments
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   */
+  async deleteTemplate(req, res) {
+    const { id } = req.params;
+    templateController.findWritable(id);
+
+    const template = messageTemplates.remove(id);
+    logger.info(`Plantilla ${id} eliminada por ${req.auth.keyId}`);
+
+    res.json({
+      success: true,
+      template
+    });
+  }
+
+  /**
+   * Render a template without sending it: validates the parameters and returns the final text
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   */
+  async previewTemplate(req, res) {
+    const template = templateController.findReadable(req.params.id);
+    const { params, locale, version, number, chatId } = req.body;
+
+    if (number && !messageTemplates.isAvailableFor(template, number)) {
+      throw new NotFoundError('Template not found');
+    }
+
+    res.json({
+      success: true,
+      preview: messageTemplates.render(template, { params, locale, version, number, chatId })
+    });
+  }
+
+  /**
+   * Store the language a contact prefers for templates sent from a client number (locale null forgets it)
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   */
+  async setContactLocale(req, res) {
+    const { number, chatId, locale } = req.body;
+    messageTemplates.setContactLocale(number, chatId, locale || null);
+
+    res.json({
+      success: true,
+      number,
+      chatId,
+      locale: locale || null
+    });
+  }
+}
+
+const templateController = new TemplateController();
+module.exports = templateController;
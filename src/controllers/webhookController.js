@@ -0,0 +1,199 @@
+const webhookManager = require('../utils/webhookManager');
+const requestContext = require('../utils/requestContext');
+const logger = require('../conf/logger');
+
+
+class WebhookController {
+  constructor() {
+  }
+
+  /**
+   * Check that the caller can see a subscription's number
+   * @param {Object} subscription - Webhook subscription
+   * @returns {boolean}
+   */
+  canAccess(subscription) {
+    if (!subscription) return false;
+    if (subscription.number === webhookManager.ALL_NUMBERS) {
+      return !requestContext.getAllowedNumbers();
+    }
+    return requestContext.canAccessNumber(subscription.number);
+  }
+
+  /**
+   * Register a webhook subscription (the secret is only returned here)
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   */
+  async createWebhook(req, res) {
+    try {
+      const { url, number, events, secret, description } = req.body;
+
+      // Suscribirse a todos los números requiere una key sin restricción de números
+      if (number === webhookManager.ALL_NUMBERS && requestContext.getAllowedNumbers()) {
+        return res.status(403).json({
+          success: false,
+          error: 'Una key limitada a ciertos números no puede suscribirse a todos'
+        });
+      }
+
+      const created = webhookManager.create({ url, number, events, secret, description }, req.auth.keyId);
+
+      res.status(201).json({
+        success: true,
+        secret: created.secret,
+        webhook: created.subscription
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * List webhook subscriptions
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   */
+  async listWebhooks(req, res) {
+    try {
+      const webhooks = webhookManager.list().filter(subscription => webhookController.canAccess(subscription));
+
+      res.json({
+        success: true,
+        total: webhooks.length,
+        events: webhookManager.EVENT_TYPES,
+        webhooks
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Delete a webhook subscription
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   */
+  async deleteWebhook(req, res) {
+    try {
+      const { id } = req.params;
+
+      if (!webhookController.canAccess(webhookManager.findById(id))) {
+        return res.status(404).json({
+          success: false,
+          error: 'Webhook not found'
+        });
+      }
+
+      const webhook = webhookManager.remove(id);
+      logger.info(`Webhook ${id} eliminado por ${req.auth.keyId}`);
+
+      res.json({
+        success: true,
+        webhook
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Delivery log of a subscription, newest first
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   */
+  async getWebhookDeliveries(req, res) {
+    try {
+      const { id } = req.params;
+      const limit = parseInt(req.query.limit, 10) || webhookManager.MAX_LOG_ENTRIES;
+
+      if (!webhookController.canAccess(webhookManager.findById(id))) {
+        return res.status(404).json({
+          success: false,
+          error: 'Webhook not found'
+        });
+      }
+
+      const deliveries = webhookManager.getDeliveries(id, limit);
+
+      res.json({
+        success: true,
+        total: deliveries.length,
+        deliveries
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * List dead-lettered deliveries
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   */
+  async listDeadLetters(req, res) {
+    try {
+      const { subscriptionId } = req.query;
+      const deadLetters = webhookManager.listDeadLetters({ subscriptionId })
+        .filter(item => webhookController.canAccess(webhookManager.findById(item.subscriptionId)));
+
+      res.json({
+        success: true,
+        total: deadLetters.length,
+        deadLetters
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Manually redeliver a dead-lettered delivery
+   * @param {Request} req - Express request object
+   * @param {Response} res - Express response object
+   */
+  async redeliverDeadLetter(req, res) {
+    try {
+      const { id } = req.params;
+      const deadLetter = webhookManager.findDeadLetter(id);
+
+      if (!deadLetter || !webhookController.canAccess(webhookManager.findById(deadLetter.subscriptionId))) {
+        return res.status(404).json({
+          success: false,
+          error: 'Dead letter not found'
+        });
+      }
+
+      const result = await webhookManager.redeliver(id);
+      logger.info(`Dead letter ${id} reenviada por ${req.auth.keyId}`);
+
+      res.json({
+        success: true,
+        delivery: result
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+}
+
+const webhookController = new WebhookController();
+module.exports = webhookController;
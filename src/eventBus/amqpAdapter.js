@@ -0,0 +1,198 @@
+// eventBus/amqpAdapter.js
+const envelopes = require('./envelope');
+const logger = require('../conf/logger');
+
+/**
+ * Adaptador AMQP 0-9-1 (RabbitMQ >= 3.8)
+ *
+ * - Exchange topic '<exchange>' con routing key '<tipo>.<número>'; publicación con confirmación del broker
+ * - Cada grupo de consumidores es una cola quorum '<exchange>.<grupo>' enlazada a los tipos pedidos
+ * - Sin ack el broker reentrega (al cerrarse el canal o con nack); pasado x-delivery-limit el mensaje va a
+ *   '<exchange>.<grupo>.dead' a través del exchange '<exchange>.dead'
+ * - Acepta una conexión amqplib ya abierta (o una compatible para pruebas) en lugar de la URL;
+ *   con URL, reconecta y vuelve a suscribir si se pierde la conexión
+ */
+class AmqpAdapter {
+    constructor({ url, connection, exchange = 'whatsapp.events', prefetch = 10, maxDeliveries = 5, reconnectDelay = 5000 } = {}) {
+        this.name = 'amqp';
+        this.url = url;
+        this.connection = connection || null;
+        this.ownsConnection = !connection;
+        this.exchange = exchange;
+        this.deadExchange = `${exchange}.dead`;
+        this.prefetch = prefetch;
+        this.maxDeliveries = maxDeliveries;
+        this.reconnectDelay = reconnectDelay;
+
+        this.publishChannel = null;
+        this.subscriptions = new Set();
+        this.closing = false;
+    }
+
+    async connect() {
+        if (!this.connection) {
+            let amqp;
+            try {
+                amqp = require('amqplib');
+            } catch (error) {
+                throw new Error('The amqp event bus adapter requires the amqplib package');
+            }
+
+            this.connection = await amqp.connect(this.url);
+            this.connection.on('error', error => logger.error(`[EventBus] AMQP: ${error.message}`));
+            this.connection.on('close', () => this.handleConnectionClose());
+        }
+
+        this.publishChannel = await this.connection.createConfirmChannel();
+        await this.publishChannel.assertExchange(this.exchange, 'topic', { durable: true });
+        await this.publishChannel.assertExchange(this.deadExchange, 'direct', { durable: true });
+    }
+
+    handleConnectionClose() {
+        if (this.closing || !this.ownsConnection) return;
+
+        logger.warn(`[EventBus] Conexión AMQP cerrada; reintentando en ${this.reconnectDelay}ms`);
+        this.connection = null;
+        this.publishChannel = null;
+
+        setTimeout(async () => {
+            try {
+                await this.connect();
+                for (const subscription of this.subscriptions) {
+                    await this.consume(subscription);
+                }
+                logger.info(`[EventBus] Conexión AMQP restablecida (${this.subscriptions.size} suscripciones)`);
+            } catch (error) {
+                logger.error(`[EventBus] Reconexión AMQP fallida: ${error.message}`);
+                this.handleConnectionClose();
+            }
+        }, this.reconnectDelay).unref?.();
+    }
+
+    publish(envelope) {
+        if (!this.publishChannel) {
+            return Promise.reject(new Error('AMQP channel not available'));
+        }
+
+        return new Promise((resolve, reject) => {
+            this.publishChannel.publish(
+                this.exchange,
+                `${envelope.type}.${envelope.number}`,
+                Buffer.from(JSON.stringify(envelope)),
+                {
+                    persistent: true,
+                    contentType: 'application/json',
+                    messageId: envelope.id,
+                    type: envelope.type,
+                    timestamp: Math.floor(Date.parse(envelope.time) / 1000)
+                },
+                error => (error ? reject(error) : resolve())
+            );
+        });
+    }
+
+    /**
+     * @param {string} group
+     * @param {Function} onDelivery - Recibe { envelope, attempt, ack, nack }
+     * @param {Object} [options]
+     * @param {string[]} [options.types] - Tipos enlazados a la cola (por defecto todos)
+     * @returns {Promise<{ close: Function }>}
+     */
+    async subscribe(group, onDelivery, { types } = {}) {
+        const subscription = { group, onDelivery, types, channel: null, consumerTag: null };
+        await this.consume(subscription);
+        this.subscriptions.add(subscription);
+
+        return {
+            close: async () => {
+                this.subscriptions.delete(subscription);
+                await subscription.channel?.close().catch(() => {});
+            }
+        };
+    }
+
+    async consume(subscription) {
+        const { group, onDelivery, types } = subscription;
+        const queue = `${this.exchange}.${group}`;
+        const deadQueue = `${queue}.dead`;
+
+        const channel = await this.connection.createChannel();
+        await channel.prefetch(this.prefetch);
+
+        await channel.assertQueue(deadQueue, { durable: true, arguments: { 'x-queue-type': 'quorum' } });
+        await channel.bindQueue(deadQueue, this.deadExchange, queue);
+
+        await channel.assertQueue(queue, {
+            durable: true,
+            arguments: {
+                'x-queue-type': 'quorum',
+                // Reentregas permitidas tras la primera entrega
+                'x-delivery-limit': Math.max(this.maxDeliveries - 1, 0),
+                'x-dead-letter-exchange': this.deadExchange,
+                'x-dead-letter-routing-key': queue
+            }
+        });
+
+        const patterns = types?.length ? types.map(type => `${type}.#`) : ['#'];
+        for (const pattern of patterns) {
+            await channel.bindQueue(queue, this.exchange, pattern);
+        }
+
+        const { consumerTag } = await channel.consume(queue, message => {
+            if (!message) return; // cola borrada o consumidor cancelado por el broker
+            this.deliver(channel, message, onDelivery, queue);
+        }, { noAck: false });
+
+        subscription.channel = channel;
+        subscription.consumerTag = consumerTag;
+    }
+
+    deliver(channel, message, onDelivery, queue) {
+        let envelope;
+        try {
+            envelope = envelopes.parse(message.content);
+        } catch (error) {
+            // Un evento ilegible nunca se podrá procesar: directo a dead letters
+            logger.error(`[EventBus] Evento inválido en ${queue}: ${error.message}`);
+            channel.nack(message, false, false);
+            return;
+        }
+
+        let settled = false;
+        const settle = () => {
+            if (settled) return false;
+            settled = true;
+            return true;
+        };
+
+        // Las colas quorum cuentan las reentregas en x-delivery-count
+        const attempt = Number(message.properties.headers?.['x-delivery-count'] || 0) + 1;
+
+        Promise.resolve(onDelivery({
+            envelope,
+            attempt,
+            ack: async () => {
+                if (settle()) channel.ack(message);
+            },
+            nack: async ({ requeue = true } = {}) => {
+                if (settle()) channel.nack(message, false, requeue);
+            }
+        })).catch(error => logger.error(`[EventBus] Error entregando ${envelope.id}:`, error));
+    }
+
+    async close() {
+        this.closing = true;
+
+        for (const subscription of this.subscriptions) {
+            await subscription.channel?.close().catch(() => {});
+        }
+        this.subscriptions.clear();
+
+        await this.publishChannel?.close().catch(() => {});
+        if (this.ownsConnection) {
+            await this.connection?.close().catch(() => {});
+        }
+    }
+}
+
+module.exports = AmqpAdapter;
@@ -0,0 +1,118 @@
+// eventBus/envelope.js
+const crypto = require('crypto');
+const os = require('os');
+
+/**
+ * Sobre común de los eventos publicados en el bus
+ *
+ * @typedef {Object} EventEnvelope
+ * @property {string} id - UUID del evento; sirve a los consumidores para descartar repeticiones
+ * @property {string} type - Tipo de evento (ver EVENT_TYPES)
+ * @property {number} version - Versión del formato del sobre y de data
+ * @property {string} source - Instancia que lo publicó
+ * @property {string} number - Número del cliente de WhatsApp
+ * @property {string} time - ISO 8601
+ * @property {Object} data - Datos del evento, sin los objetos internos de whatsapp-web.js
+ */
+
+const VERSION = 1;
+const SOURCE = `whatsapp-api/${os.hostname()}/${process.pid}`;
+
+// Campos obligatorios de data por tipo de evento
+const EVENT_TYPES = {
+    message: ['number', 'message'],
+    messageAck: ['number', 'messageId', 'ack'],
+    ready: ['number'],
+    authenticated: ['number'],
+    disconnected: ['number'],
+    auth_failure: ['number'],
+    browserCrash: ['number'],
+    qrCode: ['number', 'qr'],
+    conversationAssigned: ['number', 'chatId', 'conversation'],
+    conversationStatusChanged: ['number', 'chatId', 'conversation', 'status'],
+    campaignFinished: ['number', 'campaignId', 'status', 'report']
+};
+
+class EnvelopeError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'EnvelopeError';
+    }
+}
+
+/**
+ * Quitar _data (puede incluir media en base64) y lo que no sea serializable
+ */
+const serialize = (data) => JSON.parse(JSON.stringify(data ?? null, (key, value) => (key === '_data' ? undefined : value)));
+
+const validate = (envelope) => {
+    if (!envelope || typeof envelope !== 'object') {
+        throw new EnvelopeError('Envelope must be an object');
+    }
+
+    const required = EVENT_TYPES[envelope.type];
+    if (!required) {
+        throw new EnvelopeError(`Unknown event type: ${envelope.type}`);
+    }
+
+    ['id', 'source', 'number', 'time'].forEach(field => {
+        if (typeof envelope[field] !== 'string' || envelope[field] === '') {
+            throw new EnvelopeError(`${envelope.type}: ${field} is required`);
+        }
+    });
+
+    if (envelope.version !== VERSION) {
+        throw new EnvelopeError(`${envelope.type}: unsupported version ${envelope.version}`);
+    }
+
+    const missing = required.filter(field => envelope.data?.[field] === undefined || envelope.data[field] === null);
+    if (missing.length > 0) {
+        throw new EnvelopeError(`${envelope.type}: data.${missing.join(', data.')} required`);
+    }
+
+    return envelope;
+};
+
+/**
+ * Crear y validar el sobre de un evento
+ * @param {string} type
+ * @param {Object} data - Datos tal como los emite WhatsAppClient o WhatsAppServer
+ * @returns {EventEnvelope}
+ */
+const create = (type, data) => {
+    const payload = serialize(data) || {};
+
+    return validate({
+        id: crypto.randomUUID(),
+        type,
+        version: VERSION,
+        source: SOURCE,
+        number: payload.number !== undefined && payload.number !== null ? String(payload.number) : '',
+        time: new Date().toISOString(),
+        data: payload
+    });
+};
+
+/**
+ * Leer un sobre recibido de un broker
+ * @param {string|Buffer} raw - JSON
+ * @returns {EventEnvelope}
+ */
+const parse = (raw) => {
+    let envelope;
+    try {
+        envelope = JSON.parse(raw.toString());
+    } catch (error) {
+        throw new EnvelopeError(`Invalid JSON: ${error.message}`);
+    }
+    return validate(envelope);
+};
+
+module.exports = {
+    VERSION,
+    EVENT_TYPES,
+    EnvelopeError,
+    create,
+    parse,
+    validate
+};
@@ -0,0 +1,165 @@
+// eventBus/index.js
+const logger = require('../conf/logger');
+const config = require('../conf/config');
+const envelopes = require('./envelope');
+const MemoryAdapter = require('./memoryAdapter');
+const RedisStreamsAdapter = require('./redisStreamsAdapter');
+const AmqpAdapter = require('./amqpAdapter');
+
+/**
+ * Bus de eventos interno para otros servicios (y módulos de este proceso)
+ *
+ * - Publica los eventos de los clientes de WhatsApp como sobres tipados (ver envelope.js)
+ * - Adaptadores: memory (mismo proceso), redis (Redis Streams) y amqp (RabbitMQ), por EVENT_BUS_ADAPTER
+ * - Entrega al menos una vez: cada grupo de consumidores confirma con ack; sin ack, o si el handler
+ *   falla, el evento se reentrega hasta maxDeliveries y después pasa a dead letters.
+ *   Los consumidores deben ser idempotentes (envelope.id identifica el evento)
+ *
+ *   eventBus.subscribe('crm', async (envelope) => { ... }, { types: ['message'] });
+ */
+class EventBus {
+    constructor() {
+        this.ADAPTERS = {
+            memory: MemoryAdapter,
+            redis: RedisStreamsAdapter,
+            amqp: AmqpAdapter
+        };
+
+        this.MAX_DELIVERIES = config.eventBusMaxDeliveries;
+        this.ACK_TIMEOUT = config.eventBusAckTimeout;
+
+        this.adapter = null;
+        this.ready = null;
+        this.types = new Set(config.eventBusEvents);
+        this.subscriptions = new Set();
+    }
+
+    createAdapter(name = config.eventBusAdapter) {
+        const Adapter = this.ADAPTERS[name];
+        if (!Adapter) {
+            throw new Error(`Unknown event bus adapter: ${name} (expected ${Object.keys(this.ADAPTERS).join(', ')})`);
+        }
+
+        return new Adapter({
+            url: config.eventBusUrl,
+            stream: config.eventBusTopic,
+            exchange: config.eventBusTopic,
+            ackTimeout: this.ACK_TIMEOUT,
+            maxDeliveries: this.MAX_DELIVERIES
+        });
+    }
+
+    /**
+     * Conectar el adaptador configurado, o uno ya creado (p. ej. con un cliente de pruebas)
+     * @param {Object} [adapter] - Instancia con connect, publish, subscribe y close
+     * @returns {Promise<boolean>} false si no se pudo conectar; los eventos se descartan hasta reiniciar
+     */
+    start(adapter) {
+        if (this.ready) return this.ready;
+
+        this.ready = (async () => {
+            try {
+                this.adapter = adapter || this.createAdapter();
+                await this.adapter.connect();
+                logger.info(`[EventBus] Adaptador ${this.adapter.name} conectado`);
+                return true;
+            } catch (error) {
+                logger.error(`[EventBus] No se pudo iniciar el bus de eventos: ${error.message}`);
+                this.adapter = null;
+                return false;
+            }
+        })();
+
+        return this.ready;
+    }
+
+    /**
+     * Publicar un evento de un cliente de WhatsApp
+     * @param {string} eventType - Tipo de evento
+     * @param {Object} data - Datos (con number)
+     * @returns {Promise<EventEnvelope|null>} Sobre publicado, o null si el tipo no se publica en el bus
+     */
+    async publish(eventType, data) {
+        if (!this.ready || !this.types.has(eventType)) return null;
+        if (!(await this.ready)) return null;
+
+        const envelope = envelopes.create(eventType, data);
+        await this.adapter.publish(envelope);
+        return envelope;
+    }
+
+    /**
+     * Consumir eventos como parte de un grupo: cada grupo recibe todos los eventos y los
+     * consumidores de un mismo grupo se los reparten
+     * @param {string} group - Nombre del grupo (estable entre reinicios para no perder eventos)
+     * @param {Function} handler - (envelope, delivery) => Promise; si rechaza, el evento se reentrega
+     * @param {Object} [options]
+     * @param {string[]} [options.types] - Tipos de evento a recibir (por defecto todos)
+     * @param {boolean} [options.autoAck] - Confirmar al resolver el handler (true); con false el handler
+     *   llama a delivery.ack() o delivery.nack({ requeue }) por su cuenta
+     * @returns {Promise<{ close: Function }>}
+     */
+    async subscribe(group, handler, { types, autoAck = true } = {}) {
+        if (!/^[\w.-]{1,100}$/.test(group || '')) {
+            throw new Error('Group name must be 1-100 letters, digits, dots, dashes or underscores');
+        }
+
+        const unknown = (types || []).filter(type => !envelopes.EVENT_TYPES[type]);
+        if (unknown.length > 0) {
+            throw new Error(`Unknown event types: ${unknown.join(', ')}`);
+        }
+
+        if (!(await this.start())) {
+            throw new Error('Event bus is not available');
+        }
+
+        const typeFilter = types?.length ? new Set(types) : null;
+
+        const subscription = await this.adapter.subscribe(group, async (delivery) => {
+            const { envelope, attempt } = delivery;
+
+            // Los adaptadores sin filtro en el broker entregan todos los tipos
+            if (typeFilter && !typeFilter.has(envelope.type)) {
+                await delivery.ack();
+                return;
+            }
+
+            try {
+                await handler(envelope, delivery);
+                if (autoAck) {
+                    await delivery.ack();
+                }
+            } catch (error) {
+                const requeue = attempt < this.MAX_DELIVERIES;
+                logger.error(`[EventBus] Error en ${group} procesando ${envelope.type} ${envelope.id} (intento ${attempt}${requeue ? '' : ', a dead letters'}):`, error);
+                await delivery.nack({ requeue });
+            }
+        }, { types });
+
+        this.subscriptions.add(subscription);
+
+        return {
+            close: async () => {
+                this.subscriptions.delete(subscription);
+                await subscription.close();
+            }
+        };
+    }
+
+    async close() {
+        if (!this.ready) return;
+
+        const started = await this.ready;
+        this.ready = null;
+        if (!started) return;
+
+        await Promise.all([...this.subscriptions].map(subscription => subscription.close().catch(() => {})));
+        this.subscriptions.clear();
+
+        await this.adapter.close();
+        this.adapter = null;
+        logger.info('[EventBus] Bus de eventos cerrado');
+    }
+}
+
+module.exports = new EventBus();
@@ -0,0 +1,159 @@
+// eventBus/memoryAdapter.js
+const logger = require('../conf/logger');
+
+/**
+ * Adaptador en memoria: consumidores del mismo proceso
+ *
+ * Mismo contrato que los adaptadores de broker, así sirve también como doble en pruebas:
+ * - Cada grupo recibe su copia de cada evento; dentro del grupo los consumidores se reparten los eventos
+ * - Un evento sin ack en ackTimeout ms se vuelve a entregar, hasta maxDeliveries; después,
+ *   o con nack({ requeue: false }), pasa a deadLetters
+ * - Los eventos publicados antes de que exista un grupo no le llegan (como una cola o un grupo nuevos en un broker)
+ */
+class MemoryAdapter {
+    constructor({ ackTimeout = 30000, maxDeliveries = 5, prefetch = 10, maxQueueLength = 10000, maxDeadLetters = 1000 } = {}) {
+        this.name = 'memory';
+        this.ackTimeout = ackTimeout;
+        this.maxDeliveries = maxDeliveries;
+        this.prefetch = prefetch;
+        this.maxQueueLength = maxQueueLength;
+        this.maxDeadLetters = maxDeadLetters;
+
+        this.groups = new Map();
+        this.deadLetters = [];
+    }
+
+    async connect() {}
+
+    async publish(envelope) {
+        this.groups.forEach((group, name) => {
+            if (group.queue.length >= this.maxQueueLength) {
+                // Sin consumidores que vacíen la cola se descarta lo más antiguo
+                const dropped = group.queue.shift();
+                logger.warn(`[EventBus] Cola del grupo ${name} llena: descartado ${dropped.envelope.type} ${dropped.envelope.id}`);
+            }
+            group.queue.push({ envelope, attempt: 0 });
+            this.schedule(group);
+        });
+    }
+
+    /**
+     * @param {string} groupName
+     * @param {Function} onDelivery - Recibe { envelope, attempt, ack, nack }
+     * @returns {Promise<{ close: Function }>}
+     */
+    async subscribe(groupName, onDelivery) {
+        if (!this.groups.has(groupName)) {
+            this.groups.set(groupName, { name: groupName, queue: [], consumers: [], next: 0, scheduled: false });
+        }
+
+        const group = this.groups.get(groupName);
+        const consumer = { onDelivery, inFlight: new Map() };
+        group.consumers.push(consumer);
+        this.schedule(group);
+
+        return {
+            close: async () => {
+                group.consumers = group.consumers.filter(other => other !== consumer);
+                // Lo que tenía sin confirmar vuelve a la cola para el resto del grupo
+                consumer.inFlight.forEach(({ entry, timer }) => {
+                    clearTimeout(timer);
+                    group.queue.unshift(entry);
+                });
+                consumer.inFlight.clear();
+                this.schedule(group);
+            }
+        };
+    }
+
+    schedule(group) {
+        if (group.scheduled) return;
+        group.scheduled = true;
+
+        setImmediate(() => {
+            group.scheduled = false;
+            this.pump(group);
+        });
+    }
+
+    pump(group) {
+        while (group.queue.length > 0) {
+            const consumer = this.pickConsumer(group);
+            if (!consumer) return;
+            this.deliver(group, consumer, group.queue.shift());
+        }
+    }
+
+    // Reparto por turnos entre los consumidores con hueco
+    pickConsumer(group) {
+        for (let i = 0; i < group.consumers.length; i++) {
+            const consumer = group.consumers[(group.next + i) % group.consumers.length];
+            if (consumer.inFlight.size < this.prefetch) {
+                group.next = (group.next + i + 1) % group.consumers.length;
+                return consumer;
+            }
+        }
+        return null;
+    }
+
+    deliver(group, consumer, entry) {
+        entry.attempt += 1;
+        const key = `${entry.envelope.id}:${entry.attempt}`;
+        let settled = false;
+
+        const settle = () => {
+            if (settled) return false;
+            settled = true;
+            clearTimeout(consumer.inFlight.get(key)?.timer);
+            consumer.inFlight.delete(key);
+            this.schedule(group);
+            return true;
+        };
+
+        const timer = setTimeout(() => {
+            if (!settle()) return;
+            if (entry.attempt >= this.maxDeliveries) {
+                this.addDeadLetter(group.name, entry);
+                return;
+            }
+            logger.warn(`[EventBus] Sin ack en ${this.ackTimeout}ms: ${entry.envelope.type} ${entry.envelope.id} vuelve a la cola de ${group.name}`);
+            group.queue.unshift(entry);
+        }, this.ackTimeout);
+        timer.unref?.();
+
+        consumer.inFlight.set(key, { entry, timer });
+
+        consumer.onDelivery({
+            envelope: entry.envelope,
+            attempt: entry.attempt,
+            ack: async () => {
+                settle();
+            },
+            nack: async ({ requeue = true } = {}) => {
+                if (!settle()) return;
+                if (requeue) {
+                    group.queue.push(entry);
+                } else {
+                    this.addDeadLetter(group.name, entry);
+                }
+            }
+        });
+    }
+
+    addDeadLetter(groupName, entry) {
+        logger.warn(`[EventBus] ${entry.envelope.type} ${entry.envelope.id} del grupo ${groupName} movido a dead letters tras ${entry.attempt} intentos`);
+        this.deadLetters.push({ group: groupName, envelope: entry.envelope, attempts: entry.attempt, deadAt: new Date().toISOString() });
+        if (this.deadLetters.length > this.maxDeadLetters) {
+            this.deadLetters.shift();
+        }
+    }
+
+    async close() {
+        this.groups.forEach(group => {
+            group.consumers.forEach(consumer => consumer.inFlight.forEach(({ timer }) => clearTimeout(timer)));
+        });
+        this.groups.clear();
+    }
+}
+
+module.exports = MemoryAdapter;
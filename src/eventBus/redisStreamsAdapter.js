@@ -0,0 +1,242 @@
+// eventBus/redisStreamsAdapter.js
+const crypto = require('crypto');
+const os = require('os');
+const envelopes = require('./envelope');
+const logger = require('../conf/logger');
+
+/**
+ * Adaptador Redis Streams (Redis >= 6.2)
+ *
+ * - Un stream con todos los eventos (XADD con MAXLEN aproximado); cada grupo de consumidores es un consumer group
+ * - Las entregas sin XACK quedan en la PEL del grupo: pasado ackTimeout se reclaman con XCLAIM y se reentregan,
+ *   también las de un consumidor que murió; al superar maxDeliveries pasan al stream '<stream>:dead'
+ * - Acepta un cliente ioredis ya creado (o uno compatible para pruebas) en lugar de la URL
+ */
+class RedisStreamsAdapter {
+    constructor({
+        url,
+        client,
+        stream = 'whatsapp.events',
+        maxLength = 100000,
+        ackTimeout = 30000,
+        maxDeliveries = 5,
+        blockMs = 5000,
+        batchSize = 10,
+        consumerName = `${os.hostname()}-${process.pid}-${crypto.randomBytes(3).toString('hex')}`
+    } = {}) {
+        this.name = 'redis';
+        this.url = url;
+        this.client = client || null;
+        this.ownsClient = !client;
+        this.stream = stream;
+        this.deadStream = `${stream}:dead`;
+        this.maxLength = maxLength;
+        this.ackTimeout = ackTimeout;
+        this.maxDeliveries = maxDeliveries;
+        this.blockMs = blockMs;
+        this.batchSize = batchSize;
+        this.consumerName = consumerName;
+
+        this.subscriptions = new Set();
+    }
+
+    async connect() {
+        if (this.client) return;
+
+        let Redis;
+        try {
+            Redis = require('ioredis');
+        } catch (error) {
+            throw new Error('The redis event bus adapter requires the ioredis package');
+        }
+
+        // maxRetriesPerRequest: null → los comandos esperan a que vuelva la conexión en lugar de fallar
+        this.client = new Redis(this.url, { lazyConnect: true, maxRetriesPerRequest: null });
+        this.client.on('error', error => logger.error(`[EventBus] Redis: ${error.message}`));
+        await this.client.connect();
+    }
+
+    async publish(envelope) {
+        await this.client.xadd(
+            this.stream,
+            'MAXLEN', '~', this.maxLength,
+            '*',
+            'type', envelope.type,
+            'envelope', JSON.stringify(envelope)
+        );
+    }
+
+    /**
+     * @param {string} group
+     * @param {Function} onDelivery - Recibe { envelope, attempt, ack, nack }
+     * @returns {Promise<{ close: Function }>}
+     */
+    async subscribe(group, onDelivery) {
+        try {
+            // '$': el grupo nuevo empieza por los eventos que se publiquen a partir de ahora
+            await this.client.xgroup('CREATE', this.stream, group, '$', 'MKSTREAM');
+        } catch (error) {
+            if (!String(error.message).includes('BUSYGROUP')) throw error;
+        }
+
+        // XREADGROUP con BLOCK ocupa la conexión: cada suscripción usa la suya
+        const reader = this.client.duplicate();
+        const subscription = { group, onDelivery, reader, active: true, inFlight: new Set(), lastReclaim: 0 };
+        this.subscriptions.add(subscription);
+
+        this.readLoop(subscription).catch(error => {
+            logger.error(`[EventBus] Lectura del grupo ${group} detenida:`, error);
+        });
+
+        return {
+            close: async () => {
+                subscription.active = false;
+                this.subscriptions.delete(subscription);
+                reader.disconnect();
+            }
+        };
+    }
+
+    async readLoop(subscription) {
+        const { group, reader } = subscription;
+
+        // Tras un reinicio con el mismo nombre de consumidor: primero lo que quedó pendiente
+        let cursor = '0';
+
+        while (subscription.active) {
+            try {
+                await this.reclaim(subscription);
+
+                const result = await reader.xreadgroup(
+                    'GROUP', group, this.consumerName,
+                    'COUNT', this.batchSize,
+                    ...(cursor === '>' ? ['BLOCK', this.blockMs] : []),
+                    'STREAMS', this.stream, cursor
+                );
+
+                const entries = result?.[0]?.[1] || [];
+                if (cursor === '0' && entries.length === 0) {
+                    cursor = '>';
+                }
+
+                for (const [id, fields] of entries) {
+                    // En la relectura de pendientes un id ya confirmado llega sin campos
+                    if (!fields) continue;
+                    await this.deliver(subscription, id, fields, cursor === '0' ? 2 : 1);
+                }
+
+                if (cursor === '0' && entries.length > 0) {
+                    cursor = entries[entries.length - 1][0];
+                }
+            } catch (error) {
+                if (!subscription.active) return;
+                logger.error(`[EventBus] Error leyendo ${this.stream} (${group}): ${error.message}`);
+                await new Promise(resolve => setTimeout(resolve, 1000));
+            }
+        }
+    }
+
+    /**
+     * Reclamar entregas sin ack de más de ackTimeout ms (de este consumidor o de otro que murió)
+     */
+    async reclaim(subscription) {
+        const now = Date.now();
+        if (now - subscription.lastReclaim < Math.min(this.ackTimeout, 5000)) return;
+        subscription.lastReclaim = now;
+
+        const { group } = subscription;
+        const pending = await this.client.xpending(this.stream, group, 'IDLE', this.ackTimeout, '-', '+', this.batchSize);
+
+        for (const [id, , , deliveries] of pending) {
+            if (subscription.inFlight.has(id)) continue;
+
+            if (deliveries >= this.maxDeliveries) {
+                const [entry] = await this.client.xrange(this.stream, id, id);
+                await this.deadLetter(group, id, entry?.[1], deliveries);
+                continue;
+            }
+
+            const claimed = await this.client.xclaim(this.stream, group, this.consumerName, this.ackTimeout, id);
+            for (const [claimedId, fields] of claimed) {
+                if (fields) {
+                    await this.deliver(subscription, claimedId, fields, deliveries + 1);
+                }
+            }
+        }
+    }
+
+    async deliver(subscription, id, fields, attempt) {
+        const { group, onDelivery } = subscription;
+        const raw = this.getField(fields, 'envelope');
+
+        let envelope;
+        try {
+            envelope = envelopes.parse(raw);
+        } catch (error) {
+            // Un evento ilegible nunca se podrá procesar: directo a dead letters
+            logger.error(`[EventBus] Evento ${id} inválido en ${this.stream}: ${error.message}`);
+            await this.deadLetter(group, id, fields, attempt);
+            return;
+        }
+
+        subscription.inFlight.add(id);
+        let settled = false;
+        const settle = () => {
+            if (settled) return false;
+            settled = true;
+            subscription.inFlight.delete(id);
+            return true;
+        };
+
+        await onDelivery({
+            envelope,
+            attempt,
+            ack: async () => {
+                if (!settle()) return;
+                await this.client.xack(this.stream, group, id);
+            },
+            nack: async ({ requeue = true } = {}) => {
+                if (!settle()) return;
+                // Sin XACK sigue en la PEL: se reentrega al reclamarla pasado ackTimeout
+                if (!requeue) {
+                    await this.deadLetter(group, id, fields, attempt);
+                }
+            }
+        });
+    }
+
+    async deadLetter(group, id, fields, attempts) {
+        await this.client.xadd(
+            this.deadStream,
+            'MAXLEN', '~', this.maxLength,
+            '*',
+            'group', group,
+            'id', id,
+            'attempts', String(attempts),
+            'envelope', this.getField(fields, 'envelope') || ''
+        );
+        await this.client.xack(this.stream, group, id);
+        logger.warn(`[EventBus] Evento ${id} del grupo ${group} movido a ${this.deadStream} tras ${attempts} intentos`);
+    }
+
+    // ioredis devuelve los campos como lista plana [campo, valor, ...]
+    getField(fields, name) {
+        if (!Array.isArray(fields)) return null;
+        const index = fields.indexOf(name);
+        return index >= 0 && index % 2 === 0 ? fields[index + 1] : null;
+    }
+
+    async close() {
+        this.subscriptions.forEach(subscription => {
+            subscription.active = false;
+            subscription.reader.disconnect();
+        });
+        this.subscriptions.clear();
+
+        if (this.client && this.ownsClient) {
+            await this.client.quit().catch(() => this.client.disconnect());
+        }
+    }
+}
+
+module.exports = RedisStreamsAdapter;
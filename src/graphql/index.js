@@ -0,0 +1,324 @@
+// graphql/index.js
+const WebSocket = require('ws');
+const { useServer } = require('graphql-ws/use/ws');
+const {
+    buildSchema,
+    parse,
+    validate,
+    execute,
+    subscribe,
+    specifiedRules,
+    getOperationAST,
+    getNamedType,
+    isListType,
+    getNullableType,
+    GraphQLError,
+    Kind
+} = require('graphql');
+const typeDefs = require('./typeDefs');
+const resolvers = require('./resolvers');
+const requestContext = require('../utils/requestContext');
+const apiKeyStore = require('../utils/apiKeyStore');
+const logger = require('../conf/logger');
+
+/**
+ * API GraphQL: consultas y mutaciones por HTTP (POST/GET /api/graphql),
+ * suscripciones (y también consultas) por WebSocket en /graphql con graphql-transport-ws
+ */
+class GraphQLApi {
+    constructor() {
+        this.MAX_DEPTH = 8;
+
+        // Coste estimado de una operación: cada campo con selección cuenta 1 y multiplica lo de dentro
+        // por los elementos que puede devolver (first/limit, o DEFAULT_LIST_SIZE en listas sin argumento);
+        // los campos que llaman al navegador o al almacén por cada chat suman además su coste propio
+        this.MAX_COST = 1000;
+        this.DEFAULT_LIST_SIZE = 50;
+        this.MAX_LIST_SIZE = 200;
+        // Listas sin argumento de tamaño que suelen ser mucho más cortas que DEFAULT_LIST_SIZE
+        this.LIST_SIZES = {
+            'Query.accounts': 10
+        };
+        this.FIELD_COSTS = {
+            'Chat.profilePicUrl': 5,
+            'Contact.profilePicUrl': 5,
+            'Chat.participants': 5,
+            'Chat.participantCount': 5,
+            'Chat.lastMessage': 2,
+            'Chat.messages': 2
+        };
+
+        // Errores de servicio que se muestran al cliente (el resto se enmascara, como en asyncHandler)
+        this.ERROR_CODES = {
+            ValidationError: 'BAD_USER_INPUT',
+            NotFoundError: 'NOT_FOUND',
+            ForbiddenError: 'FORBIDDEN'
+        };
+
+        this.schema = this.buildSchema();
+        this.rules = [...specifiedRules, this.createDepthLimitRule(), this.createCostLimitRule()];
+    }
+
+    /**
+     * Construir el esquema desde el SDL y asignar los resolvers de cada campo
+     */
+    buildSchema() {
+        const schema = buildSchema(typeDefs);
+
+        Object.entries(resolvers).forEach(([typeName, fields]) => {
+            const typeFields = schema.getType(typeName).getFields();
+
+            Object.entries(fields).forEach(([fieldName, resolver]) => {
+                if (typeof resolver === 'function') {
+                    typeFields[fieldName].resolve = resolver;
+                } else {
+                    // Suscripciones: { subscribe, resolve }
+                    Object.assign(typeFields[fieldName], resolver);
+                }
+            });
+        });
+
+        return schema;
+    }
+
+    /**
+     * Regla de validación que limita la profundidad de anidamiento (fragmentos incluidos)
+     */
+    createDepthLimitRule() {
+        const maxDepth = this.MAX_DEPTH;
+
+        return (context) => {
+            const fragments = {};
+            context.getDocument().definitions
+                .filter(definition => definition.kind === Kind.FRAGMENT_DEFINITION)
+                .forEach(definition => { fragments[definition.name.value] = definition; });
+
+            const measure = (selectionSet, depth, visited) => Math.max(depth, ...selectionSet.selections.map(selection => {
+                if (selection.kind === Kind.FIELD) {
+                    return selection.selectionSet ? measure(selection.selectionSet, depth + 1, visited) : depth;
+                }
+                if (selection.kind === Kind.INLINE_FRAGMENT) {
+                    return measure(selection.selectionSet, depth, visited);
+                }
+
+                const name = selection.name.value;
+                if (visited.has(name) || !fragments[name]) return depth;
+                return measure(fragments[name].selectionSet, depth, new Set([...visited, name]));
+            }));
+
+            return {
+                OperationDefinition(node) {
+                    const depth = measure(node.selectionSet, 0, new Set());
+                    if (depth > maxDepth) {
+                        context.reportError(new GraphQLError(`Query too deep: ${depth} levels (max ${maxDepth})`, { nodes: [node] }));
+                    }
+                }
+            };
+        };
+    }
+
+    /**
+     * Regla de validación que limita el coste estimado de la operación (ver MAX_COST)
+     */
+    createCostLimitRule() {
+        const { MAX_COST, DEFAULT_LIST_SIZE, MAX_LIST_SIZE, LIST_SIZES, FIELD_COSTS } = this;
+
+        return (context) => {
+            const schema = context.getSchema();
+            const fragments = {};
+            context.getDocument().definitions
+                .filter(definition => definition.kind === Kind.FRAGMENT_DEFINITION)
+                .forEach(definition => { fragments[definition.name.value] = definition; });
+
+            // first/limit de un campo paginado (literal, valor por defecto o el máximo si es variable)
+            const pageSize = (selection, sizeArg, variableDefaults) => {
+                const node = selection.arguments.find(arg => arg.name.value === sizeArg.name)?.value;
+                let size = sizeArg.defaultValue ?? MAX_LIST_SIZE;
+                if (node?.kind === Kind.INT) {
+                    size = parseInt(node.value, 10);
+                } else if (node?.kind === Kind.VARIABLE) {
+                    size = variableDefaults[node.name.value] ?? MAX_LIST_SIZE;
+                }
+                return Math.min(Math.max(size, 1), MAX_LIST_SIZE);
+            };
+
+            // inPage: dentro de una página ya contada (ChatPage.chats, MessagePage.messages...) la lista no multiplica otra vez
+            const measure = (selectionSet, type, variableDefaults, visited, inPage = false) => selectionSet.selections.reduce((total, selection) => {
+                if (selection.kind === Kind.INLINE_FRAGMENT) {
+                    const fragmentType = selection.typeCondition ? schema.getType(selection.typeCondition.name.value) : type;
+                    return total + measure(selection.selectionSet, fragmentType || type, variableDefaults, visited, inPage);
+                }
+
+                if (selection.kind === Kind.FRAGMENT_SPREAD) {
+                    const name = selection.name.value;
+                    const fragment = fragments[name];
+                    if (visited.has(name) || !fragment) return total;
+                    const fragmentType = schema.getType(fragment.typeCondition.name.value) || type;
+                    return total + measure(fragment.selectionSet, fragmentType, variableDefaults, new Set([...visited, name]), inPage);
+                }
+
+                const fieldDef = type?.getFields?.()[selection.name.value];
+                if (!fieldDef) return total;
+
+                const ownCost = FIELD_COSTS[`${type.name}.${fieldDef.name}`] || 0;
+                if (!selection.selectionSet) return total + ownCost;
+
+                const childType = getNamedType(fieldDef.type);
+                const sizeArg = fieldDef.args.find(arg => arg.name === 'first' || arg.name === 'limit');
+                if (sizeArg) {
+                    const childCost = measure(selection.selectionSet, childType, variableDefaults, visited, true);
+                    return total + ownCost + 1 + pageSize(selection, sizeArg, variableDefaults) * childCost;
+                }
+
+                const items = isListType(getNullableType(fieldDef.type)) && !inPage
+                    ? LIST_SIZES[`${type.name}.${fieldDef.name}`] || DEFAULT_LIST_SIZE
+                    : 1;
+                return total + ownCost + 1 + items * measure(selection.selectionSet, childType, variableDefaults, visited);
+            }, 0);
+
+            return {
+                OperationDefinition(node) {
+                    const rootType = schema.getRootType(node.operation);
+                    if (!rootType) return;
+
+                    const variableDefaults = {};
+                    (node.variableDefinitions || [])
+                        .filter(definition => definition.defaultValue?.kind === Kind.INT)
+                        .forEach(definition => {
+                            variableDefaults[definition.variable.name.value] = parseInt(definition.defaultValue.value, 10);
+                        });
+
+                    const cost = measure(node.selectionSet, rootType, variableDefaults, new Set());
+                    if (cost > MAX_COST) {
+                        context.reportError(new GraphQLError(`Query too expensive: estimated cost ${cost} (max ${MAX_COST}); request fewer items or fields`, { nodes: [node] }));
+                    }
+                }
+            };
+        };
+    }
+
+    formatError(error) {
+        const original = error.originalError;
+        if (!original || original instanceof GraphQLError) {
+            return error;
+        }
+
+        const code = this.ERROR_CODES[original.name];
+        if (code) {
+            return new GraphQLError(original.message, { nodes: error.nodes, path: error.path, extensions: { code } });
+        }
+
+        logger.error(`[GraphQL] Error en ${error.path?.join('.') || 'operación'}:`, original);
+        return new GraphQLError('Internal server error', {
+            nodes: error.nodes,
+            path: error.path,
+            extensions: { code: 'INTERNAL_SERVER_ERROR' }
+        });
+    }
+
+    formatResult(result) {
+        return result.errors
+            ? { ...result, errors: result.errors.map(error => this.formatError(error)) }
+            : result;
+    }
+
+    /**
+     * Ejecutar una operación recibida por HTTP
+     * @param {Object} params
+     * @param {string} params.query - Documento GraphQL
+     * @param {Object} [params.variables]
+     * @param {string} [params.operationName]
+     * @param {string} params.method - GET o POST (GET solo admite consultas)
+     * @param {Object} params.principal - API key autenticada
+     * @param {string} [params.ip]
+     * @returns {Promise<{ status: number, body: Object }>}
+     */
+    async executeHttp({ query, variables, operationName, method, principal, ip }) {
+        const fail = (status, message) => ({ status, body: { errors: [new GraphQLError(message)] } });
+
+        let document;
+        try {
+            document = parse(query);
+        } catch (error) {
+            return { status: 400, body: { errors: [error] } };
+        }
+
+        const errors = validate(this.schema, document, this.rules);
+        if (errors.length > 0) {
+            return { status: 400, body: { errors } };
+        }
+
+        const operation = getOperationAST(document, operationName);
+        if (!operation) {
+            return fail(400, 'Operation not found; provide a valid operationName');
+        }
+        if (operation.operation === 'subscription') {
+            return fail(400, 'Subscriptions are only available over WebSocket at /graphql');
+        }
+        if (operation.operation === 'mutation' && method === 'GET') {
+            return fail(405, 'Mutations require POST');
+        }
+
+        const result = await requestContext.run(principal, () => execute({
+            schema: this.schema,
+            document,
+            variableValues: variables,
+            operationName,
+            contextValue: { principal, ip }
+        }));
+
+        return { status: 200, body: this.formatResult(result) };
+    }
+
+    /**
+     * Ejecutar una operación del socket, comprobando que la key sigue vigente
+     */
+    runOnSocket(args, operation) {
+        const { principal } = args.contextValue;
+
+        if (!apiKeyStore.isPrincipalActive(principal)) {
+            return { errors: [new GraphQLError('API key revoked or expired', { extensions: { code: 'UNAUTHENTICATED' } })] };
+        }
+        return requestContext.run(principal, () => operation(args));
+    }
+
+    /**
+     * Cerrar el socket con 4401 si la key se revocó o expiró mientras tenía suscripciones abiertas
+     * @returns {boolean} true si se cerró
+     */
+    closeIfRevoked(socket) {
+        if (socket.readyState !== WebSocket.OPEN || apiKeyStore.isPrincipalActive(socket.auth)) return false;
+
+        logger.info(`[GraphQL] Cerrando socket (key ${socket.auth?.keyId}): API key revocada o expirada`);
+        socket.close(4401, 'API key revoked or expired');
+        return true;
+    }
+
+    /**
+     * Servidor WebSocket graphql-transport-ws (el upgrade y la autenticación los hace index.js)
+     * @returns {WebSocket.Server}
+     */
+    createWebSocketServer() {
+        const wss = new WebSocket.Server({ noServer: true });
+
+        useServer({
+            schema: this.schema,
+            context: ({ extra }) => ({
+                principal: extra.socket.auth,
+                ip: extra.request.socket.remoteAddress
+            }),
+            validate: (schema, document) => validate(schema, document, this.rules),
+            execute: args => this.runOnSocket(args, execute),
+            subscribe: args => this.runOnSocket(args, subscribe),
+            onNext: (ctx, id, payload, args, result) => {
+                // Tras close() el socket ya no está OPEN y graphql-ws descarta el evento
+                this.closeIfRevoked(ctx.extra.socket);
+                return this.formatResult(result);
+            }
+        }, wss);
+
+        return wss;
+    }
+}
+
+module.exports = new GraphQLApi();
@@ -0,0 +1,451 @@
+// graphql/resolvers.js
+const { GraphQLError } = require('graphql');
+const WhatsAppService = require('../services/services');
+const WhatsAppClient = require('../lib/whatsapp');
+const chatCache = require('../utils/chatCache');
+const apiKeyStore = require('../utils/apiKeyStore');
+const requestContext = require('../utils/requestContext');
+const socketRpc = require('../routes/socketRpc');
+const logger = require('../conf/logger');
+
+const whatsappService = new WhatsAppService();
+
+const MAX_PAGE_SIZE = 200;
+const MAX_QUEUED_EVENTS = 100;
+// Llamadas al navegador simultáneas por operación (foto de perfil, participantes de grupos)
+const MAX_BROWSER_CALLS = 4;
+
+// Status HTTP de la ruta REST → código de error GraphQL
+const STATUS_CODES = {
+    400: 'BAD_USER_INPUT',
+    401: 'UNAUTHENTICATED',
+    403: 'FORBIDDEN',
+    404: 'NOT_FOUND',
+    429: 'TOO_MANY_REQUESTS'
+};
+
+const forbidden = (message) => new GraphQLError(message, { extensions: { code: 'FORBIDDEN' } });
+
+/**
+ * Mismo control que una ruta REST del grupo: scope de la key y acceso al número
+ */
+const authorize = ({ principal }, scope, number = null) => {
+    if (!apiKeyStore.hasScope(principal, scope)) {
+        throw forbidden(`Scope requerido: ${scope}`);
+    }
+    if (number !== null && !requestContext.canAccessNumber(number, principal)) {
+        throw forbidden(`Sin acceso al número: ${number}`);
+    }
+};
+
+const paginate = (items, first, offset) => {
+    const size = Math.min(Math.max(first, 1), MAX_PAGE_SIZE);
+    const start = Math.max(offset, 0);
+
+    return {
+        items: items.slice(start, start + size),
+        total: items.length,
+        hasMore: start + size < items.length
+    };
+};
+
+/**
+ * Ejecutar una llamada al navegador con como mucho MAX_BROWSER_CALLS a la vez por operación:
+ * una lista de chats no lanza cientos de llamadas en paralelo
+ */
+const browserCall = (context, call) => {
+    const queue = context.browserQueue || (context.browserQueue = { active: 0, waiting: [] });
+
+    return new Promise((resolve, reject) => {
+        const run = () => {
+            queue.active++;
+            Promise.resolve()
+                .then(call)
+                .then(resolve, reject)
+                .finally(() => {
+                    queue.active--;
+                    const next = queue.waiting.shift();
+                    if (next) next();
+                });
+        };
+
+        if (queue.active < MAX_BROWSER_CALLS) {
+            run();
+        } else {
+            queue.waiting.push(run);
+        }
+    });
+};
+
+/**
+ * Asegurar la caché de chats del cliente (se carga al quedar listo; si no, ahora)
+ */
+const ensureChatCache = async (number) => {
+    const client = await whatsappService.getClientById(number);
+
+    if (!chatCache.isCacheReady(number)) {
+        await chatCache.initializeCache(number, await client.getChats());
+    }
+    return client;
+};
+
+const listChats = async (number, { unreadOnly, groupsOnly, first, offset }) => {
+    await ensureChatCache(number);
+
+    const source = unreadOnly ? chatCache.getUnreadChats(number) : chatCache.getAllChats(number);
+    const chats = source
+        .filter(chat => !groupsOnly || chat.isGroup)
+        .map(chat => ({ ...chat, number }));
+    const page = paginate(chats, first, offset);
+
+    return { chats: page.items, total: page.total, hasMore: page.hasMore };
+};
+
+const listContacts = async (number, { search, first, offset }) => {
+    const term = search ? search.toLowerCase() : null;
+    const contacts = (await whatsappService.getClientContacts(number))
+        .filter(contact => !term ||
+            String(contact.name || '').toLowerCase().includes(term) ||
+            String(contact.phone_number || '').includes(term))
+        .map(contact => ({
+            id: contact.id,
+            number,
+            phoneNumber: contact.phone_number,
+            name: contact.name,
+            profilePicUrl: contact.profilePicUrl || null
+        }));
+    const page = paginate(contacts, first, offset);
+
+    return { contacts: page.items, total: page.total, hasMore: page.hasMore };
+};
+
+const toAccount = (account) => ({
+    number: account.number,
+    displayName: account.display_name,
+    phoneNumber: account.phone_number,
+    serialized: account.serialized,
+    server: account.server,
+    status: account.status,
+    lastSeen: account.last_seen
+});
+
+const getMessages = async (number, chatId, { limit, before, beforeId, importIfEmpty = true }) => {
+    const history = await whatsappService.getChatHistory(number, chatId, { limit, before, beforeId, importIfEmpty });
+
+    return {
+        ...history,
+        messages: history.messages.map(message => ({ ...message, chatId }))
+    };
+};
+
+/**
+ * Ejecutar una mutación por la cadena de su ruta REST (validación, tenencia y auditoría incluidas)
+ */
+const callRest = async (context, method, params) => {
+    const { status, body } = await socketRpc.call(context.principal, method, params, { ip: context.ip, via: 'graphql' });
+
+    if (status >= 400) {
+        throw new GraphQLError(body?.error || body?.message || 'Request failed', {
+            extensions: {
+                code: STATUS_CODES[status] || 'INTERNAL_SERVER_ERROR',
+                status,
+                ...(body?.errors ? { errors: body.errors } : {})
+            }
+        });
+    }
+
+    return body;
+};
+
+/**
+ * Suscripciones sobre el emisor de eventos de WhatsApp
+ * Un único listener por evento reparte a todas las suscripciones activas
+ */
+const eventListeners = new Map();
+
+const dispatchEvent = (eventName, args) => {
+    eventListeners.get(eventName).forEach(listener => listener(eventName, args));
+};
+
+/**
+ * Crear un iterador asíncrono con los eventos indicados
+ * @param {string[]} eventNames - Eventos del emisor
+ * @param {Function} transform - (eventName, args) => payload o null para descartar (puede ser async)
+ * @returns {AsyncIterator}
+ */
+const subscribeTo = (eventNames, transform) => {
+    const queue = [];
+    const waiting = [];
+    let done = false;
+    // Se encadena para entregar en orden aunque transform sea async
+    let chain = Promise.resolve();
+
+    const push = (value) => {
+        const resolve = waiting.shift();
+        if (resolve) {
+            resolve({ value, done: false });
+            return;
+        }
+
+        queue.push(value);
+        // Cliente lento: se descartan los más antiguos
+        if (queue.length > MAX_QUEUED_EVENTS) {
+            queue.shift();
+        }
+    };
+
+    const listener = (eventName, args) => {
+        chain = chain
+            .then(() => transform(eventName, ...args))
+            .then(value => {
+                if (value && !done) push(value);
+            })
+            .catch(error => logger.error(`[GraphQL] Error en suscripción a ${eventName}:`, error));
+    };
+
+    eventNames.forEach(eventName => {
+        if (!eventListeners.has(eventName)) {
+            eventListeners.set(eventName, new Set());
+            WhatsAppClient.on(eventName, (...args) => dispatchEvent(eventName, args));
+        }
+        eventListeners.get(eventName).add(listener);
+    });
+
+    const stop = () => {
+        if (done) return;
+        done = true;
+        eventNames.forEach(eventName => eventListeners.get(eventName).delete(listener));
+        waiting.splice(0).forEach(resolve => resolve({ value: undefined, done: true }));
+        queue.length = 0;
+    };
+
+    return {
+        next() {
+            if (queue.length > 0) return Promise.resolve({ value: queue.shift(), done: false });
+            if (done) return Promise.resolve({ value: undefined, done: true });
+            return new Promise(resolve => waiting.push(resolve));
+        },
+        return() {
+            stop();
+            return Promise.resolve({ value: undefined, done: true });
+        },
+        throw(error) {
+            stop();
+            return Promise.reject(error);
+        },
+        [Symbol.asyncIterator]() {
+            return this;
+        }
+    };
+};
+
+/**
+ * Validar una suscripción y devolver el filtro de números
+ */
+const subscriptionFilter = (context, numbers) => {
+    authorize(context, 'events');
+
+    const denied = (numbers || []).filter(number => !requestContext.canAccessNumber(number, context.principal));
+    if (denied.length > 0) {
+        throw forbidden(`Sin acceso al número: ${denied.join(', ')}`);
+    }
+
+    return (number) => requestContext.canAccessNumber(number, context.principal) &&
+        (!numbers || numbers.includes(String(number)));
+};
+
+// El mismo mensaje se formatea una sola vez aunque haya varias suscripciones
+const formattedMessages = new WeakMap();
+
+const formatMessage = (number, message) => {
+    if (!formattedMessages.has(message)) {
+        formattedMessages.set(message, whatsappService.formatMessageFast(message, number));
+    }
+    return formattedMessages.get(message);
+};
+
+const CLIENT_EVENTS = {
+    qrUpdated: 'qr',
+    authenticated: 'authenticated',
+    ready: 'ready',
+    disconnected: 'disconnected',
+    auth_failure: 'auth_failure'
+};
+
+const resolvers = {
+    Query: {
+        accounts: async (_, args, context) => {
+            authorize(context, 'clients');
+            const accounts = await whatsappService.getAllAuthenticatedAccountsInfo();
+            return accounts.map(toAccount);
+        },
+
+        account: async (_, { number }, context) => {
+            authorize(context, 'clients', number);
+            const accounts = await whatsappService.getAllAuthenticatedAccountsInfo();
+            const account = accounts.find(item => item.number === number);
+            return account ? toAccount(account) : null;
+        },
+
+        chats: (_, { number, ...options }, context) => {
+            authorize(context, 'chats', number);
+            return listChats(number, options);
+        },
+
+        chat: async (_, { number, chatId }, context) => {
+            authorize(context, 'chats', number);
+            await ensureChatCache(number);
+            const chat = chatCache.getAllChats(number).find(item => item.id === chatId);
+            return chat ? { ...chat, number } : null;
+        },
+
+        groups: async (_, { number }, context) => {
+            authorize(context, 'chats', number);
+            await ensureChatCache(number);
+            return chatCache.getAllGroups(number).map(group => ({ ...group, number }));
+        },
+
+        contacts: (_, { number, ...options }, context) => {
+            authorize(context, 'contacts', number);
+            return listContacts(number, options);
+        },
+
+        messages: (_, { number, chatId, ...options }, context) => {
+            authorize(context, 'messages', number);
+            return getMessages(number, chatId, options);
+        }
+    },
+
+    Mutation: {
+        sendMessage: (_, { clientId, tel, message }, context) =>
+            callRest(context, 'sendMessage', { clientId, tel, mensaje: message }),
+
+        sendMessageOrFile: (_, args, context) =>
+            callRest(context, 'sendMessageOrFile', args),
+
+        replyToMessage: (_, args, context) =>
+            callRest(context, 'replyToMessage', args),
+
+        reactToMessage: (_, args, context) =>
+            callRest(context, 'reactToMessage', args),
+
+        markChatRead: (_, args, context) =>
+            callRest(context, 'markChatRead', args),
+
+        sendChatState: (_, args, context) =>
+            callRest(context, 'sendChatState', args)
+    },
+
+    Subscription: {
+        messageReceived: {
+            subscribe: (_, { numbers, chatIds }, context) => {
+                const matchesNumber = subscriptionFilter(context, numbers);
+
+                return subscribeTo(['message'], async (eventName, { number, message }) => {
+                    const chatId = message?.id?.remote || message?.from;
+                    if (!matchesNumber(number) || (chatIds && !chatIds.includes(chatId))) return null;
+
+                    return { number, chatId, message: { ...await formatMessage(number, message), chatId } };
+                });
+            },
+            resolve: payload => payload
+        },
+
+        messageAck: {
+            subscribe: (_, { numbers }, context) => {
+                const matchesNumber = subscriptionFilter(context, numbers);
+
+                return subscribeTo(['messageAck'], (eventName, change) =>
+                    matchesNumber(change.number) ? change : null);
+            },
+            resolve: payload => payload
+        },
+
+        clientEvent: {
+            subscribe: (_, { numbers }, context) => {
+                const matchesNumber = subscriptionFilter(context, numbers);
+
+                return subscribeTo(Object.keys(CLIENT_EVENTS), (eventName, data, qr) => {
+                    // qrUpdated se emite como (number, qr); el resto como ({ number, ... })
+                    const number = eventName === 'qrUpdated' ? data : data?.number;
+                    if (!matchesNumber(number)) return null;
+
+                    return {
+                        number: String(number),
+                        type: CLIENT_EVENTS[eventName],
+                        qr: eventName === 'qrUpdated' ? qr : null,
+                        message: typeof data?.message === 'string' ? data.message : null,
+                        timestamp: new Date().toISOString()
+                    };
+                });
+            },
+            resolve: payload => payload
+        }
+    },
+
+    Account: {
+        chats: (account, options, context) => {
+            authorize(context, 'chats');
+            return listChats(account.number, options);
+        },
+
+        groups: async (account, args, context) => {
+            authorize(context, 'chats');
+            await ensureChatCache(account.number);
+            return chatCache.getAllGroups(account.number).map(group => ({ ...group, number: account.number }));
+        },
+
+        contacts: (account, options, context) => {
+            authorize(context, 'contacts');
+            return listContacts(account.number, options);
+        }
+    },
+
+    // En listas de chats solo se lee el almacén local: importar de WhatsApp los chats sin historial
+    // (fetchMessages) queda para la consulta messages de un chat concreto
+    Chat: {
+        profilePicUrl: async (chat, args, context) => {
+            if (chat.profilePicUrl) return chat.profilePicUrl;
+
+            const client = await whatsappService.getClientById(chat.number);
+            const profilePicUrl = await browserCall(context, () => whatsappService.getProfilePicture(client, chat.id));
+            chatCache.updateChat(chat.number, chat.id, { profilePicUrl });
+            return profilePicUrl;
+        },
+
+        lastMessage: async (chat, args, context) => {
+            authorize(context, 'messages');
+            const { messages } = await getMessages(chat.number, chat.id, { limit: 1, importIfEmpty: false });
+            return messages[0] || null;
+        },
+
+        participants: (chat, args, context) =>
+            chat.isGroup ? browserCall(context, () => whatsappService.getGroupParticipants(chat.number, chat.id)) : null,
+
+        participantCount: async (chat, args, context) => {
+            if (!chat.isGroup) return null;
+            return chat.participantCount ||
+                (await browserCall(context, () => whatsappService.getGroupParticipants(chat.number, chat.id))).length;
+        },
+
+        messages: (chat, options, context) => {
+            authorize(context, 'messages');
+            return getMessages(chat.number, chat.id, { ...options, importIfEmpty: false });
+        }
+    },
+
+    Contact: {
+        profilePicUrl: async (contact, args, context) => {
+            if (contact.profilePicUrl) return contact.profilePicUrl;
+
+            const client = await whatsappService.getClientById(contact.number);
+            return browserCall(context, () => whatsappService.getProfilePicture(client, contact.id));
+        }
+    },
+
+    Message: {
+        chatId: (message) => message.chatId || (message.fromMe ? message.to : message.from)
+    }
+};
+
+module.exports = resolvers;
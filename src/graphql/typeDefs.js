@@ -0,0 +1,199 @@
+// graphql/typeDefs.js
+
+/**
+ * Esquema GraphQL: cuentas, chats, grupos, contactos y mensajes
+ * Cada campo exige el mismo scope que su ruta REST equivalente (ver resolvers.js)
+ * Las consultas tienen un coste máximo estimado (ver createCostLimitRule en index.js)
+ */
+const typeDefs = /* GraphQL */ `
+    type Query {
+        "Cuentas autenticadas visibles para la API key (scope clients)"
+        accounts: [Account!]!
+        account(number: String!): Account
+
+        "Chats de un cliente desde la caché (scope chats)"
+        chats(number: String!, unreadOnly: Boolean = false, groupsOnly: Boolean = false, first: Int = 50, offset: Int = 0): ChatPage!
+        chat(number: String!, chatId: ID!): Chat
+
+        "Grupos de un cliente (scope chats)"
+        groups(number: String!): [Chat!]!
+
+        "Contactos de un cliente (scope contacts)"
+        contacts(number: String!, search: String, first: Int = 100, offset: Int = 0): ContactPage!
+
+        "Historial de un chat, del más antiguo al más reciente (scope messages)"
+        messages(number: String!, chatId: ID!, limit: Int = 50, before: Int, beforeId: String): MessagePage!
+    }
+
+    type Mutation {
+        "POST /sendMessage (scope messaging)"
+        sendMessage(clientId: String!, tel: String!, message: String!): ActionResult!
+        "POST /sendMessageorFile: texto o fichero en base64 (scope messaging)"
+        sendMessageOrFile(clientId: String!, chatId: String!, message: String, fileName: String, fileContent: String, isGroup: Boolean = false): ActionResult!
+        "POST /replyMessage (scope messages)"
+        replyToMessage(clientId: String!, tel: String!, messageId: String!, reply: String!, isGroup: Boolean = false): ActionResult!
+        "POST /reactMessage: reacción vacía para quitarla (scope messages)"
+        reactToMessage(clientId: String!, tel: String!, messageId: String!, reaction: String!, isGroup: Boolean = false): ActionResult!
+        "POST /markChatRead (scope chats)"
+        markChatRead(clientId: String!, tel: String!, isGroup: Boolean = false): ActionResult!
+        "POST /sendChatState (scope chats)"
+        sendChatState(clientId: String!, tel: String!, state: ChatState!, isGroup: Boolean = false): ActionResult!
+    }
+
+    "Solo por WebSocket en /graphql (protocolo graphql-transport-ws, scope events)"
+    type Subscription {
+        messageReceived(numbers: [String!], chatIds: [ID!]): MessageEvent!
+        messageAck(numbers: [String!]): AckEvent!
+        clientEvent(numbers: [String!]): ClientEvent!
+    }
+
+    type Account {
+        number: String!
+        displayName: String
+        phoneNumber: String
+        serialized: String
+        server: String
+        status: String
+        lastSeen: Int
+        chats(unreadOnly: Boolean = false, groupsOnly: Boolean = false, first: Int = 50, offset: Int = 0): ChatPage!
+        groups: [Chat!]!
+        contacts(search: String, first: Int = 100, offset: Int = 0): ContactPage!
+    }
+
+    type Chat {
+        id: ID!
+        "Número del cliente al que pertenece el chat"
+        number: String!
+        name: String
+        isGroup: Boolean!
+        unreadCount: Int!
+        timestamp: Int
+        profilePicUrl: String
+        "Del almacén local; un chat sin historial guardado se importa con la consulta messages"
+        lastMessage: Message
+        "Solo grupos"
+        participants: [Participant!]
+        participantCount: Int
+        "Del almacén local; un chat sin historial guardado se importa con la consulta messages"
+        messages(limit: Int = 50, before: Int, beforeId: String): MessagePage!
+    }
+
+    type ChatPage {
+        chats: [Chat!]!
+        total: Int!
+        hasMore: Boolean!
+    }
+
+    type Participant {
+        id: ID!
+        name: String
+        isAdmin: Boolean!
+        isSuperAdmin: Boolean!
+    }
+
+    type Contact {
+        id: ID!
+        number: String!
+        phoneNumber: String
+        name: String
+        profilePicUrl: String
+    }
+
+    type ContactPage {
+        contacts: [Contact!]!
+        total: Int!
+        hasMore: Boolean!
+    }
+
+    type Message {
+        id: ID!
+        chatId: String
+        body: String
+        timestamp: Int
+        from: String
+        to: String
+        author: String
+        fromMe: Boolean
+        hasMedia: Boolean
+        mediaType: String
+        mediaMimeType: String
+        mediaStatus: String
+        mediaTempUrl: String
+        mediaBase64: String
+        caption: String
+        hasQuotedMsg: Boolean
+        quotedStanzaID: String
+        isStarred: Boolean
+        isForwarded: Boolean
+        ack: Int
+        status: String
+        edited: Boolean
+        deleted: Boolean
+        location: Location
+    }
+
+    type Location {
+        latitude: Float
+        longitude: Float
+        description: String
+    }
+
+    type MessagePage {
+        messages: [Message!]!
+        hasMore: Boolean!
+        "Valor de before para pedir la página anterior"
+        nextBefore: Int
+        "Valor de beforeId para pedir la página anterior (desempata mensajes del mismo segundo)"
+        nextBeforeId: String
+    }
+
+    enum ChatState {
+        typing
+        recording
+        paused
+    }
+
+    "Resultado de una mutación: mismo cuerpo que la ruta REST"
+    type ActionResult {
+        success: Boolean!
+        message: String
+        messageId: String
+        chatId: String
+        ack: Int
+        status: String
+    }
+
+    type MessageEvent {
+        number: String!
+        chatId: String!
+        message: Message!
+    }
+
+    type AckEvent {
+        number: String!
+        messageId: String!
+        chatId: String
+        ack: Int!
+        status: String
+        currentStatus: String
+        timestamp: String
+    }
+
+    enum ClientEventType {
+        qr
+        authenticated
+        ready
+        disconnected
+        auth_failure
+    }
+
+    type ClientEvent {
+        number: String!
+        type: ClientEventType!
+        qr: String
+        message: String
+        timestamp: String!
+    }
+`;
+
+module.exports = typeDefs;
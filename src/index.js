@@ -7,6 +7,19 @@ const WebSocketHandler = require('./conf/websocket');
 const logger = require('./conf/logger');
 const MessageProcessor = require('./utils/messageProcessor');
 const http = require('http');
+const apiKeyStore = require('./utils/apiKeyStore');
+const { extractApiKey } = require('./middleware/auth');
+const webhookManager = require('./utils/webhookManager');
+const eventStream = require('./utils/eventStream');
+const eventLog = require('./utils/eventLog');
+const graphqlApi = require('./graphql');
+const eventBus = require('./eventBus');
+const conversationManager = require('./utils/conversationManager');
+const messageScheduler = require('./utils/messageScheduler');
+const campaignManager = require('./utils/campaignManager');
+const JsonFileStore = require('./utils/jsonFileStore');
+const sessionVault = require('./utils/sessionVault');
+const WhatsAppService = require('./services/services');
 
 // Añadir después de los imports:
 const prometheusMetrics = require('./utils/prometheusMetrics');
@@ -18,6 +31,12 @@ class WhatsAppServer {
         this.server = null;
         this.wss = null;
         this.heartbeatInterval = config.heartbeatInterval || 30000;
+        // Espera máxima del apagado ordenado (ms); los sellados de sesión en curso se esperan igualmente
+        this.shutdownTimeout = config.shutdownTimeout || parseInt(process.env.SHUTDOWN_TIMEOUT) || 60000;
+        this.wsCloseCodes = {
+            unauthorized: 4401,
+            forbidden: 4403
+        };
         this.staticPaths = {
             '/temp': path.join(__dirname, 'temp'),
             '/media': path.join(__dirname, 'media'),
@@ -37,6 +56,8 @@ class WhatsAppServer {
             this.setupRoutes();
             this.setupWebSocket();
             this.setupWhatsAppEvents();
+            // Conexión al broker en segundo plano: los fallos quedan en el log
+            eventBus.start();
             return true;
         } catch (error) {
             logger.error('Failed to initialize server:', error);
@@ -97,10 +118,13 @@ class WhatsAppServer {
 
     setupWebSocket() {
         this.wss = new WebSocket.Server({ noServer: true });
-        const webSocketHandler = new WebSocketHandler(this.wss);
+        this.webSocketHandler = new WebSocketHandler(this.wss);
 
         this.wss.on('connection', this.handleWebSocketConnection.bind(this));
         this.startHeartbeat();
+
+        // GraphQL (graphql-transport-ws) en /graphql
+        this.graphqlWss = graphqlApi.createWebSocketServer();
     }
 
     handleWebSocketConnection(ws, req) {
@@ -115,6 +139,31 @@ class WhatsAppServer {
         logger.info(`New WebSocket connection from ${ws.ip}`);
     }
 
+    /**
+     * Autenticar el upgrade con la API key en Authorization, X-API-Key o ?token=
+     * (los navegadores no pueden enviar cabeceras en el handshake)
+     * @param {string} [scope] - Scope exigido por el endpoint
+     */
+    authenticateUpgrade(request, scope = 'events') {
+        let rawKey = extractApiKey(request);
+
+        if (!rawKey) {
+            const { searchParams } = new URL(request.url, 'http://localhost');
+            rawKey = searchParams.get('token');
+        }
+
+        const principal = apiKeyStore.verify(rawKey);
+        if (!principal) {
+            return { error: 'unauthorized', reason: 'Invalid or missing API key' };
+        }
+
+        if (!apiKeyStore.hasScope(principal, scope)) {
+            return { error: 'forbidden', reason: `Scope required: ${scope}` };
+        }
+
+        return { principal };
+    }
+
     startHeartbeat() {
         setInterval(() => {
             this.wss.clients.forEach(client => {
@@ -135,6 +184,7 @@ class WhatsAppServer {
             'message': this.handleMessage.bind(this),
             'disconnected': this.handleDisconnected.bind(this),
             'qrUpdated': this.handleQrUpdate.bind(this),
+            'messageAck': this.handleMessageAck.bind(this),
 
             // Eventos adicionales para métricas
             'auth_failure': this.handleAuthFailure.bind(this),
@@ -144,37 +194,56 @@ class WhatsAppServer {
         Object.entries(events).forEach(([event, handler]) => {
             whatsapp.on(event, handler);
         });
+
+        // Entrega de los mismos eventos (y los de grupos, reacciones, contactos) por webhook
+        webhookManager.attach(whatsapp);
+
+        // Bandeja compartida: los entrantes abren conversaciones; asignaciones y estados salen como eventos
+        conversationManager.attach(whatsapp);
+        ['conversationAssigned', 'conversationStatusChanged'].forEach(eventType => {
+            conversationManager.on(eventType, data => this.broadcastEvent(eventType, data));
+        });
+
+        // Mensajes programados: se envían por el servicio cuando el cliente está listo
+        const whatsappService = new WhatsAppService();
+        messageScheduler.attach(whatsapp, job => whatsappService.sendScheduledMessage(job));
+
+        // Campañas: un carril de envío por número; el informe final sale como evento
+        campaignManager.attach(whatsapp, (campaign, recipient) => whatsappService.sendCampaignMessage(campaign, recipient));
+        campaignManager.on('campaignFinished', data => this.broadcastEvent('campaignFinished', data));
     }
 
     // Handler para auth_failure
     handleAuthFailure(data) {
         logger.warn(`Authentication failed: ${data.number}`);
         prometheusMetrics.recordAuthFailure(data.number);
-        this.broadcastToWebSocketClients('auth_failure', data);
+        this.broadcastEvent('auth_failure', data);
     }
 
     // Handler para browser crash
     handleBrowserCrash(data) {
         logger.error(`Browser crashed: ${data.number}`);
         prometheusMetrics.recordBrowserCrash(data.number);
-        this.broadcastToWebSocketClients('browserCrash', data);
+        this.broadcastEvent('browserCrash', data);
     }
 
-    broadcastToWebSocketClients(eventType, data) {
-        const payload = JSON.stringify({ eventType, data });
-        
-        this.wss.clients.forEach(client => {
-            if (client.readyState === WebSocket.OPEN) {
-                try {
-                    client.send(payload);
-                } catch (error) {
-                    logger.error(`Error broadcasting to client ${client.ip}:`, error);
-                    client.terminate();
-                }
-            }
+    // Publicar un evento por WebSocket, SSE y el bus de eventos
+    broadcastEvent(eventType, data) {
+        this.broadcastToWebSocketClients(eventType, data);
+        eventStream.publish(eventType, data);
+        eventBus.publish(eventType, data).catch(error => {
+            logger.error(`[EventBus] No se pudo publicar ${eventType}:`, error);
         });
     }
 
+    broadcastToWebSocketClients(eventType, data) {
+        // Cada evento recibe su secuencia por número y queda en el registro para 'resume'
+        const { frame } = eventLog.append(eventType, data);
+
+        // Cada socket recibe solo lo que su key puede ver y sus suscripciones piden
+        this.webSocketHandler.dispatch(eventType, data, frame);
+    }
+
     async handleQrUpdate(number, qr) {
         try {
             if (!number) {
@@ -192,13 +261,8 @@ class WhatsAppServer {
             // Registrar generación de QR
             prometheusMetrics.recordQrGeneration(number);
 
-            if (this.webSocketHandler && typeof this.webSocketHandler.broadcastToSubscribers === 'function') {
-                this.webSocketHandler.broadcastToSubscribers('qrCode', { number, qr }, number);
-                logger.info(`QR enviado a suscriptores del número ${number}`);
-            } else {
-                this.broadcastToWebSocketClients('qrCode', { number, qr });
-                logger.info(`QR enviado en broadcast general`);
-            }
+            // Los sockets solo reciben el QR si se suscribieron al número
+            this.broadcastEvent('qrCode', { number, qr });
         } catch (error) {
             logger.error(`Error manejando actualización de QR para ${number}:`, error);
         }
@@ -206,12 +270,12 @@ class WhatsAppServer {
 
     handleAuthenticated(data) {
         logger.info(`Client authenticated: ${data.number}`);
-        this.broadcastToWebSocketClients('authenticated', data);
+        this.broadcastEvent('authenticated', data);
     }
 
     handleReady(data) {
         logger.info(`Client ready: ${data.number}`);
-        this.broadcastToWebSocketClients('ready', data);
+        this.broadcastEvent('ready', data);
     }
 
     async handleMessage({ number, message }) {
@@ -224,15 +288,20 @@ class WhatsAppServer {
                 logger.warn(`Message processing error for ${number}:`, processedMessage.error);
                 return;
             }
-            this.broadcastToWebSocketClients('message', processedMessage);
+            this.broadcastEvent('message', processedMessage);
         } catch (error) {
             logger.error(`Error processing message from ${number}:`, error);
         }
     }
 
+    // Cambios de estado de entrega/lectura de mensajes enviados
+    handleMessageAck(data) {
+        this.broadcastEvent('messageAck', data);
+    }
+
     handleDisconnected(data) {
         logger.info(`Client disconnected: ${data.number}, Reason: ${data.reason}`);
-        this.broadcastToWebSocketClients('disconnected', data);
+        this.broadcastEvent('disconnected', data);
     }
 
     async start() {
@@ -246,8 +315,21 @@ class WhatsAppServer {
             });
 
             this.server.on('upgrade', (request, socket, head) => {
-                this.wss.handleUpgrade(request, socket, head, ws => {
-                    this.wss.emit('connection', ws, request);
+                const { pathname } = new URL(request.url, 'http://localhost');
+                const isGraphql = pathname === '/graphql';
+                const wss = isGraphql ? this.graphqlWss : this.wss;
+                const { principal, error, reason } = this.authenticateUpgrade(request, isGraphql ? 'graphql' : 'events');
+
+                wss.handleUpgrade(request, socket, head, ws => {
+                    // Se completa el handshake para poder cerrar con un código explícito
+                    if (error) {
+                        logger.warn(`WebSocket rejected from ${request.socket.remoteAddress}: ${reason}`);
+                        ws.close(this.wsCloseCodes[error], reason);
+                        return;
+                    }
+
+                    ws.auth = principal;
+                    wss.emit('connection', ws, request);
                 });
             });
 
@@ -268,13 +350,26 @@ class WhatsAppServer {
     cleanup() {
         logger.info('Server shutting down...');
         
-        // Cerrar sistema de monitoreo
-        if (whatsapp.shutdown) {
-            whatsapp.shutdown().catch(error => {
+        // Reintentos de webhooks pendientes a la dead-letter queue
+        webhookManager.shutdown();
+
+        // Guardados diferidos (último uso de keys, acks, secuencias, estado de campañas...)
+        JsonFileStore.flushAll();
+
+        // Cerrar clientes y sellar sesiones; la salida espera a que termine
+        const whatsappShutdown = whatsapp.shutdown
+            ? whatsapp.shutdown().catch(error => {
                 logger.error('Error during WhatsApp shutdown:', error);
-            });
-        }
+            })
+            : Promise.resolve();
         
+        // Las conexiones SSE mantendrían abierto el servidor HTTP
+        eventStream.closeAll();
+
+        const eventBusClosed = eventBus.close().catch(error => {
+            logger.error('Error closing event bus:', error);
+        });
+
         // Close WebSocket server
         if (this.wss) {
             this.wss.close(() => {
@@ -282,19 +377,31 @@ class WhatsAppServer {
             });
         }
 
+        if (this.graphqlWss) {
+            this.graphqlWss.clients.forEach(client => client.close(1001, 'Server shutting down'));
+            this.graphqlWss.close();
+        }
+
         // Close HTTP server
         if (this.server) {
-            this.server.close(() => {
+            this.server.close(async () => {
                 logger.info('HTTP server closed');
+                await Promise.all([whatsappShutdown, eventBusClosed]);
+                JsonFileStore.flushAll();
                 process.exit(0);
             });
         }
         
-        // Force exit after 10 seconds
-        setTimeout(() => {
+        // Forzar la salida si el apagado se alarga, pero nunca a mitad del sellado de una sesión
+        setTimeout(async () => {
             logger.error('Forced shutdown after timeout');
+            if (sessionVault.pendingSeals.size > 0) {
+                logger.warn(`Waiting for ${sessionVault.pendingSeals.size} session seal(s) to finish`);
+                await sessionVault.waitForSeals();
+            }
+            JsonFileStore.flushAll();
             process.exit(1);
-        }, 10000);
+        }, this.shutdownTimeout);
     }
 }
 
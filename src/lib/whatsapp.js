@@ -11,6 +11,10 @@ const stateManager = require('../utils/clientStateManager');
 const reconnectionManager = require('../utils/reconnectionManager');
 const WatchdogMonitor = require('../utils/watchdogMonitor');
 const chatCache = require('../utils/chatCache');
+const sessionVault = require('../utils/sessionVault');
+const messageAckTracker = require('../utils/messageAckTracker');
+const messageStore = require('../utils/messageStore');
+const messageBackfill = require('../utils/messageBackfill');
 
 class WhatsAppClient extends EventEmitter {
     static RECONNECT_DELAY = config.reconnectDelay || 5000;
@@ -127,18 +131,18 @@ class WhatsAppClient extends EventEmitter {
     async loadExistingClients() {
         const clientDirectories = await fs.readdir(this.authPath);
 
-        const validDirectories = await Promise.all(
+        // session-<n> (en claro) y session-<n>.sealed (cifrada) apuntan al mismo cliente
+        const numbers = await Promise.all(
             clientDirectories.map(async dir => {
                 const dirPath = path.join(this.authPath, dir);
                 const stats = await fs.stat(dirPath);
-                return stats.isDirectory() && dir.startsWith('session-') ? dir : null;
+                return stats.isDirectory() ? sessionVault.getNumberFromDirectory(dir) : null;
             })
         );
 
         await Promise.all(
-            validDirectories
-                .filter(Boolean)
-                .map(dir => this.addClient(dir.replace('session-', '')))
+            [...new Set(numbers.filter(Boolean))]
+                .map(number => this.addClient(number))
         );
     }
 
@@ -227,6 +231,12 @@ class WhatsAppClient extends EventEmitter {
                         } finally {
                             this.cacheInitScheduled.delete(number);
                         }
+
+                        // Importar historial al almacén local una vez cargado el caché
+                        const readyClient = this.clients.get(number);
+                        if (config.messageBackfill && readyClient) {
+                            messageBackfill.run(number, readyClient);
+                        }
                     }, delay);
                 }
                 
@@ -276,6 +286,39 @@ class WhatsAppClient extends EventEmitter {
         // Capturar errores de Puppeteer
         this.setupPuppeteerErrorHandlers(client, number);
         this.setupGroupEvents(client, number);
+        this.setupMessageStoreEvents(client, number);
+    }
+
+    /**
+     * Persistir en el almacén local todos los mensajes (entrantes y salientes),
+     * sus ediciones y borrados
+     */
+    setupMessageStoreEvents(client, number) {
+        const persist = (operation, promise) => promise.catch(error =>
+            logger.error(`[MessageStore] Error en ${operation} para ${number}:`, error));
+
+        const storeEvents = {
+            // message_create se emite tanto para mensajes recibidos como enviados
+            'message_create': (message) =>
+                persist('message_create', messageStore.saveMessage(number, message)),
+
+            'message_edit': (message, newBody, previousBody) =>
+                persist('message_edit', messageStore.recordEdit(number, message.id._serialized, newBody, previousBody)),
+
+            'message_revoke_everyone': (message, revokedMessage) =>
+                persist('message_revoke_everyone', messageStore.recordDeletion(
+                    number,
+                    (revokedMessage || message).id._serialized,
+                    'everyone'
+                )),
+
+            'message_revoke_me': (message) =>
+                persist('message_revoke_me', messageStore.recordDeletion(number, message.id._serialized, 'me'))
+        };
+
+        Object.entries(storeEvents).forEach(([event, handler]) => {
+            client.on(event, handler);
+        });
     }
 
     // Manejo de errores de Puppeteer
@@ -315,6 +358,7 @@ class WhatsAppClient extends EventEmitter {
             // Limpiar sesión corrupta
             const sessionDir = path.join(this.authPath, `session-${number}`);
             await this.removeDirectory(sessionDir);
+            await sessionVault.destroy(number);
             
             // Limpiar QR caché
             this.qrCodes.delete(number);
@@ -418,7 +462,18 @@ class WhatsAppClient extends EventEmitter {
             },
             
             'message_reaction': (reaction) => 
-                this.emit('messageReaction', { number, reaction })
+                this.emit('messageReaction', { number, reaction }),
+
+            // Ciclo de vida de mensajes enviados (pending → server → device → read → played)
+            'message_ack': (message, ack) => {
+                const change = messageAckTracker.recordAck(number, message, ack);
+                if (change) {
+                    this.emit('messageAck', change);
+                    const { ack: currentAck } = messageAckTracker.getStatus(change.messageId);
+                    messageStore.recordAck(number, change.messageId, currentAck, change.currentStatus)
+                        .catch(error => logger.error(`[MessageStore] Error guardando ack para ${number}:`, error));
+                }
+            }
         };
 
         Object.entries(groupEvents).forEach(([event, handler]) => {
@@ -580,6 +635,17 @@ class WhatsAppClient extends EventEmitter {
         
         await Promise.allSettled(cleanupPromises);
         logger.info('All clients cleaned up');
+
+        // Con los navegadores cerrados, cifrar las sesiones en disco
+        const sealPromises = Array.from(this.clients.keys()).map(async number => {
+            try {
+                await sessionVault.seal(number);
+            } catch (error) {
+                logger.error(`Error sealing session ${number}:`, error);
+            }
+        });
+
+        await Promise.allSettled(sealPromises);
     }
 
     async cleanupClient(client) {
@@ -599,6 +665,7 @@ class WhatsAppClient extends EventEmitter {
         const sessionPath = path.join(this.authPath, sessionDir);
 
         try {
+            await sessionVault.unseal(number);
             await fs.mkdir(sessionPath, { recursive: true });
             await this.createClient(number, sessionDir);
         } catch (error) {
@@ -607,6 +674,63 @@ class WhatsAppClient extends EventEmitter {
         }
     }
 
+    /**
+     * Detener el navegador de un cliente sin cerrar su sesión (copia consistente de LocalAuth)
+     * Se quita del mapa antes de destruirlo para que 'disconnected' no programe una reconexión
+     */
+    async suspendClient(number) {
+        const client = this.clients.get(number);
+        if (!client) {
+            throw new Error('Client not found');
+        }
+
+        const checkInterval = this.browserCheckInterval.get(number);
+        if (checkInterval) {
+            clearInterval(checkInterval);
+            this.browserCheckInterval.delete(number);
+        }
+
+        this.clients.delete(number);
+        this.clientReadyState.delete(number);
+        this.cacheInitScheduled.delete(number);
+
+        await this.cleanupClient(client);
+        stateManager.setState(number, stateManager.CLIENT_STATES.DISCONNECTED, { reason: 'Suspended' });
+        logger.info(`Client ${number} suspended`);
+    }
+
+    /**
+     * Volver a arrancar un cliente suspendido con su sesión en disco
+     */
+    async resumeClient(number) {
+        await this.createClient(number, `session-${number}`);
+    }
+
+    /**
+     * Retirar un cliente suspendido de esta instancia sin logout (migrado a otra)
+     * La sesión queda solo en el bundle exportado
+     */
+    async detachClient(number) {
+        this.chatCache.clearCache(number);
+        this.qrCodes.delete(number);
+        this.retryAttempts.delete(number);
+        stateManager.clearState(number);
+
+        await fs.rm(path.join(this.authPath, `session-${number}`), { recursive: true, force: true });
+        await sessionVault.destroy(number);
+        logger.info(`Client ${number} detached from this instance`);
+    }
+
+    /**
+     * Comprobar si el número ya tiene cliente o sesión en esta instancia
+     */
+    async hasLocalSession(number) {
+        if (this.clients.has(number)) return true;
+
+        return await sessionVault.exists(path.join(this.authPath, `session-${number}`)) ||
+            await sessionVault.exists(sessionVault.getSealedPath(number));
+    }
+
     getAuthenticatedAccountsInfo() {
         if (this.clients.size === 0) {
             logger.warn('No WhatsApp clients available');
@@ -640,6 +764,9 @@ class WhatsAppClient extends EventEmitter {
             this.clients.delete(number);
             const sessionDir = path.join(this.authPath, `session-${number}`);
             await this.removeDirectory(sessionDir);
+
+            // Tras el logout la copia cifrada ya no es válida
+            await sessionVault.destroy(number);
         } catch (error) {
             logger.error(`Failed to remove client ${number}:`, error);
             throw error;
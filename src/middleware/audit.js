@@ -0,0 +1,45 @@
+// middleware/audit.js
+const auditLog = require('../utils/auditLog');
+
+// Métodos que modifican estado
+const MUTATING_METHODS = new Set(['POST', 'PUT', 'PATCH', 'DELETE']);
+
+/**
+ * Registrar en auditoría las operaciones que modifican estado
+ * El resultado se toma del código de respuesta, incluidos los rechazos de scope, validación y tenencia
+ * @param {string} handler - Nombre del handler de la ruta
+ */
+const auditTrail = (handler) => (req, res, next) => {
+    if (!MUTATING_METHODS.has(req.method)) {
+        return next();
+    }
+
+    const startedAt = Date.now();
+    // Express reasigna req.params en el errorHandler; se conserva el de la ruta
+    const routeParams = req.params;
+
+    res.on('finish', () => {
+        auditLog.record({
+            actor: req.auth
+                ? { keyId: req.auth.keyId, name: req.auth.name }
+                : null,
+            handler,
+            method: req.method,
+            path: req.originalUrl.split('?')[0],
+            target: auditLog.extractTarget([routeParams, req.body, req.query]),
+            params: auditLog.redact({
+                params: routeParams,
+                query: req.query,
+                body: req.body
+            }),
+            outcome: res.statusCode < 400 ? 'success' : 'failure',
+            statusCode: res.statusCode,
+            durationMs: Date.now() - startedAt,
+            ip: req.ip
+        });
+    });
+
+    next();
+};
+
+module.exports = { auditTrail };
@@ -0,0 +1,93 @@
+// middleware/auth.js
+const apiKeyStore = require('../utils/apiKeyStore');
+const requestContext = require('../utils/requestContext');
+const logger = require('../conf/logger');
+
+// Crear error con tipo reconocido por el errorHandler de las rutas
+const createAuthError = (type, message) => {
+    const error = new Error(message);
+    error.type = type;
+    return error;
+};
+
+/**
+ * Obtener la API key desde Authorization: Bearer <key> o X-API-Key
+ */
+const extractApiKey = (req) => {
+    const authorization = req.headers.authorization;
+    if (authorization && authorization.startsWith('Bearer ')) {
+        return authorization.slice('Bearer '.length).trim();
+    }
+
+    return req.headers['x-api-key'] || null;
+};
+
+// Middleware de autenticación por API key
+const authenticate = (req, res, next) => {
+    const rawKey = extractApiKey(req);
+
+    if (!rawKey) {
+        return next(createAuthError('auth', 'API key requerida'));
+    }
+
+    const principal = apiKeyStore.verify(rawKey);
+    if (!principal) {
+        logger.warn(`[Auth] API key inválida desde ${req.ip} en ${req.method} ${req.originalUrl}`);
+        return next(createAuthError('auth', 'API key inválida, expirada o revocada'));
+    }
+
+    req.auth = principal;
+
+    // El resto de la cadena (validación, controlador, servicio) corre dentro del contexto
+    requestContext.run(principal, next);
+};
+
+// Middleware de autorización por scope (grupo de rutas)
+const requireScope = (scope) => (req, res, next) => {
+    if (!apiKeyStore.hasScope(req.auth, scope)) {
+        logger.warn(`[Auth] Key ${req.auth?.keyId} sin scope '${scope}' para ${req.method} ${req.originalUrl}`);
+        return next(createAuthError('forbidden', `Scope requerido: ${scope}`));
+    }
+
+    next();
+};
+
+// Campos donde las rutas reciben el número del cliente de WhatsApp
+const NUMBER_FIELDS = ['number', 'clientId', 'clientNumber'];
+
+/**
+ * Obtener los números de cliente a los que apunta una petición
+ */
+const getTargetNumbers = (req) => {
+    const sources = [req.params, req.body, req.query];
+    const numbers = new Set();
+
+    sources.forEach(source => {
+        if (!source || typeof source !== 'object') return;
+        NUMBER_FIELDS.forEach(field => {
+            const value = source[field];
+            if (typeof value === 'string' && value.trim() !== '') {
+                numbers.add(value.trim());
+            } else if (typeof value === 'number') {
+                numbers.add(String(value));
+            }
+        });
+    });
+
+    return Array.from(numbers);
+};
+
+// Middleware de tenencia: la key solo puede operar sobre sus números
+const authorizeNumbers = (req, res, next) => {
+    const denied = getTargetNumbers(req)
+        .filter(number => !requestContext.canAccessNumber(number, req.auth));
+
+    if (denied.length > 0) {
+        logger.warn(`[Auth] Key ${req.auth?.keyId} sin acceso a ${denied.join(', ')} en ${req.method} ${req.originalUrl}`);
+        return next(createAuthError('forbidden', `Sin acceso al número: ${denied.join(', ')}`));
+    }
+
+    next();
+};
+
+module.exports = { authenticate, requireScope, authorizeNumbers, extractApiKey };
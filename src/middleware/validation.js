@@ -1,6 +1,16 @@
 // middleware/validation.js
-const { validationResult, param, body, query } = require('express-validator');
+const { validationResult, param, body, query, header, check } = require('express-validator');
 const logger = require('../conf/logger');
+const apiKeyStore = require('../utils/apiKeyStore');
+const webhookManager = require('../utils/webhookManager');
+const chatExporter = require('../utils/chatExporter');
+const clientBundle = require('../utils/clientBundle');
+const eventStream = require('../utils/eventStream');
+const conversationManager = require('../utils/conversationManager');
+const cannedResponses = require('../utils/cannedResponses');
+const messageTemplates = require('../utils/messageTemplates');
+const messageScheduler = require('../utils/messageScheduler');
+const campaignManager = require('../utils/campaignManager');
 
 // Constantes para mensajes de error comunes
 const ERROR_MESSAGES = {
@@ -48,6 +58,124 @@ const commonValidations = {
         .withMessage('Formato Base64 inválido'),
 };
 
+// Paginación del historial de mensajes (before = timestamp en segundos del mensaje más antiguo recibido,
+// beforeId = su messageId, para no saltarse los mensajes del mismo segundo)
+const historyPagination = [
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Debe ser un número entre 1 y 100'),
+    query('before').optional().isInt({ min: 1 }).withMessage(ERROR_MESSAGES.POSITIVE_INT),
+    query('beforeId').optional().isString().notEmpty().withMessage(ERROR_MESSAGES.STRING)
+];
+
+// Filtros de consulta del registro de auditoría
+const auditFilters = [
+    query(['actor', 'handler', 'number', 'chat', 'message']).optional().isString().withMessage(ERROR_MESSAGES.STRING),
+    query('outcome').optional().isIn(['success', 'failure']).withMessage('outcome debe ser success o failure'),
+    query(['from', 'to']).optional().isISO8601().withMessage(ERROR_MESSAGES.VALID_DATE)
+];
+
+const webhookId = param('id').trim().isHexadecimal().isLength({ min: 16, max: 16 }).withMessage('Id de webhook inválido');
+
+const exportId = param('id').trim().isHexadecimal().isLength({ min: 16, max: 16 }).withMessage('Id de exportación inválido');
+
+const cannedResponseId = param('id').trim().isHexadecimal().isLength({ min: 16, max: 16 }).withMessage('Id de respuesta predefinida inválido');
+
+// Adjunto de una respuesta predefinida o plantilla: { fileName, fileContent (base64) }; null lo quita al modificar
+const attachmentRules = [
+    body('media')
+        .optional({ nullable: true })
+        .isObject().withMessage('media debe ser un objeto { fileName, fileContent }'),
+    body('media.fileName')
+        .if(body('media').exists({ values: 'null' }))
+        .isString().withMessage(ERROR_MESSAGES.STRING)
+        .isLength({ min: 1, max: 200 }).withMessage('fileName debe tener entre 1 y 200 caracteres'),
+    body('media.fileContent')
+        .if(body('media').exists({ values: 'null' }))
+        .isString().withMessage(ERROR_MESSAGES.STRING)
+        .notEmpty().withMessage(ERROR_MESSAGES.REQUIRED)
+];
+
+const cannedShortcode = () => body('shortcode')
+    .customSanitizer(value => (typeof value === 'string' ? cannedResponses.normalizeShortcode(value) : value))
+    .matches(cannedResponses.SHORTCODE_PATTERN)
+    .withMessage('shortcode debe tener de 1 a 32 letras minúsculas, dígitos, _ o -');
+
+const templateId = param('id').trim().isHexadecimal().isLength({ min: 16, max: 16 }).withMessage('Id de plantilla inválido');
+
+// Definición de una versión de plantilla; el detalle (tipos, marcadores, idiomas) lo comprueba messageTemplates
+const templateDefinitionRules = [
+    body('defaultLocale')
+        .isString().withMessage(ERROR_MESSAGES.STRING)
+        .matches(messageTemplates.LOCALE_PATTERN).withMessage('defaultLocale debe ser un código de idioma (es, en-US)'),
+    body('parameters')
+        .optional()
+        .isArray({ max: messageTemplates.MAX_PARAMS }).withMessage(`parameters debe ser un array de hasta ${messageTemplates.MAX_PARAMS} elementos`),
+    body('parameters.*.name')
+        .isString().withMessage(ERROR_MESSAGES.STRING)
+        .matches(messageTemplates.PARAM_NAME_PATTERN).withMessage('Nombre de parámetro inválido'),
+    body('parameters.*.type')
+        .isIn(messageTemplates.PARAM_TYPES)
+        .withMessage(`Tipo inválido. Permitidos: ${messageTemplates.PARAM_TYPES.join(', ')}`),
+    body('parameters.*.required').optional().isBoolean().withMessage(ERROR_MESSAGES.BOOLEAN),
+    body('variants')
+        .isObject().withMessage('variants debe ser un objeto { "<idioma>": { header, body, footer } }'),
+    body('description')
+        .optional({ nullable: true })
+        .isString().withMessage(ERROR_MESSAGES.STRING)
+        .isLength({ max: 200 }).withMessage('Longitud inválida'),
+    ...attachmentRules
+];
+
+const scheduledMessageId = param('id').trim().isHexadecimal().isLength({ min: 16, max: 16 }).withMessage('Id de mensaje programado inválido');
+
+// Contenido y horario de un mensaje programado; la combinación la comprueba messageScheduler
+const scheduledMessageRules = [
+    body('label')
+        .optional({ nullable: true })
+        .isString().withMessage(ERROR_MESSAGES.STRING)
+        .isLength({ max: 100 }).withMessage('Longitud inválida'),
+    body('message')
+        .optional()
+        .isString().withMessage(ERROR_MESSAGES.STRING)
+        .isLength({ max: 4096 }).withMessage('Mensaje demasiado largo'),
+    body('fileName')
+        .optional()
+        .isString().withMessage(ERROR_MESSAGES.STRING)
+        .isLength({ min: 1, max: 200 }).withMessage('fileName debe tener entre 1 y 200 caracteres'),
+    body('fileContent').optional().isString().withMessage(ERROR_MESSAGES.STRING),
+    body(['templateId', 'cannedResponseId'])
+        .optional()
+        .isHexadecimal().isLength({ min: 16, max: 16 }).withMessage('Id inválido'),
+    body('templateName')
+        .optional()
+        .matches(messageTemplates.NAME_PATTERN).withMessage('Nombre de plantilla inválido'),
+    body(['params', 'variables']).optional().isObject().withMessage('Debe ser un objeto'),
+    body('locale')
+        .optional()
+        .matches(messageTemplates.LOCALE_PATTERN).withMessage('locale debe ser un código de idioma (es, en-US)'),
+    body('templateVersion').optional().isInt({ min: 1 }).withMessage(ERROR_MESSAGES.POSITIVE_INT),
+    body(['sendAt', 'startAt']).optional().isISO8601().withMessage(ERROR_MESSAGES.VALID_DATE),
+    body('endAt').optional({ nullable: true }).isISO8601().withMessage(ERROR_MESSAGES.VALID_DATE),
+    body('cron')
+        .optional()
+        .isString().withMessage(ERROR_MESSAGES.STRING)
+        .isLength({ max: 100 }).withMessage('Longitud inválida'),
+    body('timezone').optional().isString().withMessage(ERROR_MESSAGES.STRING),
+    body(['maxRuns', 'misfireGraceMinutes'])
+        .optional({ nullable: true })
+        .isInt({ min: 1 }).withMessage(ERROR_MESSAGES.POSITIVE_INT)
+];
+
+const campaignId = param('id').trim().isHexadecimal().isLength({ min: 16, max: 16 }).withMessage('Id de campaña inválido');
+
+const conversationId = param('id').trim().isHexadecimal().isLength({ min: 16, max: 16 }).withMessage('Id de conversación inválido');
+
+// Agentes y equipos: identificadores del helpdesk; null desasigna
+const assigneeId = (field) => body(field)
+    .optional({ nullable: true })
+    .isString().withMessage(ERROR_MESSAGES.STRING)
+    .matches(/^[\w.@:-]{1,100}$/)
+    .withMessage(`${field} debe tener de 1 a 100 letras, dígitos o . @ : _ -`);
+
 // Sanitización común para todos los campos
 const sanitizeRequest = (req) => {
     // Sanitizar body
@@ -99,7 +227,7 @@ const validateRequest = (routeName) => async (req, res, next) => {
                 success: false,
                 message: 'Validation failed',
                 errors: errors.array().map(err => ({
-                    field: err.param,
+                    field: err.path,
                     message: err.msg,
                     value: err.value
                 }))
@@ -179,9 +307,23 @@ const validationRules = {
         commonValidations.clientId,
         commonValidations.phoneNumber('tel'),
         body('mensaje')
+            .optional()
             .trim()
             
             .isLength({ max: 4096 }).withMessage('Mensaje demasiado largo')
+            .custom((mensaje, { req }) => !(mensaje && req.body.cannedResponseId))
+            .withMessage('Envía mensaje o cannedResponseId, no ambos'),
+        body('cannedResponseId')
+            .optional()
+            .isHexadecimal().isLength({ min: 16, max: 16 })
+            .withMessage('Id de respuesta predefinida inválido'),
+        body('variables')
+            .optional()
+            .isObject().withMessage('variables debe ser un objeto'),
+        body('agentName')
+            .optional()
+            .isString().withMessage(ERROR_MESSAGES.STRING)
+            .isLength({ max: 100 }).withMessage('Longitud inválida')
     ],
 
     sendAudio: [
@@ -194,7 +336,29 @@ const validationRules = {
         commonValidations.clientId,
         body('chatId').trim(),
         body('message').optional().isString(),
-        body('filePath').optional().isString()
+        body('filePath').optional().isString(),
+        body('templateId')
+            .optional()
+            .isHexadecimal().isLength({ min: 16, max: 16 })
+            .withMessage('Id de plantilla inválido'),
+        body('templateName')
+            .optional()
+            .matches(messageTemplates.NAME_PATTERN).withMessage('Nombre de plantilla inválido')
+            .custom((name, { req }) => !req.body.templateId)
+            .withMessage('Envía templateId o templateName, no ambos'),
+        body(['message', 'fileContent'])
+            .optional()
+            .custom((value, { req }) => !(value && (req.body.templateId || req.body.templateName)))
+            .withMessage('Una plantilla no se puede combinar con message ni fileContent'),
+        body('params')
+            .optional()
+            .isObject().withMessage('params debe ser un objeto'),
+        body('locale')
+            .optional()
+            .matches(messageTemplates.LOCALE_PATTERN).withMessage('locale debe ser un código de idioma (es, en-US)'),
+        body('templateVersion')
+            .optional()
+            .isInt({ min: 1 }).withMessage(ERROR_MESSAGES.POSITIVE_INT)
     ],
 
     sendMessageOrFile2: [
@@ -323,11 +487,13 @@ const validationRules = {
     getChatMessages: [
         commonValidations.clientId,
         commonValidations.phoneNumber('tel'),
+        ...historyPagination
     ],
 
     getGroupChatMessages: [
         param('number').trim(),
-        param('groupId').trim()
+        param('groupId').trim(),
+        ...historyPagination
     ],
 
     sendGroupMessage: [
@@ -350,6 +516,25 @@ const validationRules = {
         commonValidations.isGroup
     ],
 
+    reactToMessage: [
+        commonValidations.clientId,
+        commonValidations.phoneNumber('tel'),
+        body('messageId').trim().notEmpty().withMessage(ERROR_MESSAGES.REQUIRED),
+        body('reaction')
+            .isString().withMessage(ERROR_MESSAGES.STRING)
+            .isLength({ max: 16 }).withMessage('Reacción inválida'),
+        commonValidations.isGroup
+    ],
+
+    sendChatState: [
+        commonValidations.clientId,
+        commonValidations.phoneNumber('tel'),
+        body('state')
+            .isIn(['typing', 'recording', 'paused'])
+            .withMessage('Estado inválido. Permitidos: typing, recording, paused'),
+        commonValidations.isGroup
+    ],
+
     getMessageInfo: [
         commonValidations.clientId,
         commonValidations.phoneNumber('tel'),
@@ -359,8 +544,453 @@ const validationRules = {
 
     // Status Updates
     listenToStatusUpdates: [commonValidations.phoneNumber('number')],
+
+    // Búsqueda de mensajes
+    searchMessages: [
+        query('q')
+            .trim()
+            .notEmpty().withMessage(ERROR_MESSAGES.REQUIRED)
+            .isLength({ max: 200 }).withMessage('Longitud inválida'),
+        query(['number', 'chatId', 'sender', 'type']).optional().isString().withMessage(ERROR_MESSAGES.STRING),
+        query(['from', 'to']).optional().isISO8601().withMessage(ERROR_MESSAGES.VALID_DATE),
+        query(['hasMedia', 'includeDeleted']).optional().isBoolean().withMessage(ERROR_MESSAGES.BOOLEAN),
+        ...commonValidations.pagination
+    ],
+
+    // Estado de entrega de mensajes
+    getMessageStatus: [
+        param('id').trim().notEmpty().withMessage(ERROR_MESSAGES.REQUIRED)
+    ],
+
+    // API Keys
+    createApiKey: [
+        body('name')
+            .trim()
+            .notEmpty().withMessage(ERROR_MESSAGES.REQUIRED)
+            .isLength({ min: 2, max: 100 }).withMessage('Longitud inválida'),
+        body('scopes')
+            .isArray({ min: 1 }).withMessage('scopes debe ser un array con al menos un elemento'),
+        body('scopes.*')
+            .isIn([apiKeyStore.WILDCARD_SCOPE, ...apiKeyStore.SCOPES])
+            .withMessage(`Scope inválido. Permitidos: ${apiKeyStore.SCOPES.join(', ')}, ${apiKeyStore.WILDCARD_SCOPE}`),
+        body('numbers')
+            .optional()
+            .isArray().withMessage('numbers debe ser un array'),
+        body('numbers.*')
+            .isString().withMessage(ERROR_MESSAGES.STRING)
+            .trim()
+            .notEmpty().withMessage(ERROR_MESSAGES.REQUIRED),
+        body('expiresAt').optional({ nullable: true }).isISO8601().withMessage(ERROR_MESSAGES.VALID_DATE)
+    ],
+
+    revokeApiKey: [
+        param('id').trim().isHexadecimal().isLength({ min: 16, max: 16 }).withMessage('Id de API key inválido')
+    ],
+
+    rotateApiKey: [
+        param('id').trim().isHexadecimal().isLength({ min: 16, max: 16 }).withMessage('Id de API key inválido'),
+        body('gracePeriodSeconds')
+            .optional()
+            .isInt({ min: 0, max: 7 * 24 * 60 * 60 })
+            .withMessage('gracePeriodSeconds debe estar entre 0 y 604800')
+    ],
+
+    // Auditoría
+    getAuditLog: [
+        ...commonValidations.pagination,
+        ...auditFilters
+    ],
+
+    exportAuditLog: auditFilters,
+
+    // Webhooks
+    createWebhook: [
+        body('url')
+            .trim()
+            .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+            .withMessage('url debe ser una URL http(s) válida'),
+        body('number')
+            .trim()
+            .notEmpty().withMessage(ERROR_MESSAGES.REQUIRED)
+            .isString().withMessage(ERROR_MESSAGES.STRING),
+        body('events')
+            .isArray({ min: 1 }).withMessage('events debe ser un array con al menos un elemento'),
+        body('events.*')
+            .isIn(webhookManager.EVENT_TYPES)
+            .withMessage(`Evento inválido. Permitidos: ${webhookManager.EVENT_TYPES.join(', ')}`),
+        body('secret')
+            .optional()
+            .isString().withMessage(ERROR_MESSAGES.STRING)
+            .isLength({ min: 16, max: 256 }).withMessage('secret debe tener entre 16 y 256 caracteres'),
+        body('description')
+            .optional({ nullable: true })
+            .isString().withMessage(ERROR_MESSAGES.STRING)
+            .isLength({ max: 200 }).withMessage('Longitud inválida')
+    ],
+
+    deleteWebhook: [webhookId],
+
+    getWebhookDeliveries: [
+        webhookId,
+        query('limit')
+            .optional()
+            .isInt({ min: 1, max: webhookManager.MAX_LOG_ENTRIES })
+            .withMessage(`Debe ser un número entre 1 y ${webhookManager.MAX_LOG_ENTRIES}`)
+    ],
+
+    listDeadLetters: [
+        query('subscriptionId').optional().isHexadecimal().isLength({ min: 16, max: 16 }).withMessage('Id de webhook inválido')
+    ],
+
+    redeliverDeadLetter: [
+        param('id').trim().isHexadecimal().isLength({ min: 16, max: 16 }).withMessage('Id de dead letter inválido')
+    ],
+
+    // Stream SSE
+    streamEvents: [
+        query('numbers').optional().isString().withMessage(ERROR_MESSAGES.STRING),
+        query('events')
+            .optional()
+            .custom(value => String(value).split(',').every(event => eventStream.EVENT_TYPES.includes(event.trim())))
+            .withMessage(`Eventos inválidos. Permitidos: ${eventStream.EVENT_TYPES.join(', ')}`),
+        query('lastEventId').optional().isString().withMessage(ERROR_MESSAGES.STRING)
+    ],
+
+    // Migración de clientes entre instancias
+    exportClientBundle: [
+        param('number').trim().notEmpty().withMessage(ERROR_MESSAGES.REQUIRED),
+        body('passphrase')
+            .isString().withMessage(ERROR_MESSAGES.STRING)
+            .isLength({ min: clientBundle.MIN_PASSPHRASE_LENGTH })
+            .withMessage(`La passphrase debe tener al menos ${clientBundle.MIN_PASSPHRASE_LENGTH} caracteres`),
+        body('detach').optional().isBoolean({ strict: true }).withMessage(ERROR_MESSAGES.BOOLEAN)
+    ],
+
+    importClientBundle: [
+        header('X-Bundle-Passphrase')
+            .isString().withMessage(ERROR_MESSAGES.STRING)
+            .isLength({ min: clientBundle.MIN_PASSPHRASE_LENGTH })
+            .withMessage(`La passphrase debe tener al menos ${clientBundle.MIN_PASSPHRASE_LENGTH} caracteres`)
+    ],
+
+    // Exportación de chats
+    createChatExport: [
+        body('number')
+            .trim()
+            .notEmpty().withMessage(ERROR_MESSAGES.REQUIRED)
+            .isString().withMessage(ERROR_MESSAGES.STRING),
+        body('chatIds')
+            .isArray({ min: 1, max: chatExporter.MAX_CHATS })
+            .withMessage(`chatIds debe ser un array de 1 a ${chatExporter.MAX_CHATS} chats`),
+        body('chatIds.*')
+            .isString()
+            .matches(/^[\w.-]+@(c|g)\.us$/)
+            .withMessage('Chat inválido (formato xxx@c.us o xxx@g.us)'),
+        body('format')
+            .isIn(chatExporter.FORMATS)
+            .withMessage(`Formato inválido. Permitidos: ${chatExporter.FORMATS.join(', ')}`),
+        body('media')
+            .optional()
+            .isIn(chatExporter.MEDIA_MODES)
+            .withMessage(`Modo de media inválido. Permitidos: ${chatExporter.MEDIA_MODES.join(', ')}`)
+            .custom((media, { req }) => !(media === 'embed' && req.body.format === 'csv'))
+            .withMessage('El formato CSV no admite media embebida; usa link o none')
+    ],
+
+    listChatExports: [
+        query('number').optional().isString().withMessage(ERROR_MESSAGES.STRING),
+        query('status')
+            .optional()
+            .isIn(['queued', 'running', 'completed', 'failed', 'expired'])
+            .withMessage('Estado inválido')
+    ],
+
+    getChatExport: [exportId],
+
+    deleteChatExport: [exportId],
+
+    // Bandeja compartida
+    listConversations: [
+        query('number').optional().isString().withMessage(ERROR_MESSAGES.STRING),
+        query('chatId').optional().isString().withMessage(ERROR_MESSAGES.STRING),
+        query('status')
+            .optional()
+            .isIn(conversationManager.STATUSES)
+            .withMessage(`Estado inválido. Permitidos: ${conversationManager.STATUSES.join(', ')}`),
+        query('agentId').optional().isString().withMessage(ERROR_MESSAGES.STRING),
+        query('teamId').optional().isString().withMessage(ERROR_MESSAGES.STRING),
+        query('unassigned').optional().isBoolean().withMessage(ERROR_MESSAGES.BOOLEAN),
+        query('page').optional().isInt({ min: 1 }).withMessage(ERROR_MESSAGES.POSITIVE_INT),
+        query('limit')
+            .optional()
+            .isInt({ min: 1, max: conversationManager.MAX_PAGE_SIZE })
+            .withMessage(`limit debe estar entre 1 y ${conversationManager.MAX_PAGE_SIZE}`)
+    ],
+
+    getConversation: [conversationId],
+
+    assignConversation: [
+        conversationId,
+        assigneeId('agentId'),
+        assigneeId('teamId'),
+        body('agentId')
+            .custom((value, { req }) => 'agentId' in req.body || 'teamId' in req.body)
+            .withMessage('Indica agentId y/o teamId (null para desasignar)')
+    ],
+
+    setConversationStatus: [
+        conversationId,
+        body('status')
+            .isIn(conversationManager.STATUSES)
+            .withMessage(`Estado inválido. Permitidos: ${conversationManager.STATUSES.join(', ')}`)
+    ],
+
+    // Respuestas predefinidas
+    createCannedResponse: [
+        body('number')
+            .optional()
+            .trim()
+            .notEmpty().withMessage(ERROR_MESSAGES.REQUIRED)
+            .isString().withMessage(ERROR_MESSAGES.STRING),
+        cannedShortcode(),
+        body('text')
+            .optional()
+            .isString().withMessage(ERROR_MESSAGES.STRING)
+            .isLength({ max: cannedResponses.MAX_TEXT_LENGTH }).withMessage('Texto demasiado largo'),
+        body('title')
+            .optional({ nullable: true })
+            .isString().withMessage(ERROR_MESSAGES.STRING)
+            .isLength({ max: 100 }).withMessage('Longitud inválida'),
+        body('category')
+            .optional({ nullable: true })
+            .isString().withMessage(ERROR_MESSAGES.STRING)
+            .isLength({ max: 50 }).withMessage('Longitud inválida'),
+        ...attachmentRules
+    ],
+
+    listCannedResponses: [
+        query('number').optional().isString().withMessage(ERROR_MESSAGES.STRING),
+        query('category').optional().isString().withMessage(ERROR_MESSAGES.STRING),
+        query('q').optional().isString().withMessage(ERROR_MESSAGES.STRING)
+    ],
+
+    getCannedResponse: [cannedResponseId],
+
+    getCannedResponseMedia: [cannedResponseId],
+
+    updateCannedResponse: [
+        cannedResponseId,
+        cannedShortcode().optional(),
+        body('text')
+            .optional({ nullable: true })
+            .isString().withMessage(ERROR_MESSAGES.STRING)
+            .isLength({ max: cannedResponses.MAX_TEXT_LENGTH }).withMessage('Texto demasiado largo'),
+        body('title')
+            .optional({ nullable: true })
+            .isString().withMessage(ERROR_MESSAGES.STRING)
+            .isLength({ max: 100 }).withMessage('Longitud inválida'),
+        body('category')
+            .optional({ nullable: true })
+            .isString().withMessage(ERROR_MESSAGES.STRING)
+            .isLength({ max: 50 }).withMessage('Longitud inválida'),
+        body('number')
+            .not().exists().withMessage('El número de una respuesta no se puede cambiar'),
+        ...attachmentRules
+    ],
+
+    deleteCannedResponse: [cannedResponseId],
+
+    // Plantillas
+    createTemplate: [
+        body('name')
+            .isString().withMessage(ERROR_MESSAGES.STRING)
+            .matches(messageTemplates.NAME_PATTERN)
+            .withMessage('name debe empezar por una letra y tener hasta 64 letras minúsculas, dígitos o _'),
+        body('number')
+            .optional()
+            .trim()
+            .notEmpty().withMessage(ERROR_MESSAGES.REQUIRED)
+            .isString().withMessage(ERROR_MESSAGES.STRING),
+        ...templateDefinitionRules
+    ],
+
+    listTemplates: [
+        query('number').optional().isString().withMessage(ERROR_MESSAGES.STRING),
+        query('q').optional().isString().withMessage(ERROR_MESSAGES.STRING)
+    ],
+
+    getTemplate: [templateId],
+
+    createTemplateVersion: [
+        templateId,
+        ...templateDefinitionRules,
+        body('activate').optional().isBoolean().withMessage(ERROR_MESSAGES.BOOLEAN),
+        body(['name', 'number'])
+            .not().exists().withMessage('El nombre y el número de una plantilla no se pueden cambiar')
+    ],
+
+    activateTemplateVersion: [
+        templateId,
+        body('version').isInt({ min: 1 }).withMessage(ERROR_MESSAGES.POSITIVE_INT).toInt()
+    ],
+
+    previewTemplate: [
+        templateId,
+        body('params').optional().isObject().withMessage('params debe ser un objeto'),
+        body('locale')
+            .optional()
+            .matches(messageTemplates.LOCALE_PATTERN).withMessage('locale debe ser un código de idioma (es, en-US)'),
+        body('version').optional().isInt({ min: 1 }).withMessage(ERROR_MESSAGES.POSITIVE_INT).toInt(),
+        body(['number', 'chatId']).optional().isString().withMessage(ERROR_MESSAGES.STRING)
+    ],
+
+    setContactLocale: [
+        body('number')
+            .isString().withMessage(ERROR_MESSAGES.STRING)
+            .notEmpty().withMessage(ERROR_MESSAGES.REQUIRED),
+        body('chatId')
+            .isString().withMessage(ERROR_MESSAGES.STRING)
+            .notEmpty().withMessage(ERROR_MESSAGES.REQUIRED),
+        body('locale')
+            .optional({ nullable: true })
+            .matches(messageTemplates.LOCALE_PATTERN).withMessage('locale debe ser un código de idioma (es, en-US)')
+    ],
+
+    deleteTemplate: [templateId],
+
+    // Mensajes programados
+    createScheduledMessage: [
+        commonValidations.clientId,
+        body('chatId')
+            .trim()
+            .isString().withMessage(ERROR_MESSAGES.STRING)
+            .notEmpty().withMessage(ERROR_MESSAGES.REQUIRED),
+        body('isGroup').optional().isBoolean().withMessage(ERROR_MESSAGES.BOOLEAN),
+        ...scheduledMessageRules
+    ],
+
+    listScheduledMessages: [
+        query(['number', 'chatId']).optional().isString().withMessage(ERROR_MESSAGES.STRING),
+        query('status')
+            .optional()
+            .isIn(messageScheduler.STATUSES)
+            .withMessage(`Estado inválido. Permitidos: ${messageScheduler.STATUSES.join(', ')}`),
+        ...commonValidations.pagination
+    ],
+
+    getScheduledMessage: [scheduledMessageId],
+
+    updateScheduledMessage: [
+        scheduledMessageId,
+        body(['clientId', 'chatId', 'isGroup'])
+            .not().exists().withMessage('El número y el destino de un mensaje programado no se pueden cambiar'),
+        ...scheduledMessageRules
+    ],
+
+    pauseScheduledMessage: [scheduledMessageId],
+
+    resumeScheduledMessage: [scheduledMessageId],
+
+    cancelScheduledMessage: [scheduledMessageId],
+
+    // Campañas de difusión
+    createCampaign: [
+        commonValidations.clientId,
+        body('name')
+            .isString().withMessage(ERROR_MESSAGES.STRING)
+            .trim()
+            .isLength({ min: 1, max: 100 }).withMessage('name debe tener entre 1 y 100 caracteres'),
+        body('recipients')
+            .optional()
+            .isArray({ min: 1, max: campaignManager.MAX_RECIPIENTS })
+            .withMessage(`recipients debe ser un array de 1 a ${campaignManager.MAX_RECIPIENTS} elementos`),
+        body('csv')
+            .optional()
+            .isString().withMessage(ERROR_MESSAGES.STRING)
+            .notEmpty().withMessage(ERROR_MESSAGES.REQUIRED),
+        body('message')
+            .optional()
+            .isString().withMessage(ERROR_MESSAGES.STRING)
+            .isLength({ max: 4096 }).withMessage('Mensaje demasiado largo'),
+        body('fileName')
+            .optional()
+            .isString().withMessage(ERROR_MESSAGES.STRING)
+            .isLength({ min: 1, max: 200 }).withMessage('fileName debe tener entre 1 y 200 caracteres'),
+        body('fileContent').optional().isString().withMessage(ERROR_MESSAGES.STRING),
+        body('templateId')
+            .optional()
+            .isHexadecimal().isLength({ min: 16, max: 16 }).withMessage('Id de plantilla inválido'),
+        body('templateName')
+            .optional()
+            .matches(messageTemplates.NAME_PATTERN).withMessage('Nombre de plantilla inválido'),
+        body(['message', 'fileContent'])
+            .optional()
+            .custom((value, { req }) => !(value && (req.body.templateId || req.body.templateName)))
+            .withMessage('Una plantilla no se puede combinar con message ni fileContent'),
+        body('params').optional().isObject().withMessage('params debe ser un objeto'),
+        body('locale')
+            .optional()
+            .matches(messageTemplates.LOCALE_PATTERN).withMessage('locale debe ser un código de idioma (es, en-US)'),
+        body('ratePerMinute')
+            .optional()
+            .isInt({ min: 1, max: campaignManager.MAX_RATE })
+            .withMessage(`ratePerMinute debe estar entre 1 y ${campaignManager.MAX_RATE}`)
+            .toInt(),
+        body('jitter')
+            .optional()
+            .isFloat({ min: 0, max: 1 }).withMessage('jitter debe estar entre 0 y 1')
+            .toFloat(),
+        body('startAt').optional().isISO8601().withMessage(ERROR_MESSAGES.VALID_DATE)
+    ],
+
+    listCampaigns: [
+        query('number').optional().isString().withMessage(ERROR_MESSAGES.STRING),
+        query('status')
+            .optional()
+            .isIn(campaignManager.STATUSES)
+            .withMessage(`Estado inválido. Permitidos: ${campaignManager.STATUSES.join(', ')}`),
+        ...commonValidations.pagination
+    ],
+
+    getCampaign: [campaignId],
+
+    listCampaignRecipients: [
+        campaignId,
+        query('status')
+            .optional()
+            .isIn(campaignManager.RECIPIENT_STATUSES)
+            .withMessage(`Estado inválido. Permitidos: ${campaignManager.RECIPIENT_STATUSES.join(', ')}`),
+        query('page').optional().isInt({ min: 1 }).withMessage(ERROR_MESSAGES.POSITIVE_INT),
+        query('limit')
+            .optional()
+            .isInt({ min: 1, max: campaignManager.MAX_PAGE_SIZE })
+            .withMessage(`Debe ser un número entre 1 y ${campaignManager.MAX_PAGE_SIZE}`)
+    ],
+
+    getCampaignReport: [campaignId],
+
+    pauseCampaign: [campaignId],
+
+    resumeCampaign: [campaignId],
+
+    cancelCampaign: [campaignId],
+
+    // GraphQL: cuerpo JSON en POST, query string en GET
+    executeGraphql: [
+        check('query', ['body', 'query'])
+            .isString().withMessage(ERROR_MESSAGES.STRING)
+            .notEmpty().withMessage(ERROR_MESSAGES.REQUIRED)
+            .isLength({ max: 20000 }).withMessage('La consulta no puede superar 20000 caracteres'),
+        check('variables', ['body', 'query'])
+            .optional({ nullable: true })
+            .custom(value => typeof value === 'string' || (typeof value === 'object' && !Array.isArray(value)))
+            .withMessage('variables debe ser un objeto'),
+        check('operationName', ['body', 'query'])
+            .optional({ nullable: true })
+            .isString().withMessage(ERROR_MESSAGES.STRING)
+    ],
 }
 
 const getValidationRules = (routeName) => validationRules[routeName] || null;
 
-module.exports = { validateRequest };
\ No newline at end of file
+module.exports = { validateRequest, getValidationRules };
\ No newline at end of file
@@ -1,22 +1,39 @@
 const express = require('express');
 const router = express.Router();
 const controller = require('../controllers/controllers');
-const { validateRequest } = require('../middleware/validation');
+const apiKeyController = require('../controllers/apiKeyController');
+const auditController = require('../controllers/auditController');
+const webhookController = require('../controllers/webhookController');
+const exportController = require('../controllers/exportController');
+const eventController = require('../controllers/eventController');
+const graphqlController = require('../controllers/graphqlController');
+const conversationController = require('../controllers/conversationController');
+const cannedResponseController = require('../controllers/cannedResponseController');
+const templateController = require('../controllers/templateController');
+const scheduledMessageController = require('../controllers/scheduledMessageController');
+const campaignController = require('../controllers/campaignController');
+const docsController = require('../controllers/docsController');
+const { validateRequest, getValidationRules } = require('../middleware/validation');
+const { authenticate, requireScope, authorizeNumbers, extractApiKey } = require('../middleware/auth');
+const { auditTrail } = require('../middleware/audit');
 const { asyncHandler } = require('../utils/asyncHandler');
 const cors = require('cors');
 const rateLimit = require('express-rate-limit');
 const helmet = require('helmet');
 const logger = require('../conf/logger');
+const openApi = require('../utils/openApi');
+const socketRpc = require('./socketRpc');
 
 // Configuración de seguridad
 router.use(helmet());
 
 // Limiter configurations
-const apiLimiter = rateLimit({
+const apiLimit = {
     windowMs: 30 * 60 * 1000,
     max: 500,
     message: 'Too many requests from this IP, please try again later.'
-});
+};
+const apiLimiter = rateLimit(apiLimit);
 
 // CORS configuration
 const corsOptions = {
@@ -27,6 +44,9 @@ const corsOptions = {
     allowedHeaders: [
         'Content-Type',
         'Authorization',
+        'X-API-Key',
+        'X-Bundle-Passphrase',
+        'Last-Event-ID',
         'ngrok-skip-browser-warning',
         'User-Agent'
     ],
@@ -139,6 +159,22 @@ const routes = {
             handler: 'removeClient',
             useAsync: true,
             rateLimit: { windowMs: 60000, max: 5 }
+        },
+        {
+            path: '/clients/:number/bundle',
+            method: 'post',
+            handler: 'exportClientBundle',
+            useAsync: true,
+            produces: 'application/octet-stream',
+            rateLimit: { windowMs: 60000, max: 2 }
+        },
+        {
+            path: '/clients/import',
+            method: 'post',
+            handler: 'importClientBundle',
+            useAsync: true,
+            consumes: 'application/octet-stream',
+            rateLimit: { windowMs: 60000, max: 2 }
         }
     ],
     messaging: [
@@ -228,6 +264,13 @@ const routes = {
             handler: 'markChatAsRead',
             useAsync: true
         },
+        {
+            path: '/sendChatState',
+            method: 'post',
+            handler: 'sendChatState',
+            useAsync: true,
+            rateLimit: { windowMs: 60000, max: 120 }
+        },
         { 
             path: '/markChatAsUnread', 
             method: 'post', 
@@ -292,6 +335,27 @@ const routes = {
             handler: 'replyToMessage',
             useAsync: true
         },
+        {
+            path: '/reactMessage',
+            method: 'post',
+            handler: 'reactToMessage',
+            useAsync: true,
+            rateLimit: { windowMs: 60000, max: 60 }
+        },
+        {
+            path: '/messages/search',
+            method: 'get',
+            handler: 'searchMessages',
+            useAsync: true,
+            rateLimit: { windowMs: 60000, max: 60 }
+        },
+        {
+            path: '/messages/:id/status',
+            method: 'get',
+            handler: 'getMessageStatus',
+            useAsync: true,
+            rateLimit: { windowMs: 60000, max: 120 }
+        },
         { 
             path: '/getMessageInfo', 
             method: 'get', 
@@ -344,6 +408,7 @@ const routes = {
             method: 'get', 
             handler: 'getMediaFile',
             useAsync: true,
+            produces: 'application/octet-stream',
             rateLimit: { windowMs: 60000, max: 100 }
         },
         { 
@@ -367,9 +432,443 @@ const routes = {
             handler: 'getStatuses',
             useAsync: true
         }
+    ],
+    keys: [
+        {
+            path: '/keys',
+            method: 'post',
+            handler: 'createApiKey',
+            controller: apiKeyController,
+            useAsync: true,
+            rateLimit: { windowMs: 60000, max: 10 }
+        },
+        {
+            path: '/keys',
+            method: 'get',
+            handler: 'listApiKeys',
+            controller: apiKeyController,
+            useAsync: true
+        },
+        {
+            path: '/keys/:id/revoke',
+            method: 'post',
+            handler: 'revokeApiKey',
+            controller: apiKeyController,
+            useAsync: true
+        },
+        {
+            path: '/keys/:id/rotate',
+            method: 'post',
+            handler: 'rotateApiKey',
+            controller: apiKeyController,
+            useAsync: true,
+            rateLimit: { windowMs: 60000, max: 10 }
+        }
+    ],
+    audit: [
+        {
+            path: '/audit',
+            method: 'get',
+            handler: 'getAuditLog',
+            controller: auditController,
+            useAsync: true,
+            rateLimit: { windowMs: 60000, max: 30 }
+        },
+        {
+            path: '/audit/export',
+            method: 'get',
+            handler: 'exportAuditLog',
+            controller: auditController,
+            useAsync: true,
+            produces: 'application/x-ndjson',
+            rateLimit: { windowMs: 60000, max: 5 }
+        }
+    ],
+    webhooks: [
+        {
+            path: '/webhooks',
+            method: 'post',
+            handler: 'createWebhook',
+            controller: webhookController,
+            useAsync: true,
+            rateLimit: { windowMs: 60000, max: 10 }
+        },
+        {
+            path: '/webhooks',
+            method: 'get',
+            handler: 'listWebhooks',
+            controller: webhookController,
+            useAsync: true
+        },
+        {
+            path: '/webhooks/dead-letters',
+            method: 'get',
+            handler: 'listDeadLetters',
+            controller: webhookController,
+            useAsync: true
+        },
+        {
+            path: '/webhooks/dead-letters/:id/redeliver',
+            method: 'post',
+            handler: 'redeliverDeadLetter',
+            controller: webhookController,
+            useAsync: true,
+            rateLimit: { windowMs: 60000, max: 30 }
+        },
+        {
+            path: '/webhooks/:id',
+            method: 'delete',
+            handler: 'deleteWebhook',
+            controller: webhookController,
+            useAsync: true
+        },
+        {
+            path: '/webhooks/:id/deliveries',
+            method: 'get',
+            handler: 'getWebhookDeliveries',
+            controller: webhookController,
+            useAsync: true
+        }
+    ],
+    events: [
+        {
+            path: '/events',
+            method: 'get',
+            handler: 'streamEvents',
+            controller: eventController,
+            useAsync: true,
+            produces: 'text/event-stream',
+            // EventSource no permite cabeceras: la key puede ir en ?token=
+            allowQueryToken: true
+        },
+        {
+            path: '/events/websocket-schema',
+            method: 'get',
+            handler: 'getWebSocketSchema',
+            controller: eventController,
+            useAsync: true,
+            produces: 'application/schema+json'
+        }
+    ],
+    exports: [
+        {
+            path: '/exports',
+            method: 'post',
+            handler: 'createChatExport',
+            controller: exportController,
+            useAsync: true,
+            rateLimit: { windowMs: 60000, max: 5 }
+        },
+        {
+            path: '/exports',
+            method: 'get',
+            handler: 'listChatExports',
+            controller: exportController,
+            useAsync: true
+        },
+        {
+            path: '/exports/:id',
+            method: 'get',
+            handler: 'getChatExport',
+            controller: exportController,
+            useAsync: true
+        },
+        {
+            path: '/exports/:id',
+            method: 'delete',
+            handler: 'deleteChatExport',
+            controller: exportController,
+            useAsync: true
+        }
+    ],
+    cannedResponses: [
+        {
+            path: '/canned-responses',
+            method: 'post',
+            handler: 'createCannedResponse',
+            controller: cannedResponseController,
+            useAsync: true,
+            rateLimit: { windowMs: 60000, max: 30 }
+        },
+        {
+            path: '/canned-responses',
+            method: 'get',
+            handler: 'listCannedResponses',
+            controller: cannedResponseController,
+            useAsync: true
+        },
+        {
+            path: '/canned-responses/:id',
+            method: 'get',
+            handler: 'getCannedResponse',
+            controller: cannedResponseController,
+            useAsync: true
+        },
+        {
+            path: '/canned-responses/:id/media',
+            method: 'get',
+            handler: 'getCannedResponseMedia',
+            controller: cannedResponseController,
+            useAsync: true,
+            produces: 'application/octet-stream'
+        },
+        {
+            path: '/canned-responses/:id',
+            method: 'post',
+            handler: 'updateCannedResponse',
+            controller: cannedResponseController,
+            useAsync: true,
+            rateLimit: { windowMs: 60000, max: 30 }
+        },
+        {
+            path: '/canned-responses/:id',
+            method: 'delete',
+            handler: 'deleteCannedResponse',
+            controller: cannedResponseController,
+            useAsync: true
+        }
+    ],
+    templates: [
+        {
+            path: '/templates',
+            method: 'post',
+            handler: 'createTemplate',
+            controller: templateController,
+            useAsync: true,
+            rateLimit: { windowMs: 60000, max: 30 }
+        },
+        {
+            path: '/templates',
+            method: 'get',
+            handler: 'listTemplates',
+            controller: templateController,
+            useAsync: true
+        },
+        {
+            path: '/templates/contact-locales',
+            method: 'post',
+            handler: 'setContactLocale',
+            controller: templateController,
+            useAsync: true,
+            rateLimit: { windowMs: 60000, max: 120 }
+        },
+        {
+            path: '/templates/:id',
+            method: 'get',
+            handler: 'getTemplate',
+            controller: templateController,
+            useAsync: true
+        },
+        {
+            path: '/templates/:id/versions',
+            method: 'post',
+            handler: 'createTemplateVersion',
+            controller: templateController,
+            useAsync: true,
+            rateLimit: { windowMs: 60000, max: 30 }
+        },
+        {
+            path: '/templates/:id/activate',
+            method: 'post',
+            handler: 'activateTemplateVersion',
+            controller: templateController,
+            useAsync: true,
+            rateLimit: { windowMs: 60000, max: 30 }
+        },
+        {
+            path: '/templates/:id/preview',
+            method: 'post',
+            handler: 'previewTemplate',
+            controller: templateController,
+            useAsync: true,
+            rateLimit: { windowMs: 60000, max: 120 }
+        },
+        {
+            path: '/templates/:id',
+            method: 'delete',
+            handler: 'deleteTemplate',
+            controller: templateController,
+            useAsync: true
+        }
+    ],
+    scheduledMessages: [
+        {
+            path: '/scheduled-messages',
+            method: 'post',
+            handler: 'createScheduledMessage',
+            controller: scheduledMessageController,
+            useAsync: true,
+            rateLimit: { windowMs: 60000, max: 60 }
+        },
+        {
+            path: '/scheduled-messages',
+            method: 'get',
+            handler: 'listScheduledMessages',
+            controller: scheduledMessageController,
+            useAsync: true
+        },
+        {
+            path: '/scheduled-messages/:id',
+            method: 'get',
+            handler: 'getScheduledMessage',
+            controller: scheduledMessageController,
+            useAsync: true
+        },
+        {
+            path: '/scheduled-messages/:id',
+            method: 'post',
+            handler: 'updateScheduledMessage',
+            controller: scheduledMessageController,
+            useAsync: true,
+            rateLimit: { windowMs: 60000, max: 60 }
+        },
+        {
+            path: '/scheduled-messages/:id/pause',
+            method: 'post',
+            handler: 'pauseScheduledMessage',
+            controller: scheduledMessageController,
+            useAsync: true
+        },
+        {
+            path: '/scheduled-messages/:id/resume',
+            method: 'post',
+            handler: 'resumeScheduledMessage',
+            controller: scheduledMessageController,
+            useAsync: true
+        },
+        {
+            path: '/scheduled-messages/:id',
+            method: 'delete',
+            handler: 'cancelScheduledMessage',
+            controller: scheduledMessageController,
+            useAsync: true
+        }
+    ],
+    campaigns: [
+        {
+            path: '/campaigns',
+            method: 'post',
+            handler: 'createCampaign',
+            controller: campaignController,
+            useAsync: true,
+            rateLimit: { windowMs: 60000, max: 10 }
+        },
+        {
+            path: '/campaigns',
+            method: 'get',
+            handler: 'listCampaigns',
+            controller: campaignController,
+            useAsync: true
+        },
+        {
+            path: '/campaigns/:id',
+            method: 'get',
+            handler: 'getCampaign',
+            controller: campaignController,
+            useAsync: true
+        },
+        {
+            path: '/campaigns/:id/recipients',
+            method: 'get',
+            handler: 'listCampaignRecipients',
+            controller: campaignController,
+            useAsync: true
+        },
+        {
+            path: '/campaigns/:id/report',
+            method: 'get',
+            handler: 'getCampaignReport',
+            controller: campaignController,
+            useAsync: true
+        },
+        {
+            path: '/campaigns/:id/pause',
+            method: 'post',
+            handler: 'pauseCampaign',
+            controller: campaignController,
+            useAsync: true
+        },
+        {
+            path: '/campaigns/:id/resume',
+            method: 'post',
+            handler: 'resumeCampaign',
+            controller: campaignController,
+            useAsync: true
+        },
+        {
+            path: '/campaigns/:id',
+            method: 'delete',
+            handler: 'cancelCampaign',
+            controller: campaignController,
+            useAsync: true
+        }
+    ],
+    conversations: [
+        {
+            path: '/conversations',
+            method: 'get',
+            handler: 'listConversations',
+            controller: conversationController,
+            useAsync: true
+        },
+        {
+            path: '/conversations/:id',
+            method: 'get',
+            handler: 'getConversation',
+            controller: conversationController,
+            useAsync: true
+        },
+        {
+            path: '/conversations/:id/assign',
+            method: 'post',
+            handler: 'assignConversation',
+            controller: conversationController,
+            useAsync: true,
+            rateLimit: { windowMs: 60000, max: 120 }
+        },
+        {
+            path: '/conversations/:id/status',
+            method: 'post',
+            handler: 'setConversationStatus',
+            controller: conversationController,
+            useAsync: true,
+            rateLimit: { windowMs: 60000, max: 120 }
+        }
+    ],
+    graphql: [
+        {
+            path: '/graphql',
+            method: 'post',
+            handler: 'executeGraphql',
+            controller: graphqlController,
+            useAsync: true,
+            rateLimit: { windowMs: 60000, max: 120 }
+        },
+        {
+            path: '/graphql',
+            method: 'get',
+            handler: 'executeGraphql',
+            controller: graphqlController,
+            useAsync: true,
+            rateLimit: { windowMs: 60000, max: 120 }
+        }
     ]
 };
 
+// Scope requerido por grupo (por defecto, el nombre del grupo)
+const groupScopes = {
+    mediaMessages: 'messaging',
+    account: 'clients',
+    status: 'messages',
+    keys: 'admin',
+    audit: 'admin',
+    exports: 'messages',
+    cannedResponses: 'messaging',
+    templates: 'messaging',
+    scheduledMessages: 'messaging',
+    campaigns: 'messaging'
+};
+
 // Middleware para manejar errores específicos
 const errorHandler = (err, req, res, next) => {
     logger.error('API Error:', err);
@@ -383,9 +882,19 @@ const errorHandler = (err, req, res, next) => {
     }
 
     if (err.type === 'auth') {
+        res.set('WWW-Authenticate', 'Bearer');
         return res.status(401).json({
             status: 'error',
-            message: 'Authentication failed'
+            message: 'Authentication failed',
+            error: err.message
+        });
+    }
+
+    if (err.type === 'forbidden') {
+        return res.status(403).json({
+            status: 'error',
+            message: 'Forbidden',
+            error: err.message
         });
     }
 
@@ -395,19 +904,44 @@ const errorHandler = (err, req, res, next) => {
     });
 };
 
+// Límites por ruta: contados por API key y compartidos con las llamadas RPC por WebSocket y GraphQL
+const createRouteLimiter = (routeLimit) => rateLimit({
+    ...routeLimit,
+    keyGenerator: (req) => req.auth.keyId
+});
+
+// Copiar ?token= como X-API-Key si no viene cabecera (solo rutas con allowQueryToken)
+const queryTokenAuth = (req, res, next) => {
+    if (!extractApiKey(req) && typeof req.query.token === 'string') {
+        req.headers['x-api-key'] = req.query.token;
+    }
+    next();
+};
+
 // Register routes dynamically
 Object.entries(routes).forEach(([group, routeConfigs]) => {
-    routeConfigs.forEach(({ path, method, handler, rateLimit: routeLimit, useAsync = true }) => {
-        if (typeof controller[handler] !== "function") {
+    const scope = groupScopes[group] || group;
+
+    routeConfigs.forEach(({ path, method, handler, controller: routeController = controller, rateLimit: routeLimit, useAsync = true, allowQueryToken = false }) => {
+        if (typeof routeController[handler] !== "function") {
             logger.error(`Handler '${handler}' not found in controller`);
             return;
         }
 
-        const middlewares = [validateRequest(handler)];
+        const middlewares = [
+            ...(allowQueryToken ? [queryTokenAuth] : []),
+            authenticate,
+            auditTrail(handler),
+            requireScope(scope),
+            validateRequest(handler),
+            authorizeNumbers
+        ];
 
         // Add route-specific rate limiter if configured
         if (routeLimit) {
-            middlewares.push(rateLimit(routeLimit));
+            const limiter = createRouteLimiter(routeLimit);
+            socketRpc.registerRateLimiter(handler, limiter);
+            middlewares.push(limiter);
         }
 
         // Decidir si usar asyncHandler o simpleHandler
@@ -416,16 +950,52 @@ Object.entries(routes).forEach(([group, routeConfigs]) => {
         router[method](
             path,
             ...middlewares,
-            handlerWrapper(controller[handler])
+            handlerWrapper(routeController[handler])
         );
     });
 });
 
-router.use(errorHandler);
-
 // Health check endpoint
 router.get('/health', (req, res) => {
     res.status(200).json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
+// Descarga de exportaciones: sin API key, el token del enlace caduca con la exportación
+const downloadLimit = { windowMs: 60000, max: 60 };
+router.get('/exports/:id/download', rateLimit(downloadLimit), asyncHandler(exportController.downloadChatExport));
+
+// Especificación OpenAPI y página de documentación interactiva
+router.get('/openapi.json', asyncHandler(docsController.getOpenApiSpec));
+router.get('/docs', asyncHandler(docsController.getApiDocs));
+router.get('/docs/init.js', asyncHandler(docsController.getApiDocsScript));
+router.use('/docs/assets', docsController.assets);
+
+// Después de la última ruta, para que también reciba los errores de las rutas públicas
+router.use(errorHandler);
+
+// Rutas públicas que se documentan junto a la tabla de rutas
+const publicRoutes = [
+    { path: '/health', method: 'get', summary: 'Health check' },
+    {
+        path: '/exports/:id/download',
+        method: 'get',
+        summary: 'Download a chat export',
+        description: 'Link returned by GET /exports/{id}; the token expires with the export.',
+        query: { token: 'Download token from the export link' },
+        produces: 'application/octet-stream',
+        rateLimit: downloadLimit
+    },
+    { path: '/openapi.json', method: 'get', summary: 'OpenAPI specification (this document)' },
+    { path: '/docs', method: 'get', summary: 'Interactive API documentation', produces: 'text/html' }
+];
+
+openApi.register({
+    routes,
+    groupScopes,
+    defaultController: controller,
+    getValidationRules,
+    apiLimit,
+    publicRoutes
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,168 @@
+// routes/socketRpc.js
+const { EventEmitter } = require('events');
+const controller = require('../controllers/controllers');
+const { validateRequest } = require('../middleware/validation');
+const { requireScope, authorizeNumbers } = require('../middleware/auth');
+const { auditTrail } = require('../middleware/audit');
+const { asyncHandler } = require('../utils/asyncHandler');
+const requestContext = require('../utils/requestContext');
+const logger = require('../conf/logger');
+
+/**
+ * Llamadas RPC por WebSocket: { action: 'rpc', requestId, method, params }
+ *
+ * Cada método ejecuta la misma cadena que su ruta REST (auditoría, scope, validación, tenencia
+ * y límite de peticiones) y el mismo controlador; la respuesta lleva el status y el cuerpo JSON que devolvería la ruta
+ * Las mutaciones GraphQL usan la misma vía (via = 'graphql')
+ */
+class SocketRpc {
+    constructor() {
+        // método → handler del controlador y scope de su grupo de rutas
+        this.METHODS = {
+            sendMessage: { handler: 'sendMessage', scope: 'messaging' },
+            sendMessageOrFile: { handler: 'sendMessageOrFile', scope: 'messaging' },
+            replyToMessage: { handler: 'replyToMessage', scope: 'messages' },
+            reactToMessage: { handler: 'reactToMessage', scope: 'messages' },
+            markChatRead: {
+                handler: 'markChatAsRead',
+                scope: 'chats',
+                // La ruta REST recibe los datos en la URL (isGroup como texto)
+                toParams: ({ clientId, tel, isGroup }) => ({ clientId, tel, isGroup: String(isGroup) })
+            },
+            sendChatState: { handler: 'sendChatState', scope: 'chats' }
+        };
+
+        this.METHOD_NAMES = Object.keys(this.METHODS);
+
+        // handler → limitador de su ruta REST (lo registra routes/links.js)
+        this.rateLimiters = new Map();
+    }
+
+    /**
+     * Compartir el limitador de una ruta REST: las llamadas RPC cuentan en el mismo cupo por API key
+     * @param {string} handler - Handler del controlador
+     * @param {Function} limiter - Middleware express-rate-limit de la ruta
+     */
+    registerRateLimiter(handler, limiter) {
+        if (!this.rateLimiters.has(handler)) {
+            this.rateLimiters.set(handler, limiter);
+        }
+    }
+
+    /**
+     * Ejecutar una llamada con la key ya autenticada del cliente
+     * @param {Object} principal - API key autenticada
+     * @param {string} method - Método RPC
+     * @param {Object} params - Cuerpo que recibiría la ruta REST
+     * @param {Object} [options]
+     * @param {string} [options.ip] - IP del cliente (auditoría)
+     * @param {string} [options.via] - Origen de la llamada, registrado como ruta en la auditoría
+     * @returns {Promise<{ status: number, body: Object }>}
+     */
+    async call(principal, method, params, { ip, via = 'ws/rpc' } = {}) {
+        const definition = this.METHODS[method];
+        const req = {
+            method: 'POST',
+            originalUrl: `/${via}/${method}`,
+            ip,
+            headers: {},
+            auth: principal,
+            params: definition.toParams ? definition.toParams(params) : {},
+            query: {},
+            body: { ...params }
+        };
+        const res = this.createResponse();
+
+        const middlewares = [
+            auditTrail(definition.handler),
+            requireScope(definition.scope),
+            validateRequest(definition.handler),
+            authorizeNumbers
+        ];
+
+        const limiter = this.rateLimiters.get(definition.handler);
+        if (limiter) {
+            middlewares.push(limiter);
+        }
+
+        await requestContext.run(principal, () => this.runChain(middlewares, asyncHandler(controller[definition.handler]), req, res));
+
+        return { status: res.statusCode, body: res.body };
+    }
+
+    async runChain(middlewares, handler, req, res) {
+        try {
+            for (const middleware of middlewares) {
+                const proceed = await this.runMiddleware(middleware, req, res);
+                if (!proceed) return;
+            }
+
+            await handler(req, res);
+        } catch (error) {
+            // Mismas respuestas que el errorHandler de las rutas
+            if (error.type === 'auth') {
+                res.status(401).json({ status: 'error', message: 'Authentication failed', error: error.message });
+            } else if (error.type === 'forbidden') {
+                res.status(403).json({ status: 'error', message: 'Forbidden', error: error.message });
+            } else {
+                logger.error(`[SocketRpc] Error en ${req.originalUrl}:`, error);
+                res.status(500).json({ status: 'error', message: 'Internal server error' });
+            }
+        }
+    }
+
+    /**
+     * Ejecutar un middleware Express
+     * @returns {Promise<boolean>} true si llamó a next(), false si respondió (p. ej. validación fallida)
+     */
+    runMiddleware(middleware, req, res) {
+        return new Promise((resolve, reject) => {
+            const onFinish = () => resolve(false);
+            res.once('finish', onFinish);
+
+            const next = (error) => {
+                res.off('finish', onFinish);
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve(true);
+                }
+            };
+
+            Promise.resolve()
+                .then(() => middleware(req, res, next))
+                .catch(next);
+        });
+    }
+
+    /**
+     * Respuesta mínima compatible con lo que usan los middlewares y controladores JSON
+     */
+    createResponse() {
+        const res = new EventEmitter();
+        res.statusCode = 200;
+        res.headersSent = false;
+        res.body = null;
+
+        res.status = (code) => {
+            res.statusCode = code;
+            return res;
+        };
+        res.set = () => res;
+        res.setHeader = () => res;
+        res.json = (body) => {
+            if (res.headersSent) return res;
+
+            res.body = body;
+            res.headersSent = true;
+            res.emit('finish');
+            return res;
+        };
+        // Respuestas de texto (p. ej. el 429 del limitador) se entregan como { status, message }
+        res.send = (body) => res.json(typeof body === 'string' ? { status: 'error', message: body } : body);
+
+        return res;
+    }
+}
+
+module.exports = new SocketRpc();
@@ -0,0 +1,170 @@
+// scripts/generateSdk.js
+// Regenera la tabla de operaciones del SDK (sdk/src/routes.js) y sus tipos (sdk/src/routes.d.ts)
+// a partir de la especificación OpenAPI.
+//
+// Uso:
+//   node src/scripts/generateSdk.js                                    (carga las rutas en proceso: requiere la misma configuración que el servidor)
+//   node src/scripts/generateSdk.js http://localhost:5000/api/openapi.json
+//   node src/scripts/generateSdk.js openapi.json
+//
+// Ejecutar tras añadir o cambiar rutas o reglas de validación.
+const fs = require('fs');
+const path = require('path');
+
+const SDK_SRC = path.join(__dirname, '../../sdk/src');
+
+const loadSpec = async (source) => {
+    if (!source) {
+        require('../routes/links');
+        return require('../utils/openApi').getSpec();
+    }
+
+    if (/^https?:\/\//.test(source)) {
+        const response = await fetch(source);
+        if (!response.ok) {
+            throw new Error(`GET ${source}: ${response.status}`);
+        }
+        return response.json();
+    }
+
+    return JSON.parse(fs.readFileSync(source, 'utf8'));
+};
+
+// Parámetros de cabecera como propiedades: X-Bundle-Passphrase → bundlePassphrase
+const headerParamName = (header) => header
+    .replace(/^x-/i, '')
+    .toLowerCase()
+    .replace(/-(\w)/g, (match, letter) => letter.toUpperCase());
+
+const toOperation = (routePath, method, operation) => {
+    const parameters = operation.parameters || [];
+    const content = operation.requestBody?.content || {};
+    const consumes = Object.keys(content)[0] || null;
+    const produces = Object.keys(operation.responses?.[200]?.content || {})[0] || 'application/json';
+
+    return {
+        name: operation.operationId,
+        method: method.toUpperCase(),
+        path: routePath,
+        scope: operation['x-scope'],
+        pathParams: parameters.filter(param => param.in === 'path').map(param => param.name),
+        query: parameters.filter(param => param.in === 'query').map(param => param.name),
+        headers: parameters.filter(param => param.in === 'header').map(param => ({ name: param.name, param: headerParamName(param.name) })),
+        body: consumes === 'application/json' ? Object.keys(content[consumes].schema.properties || {}) : [],
+        binaryBody: consumes && consumes !== 'application/json' ? consumes : null,
+        // Las respuestas que no son JSON se devuelven como Response de fetch
+        raw: produces !== 'application/json'
+    };
+};
+
+const TS_TYPES = { integer: 'number', number: 'number', string: 'string', boolean: 'boolean' };
+
+const toTsType = (schema = {}) => {
+    let type;
+
+    if (schema.enum) {
+        type = schema.enum.map(value => JSON.stringify(value)).join(' | ');
+    } else if (schema.type === 'array') {
+        const items = toTsType(schema.items);
+        type = `Array<${items}>`;
+    } else if (schema.type === 'object' && schema.properties) {
+        type = `{ ${Object.entries(schema.properties)
+            .map(([name, property]) => `${name}${(schema.required || []).includes(name) ? '' : '?'}: ${toTsType(property)}`)
+            .join('; ')} }`;
+    } else if (schema.type === 'object') {
+        type = 'Record<string, unknown>';
+    } else {
+        type = TS_TYPES[schema.type] || 'unknown';
+    }
+
+    return schema.nullable ? `${type} | null` : type;
+};
+
+const capitalize = value => value.charAt(0).toUpperCase() + value.slice(1);
+
+const toDeclaration = (operation) => {
+    const fields = new Map();
+    const add = (name, schema, required, description) => {
+        // Un mismo campo puede ir en la ruta y en el cuerpo (p. ej. markChatAsRead): obligatorio si lo es en alguno
+        const current = fields.get(name);
+        fields.set(name, {
+            type: current?.type || toTsType(schema),
+            required: current?.required || required,
+            description: current?.description || description
+        });
+    };
+
+    // El cuerpo primero: su tipo es más preciso que el de un parámetro de ruta (siempre texto)
+    const content = operation.requestBody?.content || {};
+    const consumes = Object.keys(content)[0];
+    if (consumes === 'application/json') {
+        const { properties = {}, required = [] } = content[consumes].schema;
+        Object.entries(properties).forEach(([name, schema]) => add(name, schema, required.includes(name), schema.description));
+    } else if (consumes) {
+        fields.set('body', { type: 'Blob | ArrayBuffer | Uint8Array', required: true, description: `Raw ${consumes} body` });
+    }
+
+    (operation.parameters || []).forEach(param => {
+        const name = param.in === 'header' ? headerParamName(param.name) : param.name;
+        add(name, param.schema, param.required, param.description);
+    });
+
+    const interfaceName = `${capitalize(operation.operationId)}Params`;
+    const anyRequired = [...fields.values()].some(field => field.required);
+    const lines = [...fields.entries()].map(([name, field]) => [
+        field.description ? `    /** ${field.description.replace(/\*\//g, '*\\/')} */` : null,
+        `    ${/^[A-Za-z_$][\w$]*$/.test(name) ? name : JSON.stringify(name)}${field.required ? '' : '?'}: ${field.type};`
+    ].filter(Boolean).join('\n'));
+
+    // Primer párrafo del JSDoc del handler, o el resumen derivado de su nombre si no tiene
+    const [firstParagraph = ''] = (operation.description || '').split('\n');
+    const summary = firstParagraph && !firstParagraph.startsWith('Required scope') ? firstParagraph : operation.summary;
+
+    return {
+        interfaceText: `export interface ${interfaceName} {\n${lines.join('\n')}${lines.length ? '\n' : ''}}`,
+        methodText: [
+            `    /** ${summary.replace(/\*\//g, '*\\/')} (scope: ${operation['x-scope']}) */`,
+            `    ${operation.operationId}(params${anyRequired ? '' : '?'}: ${interfaceName}, options?: RequestOptions): Promise<${toOperation('', 'get', operation).raw ? 'Response' : 'ApiResponse'}>;`
+        ].join('\n')
+    };
+};
+
+const generate = async () => {
+    const spec = await loadSpec(process.argv[2]);
+    const operations = [];
+
+    Object.entries(spec.paths).forEach(([routePath, methods]) => {
+        Object.entries(methods).forEach(([method, operation]) => {
+            // Las rutas públicas (sin API key) no forman parte del cliente
+            if (!operation.security || operation.security.length === 0) return;
+            operations.push({ routePath, method, operation });
+        });
+    });
+
+    const header = `// Generado por src/scripts/generateSdk.js a partir de la especificación OpenAPI (${spec.info.version}); no editar a mano\n`;
+
+    const routes = operations.map(({ routePath, method, operation }) => toOperation(routePath, method, operation));
+    fs.writeFileSync(
+        path.join(SDK_SRC, 'routes.js'),
+        `${header}module.exports = [\n${routes.map(route => `    ${JSON.stringify(route)}`).join(',\n')}\n];\n`
+    );
+
+    const declarations = operations.map(({ operation }) => toDeclaration(operation));
+    fs.writeFileSync(path.join(SDK_SRC, 'routes.d.ts'), [
+        header,
+        "import { ApiResponse, RequestOptions } from '../index';\n",
+        ...declarations.map(declaration => `${declaration.interfaceText}\n`),
+        'export interface ApiMethods {',
+        declarations.map(declaration => declaration.methodText).join('\n'),
+        '}\n'
+    ].join('\n'));
+
+    process.stdout.write(`SDK: ${routes.length} operaciones generadas en ${SDK_SRC}\n`);
+};
+
+generate()
+    .then(() => process.exit(0))
+    .catch(error => {
+        process.stderr.write(`Error: ${error.message}\n`);
+        process.exit(1);
+    });
@@ -0,0 +1,70 @@
+// scripts/migrateEncryption.js
+// Re-cifra valores del formato AES-192 ECB antiguo (o de claves retiradas) con la clave activa.
+//
+// Uso:
+//   node src/scripts/migrateEncryption.js --generate-key
+//   node src/scripts/migrateEncryption.js < valores.txt > migrados.txt
+//
+// Entrada: un valor cifrado por línea. Salida: el mismo orden, cada valor con la clave activa.
+// Requiere ENCRYPTION_KEYS y, para leer el formato antiguo, PASS_ENCRYPTED.
+const readline = require('readline');
+const crypto = require('crypto');
+
+const generateKey = () => {
+    const keyId = `k${new Date().toISOString().slice(0, 10).replace(/-/g, '')}`;
+    process.stdout.write(`${keyId}:${crypto.randomBytes(32).toString('base64')}\n`);
+};
+
+const migrate = async () => {
+    // Carga diferida: --generate-key no necesita un keyring configurado
+    const { encryption } = require('../utils/encryption');
+
+    if (!encryption.isConfigured()) {
+        throw new Error('ENCRYPTION_KEYS no configurado');
+    }
+
+    const input = readline.createInterface({ input: process.stdin, crlfDelay: Infinity });
+    const stats = { total: 0, migrated: 0, unchanged: 0, failed: 0 };
+    let lineNumber = 0;
+
+    for await (const line of input) {
+        lineNumber++;
+        const value = line.trim();
+
+        if (!value) {
+            process.stdout.write('\n');
+            continue;
+        }
+
+        stats.total++;
+
+        try {
+            const migrated = encryption.reencrypt(value);
+            migrated === value ? stats.unchanged++ : stats.migrated++;
+            process.stdout.write(`${migrated}\n`);
+        } catch (error) {
+            // Se conserva el valor original para no perder datos
+            stats.failed++;
+            process.stderr.write(`Línea ${lineNumber}: ${error.message}\n`);
+            process.stdout.write(`${value}\n`);
+        }
+    }
+
+    process.stderr.write(`Migración completada: ${JSON.stringify(stats)}\n`);
+    return stats;
+};
+
+if (require.main === module) {
+    if (process.argv.includes('--generate-key')) {
+        generateKey();
+    } else {
+        migrate()
+            .then(stats => process.exit(stats.failed > 0 ? 1 : 0))
+            .catch(error => {
+                process.stderr.write(`${error.message}\n`);
+                process.exit(1);
+            });
+    }
+}
+
+module.exports = { migrate };
@@ -2,23 +2,34 @@ require('dotenv').config();
 
 const fs = require('fs').promises;
 const fsSync = require('fs');
+const os = require('os');
 const path = require('path');
 const { MessageMedia } = require('whatsapp-web.js');
-const { NotFoundError, ValidationError } = require('../utils/asyncHandler');
+const { NotFoundError, ValidationError, ForbiddenError } = require('../utils/asyncHandler');
 const logger = require('../conf/logger');
-const { AES } = require('../utils/encryption');
+const { encryption } = require('../utils/encryption');
 const WhatsAppClient = require('../lib/whatsapp');
 
 const stateManager = require('../utils/clientStateManager');
 const reconnectionManager = require('../utils/reconnectionManager');
 const chatCache = require('../utils/chatCache');
-
-// Obtener la clave del archivo .env
-const encryptionKey = process.env.PASS_ENCRYPTED;
-if (!encryptionKey) {
-  throw new Error("No se encontró la clave de cifrado en .env");
+const requestContext = require('../utils/requestContext');
+const messageAckTracker = require('../utils/messageAckTracker');
+const messageStore = require('../utils/messageStore');
+const messageSearch = require('../utils/messageSearch');
+const chatExporter = require('../utils/chatExporter');
+const clientBundle = require('../utils/clientBundle');
+const webhookManager = require('../utils/webhookManager');
+const conversationManager = require('../utils/conversationManager');
+const cannedResponses = require('../utils/cannedResponses');
+const messageTemplates = require('../utils/messageTemplates');
+const messageScheduler = require('../utils/messageScheduler');
+const campaignManager = require('../utils/campaignManager');
+
+// Las claves de cifrado se leen de ENCRYPTION_KEYS en config
+if (!encryption.isConfigured()) {
+  throw new Error("No se encontraron claves de cifrado (ENCRYPTION_KEYS) en .env");
 }
-const aesInstance = new AES(encryptionKey);
 
 class WhatsAppService {
   constructor() {
@@ -37,7 +48,20 @@ class WhatsAppService {
    * @returns {Object} Health metrics
    */
   async getHealthMetrics(number = null) {
-      return WhatsAppClient.getHealthMetrics(number);
+      const metrics = WhatsAppClient.getHealthMetrics(number);
+      const allowedNumbers = requestContext.getAllowedNumbers();
+
+      if (number || !allowedNumbers) {
+        return metrics;
+      }
+
+      // Key limitada a ciertos números: sin resumen global, solo sus clientes
+      return {
+        healthChecks: Object.fromEntries(
+          Object.entries(metrics.healthChecks || {}).filter(([clientNumber]) => allowedNumbers.includes(clientNumber))
+        ),
+        reconnectionStatus: (metrics.reconnectionStatus || []).filter(status => allowedNumbers.includes(status.number))
+      };
   }
 
   /**
@@ -90,7 +114,7 @@ class WhatsAppService {
    * @returns {Array} Reconnection status for all clients
    */
   async getReconnectionStatus() {
-    const clients = Array.from(WhatsAppClient.clients.keys());
+    const clients = this.getAccessibleClients().map(([number]) => number);
     
     return clients.map(number => {
       const state = stateManager.getState(number);
@@ -284,6 +308,108 @@ class WhatsAppService {
     }
   }
 
+  /**
+   * Export a client as an encrypted bundle: LocalAuth session, chat cache, metadata and webhooks.
+   * The browser is stopped while the session is copied; with detach the client leaves this instance
+   * @param {string} number - Client number
+   * @param {Object} options - { passphrase, detach }
+   * @returns {Promise<Buffer>} Bundle file
+   */
+  async exportClientBundle(number, { passphrase, detach = false }) {
+    const client = await this.getClientById(number);
+    clientBundle.validatePassphrase(passphrase);
+
+    if (!WhatsAppClient.isAuthenticated(number)) {
+      throw new ValidationError(`Client ${number} is not authenticated`);
+    }
+
+    const payload = {
+      version: clientBundle.VERSION,
+      number,
+      exportedAt: new Date().toISOString(),
+      source: { host: os.hostname() },
+      metadata: {
+        pushname: client.info?.pushname || null,
+        wid: client.info?.wid?._serialized || null,
+        platform: client.info?.platform || null,
+        state: stateManager.getState(number)?.state || null
+      },
+      chatCache: chatCache.exportSnapshot(number),
+      settings: {
+        webhooks: webhookManager.exportForNumber(number)
+      },
+      session: []
+    };
+
+    await WhatsAppClient.suspendClient(number);
+
+    try {
+      payload.session = await clientBundle.readSession(number);
+    } catch (error) {
+      await WhatsAppClient.resumeClient(number);
+      throw error;
+    }
+
+    const bundle = await clientBundle.seal(payload, passphrase);
+
+    if (detach) {
+      await WhatsAppClient.detachClient(number);
+    } else {
+      WhatsAppClient.resumeClient(number).catch(error =>
+        logger.error(`Error resuming client ${number} after export: ${error.message}`));
+    }
+
+    logger.info(`Client ${number} exported (${payload.session.length} session files${detach ? ', detached' : ''})`);
+    return bundle;
+  }
+
+  /**
+   * Import a client bundle and start the client with the restored session (no QR scan)
+   * @param {Buffer} buffer - Bundle file
+   * @param {string} passphrase - Bundle passphrase
+   * @param {string} importedBy - API key ID
+   * @returns {Promise<Object>} Import summary
+   */
+  async importClientBundle(buffer, passphrase, importedBy) {
+    let payload;
+    try {
+      // La cabecera basta para rechazar números ajenos antes de derivar la clave
+      const { header } = clientBundle.readHeader(buffer);
+      if (!requestContext.canAccessNumber(header.number)) {
+        throw new ForbiddenError(`Access denied to client ${header.number}`);
+      }
+
+      payload = await clientBundle.open(buffer, passphrase);
+    } catch (error) {
+      if (error instanceof ForbiddenError) throw error;
+      throw new ValidationError(error.message);
+    }
+
+    const { number } = payload;
+    if (await WhatsAppClient.hasLocalSession(number)) {
+      throw new ValidationError(`Client ${number} already exists on this instance`);
+    }
+
+    await clientBundle.writeSession(number, payload.session);
+    chatCache.importSnapshot(number, payload.chatCache);
+    const webhooks = webhookManager.importForNumber(number, payload.settings?.webhooks, importedBy);
+
+    WhatsAppClient.addClient(number).catch(error =>
+      logger.error(`Error starting imported client ${number}: ${error.message}`));
+
+    logger.info(`Client ${number} imported from ${payload.source?.host || 'unknown host'}`);
+
+    return {
+      number,
+      exportedAt: payload.exportedAt,
+      source: payload.source,
+      metadata: payload.metadata,
+      sessionFiles: payload.session.length,
+      cachedChats: payload.chatCache?.chats?.length || 0,
+      webhooks
+    };
+  }
+
   /**
    * Create contact for specific client
    * @param {string} clientNumber - Client number
@@ -292,7 +418,7 @@ class WhatsAppService {
    */
 
   async createContact(clientNumber, contactNumber, contactName) {
-    const client = WhatsAppClient.getClient(clientNumber);
+    const client = await this.getClientById(clientNumber);
     if (!client) {
       throw new NotFoundError('Client not found');
     }
@@ -379,7 +505,7 @@ class WhatsAppService {
 
     async fetchUnreadChats(page, limit) {
     try {
-        const clients = Array.from(WhatsAppClient.clients.entries());
+        const clients = this.getAccessibleClients();
         
         if (!clients || clients.length === 0) {
             return {
@@ -572,7 +698,7 @@ class WhatsAppService {
 
   async getGroupChats(clientId) {
     try {
-        const client = WhatsAppClient.getClient(clientId);
+        const client = await this.getClientById(clientId);
         
         if (!client) {
             throw new NotFoundError('Client not found');
@@ -758,7 +884,7 @@ class WhatsAppService {
 
   async fetchChats(page, limit) {
     try {
-        const clients = Array.from(WhatsAppClient.clients.entries());
+        const clients = this.getAccessibleClients();
         
         if (!clients || clients.length === 0) {
             return {
@@ -958,7 +1084,7 @@ async processChatFromCache(cachedChat, client, clientNumber) {
    */
 
   async markChatRead(clientId, tel, isGroup) {
-    const client = WhatsAppClient.getClient(clientId);
+    const client = await this.getClientById(clientId);
     if (!client) {
       throw new NotFoundError('Client not found');
     }
@@ -971,6 +1097,9 @@ async processChatFromCache(cachedChat, client, clientNumber) {
     }
 
     await chat.sendSeen();
+
+    // Bandeja compartida: la conversación del chat queda sin pendientes de leer
+    conversationManager.markRead(clientId, chat.id._serialized, requestContext.getPrincipal()?.keyId || null);
   }
 
   /**
@@ -981,7 +1110,7 @@ async processChatFromCache(cachedChat, client, clientNumber) {
    */
 
   async markChatUnread(clientId, tel, isGroup) {
-    const client = WhatsAppClient.getClient(clientId);
+    const client = await this.getClientById(clientId);
     if (!client) {
       throw new NotFoundError('Client not found');
     }
@@ -994,6 +1123,8 @@ async processChatFromCache(cachedChat, client, clientNumber) {
     }
 
     await chat.markUnread();
+
+    conversationManager.markUnread(clientId, chat.id._serialized, requestContext.getPrincipal()?.keyId || null);
   }
 
   /**
@@ -1004,7 +1135,7 @@ async processChatFromCache(cachedChat, client, clientNumber) {
   
   async fetchContacts(page) {
     try {
-      const clients = Array.from(WhatsAppClient.clients.values());
+      const clients = this.getAccessibleClients().map(([, client]) => client);
 
       if (!clients || clients.length === 0) {
         logger.warn('No hay clientes de WhatsApp disponibles');
@@ -1117,7 +1248,7 @@ async processChatFromCache(cachedChat, client, clientNumber) {
   async getAllAuthenticatedAccountsInfo() {
     try {
       const authenticatedAccountsInfo = await WhatsAppClient.getAuthenticatedAccountsInfo();
-      return authenticatedAccountsInfo;
+      return authenticatedAccountsInfo.filter(account => requestContext.canAccessNumber(account.number));
     } catch (error) {
       logger.error('Error al obtener información de las cuentas autenticadas:', error);
       return [];
@@ -1595,41 +1726,233 @@ async processChatFromCache(cachedChat, client, clientNumber) {
   }
 
   /**
-   * Get group chat messages (OPTIMIZADO para respuesta rápida)
+   * Get group chat messages from the local message store
    * @param {string} number - Client number
    * @param {string} groupId - Group ID
-   * @returns {Promise<Array>} Messages list (con media encolada)
+   * @param {Object} [options] - { limit, before, beforeId } pagination
+   * @returns {Promise<Object>} { messages, hasMore, nextBefore, nextBeforeId }
    */
-  async getGroupChatMessages(number, groupId) {
-    const client = WhatsAppClient.getClient(number);
+  async getGroupChatMessages(number, groupId, options = {}) {
+    const client = await this.getClientById(number);
 
     if (!client) throw new Error('Client not found');
 
-    const chatId = `${groupId}@g.us`;
-    const chat = await client.getChatById(chatId);
-    const messages = await chat.fetchMessages({ limit: 30 });
-
-    // Procesar mensajes sin bloquear
-    return Promise.all(messages.map(msg => this.formatMessageFast(msg, number)));
+    return this.getStoredChatHistory(client, number, `${groupId}@g.us`, options);
   }
   
   /**
-   * Get chat messages (OPTIMIZADO para respuesta rápida)
+   * Get chat messages from the local message store
    * @param {string} clientId - Client ID
    * @param {string} tel - Phone number
-   * @returns {Promise<Array>} Messages list (con media encolada)
+   * @param {Object} [options] - { limit, before, beforeId } pagination
+   * @returns {Promise<Object>} { messages, hasMore, nextBefore, nextBeforeId }
    */
-  async getChatMessages(clientId, tel) {
-    const client = WhatsAppClient.getClient(clientId);
+  async getChatMessages(clientId, tel, options = {}) {
+    const client = await this.getClientById(clientId);
 
     if (!client) throw new Error('Client not found');
 
-    const chatId = `${tel}@c.us`;
-    const chat = await client.getChatById(chatId);
-    const messages = await chat.fetchMessages({ limit: 30 });
+    return this.getStoredChatHistory(client, clientId, `${tel}@c.us`, options);
+  }
+
+  /**
+   * Get messages of any chat (individual or group) by its serialized ID
+   * @param {string} number - Client number
+   * @param {string} chatId - Chat ID (xxx@c.us or xxx@g.us)
+   * @param {Object} [options] - { limit, before, beforeId } pagination; importIfEmpty: false to skip
+   *   importing from WhatsApp when the chat has no stored history
+   * @returns {Promise<Object>} { messages, hasMore, nextBefore, nextBeforeId }
+   */
+  async getChatHistory(number, chatId, options = {}) {
+    const client = await this.getClientById(number);
+
+    return this.getStoredChatHistory(client, number, chatId, options);
+  }
+
+  /**
+   * Get group participants, from the chat cache when metadata was already loaded
+   * @param {string} number - Client number
+   * @param {string} groupId - Group chat ID (xxx@g.us)
+   * @returns {Promise<Array>} Participants { id, isAdmin, isSuperAdmin, name }
+   */
+  async getGroupParticipants(number, groupId) {
+    const client = await this.getClientById(number);
+    const cached = chatCache.getAllGroups(number).find(group => group.id === groupId);
+
+    if (cached?.metadata) {
+      return cached.participants;
+    }
+
+    const chat = await client.getChatById(groupId);
+    if (!chat?.isGroup) {
+      throw new NotFoundError('Group not found');
+    }
+
+    const metadata = chat.groupMetadata || await chat.getGroupMetadata();
+    chatCache.updateGroupMetadata(number, groupId, metadata);
+
+    return (metadata.participants || []).map(p => ({
+      id: p.id._serialized,
+      isAdmin: p.isAdmin || false,
+      isSuperAdmin: p.isSuperAdmin || false,
+      name: p.id.user || 'Usuario'
+    }));
+  }
+
+  /**
+   * Get contacts of a single client, sorted by name
+   * @param {string} number - Client number
+   * @returns {Promise<Array>} Contacts
+   */
+  async getClientContacts(number) {
+    const client = await this.getClientById(number);
+    const contacts = await this.getAllContacts([client]);
+
+    return contacts.sort((a, b) => String(a.name || '').localeCompare(String(b.name || '')));
+  }
+
+  /**
+   * Read a chat page from the store, importing from WhatsApp if the chat was never stored
+   * @private
+   */
+  async getStoredChatHistory(client, clientId, chatId, { limit, before, beforeId, importIfEmpty = true } = {}) {
+    // Chat sin historial local (backfill pendiente): importar lo que WhatsApp tenga
+    if (importIfEmpty && !before && await messageStore.countChatMessages(clientId, chatId) === 0) {
+      const chat = await client.getChatById(chatId);
+      const messages = await chat.fetchMessages({ limit: limit || messageStore.DEFAULT_PAGE_SIZE });
+      await Promise.all(messages.map(message => messageStore.importMessage(clientId, message)));
+    }
+
+    const history = await messageStore.getChatHistory(clientId, chatId, { limit, before, beforeId });
+
+    return {
+      ...history,
+      messages: await Promise.all(history.messages.map(document => this.formatStoredMessage(document, client, clientId)))
+    };
+  }
+
+  /**
+   * Format a stored message with the same shape as formatMessageFast
+   * Media is resolved through the live message only when it is not ready yet
+   * @private
+   */
+  async formatStoredMessage(document, client, clientId) {
+    const formattedMessage = {
+      id: document.messageId,
+      body: document.body,
+      timestamp: document.timestamp,
+      from: document.from,
+      to: document.to,
+      author: document.author,
+      fromMe: document.fromMe,
+      hasMedia: document.hasMedia,
+      mediaType: document.type,
+      mediaMimeType: document.media?.mimetype || null,
+      caption: document.caption,
+      hasQuotedMsg: document.hasQuotedMsg,
+      quotedParticipant: document.quotedParticipant,
+      quotedStanzaID: document.quotedMessageId,
+      isStarred: document.isStarred,
+      isForwarded: document.isForwarded,
+      ack: document.ack ?? null,
+      status: document.status || null,
+      edited: Boolean(document.editedAt),
+      edits: document.edits || [],
+      deleted: Boolean(document.deleted),
+      deletedFor: document.deletedFor || null
+    };
+
+    // vCard: misma información enriquecida que formatMessageFast
+    if (document.type === 'vcard') {
+      formattedMessage.body = await this.enhanceVCardBody({ body: document.body });
+    }
+
+    if (document.location) {
+      formattedMessage.location = document.location;
+    }
+
+    const cachedMedia = document.hasMedia ? this.mediaQueue.getStatus(document.messageId) : null;
+
+    if (cachedMedia?.status === 'completed' && !cachedMedia.data.error) {
+      Object.assign(formattedMessage, { mediaStatus: 'ready', ...cachedMedia.data });
+    } else if (document.hasMedia && !document.deleted) {
+      try {
+        const message = await client.getMessageById(document.messageId);
+        if (message) {
+          Object.assign(formattedMessage, await this.handleMediaSmart(message, clientId, formattedMessage));
+        } else {
+          formattedMessage.mediaStatus = 'unavailable';
+        }
+      } catch (error) {
+        logger.warn(`No se pudo resolver media de ${document.messageId}: ${error.message}`);
+        formattedMessage.mediaStatus = 'unavailable';
+      }
+    }
+
+    return formattedMessage;
+  }
+
+  /**
+   * Queue a chat export job for a connected client
+   * @param {Object} params - { number, chatIds, format, media }
+   * @param {string} createdBy - API key ID creating the job
+   * @returns {Promise<Object>} Queued job
+   */
+  async createChatExport(params, createdBy) {
+    const client = await this.getClientById(params.number);
 
-    // Procesar mensajes sin bloquear
-    return Promise.all(messages.map(msg => this.formatMessageFast(msg, clientId)));
+    if (!WhatsAppClient.isReady(params.number)) {
+      throw new ValidationError(`Client ${params.number} is not ready`);
+    }
+
+    try {
+      return chatExporter.create(params, client, createdBy);
+    } catch (error) {
+      throw new ValidationError(error.message);
+    }
+  }
+
+  /**
+   * Full-text search over stored messages, limited to the caller's numbers
+   * @param {Object} params - { q, number, chatId, sender, from, to, type, hasMedia, includeDeleted, page, limit }
+   * @returns {Promise<Object>} Ranked, paginated results with highlighted snippets
+   */
+  async searchMessages(params) {
+    const { q, number, chatId, sender, from, to, type, hasMedia, includeDeleted, page, limit } = params;
+    const toSeconds = date => (date ? Math.floor(new Date(date).getTime() / 1000) : undefined);
+
+    return messageSearch.search(q, {
+      numbers: requestContext.getAllowedNumbers() || undefined,
+      number,
+      chatId,
+      sender,
+      since: toSeconds(from),
+      until: toSeconds(to),
+      type,
+      hasMedia,
+      includeDeleted
+    }, { page, limit });
+  }
+
+  /**
+   * Ack status and history of a tracked message, limited to the caller's numbers
+   * @param {string} messageId - Serialized WhatsApp message ID
+   * @returns {Object|null}
+   */
+  getMessageStatus(messageId) {
+    const status = messageAckTracker.getStatus(messageId);
+    if (!status || !requestContext.canAccessNumber(status.number)) return null;
+    return status;
+  }
+
+  /**
+   * Start ack tracking for a sent message
+   * @param {string} clientId - Client ID
+   * @param {Object} sentMessage - Message returned by whatsapp-web.js
+   * @returns {Object} { messageId, chatId, ack, status }
+   */
+  trackSentMessage(clientId, sentMessage) {
+    return messageAckTracker.trackSent(clientId, sentMessage) || { messageId: null };
   }
 
    /**
@@ -1637,6 +1960,7 @@ async processChatFromCache(cachedChat, client, clientNumber) {
    * @param {string} clientId - Client ID
    * @param {string} tel - Phone number
    * @param {string} message - Message content
+   * @returns {Object} Sent message ID and ack state
    */
 
    async sendMessage(clientId, tel, message) {
@@ -1645,7 +1969,75 @@ async processChatFromCache(cachedChat, client, clientNumber) {
 
     if (!client) throw new Error('Client not found');
 
-    await client.sendMessage(chatId, message);
+    const sent = await client.sendMessage(chatId, message);
+    return this.trackSentMessage(clientId, sent);
+  }
+
+  /**
+   * Send a canned response to an individual chat, filling its placeholders from the contact
+   * @param {string} clientId - Client ID
+   * @param {string} tel - Phone number
+   * @param {string} cannedResponseId - Canned response ID
+   * @param {Object} [options]
+   * @param {Object} [options.variables] - Extra placeholder values ({{order.id}} → { order: { id } })
+   * @param {string} [options.agentName] - Value of {{agent.name}} (defaults to the API key name)
+   * @returns {Object} Sent message ID and ack state, with the canned response ID and rendered text
+   */
+
+  async sendCannedResponse(clientId, tel, cannedResponseId, { variables = {}, agentName } = {}) {
+    const response = cannedResponses.findById(cannedResponseId);
+    if (!response || !cannedResponses.isAvailableFor(response, clientId)) {
+      throw new NotFoundError('Canned response not found');
+    }
+
+    const client = await this.getClientById(clientId);
+    if (!client) throw new Error('Client not found');
+
+    const chatId = `${tel}@c.us`;
+    const principal = requestContext.getPrincipal();
+
+    let contact = null;
+    try {
+      contact = await client.getContactById(chatId);
+    } catch (error) {
+      logger.warn(`[Canned] No se pudo leer el contacto ${chatId}: ${error.message}`);
+    }
+
+    // Nombre de la agenda, si no el que puso el contacto, si no el número
+    const displayName = contact?.name || contact?.pushname || contact?.number || tel;
+    const context = {
+      ...variables,
+      contact: {
+        name: displayName,
+        firstName: displayName.split(/\s+/)[0],
+        pushname: contact?.pushname || null,
+        shortName: contact?.shortName || null,
+        number: contact?.number || tel
+      },
+      agent: {
+        name: agentName || principal?.name || null,
+        id: principal?.keyId || null
+      },
+      client: { number: String(clientId) }
+    };
+
+    const { text, missing } = cannedResponses.render(response.text, context);
+    if (missing.length > 0) {
+      throw new ValidationError(`Missing values for placeholders: ${missing.join(', ')}`);
+    }
+
+    const stored = await cannedResponses.readMedia(response);
+    const sent = stored
+      ? await client.sendMessage(chatId, new MessageMedia(stored.mimetype, stored.data, stored.fileName), text ? { caption: text } : {})
+      : await client.sendMessage(chatId, text);
+
+    cannedResponses.recordUse(response.id);
+
+    return {
+      ...this.trackSentMessage(clientId, sent),
+      cannedResponseId: response.id,
+      text
+    };
   }
 
   /**
@@ -1653,6 +2045,7 @@ async processChatFromCache(cachedChat, client, clientNumber) {
    * @param {string} clientId - Client ID
    * @param {string} groupId - Group ID
    * @param {string} message - Message content
+   * @returns {Object} Sent message ID and ack state
    */
 
   async sendGroupMessage(clientId, groupId, message) {
@@ -1666,38 +2059,163 @@ async processChatFromCache(cachedChat, client, clientNumber) {
       throw new NotFoundError('Group not found');
     }
 
-    await client.sendMessage(chatId, message);
+    const sent = await client.sendMessage(chatId, message);
+    return this.trackSentMessage(clientId, sent);
   }
 
   /**
    * Send file or message
    * @param {Object} params - Message parameters
+   * @returns {Object} Sent message ID and ack state
    */
 
   async sendMessageOrFile(params) {
-    const { clientId, chatId, message, fileName, fileContent, isGroup } = params;
+    const { clientId, chatId, message, fileName, fileContent, isGroup, templateId, templateName } = params;
     const client = await this.getClientById(clientId);
 
     if (!client) throw new Error('Client not found');
 
     try {
+      let sent;
+
+      // Caso 0: Plantilla
+      if (templateId || templateName) {
+        return await this.sendTemplate(client, clientId, params);
+      }
       // Caso 1: Archivo desde base64
-      if (fileContent && fileName) {
-        await this.sendFileFromBase64(client, chatId, fileName, fileContent, message, isGroup);
+      else if (fileContent && fileName) {
+        sent = await this.sendFileFromBase64(client, chatId, fileName, fileContent, message, isGroup);
       }
       // Caso 2: Solo mensaje de texto
       else if (message) {
-        await client.sendMessage(chatId, message);
+        sent = await client.sendMessage(chatId, message);
       }
       else {
         throw new Error('Message or file content required');
       }
+
+      return this.trackSentMessage(clientId, sent);
     } catch (error) {
       console.error('Error in sendMessageOrFile service:', error);
       throw error;
     }
   }
 
+  /**
+   * Send a message template: renders the active (or requested) version in the contact's language
+   * @param {Object} client - WhatsApp client
+   * @param {string} clientId - Client ID
+   * @param {Object} params - { chatId, isGroup, templateId | templateName, params, locale, templateVersion }
+   * @returns {Object} Sent message ID and ack state, with the template, version, locale and rendered text
+   * @private
+   */
+  async sendTemplate(client, clientId, { chatId, isGroup, templateId, templateName, params = {}, locale, templateVersion }) {
+    const template = templateId
+      ? messageTemplates.findById(templateId)
+      : messageTemplates.findByName(clientId, templateName);
+
+    if (!template || !messageTemplates.isAvailableFor(template, clientId)) {
+      throw new NotFoundError('Template not found');
+    }
+
+    const to = String(chatId).includes('@') ? chatId : `${chatId}@${isGroup ? 'g.us' : 'c.us'}`;
+    const rendered = messageTemplates.render(template, {
+      params,
+      locale,
+      version: templateVersion,
+      number: clientId,
+      chatId: to
+    });
+
+    if (!rendered.valid) {
+      const error = new ValidationError(`Invalid template parameters: ${rendered.errors.map(e => `${e.field} (${e.message})`).join(', ')}`);
+      error.errors = rendered.errors;
+      throw error;
+    }
+
+    const stored = await messageTemplates.readMedia(template, rendered.version);
+    const sent = stored
+      ? await client.sendMessage(to, new MessageMedia(stored.mimetype, stored.data, stored.fileName), { caption: rendered.text })
+      : await client.sendMessage(to, rendered.text);
+
+    return {
+      ...this.trackSentMessage(clientId, sent),
+      templateId: template.id,
+      templateVersion: rendered.version,
+      locale: rendered.locale,
+      text: rendered.text
+    };
+  }
+
+  /**
+   * Send a scheduled message job (called by the scheduler, outside any request)
+   * @param {Object} job - Stored job: { id, number, chatId, content }
+   * @returns {Object} Sent message ID and ack state
+   */
+  async sendScheduledMessage(job) {
+    const { number, chatId, content } = job;
+    const client = await this.getClientById(number);
+
+    switch (content.type) {
+    case 'template':
+      return this.sendTemplate(client, number, {
+        chatId,
+        templateId: content.templateId,
+        params: content.params,
+        locale: content.locale,
+        templateVersion: content.templateVersion
+      });
+    case 'canned':
+      return this.sendCannedResponse(number, chatId.split('@')[0], content.cannedResponseId, { variables: content.variables });
+    case 'media': {
+      const stored = await messageScheduler.readMedia(job);
+      const media = new MessageMedia(stored.mimetype, stored.data, stored.fileName);
+      const sent = await client.sendMessage(chatId, media, content.message ? { caption: content.message } : {});
+      return this.trackSentMessage(number, sent);
+    }
+    default: {
+      const sent = await client.sendMessage(chatId, content.message);
+      return this.trackSentMessage(number, sent);
+    }
+    }
+  }
+
+  /**
+   * Send a campaign message to one recipient (called by the campaign lanes, outside any request)
+   * @param {Object} campaign - Stored campaign: { number, content }
+   * @param {Object} recipient - { chatId, locale, params }
+   * @returns {Object|null} Sent message ID and ack state, or null when the number is not on WhatsApp
+   */
+  async sendCampaignMessage(campaign, recipient) {
+    const { number, content } = campaign;
+    const client = await this.getClientById(number);
+
+    if (recipient.chatId.endsWith('@c.us') && typeof client.isRegisteredUser === 'function'
+      && !(await client.isRegisteredUser(recipient.chatId))) {
+      return null;
+    }
+
+    if (content.type === 'template') {
+      return this.sendTemplate(client, number, {
+        chatId: recipient.chatId,
+        templateId: content.templateId,
+        params: { ...content.params, ...recipient.params },
+        locale: recipient.locale || content.locale
+      });
+    }
+
+    let sent;
+    if (content.type === 'media') {
+      const stored = await campaignManager.readMedia(campaign);
+      const media = new MessageMedia(stored.mimetype, stored.data, stored.fileName);
+      sent = await client.sendMessage(recipient.chatId, media, content.message ? { caption: content.message } : {});
+    } else {
+      sent = await client.sendMessage(recipient.chatId, content.message);
+    }
+
+    return this.trackSentMessage(number, sent);
+  }
+
   /**
    * Send file from file path
    */
@@ -1714,22 +2232,24 @@ async processChatFromCache(cachedChat, client, clientNumber) {
           
           // 🔹 Detectar si es un archivo de audio MP3
           const isAudioMP3 = fileName.toLowerCase().endsWith('.mp3');
+          let sent;
           
           if (isAudioMP3) {
               console.log('🎵 Enviando archivo mp3: ' + fileName);
               
               // Enviar como mensaje de voz con configuración específica
-              await client.sendMessage(chatId, media);
+              sent = await client.sendMessage(chatId, media);
           } else {
               // Enviar como documento normal
               if (message) {
-                  await client.sendMessage(chatId, media, { caption: message });
+                  sent = await client.sendMessage(chatId, media, { caption: message });
               } else {
-                  await client.sendMessage(chatId, media);
+                  sent = await client.sendMessage(chatId, media);
               }
           }
           
           console.log(`✅ File sent successfully: ${fileName} to ${chatId}`);
+          return sent;
           
       } catch (error) {
           console.error('❌ Error sending file from base64:', error);
@@ -1787,6 +2307,7 @@ async processChatFromCache(cachedChat, client, clientNumber) {
   /**
    * Send media message (sticker/image)
    * @param {Object} params - Media message parameters
+   * @returns {Object} Sent message ID and ack state
    */
 
   async sendMediaMessage(params) {
@@ -1802,12 +2323,14 @@ async processChatFromCache(cachedChat, client, clientNumber) {
 
     const media = MessageMedia.fromFilePath(mediaPath);
     const options = type === 'sticker' ? { sendMediaAsSticker: true } : {};
-    await client.sendMessage(chatId, media, options);
+    const sent = await client.sendMessage(chatId, media, options);
+    return this.trackSentMessage(clientId, sent);
   }
 
   /**
    * Send product message with image
    * @param {Object} params - Product message parameters
+   * @returns {Object} Sent message ID and ack state
    */
 
   async sendProductMessage(params) {
@@ -1818,7 +2341,8 @@ async processChatFromCache(cachedChat, client, clientNumber) {
     if (!client) throw new Error('Client not found');
 
     const media = await this.processBase64Image(image);
-    await client.sendMessage(chatId, message, { media });
+    const sent = await client.sendMessage(chatId, message, { media });
+    return this.trackSentMessage(clientId, sent);
   }
 
   async sendMessageProductGroup(params) {
@@ -1836,7 +2360,8 @@ async processChatFromCache(cachedChat, client, clientNumber) {
     }
 
     const media = await this.processBase64Image(image);
-    await client.sendMessage(chatId, message, { media });
+    const sent = await client.sendMessage(chatId, message, { media });
+    return this.trackSentMessage(clientId, sent);
   }
 
   /**
@@ -1855,7 +2380,8 @@ async processChatFromCache(cachedChat, client, clientNumber) {
 
     if (!message) throw new Error('Mensaje no encontrado');
 
-    await chat.sendMessage(reply, { quotedMessageId: message.id._serialized });
+    const sent = await chat.sendMessage(reply, { quotedMessageId: message.id._serialized });
+    return this.trackSentMessage(clientId, sent);
   }
 
   /**
@@ -2071,6 +2597,53 @@ async manualForward(message, toChat) {
     await message.unstar();
   }
 
+  /**
+   * React to message (empty reaction removes it)
+   * @param {string} clientId - Client ID
+   * @param {string} tel - Phone number or group ID
+   * @param {string} messageId - Serialized message ID
+   * @param {string} reaction - Emoji
+   * @param {boolean} isGroup - Is group chat
+   */
+  async reactToMessage(clientId, tel, messageId, reaction, isGroup) {
+    const client = await this.getClientById(clientId);
+    const chatId = isGroup ? `${tel}@g.us` : `${tel}@c.us`;
+
+    if (!client) throw new NotFoundError('Client not found');
+
+    const chat = await client.getChatById(chatId);
+    const messages = await chat.fetchMessages({ limit: 1000 });
+    const message = messages.find(msg => msg.id._serialized === messageId);
+
+    if (!message) throw new NotFoundError('Mensaje no encontrado');
+
+    await message.react(reaction);
+  }
+
+  /**
+   * Show typing or recording state in a chat, or clear it
+   * @param {string} clientId - Client ID
+   * @param {string} tel - Phone number or group ID
+   * @param {string} state - typing, recording or paused
+   * @param {boolean} isGroup - Is group chat
+   */
+  async sendChatState(clientId, tel, state, isGroup) {
+    const client = await this.getClientById(clientId);
+    if (!client) throw new NotFoundError('Client not found');
+
+    const chat = await client.getChatById(this.formatChatId(tel, isGroup));
+    if (!chat) throw new NotFoundError('Chat not found');
+
+    // WhatsApp retira el estado solo a los 25 segundos; paused lo quita antes
+    const actions = {
+      typing: () => chat.sendStateTyping(),
+      recording: () => chat.sendStateRecording(),
+      paused: () => chat.clearState()
+    };
+
+    await actions[state]();
+  }
+
   /**
    * Edit message
    * @param {Object} params - Edit parameters
@@ -2193,6 +2766,11 @@ async manualForward(message, toChat) {
    * @private
    */
   async getClientById(clientId) {
+    // Nunca entregar un cliente a una key que no tiene acceso a ese número
+    if (!requestContext.canAccessNumber(clientId)) {
+      throw new ForbiddenError(`Access denied to client ${clientId}`);
+    }
+
     const client = WhatsAppClient.getClient(clientId);
   
     if (!client) {
@@ -2202,6 +2780,16 @@ async manualForward(message, toChat) {
     return client;
   }
 
+  /**
+   * Get [number, client] entries visible to the current API key
+   * @returns {Array<[string, Object]>}
+   * @private
+   */
+  getAccessibleClients() {
+    return Array.from(WhatsAppClient.clients.entries())
+      .filter(([number]) => requestContext.canAccessNumber(number));
+  }
+
   /**
    * Format message FAST - respuesta inmediata con encolado de media
    * @param {Object} message - Mensaje de whatsapp-web.js
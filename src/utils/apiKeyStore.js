@@ -0,0 +1,244 @@
+// utils/apiKeyStore.js
+const crypto = require('crypto');
+const path = require('path');
+const logger = require('../conf/logger');
+const config = require('../conf/config');
+const JsonFileStore = require('./jsonFileStore');
+
+/**
+ * Gestión de API keys: emisión, hash, revocación y rotación
+ * Solo se guarda el hash SHA-256 de cada key; el valor en claro se muestra una única vez
+ */
+class ApiKeyStore {
+    constructor() {
+        this.KEY_PREFIX = 'wak';
+        this.WILDCARD_SCOPE = '*';
+        this.SCOPES = [
+            'monitoring',
+            'clients',
+            'messaging',
+            'chats',
+            'contacts',
+            'messages',
+            'media',
+            'events',
+            'graphql',
+            'webhooks',
+            'conversations',
+            'admin'
+        ];
+
+        this.store = new JsonFileStore(path.join(config.dataPath, 'apiKeys.json'), { keys: [] });
+        this.adminKeyHash = config.adminApiKey ? this.hashKey(config.adminApiKey) : null;
+    }
+
+    hashKey(rawKey) {
+        return crypto.createHash('sha256').update(rawKey).digest('hex');
+    }
+
+    generateRawKey(id) {
+        const secret = crypto.randomBytes(32).toString('base64url');
+        return `${this.KEY_PREFIX}_${id}_${secret}`;
+    }
+
+    /**
+     * Extraer el id público de una key con formato wak_<id>_<secret>
+     */
+    parseKeyId(rawKey) {
+        const match = /^wak_([a-f0-9]{16})_[A-Za-z0-9_-]+$/.exec(rawKey);
+        return match ? match[1] : null;
+    }
+
+    normalizeScopes(scopes) {
+        const unique = Array.from(new Set(scopes || []));
+        const invalid = unique.filter(scope => scope !== this.WILDCARD_SCOPE && !this.SCOPES.includes(scope));
+
+        if (invalid.length > 0) {
+            throw new Error(`Scopes inválidos: ${invalid.join(', ')}`);
+        }
+
+        return unique;
+    }
+
+    /**
+     * Normalizar la lista de números de WhatsApp a los que queda limitada la key
+     * Lista vacía = acceso a todos los números
+     */
+    normalizeNumbers(numbers) {
+        return Array.from(new Set((numbers || []).map(number => String(number).trim()).filter(Boolean)));
+    }
+
+    getKeys() {
+        return this.store.load().keys;
+    }
+
+    findById(id) {
+        return this.getKeys().find(key => key.id === id) || null;
+    }
+
+    /**
+     * Vista pública de una key (nunca incluye el hash)
+     */
+    toPublic(key) {
+        const { hash, ...publicData } = key;
+        return {
+            ...publicData,
+            active: this.isActive(key)
+        };
+    }
+
+    isActive(key, now = Date.now()) {
+        if (key.revokedAt) return false;
+        if (key.expiresAt && new Date(key.expiresAt).getTime() <= now) return false;
+        return true;
+    }
+
+    /**
+     * Emitir una nueva API key
+     * @param {Object} params
+     * @param {string} params.name - Nombre descriptivo
+     * @param {Array<string>} params.scopes - Grupos de rutas permitidos
+     * @param {Array<string>} [params.numbers] - Números de cliente permitidos (vacío = todos)
+     * @param {string} [params.expiresAt] - Fecha ISO de expiración
+     * @returns {{ key: string, record: Object }} Key en claro (solo esta vez) y registro público
+     */
+    create({ name, scopes, numbers = [], expiresAt = null, rotatedFrom = null }) {
+        const normalizedScopes = this.normalizeScopes(scopes);
+        if (normalizedScopes.length === 0) {
+            throw new Error('Se requiere al menos un scope');
+        }
+
+        const id = crypto.randomBytes(8).toString('hex');
+        const rawKey = this.generateRawKey(id);
+
+        const record = {
+            id,
+            name,
+            prefix: `${this.KEY_PREFIX}_${id}`,
+            hash: this.hashKey(rawKey),
+            scopes: normalizedScopes,
+            numbers: this.normalizeNumbers(numbers),
+            createdAt: new Date().toISOString(),
+            expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+            lastUsedAt: null,
+            revokedAt: null,
+            rotatedFrom
+        };
+
+        this.getKeys().push(record);
+        this.store.save();
+
+        logger.info(`[ApiKeys] Key ${record.prefix} emitida (${normalizedScopes.join(', ')})`);
+
+        return { key: rawKey, record: this.toPublic(record) };
+    }
+
+    list() {
+        return this.getKeys().map(key => this.toPublic(key));
+    }
+
+    revoke(id) {
+        const key = this.findById(id);
+        if (!key) return null;
+
+        if (!key.revokedAt) {
+            key.revokedAt = new Date().toISOString();
+            this.store.save();
+            logger.info(`[ApiKeys] Key ${key.prefix} revocada`);
+        }
+
+        return this.toPublic(key);
+    }
+
+    /**
+     * Rotar una key: emite una nueva con los mismos permisos y retira la anterior
+     * @param {string} id - Id de la key a rotar
+     * @param {number} gracePeriodSeconds - Tiempo en que la key anterior sigue siendo válida
+     */
+    rotate(id, gracePeriodSeconds = 0) {
+        const previous = this.findById(id);
+        if (!previous || !this.isActive(previous)) return null;
+
+        const rotated = this.create({
+            name: previous.name,
+            scopes: previous.scopes,
+            numbers: previous.numbers,
+            expiresAt: previous.expiresAt,
+            rotatedFrom: previous.id
+        });
+
+        if (gracePeriodSeconds > 0) {
+            const graceEnd = Date.now() + gracePeriodSeconds * 1000;
+            const currentExpiry = previous.expiresAt ? new Date(previous.expiresAt).getTime() : Infinity;
+            previous.expiresAt = new Date(Math.min(graceEnd, currentExpiry)).toISOString();
+        } else {
+            previous.revokedAt = new Date().toISOString();
+        }
+        this.store.save();
+
+        logger.info(`[ApiKeys] Key ${previous.prefix} rotada a ${rotated.record.prefix}`);
+
+        return rotated;
+    }
+
+    /**
+     * Verificar una key recibida en una petición
+     * @param {string} rawKey - Key en claro
+     * @returns {Object|null} Principal autenticado o null
+     */
+    verify(rawKey) {
+        if (!rawKey || typeof rawKey !== 'string') return null;
+
+        const hash = this.hashKey(rawKey);
+
+        if (this.adminKeyHash && this.safeEqual(hash, this.adminKeyHash)) {
+            return {
+                keyId: 'bootstrap',
+                name: 'API_ADMIN_KEY',
+                scopes: [this.WILDCARD_SCOPE],
+                numbers: []
+            };
+        }
+
+        const id = this.parseKeyId(rawKey);
+        const key = id ? this.findById(id) : null;
+
+        if (!key || !this.safeEqual(hash, key.hash) || !this.isActive(key)) {
+            return null;
+        }
+
+        key.lastUsedAt = new Date().toISOString();
+        this.store.scheduleSave();
+
+        return {
+            keyId: key.id,
+            name: key.name,
+            scopes: key.scopes,
+            numbers: key.numbers || []
+        };
+    }
+
+    /**
+     * Comprobar que la key de un principal ya autenticado sigue vigente (conexiones de larga duración)
+     */
+    isPrincipalActive(principal) {
+        if (!principal) return false;
+        if (principal.keyId === 'bootstrap') return Boolean(this.adminKeyHash);
+
+        const key = this.findById(principal.keyId);
+        return Boolean(key) && this.isActive(key);
+    }
+
+    hasScope(principal, scope) {
+        if (!principal) return false;
+        return principal.scopes.includes(this.WILDCARD_SCOPE) || principal.scopes.includes(scope);
+    }
+
+    safeEqual(a, b) {
+        const bufferA = Buffer.from(a, 'hex');
+        const bufferB = Buffer.from(b, 'hex');
+        return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+    }
+}
+
+module.exports = new ApiKeyStore();
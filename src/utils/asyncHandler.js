@@ -29,6 +29,7 @@ const asyncHandler = (fn) => async (req, res, next) => {
         const errorResponses = {
             ValidationError: { status: 400, message: errorMessage },
             NotFoundError: { status: 404, message: errorMessage },
+            ForbiddenError: { status: 403, message: errorMessage },
             UnknownError: { status: 500, message: errorMessage }
         };
 
@@ -64,5 +65,10 @@ module.exports = {
         constructor(message) {
             super('NotFoundError', message, 404);
         }
+    },
+    ForbiddenError: class extends AppError {
+        constructor(message) {
+            super('ForbiddenError', message, 403);
+        }
     }
 };
\ No newline at end of file
@@ -0,0 +1,182 @@
+// utils/auditLog.js
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const readline = require('readline');
+const logger = require('../conf/logger');
+const config = require('../conf/config');
+
+/**
+ * Registro de auditoría append-only (JSON Lines)
+ * Cada línea: { id, timestamp, actor, handler, method, path, target, params, outcome, statusCode, durationMs, ip }
+ */
+class AuditLog {
+    constructor() {
+        this.filePath = path.join(config.dataPath, 'audit.jsonl');
+
+        // Campos cuyo valor nunca se guarda
+        this.SECRET_PATTERN = /(pass(word)?|secret|token|api[-_]?key|authorization|^key$|cookie|session)/i;
+        // Cadenas largas (base64 de archivos, audio, etc.) se resumen
+        this.MAX_STRING_LENGTH = 256;
+        this.MAX_DEPTH = 4;
+
+        this.TARGET_FIELDS = {
+            number: ['number', 'clientId', 'clientNumber'],
+            chat: ['tel', 'chatId', 'groupId', 'fromTel', 'toTel', 'contactNumber'],
+            message: ['messageId', 'messageIds']
+        };
+
+        // Escrituras serializadas para no intercalar líneas
+        this.writeQueue = Promise.resolve();
+        this.ensureDirectory();
+    }
+
+    ensureDirectory() {
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        } catch (error) {
+            logger.error('[AuditLog] No se pudo crear el directorio de datos:', error);
+        }
+    }
+
+    /**
+     * Ocultar secretos y resumir valores grandes
+     * @param {*} value - Valor a sanear
+     * @param {string} [key] - Nombre del campo
+     */
+    redact(value, key = '', depth = 0) {
+        if (key && this.SECRET_PATTERN.test(key)) return '[REDACTED]';
+
+        if (typeof value === 'string') {
+            return value.length > this.MAX_STRING_LENGTH
+                ? `[${value.length} chars omitted]`
+                : value;
+        }
+
+        if (value === null || typeof value !== 'object') return value;
+        if (depth >= this.MAX_DEPTH) return '[truncated]';
+
+        if (Array.isArray(value)) {
+            return value.map(item => this.redact(item, '', depth + 1));
+        }
+
+        return Object.fromEntries(
+            Object.entries(value).map(([field, fieldValue]) => [field, this.redact(fieldValue, field, depth + 1)])
+        );
+    }
+
+    /**
+     * Extraer número, chat y mensaje afectados por la petición
+     */
+    extractTarget(sources) {
+        const target = {};
+
+        Object.entries(this.TARGET_FIELDS).forEach(([targetField, fields]) => {
+            for (const source of sources) {
+                if (!source || typeof source !== 'object') continue;
+
+                const field = fields.find(name => source[name] !== undefined && source[name] !== '');
+                if (field) {
+                    target[targetField] = source[field];
+                    break;
+                }
+            }
+        });
+
+        return target;
+    }
+
+    /**
+     * Añadir una entrada al registro
+     * @param {Object} entry - Datos de la operación
+     * @returns {Promise<Object>} Entrada guardada
+     */
+    record(entry) {
+        const record = {
+            id: crypto.randomUUID(),
+            timestamp: new Date().toISOString(),
+            ...entry
+        };
+
+        this.writeQueue = this.writeQueue
+            .then(() => fs.promises.appendFile(this.filePath, `${JSON.stringify(record)}\n`, { mode: 0o600 }))
+            .catch(error => logger.error('[AuditLog] Error escribiendo entrada:', error));
+
+        return this.writeQueue.then(() => record);
+    }
+
+    /**
+     * Comprobar si una entrada cumple los filtros
+     */
+    matches(entry, filters = {}) {
+        const { actor, handler, number, chat, message, outcome, from, to, canAccess } = filters;
+
+        if (actor && entry.actor?.keyId !== actor && entry.actor?.name !== actor) return false;
+        if (handler && entry.handler !== handler) return false;
+        if (number && String(entry.target?.number) !== number) return false;
+        if (chat && String(entry.target?.chat) !== chat) return false;
+        if (message && ![].concat(entry.target?.message || []).includes(message)) return false;
+        if (outcome && entry.outcome !== outcome) return false;
+        if (from && entry.timestamp < from) return false;
+        if (to && entry.timestamp > to) return false;
+        if (canAccess && !canAccess(entry)) return false;
+
+        return true;
+    }
+
+    /**
+     * Recorrer las entradas que cumplen los filtros (orden cronológico)
+     */
+    async *entries(filters = {}) {
+        await this.writeQueue;
+
+        if (!fs.existsSync(this.filePath)) return;
+
+        const input = readline.createInterface({
+            input: fs.createReadStream(this.filePath, { encoding: 'utf8' }),
+            crlfDelay: Infinity
+        });
+
+        for await (const line of input) {
+            if (!line.trim()) continue;
+
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch {
+                logger.warn('[AuditLog] Línea corrupta ignorada');
+                continue;
+            }
+
+            if (this.matches(entry, filters)) {
+                yield entry;
+            }
+        }
+    }
+
+    /**
+     * Consulta paginada, más recientes primero
+     * @param {Object} filters - Filtros (actor, handler, number, chat, message, outcome, from, to)
+     * @param {Object} pagination - { page, limit }
+     */
+    async query(filters = {}, { page = 1, limit = 50 } = {}) {
+        const matched = [];
+        for await (const entry of this.entries(filters)) {
+            matched.push(entry);
+        }
+
+        const total = matched.length;
+        const start = (page - 1) * limit;
+        const items = matched.reverse().slice(start, start + limit);
+
+        return {
+            total,
+            page,
+            limit,
+            totalPages: Math.ceil(total / limit),
+            entries: items
+        };
+    }
+}
+
+module.exports = new AuditLog();
@@ -0,0 +1,753 @@
+// utils/campaignManager.js
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const logger = require('../conf/logger');
+const config = require('../conf/config');
+const JsonFileStore = require('./jsonFileStore');
+const MediaLibrary = require('./mediaLibrary');
+const messageTemplates = require('./messageTemplates');
+const messageAckTracker = require('./messageAckTracker');
+
+/**
+ * Campañas de difusión: un mensaje (texto, adjunto o plantilla) a una lista de destinatarios
+ *
+ * - Los destinatarios llegan como lista (números o { chatId, name, locale, params }) o como CSV con
+ *   cabecera: phone/number/chatId, name y locale opcionales; el resto de columnas son parámetros de plantilla
+ * - Cada número de cliente tiene un carril: un envío cada 60/ratePerMinute s ± jitter, sumando todas
+ *   sus campañas (las más antiguas primero), para no disparar los límites de WhatsApp
+ * - Estado por destinatario: queued → sent → delivered → read, o failed / skipped; los acks llegan
+ *   por el evento messageAck
+ * - Las campañas y sus destinatarios se guardan en data/campaigns.json y data/campaigns/<id>.json y
+ *   siguen tras un reinicio; un envío que quedó a medias se marca failed en lugar de repetirse
+ */
+class CampaignManager extends EventEmitter {
+    constructor() {
+        super();
+        this.STATUSES = ['scheduled', 'running', 'paused', 'completed', 'cancelled'];
+        this.RECIPIENT_STATUSES = ['queued', 'sending', 'sent', 'delivered', 'read', 'failed', 'skipped'];
+        this.ACK_STATUSES = { 2: 'delivered', 3: 'read', 4: 'read' };
+
+        this.MAX_RECIPIENTS = config.campaignMaxRecipients;
+        this.DEFAULT_RATE = config.campaignRatePerMinute;
+        this.MAX_RATE = 60;
+        this.DEFAULT_JITTER = 0.3;
+        this.MAX_ATTEMPTS = 3;
+        this.RETRY_DELAY = 60 * 1000;
+        this.CLIENT_RECHECK = 30 * 1000;
+        this.MAX_SLEEP = 60 * 60 * 1000;
+        this.MAX_CAMPAIGNS = 200;
+        // Acks de campañas terminadas hace más de esto ya no se siguen tras un reinicio
+        this.ACK_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+        this.DEFAULT_PAGE_SIZE = 50;
+        this.MAX_PAGE_SIZE = 500;
+
+        this.recipientsDir = path.join(config.dataPath, 'campaigns');
+        this.media = new MediaLibrary(path.join(config.dataPath, 'campaign-media'), { label: 'Campaigns' });
+        this.store = new JsonFileStore(path.join(config.dataPath, 'campaigns.json'), { campaigns: [] });
+
+        this.recipientStores = new Map();
+        // messageId -> { campaignId, index } para aplicar los acks
+        this.messageIndex = new Map();
+        // Carril por número: { timer, busy, notBefore }
+        this.lanes = new Map();
+        this.send = null;
+        this.isReady = () => false;
+    }
+
+    getCampaigns() {
+        return this.store.load().campaigns;
+    }
+
+    findById(id) {
+        return this.getCampaigns().find(campaign => campaign.id === id) || null;
+    }
+
+    getRecipientStore(id) {
+        if (!this.recipientStores.has(id)) {
+            this.recipientStores.set(id, new JsonFileStore(path.join(this.recipientsDir, `${id}.json`), { recipients: [] }));
+        }
+        return this.recipientStores.get(id);
+    }
+
+    getRecipients(id) {
+        return this.getRecipientStore(id).load().recipients;
+    }
+
+    /**
+     * Empezar a enviar: recuperar envíos interrumpidos, indexar acks y arrancar los carriles
+     * @param {EventEmitter} emitter - Instancia de WhatsAppClient (isReady + eventos ready y messageAck)
+     * @param {Function} send - (campaign, recipient) => Promise<{ messageId }|null>; null = no está en WhatsApp
+     */
+    attach(emitter, send) {
+        this.send = send;
+        this.isReady = number => emitter.isReady(number);
+
+        const cutoff = Date.now() - this.ACK_WINDOW_MS;
+        this.getCampaigns().forEach(campaign => {
+            const active = !campaign.finishedAt || new Date(campaign.finishedAt).getTime() > cutoff;
+            if (!active) return;
+
+            let interrupted = 0;
+            this.getRecipients(campaign.id).forEach((recipient, index) => {
+                if (recipient.status === 'sending') {
+                    this.setRecipientStatus(campaign, recipient, 'failed', { error: 'Interrumpido por un reinicio; puede haberse enviado' });
+                    interrupted += 1;
+                }
+                if (recipient.messageId) {
+                    this.messageIndex.set(recipient.messageId, { campaignId: campaign.id, index });
+                }
+            });
+
+            if (interrupted > 0) {
+                this.getRecipientStore(campaign.id).save();
+                logger.warn(`[Campaign] ${campaign.id}: ${interrupted} envíos interrumpidos por el reinicio marcados como fallidos`);
+            }
+        });
+        this.store.save();
+
+        emitter.on('ready', ({ number }) => this.wake(number));
+        emitter.on('messageAck', change => this.handleAck(change));
+
+        new Set(this.getCampaigns()
+            .filter(campaign => campaign.status === 'running' || campaign.status === 'scheduled')
+            .map(campaign => campaign.number))
+            .forEach(number => this.wake(number));
+    }
+
+    /**
+     * Leer un CSV con cabecera (separador , o ; y comillas dobles)
+     * @returns {Object[]} Una fila por línea con las columnas de la cabecera
+     */
+    parseCsv(text) {
+        const content = String(text).replace(/^\uFEFF/, '');
+        const firstLine = content.split(/\r?\n/, 1)[0];
+        const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+
+        for (let i = 0; i < content.length; i++) {
+            const char = content[i];
+
+            if (quoted) {
+                if (char === '"' && content[i + 1] === '"') {
+                    field += '"';
+                    i += 1;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === delimiter) {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && content[i + 1] === '\n') i += 1;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        const [header, ...lines] = rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+        if (!header) return [];
+
+        const columns = header.map(column => column.trim());
+        return lines.map(cells => Object.fromEntries(columns.map((column, index) => [column, (cells[index] ?? '').trim()])));
+    }
+
+    /**
+     * Normalizar la lista de destinatarios; los números inválidos quedan como skipped y los repetidos se descartan
+     * @param {Object} input - { recipients, csv }
+     * @returns {{ recipients: Object[], duplicates: number }}
+     */
+    buildRecipients({ recipients = [], csv }) {
+        const entries = recipients.map(entry => (typeof entry === 'object' && entry !== null ? entry : { chatId: entry }));
+
+        if (csv) {
+            const rows = this.parseCsv(csv);
+            if (rows.length > 0 && !['phone', 'number', 'chatId'].some(column => column in rows[0])) {
+                throw new Error('El CSV necesita una columna phone, number o chatId');
+            }
+            // Las celdas vacías no se pasan: así se aplica el default del parámetro
+            rows.forEach(({ phone, number, chatId, name, locale, ...columns }) => {
+                const params = Object.fromEntries(Object.entries(columns).filter(([, value]) => value !== ''));
+                entries.push({ chatId: chatId || phone || number, name, locale, params });
+            });
+        }
+
+        if (entries.length === 0) {
+            throw new Error('La campaña no tiene destinatarios: indica recipients o csv');
+        }
+        if (entries.length > this.MAX_RECIPIENTS) {
+            throw new Error(`Máximo ${this.MAX_RECIPIENTS} destinatarios por campaña`);
+        }
+
+        const seen = new Set();
+        let duplicates = 0;
+        const built = [];
+
+        entries.forEach(entry => {
+            const raw = String(entry.chatId ?? entry.phone ?? entry.number ?? '').trim();
+            const isGroup = raw.endsWith('@g.us');
+            const digits = raw.split('@')[0].replace(/[\s+()-]/g, '');
+            const valid = isGroup ? /^[\d-]+$/.test(digits) : /^\d{7,15}$/.test(digits);
+            const chatId = valid ? `${digits}@${isGroup ? 'g.us' : 'c.us'}` : raw;
+
+            if (valid && seen.has(chatId)) {
+                duplicates += 1;
+                return;
+            }
+            seen.add(chatId);
+
+            built.push({
+                chatId,
+                name: entry.name || null,
+                locale: entry.locale || null,
+                params: entry.params && typeof entry.params === 'object' ? entry.params : {},
+                status: valid ? 'queued' : 'skipped',
+                error: valid ? null : 'Número inválido',
+                attempts: 0,
+                retryAt: null,
+                messageId: null,
+                sentAt: null,
+                deliveredAt: null,
+                readAt: null,
+                updatedAt: null
+            });
+        });
+
+        return { recipients: built, duplicates };
+    }
+
+    /**
+     * Crear una campaña; empieza ya o en startAt
+     * @param {Object} options
+     * @param {string} options.clientId - Número que envía
+     * @param {string} options.name
+     * @param {Array} [options.recipients] - Números, chatIds u objetos { chatId, name, locale, params }
+     * @param {string} [options.csv] - CSV con cabecera
+     * @param {Object} options.content - { message, fileName, fileContent } o { templateId | templateName, params, locale }
+     * @param {number} [options.ratePerMinute]
+     * @param {number} [options.jitter] - Variación del intervalo, 0-1 (0.3 = ±30 %)
+     * @param {string} [options.startAt] - Fecha ISO
+     * @param {string} [createdBy] - keyId
+     */
+    create({ clientId, name, recipients, csv, content, ratePerMinute, jitter, startAt }, createdBy = null) {
+        const number = String(clientId);
+        const rate = Number(ratePerMinute || this.DEFAULT_RATE);
+        if (!(rate > 0 && rate <= this.MAX_RATE)) {
+            throw new Error(`ratePerMinute debe estar entre 1 y ${this.MAX_RATE}`);
+        }
+
+        const { message, fileName, fileContent, templateId, templateName, params = {}, locale } = content;
+        let builtContent;
+        let template = null;
+
+        if (templateId || templateName) {
+            template = templateId ? messageTemplates.findById(templateId) : messageTemplates.findByName(number, templateName);
+            if (!template || !messageTemplates.isAvailableFor(template, number)) {
+                throw new Error(`Plantilla no encontrada: ${templateId || templateName}`);
+            }
+            builtContent = { type: 'template', templateId: template.id, params, locale: locale || null };
+        } else if (fileContent) {
+            if (!fileName) throw new Error('fileName es obligatorio con fileContent');
+            builtContent = { type: 'media', message: message || null };
+        } else if (message) {
+            builtContent = { type: 'text', message };
+        } else {
+            throw new Error('Indica message, fileContent o templateId/templateName');
+        }
+
+        const { recipients: built, duplicates } = this.buildRecipients({ recipients, csv });
+
+        // Con plantilla, cada destinatario se valida ya: el que no tiene sus parámetros no se envía
+        if (template) {
+            built.filter(recipient => recipient.status === 'queued').forEach(recipient => {
+                const preview = messageTemplates.render(template, {
+                    params: { ...params, ...recipient.params },
+                    locale: recipient.locale || locale,
+                    number,
+                    chatId: recipient.chatId
+                });
+                if (!preview.valid) {
+                    recipient.status = 'skipped';
+                    recipient.error = preview.errors.map(e => `${e.field} (${e.message})`).join(', ');
+                }
+            });
+        }
+
+        const id = crypto.randomBytes(8).toString('hex');
+        if (builtContent.type === 'media') {
+            builtContent.media = this.media.save(id, { fileName, fileContent });
+        }
+
+        const now = new Date();
+        const start = startAt ? new Date(startAt) : null;
+        const counts = Object.fromEntries(this.RECIPIENT_STATUSES.map(status => [status, 0]));
+        built.forEach(recipient => {
+            counts[recipient.status] += 1;
+        });
+
+        const campaign = {
+            id,
+            number,
+            name,
+            status: start && start > now ? 'scheduled' : 'running',
+            content: builtContent,
+            pacing: { ratePerMinute: rate, jitter: jitter ?? this.DEFAULT_JITTER },
+            total: built.length,
+            duplicates,
+            counts,
+            lastError: null,
+            startAt: start ? start.toISOString() : null,
+            createdBy,
+            createdAt: now.toISOString(),
+            updatedAt: now.toISOString(),
+            startedAt: null,
+            pausedAt: null,
+            finishedAt: null,
+            report: null
+        };
+
+        const recipientStore = this.getRecipientStore(id);
+        recipientStore.load().recipients = built;
+        recipientStore.save();
+
+        this.getCampaigns().push(campaign);
+        this.prune();
+        this.store.save();
+
+        logger.info(`[Campaign] Campaña ${id} "${name}" creada (${number}, ${built.length} destinatarios, ${rate}/min)`);
+        this.wake(number);
+
+        return this.toPublic(campaign);
+    }
+
+    pause(id) {
+        const campaign = this.findById(id);
+        if (!campaign) return null;
+
+        if (!['running', 'scheduled'].includes(campaign.status)) {
+            throw new Error(`Solo se pausan campañas en marcha o programadas (estado actual: ${campaign.status})`);
+        }
+
+        campaign.status = 'paused';
+        campaign.pausedAt = new Date().toISOString();
+        campaign.updatedAt = campaign.pausedAt;
+        this.store.save();
+
+        logger.info(`[Campaign] Campaña ${id} pausada`);
+        return this.toPublic(campaign);
+    }
+
+    resume(id) {
+        const campaign = this.findById(id);
+        if (!campaign) return null;
+
+        if (campaign.status !== 'paused') {
+            throw new Error(`Solo se reanudan campañas pausadas (estado actual: ${campaign.status})`);
+        }
+
+        campaign.status = campaign.startAt && new Date(campaign.startAt) > new Date() ? 'scheduled' : 'running';
+        campaign.pausedAt = null;
+        campaign.updatedAt = new Date().toISOString();
+        this.store.save();
+
+        logger.info(`[Campaign] Campaña ${id} reanudada`);
+        this.wake(campaign.number);
+        return this.toPublic(campaign);
+    }
+
+    /**
+     * Cancelar: los pendientes pasan a skipped; el envío en curso termina y se registra
+     */
+    cancel(id) {
+        const campaign = this.findById(id);
+        if (!campaign) return null;
+
+        if (!['running', 'scheduled', 'paused'].includes(campaign.status)) {
+            throw new Error(`La campaña ya está ${campaign.status}`);
+        }
+
+        this.getRecipients(id)
+            .filter(recipient => recipient.status === 'queued')
+            .forEach(recipient => this.setRecipientStatus(campaign, recipient, 'skipped', { error: 'Campaña cancelada' }));
+        this.getRecipientStore(id).save();
+
+        this.finish(campaign, 'cancelled');
+        logger.info(`[Campaign] Campaña ${id} cancelada`);
+        return this.toPublic(campaign);
+    }
+
+    finish(campaign, status) {
+        campaign.status = status;
+        campaign.finishedAt = new Date().toISOString();
+        campaign.updatedAt = campaign.finishedAt;
+        campaign.report = this.buildReport(campaign);
+        this.store.save();
+        this.media.remove(campaign.content.media);
+
+        this.emit('campaignFinished', {
+            number: campaign.number,
+            campaignId: campaign.id,
+            name: campaign.name,
+            status,
+            report: campaign.report
+        });
+    }
+
+    setRecipientStatus(campaign, recipient, status, fields = {}) {
+        if (recipient.status !== status) {
+            campaign.counts[recipient.status] -= 1;
+            campaign.counts[status] += 1;
+        }
+
+        Object.assign(recipient, fields, { status, updatedAt: new Date().toISOString() });
+        campaign.updatedAt = recipient.updatedAt;
+    }
+
+    /**
+     * Acks de los mensajes de campaña: entregado y leído (nunca se retrocede)
+     */
+    handleAck({ messageId, ack }) {
+        const entry = this.messageIndex.get(messageId);
+        if (!entry) return;
+
+        const campaign = this.findById(entry.campaignId);
+        const recipient = campaign && this.getRecipients(campaign.id)[entry.index];
+        if (!recipient || recipient.messageId !== messageId) return;
+
+        const order = ['sent', 'delivered', 'read'];
+        const status = ack === -1 ? 'failed' : this.ACK_STATUSES[ack];
+        if (!status) return;
+
+        const now = new Date().toISOString();
+        if (status === 'failed') {
+            this.setRecipientStatus(campaign, recipient, 'failed', { error: 'WhatsApp rechazó el mensaje' });
+        } else if (order.indexOf(status) > order.indexOf(recipient.status)) {
+            this.setRecipientStatus(campaign, recipient, status, {
+                deliveredAt: recipient.deliveredAt || now,
+                ...(status === 'read' ? { readAt: now } : {})
+            });
+        } else {
+            return;
+        }
+
+        if (campaign.report) {
+            campaign.report = this.buildReport(campaign);
+        }
+        this.getRecipientStore(campaign.id).scheduleSave();
+        this.store.scheduleSave();
+    }
+
+    /**
+     * Programar el siguiente paso del carril de un número
+     */
+    wake(number, delay = 0) {
+        if (!this.send) return;
+
+        const lane = this.lanes.get(number) || { timer: null, busy: false, notBefore: 0 };
+        this.lanes.set(number, lane);
+        if (lane.busy) return;
+
+        // Despertar el carril (nueva campaña, ready) nunca adelanta el ritmo del último envío
+        const wait = Math.max(delay, lane.notBefore - Date.now(), 0);
+
+        if (lane.timer) clearTimeout(lane.timer);
+        lane.timer = setTimeout(() => {
+            lane.timer = null;
+            this.step(number);
+        }, Math.min(wait, this.MAX_SLEEP));
+        lane.timer.unref?.();
+    }
+
+    /**
+     * Un envío del carril de un número y programar el siguiente
+     */
+    async step(number) {
+        const lane = this.lanes.get(number);
+        lane.busy = true;
+        let nextDelay = null;
+
+        try {
+            nextDelay = await this.sendNext(number);
+        } catch (error) {
+            logger.error(`[Campaign] Error en el carril de ${number}:`, error);
+            nextDelay = this.CLIENT_RECHECK;
+        } finally {
+            lane.busy = false;
+        }
+
+        if (nextDelay !== null) {
+            this.wake(number, nextDelay);
+        }
+    }
+
+    /**
+     * @returns {number|null} Espera hasta el siguiente paso, null si el carril queda parado
+     */
+    async sendNext(number) {
+        const now = Date.now();
+        const campaigns = this.getCampaigns().filter(campaign => campaign.number === number);
+
+        campaigns
+            .filter(campaign => campaign.status === 'scheduled' && new Date(campaign.startAt).getTime() <= now)
+            .forEach(campaign => {
+                campaign.status = 'running';
+                logger.info(`[Campaign] Campaña ${campaign.id} iniciada`);
+            });
+
+        let waitUntil = Infinity;
+        campaigns
+            .filter(campaign => campaign.status === 'scheduled')
+            .forEach(campaign => {
+                waitUntil = Math.min(waitUntil, new Date(campaign.startAt).getTime());
+            });
+
+        const running = campaigns
+            .filter(campaign => campaign.status === 'running')
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+        for (const campaign of running) {
+            const recipients = this.getRecipients(campaign.id);
+            const pending = recipients.filter(recipient => recipient.status === 'queued');
+
+            if (pending.length === 0) {
+                this.finish(campaign, 'completed');
+                logger.info(`[Campaign] Campaña ${campaign.id} terminada: ${JSON.stringify(campaign.counts)}`);
+                continue;
+            }
+
+            const recipient = pending.find(entry => !entry.retryAt || new Date(entry.retryAt).getTime() <= now);
+            if (!recipient) {
+                pending.forEach(entry => {
+                    waitUntil = Math.min(waitUntil, new Date(entry.retryAt).getTime());
+                });
+                continue;
+            }
+
+            if (!this.isReady(number)) {
+                if (campaign.lastError !== 'Cliente no listo') {
+                    campaign.lastError = 'Cliente no listo';
+                    this.store.save();
+                    logger.warn(`[Campaign] Campaña ${campaign.id} en espera: el cliente ${number} no está listo`);
+                }
+                return this.CLIENT_RECHECK;
+            }
+
+            await this.sendRecipient(campaign, recipient, recipients.indexOf(recipient));
+
+            const interval = this.nextInterval(campaign);
+            this.lanes.get(number).notBefore = Date.now() + interval;
+            return interval;
+        }
+
+        this.store.save();
+        return waitUntil === Infinity ? null : Math.max(waitUntil - Date.now(), 0);
+    }
+
+    async sendRecipient(campaign, recipient, index) {
+        if (!campaign.startedAt) campaign.startedAt = new Date().toISOString();
+        campaign.lastError = null;
+
+        this.setRecipientStatus(campaign, recipient, 'sending', { attempts: recipient.attempts + 1 });
+        this.getRecipientStore(campaign.id).save();
+
+        try {
+            const result = await this.send(campaign, recipient);
+
+            if (result === null) {
+                this.setRecipientStatus(campaign, recipient, 'skipped', { error: 'No es un usuario de WhatsApp' });
+            } else {
+                this.setRecipientStatus(campaign, recipient, 'sent', {
+                    messageId: result.messageId,
+                    sentAt: new Date().toISOString(),
+                    error: null,
+                    retryAt: null
+                });
+                this.messageIndex.set(result.messageId, { campaignId: campaign.id, index });
+
+                // Un ack que llegó antes que la respuesta de sendMessage no pasó por el índice
+                const tracked = messageAckTracker.getStatus(result.messageId);
+                if (tracked?.ack > 1 || tracked?.ack === -1) {
+                    this.handleAck({ messageId: result.messageId, ack: tracked.ack });
+                }
+            }
+        } catch (error) {
+            // Datos inválidos (plantilla borrada, parámetros...) no se arreglan reintentando
+            const permanent = [400, 403, 404].includes(error.statusCode);
+
+            if (!permanent && recipient.attempts < this.MAX_ATTEMPTS) {
+                this.setRecipientStatus(campaign, recipient, 'queued', {
+                    error: error.message,
+                    retryAt: new Date(Date.now() + this.RETRY_DELAY * recipient.attempts).toISOString()
+                });
+            } else {
+                this.setRecipientStatus(campaign, recipient, 'failed', { error: error.message, retryAt: null });
+            }
+            campaign.lastError = error.message;
+            logger.warn(`[Campaign] ${campaign.id}: envío a ${recipient.chatId} fallido (intento ${recipient.attempts}): ${error.message}`);
+        }
+
+        // Cancelada mientras se enviaba: el informe incluye este último envío
+        if (campaign.report) {
+            campaign.report = this.buildReport(campaign);
+        }
+        this.getRecipientStore(campaign.id).scheduleSave();
+        this.store.scheduleSave();
+    }
+
+    /**
+     * Intervalo hasta el siguiente envío: 60/ratePerMinute s ± jitter
+     */
+    nextInterval(campaign) {
+        const { ratePerMinute, jitter } = campaign.pacing;
+        const base = 60000 / ratePerMinute;
+        return Math.round(base * (1 + (Math.random() * 2 - 1) * jitter));
+    }
+
+    /**
+     * Resumen de la campaña: totales, tasas y fallos agrupados por motivo
+     */
+    buildReport(campaign) {
+        const { counts } = campaign;
+        const sent = counts.sent + counts.delivered + counts.read;
+        const delivered = counts.delivered + counts.read;
+        const rate = (value, total) => (total > 0 ? Math.round((value / total) * 1000) / 10 : 0);
+
+        const reasons = {};
+        this.getRecipients(campaign.id)
+            .filter(recipient => recipient.status === 'failed' || recipient.status === 'skipped')
+            .forEach(recipient => {
+                const key = `${recipient.status}: ${recipient.error || 'desconocido'}`;
+                reasons[key] = (reasons[key] || 0) + 1;
+            });
+
+        const startedAt = campaign.startedAt ? new Date(campaign.startedAt).getTime() : null;
+        const endedAt = campaign.finishedAt ? new Date(campaign.finishedAt).getTime() : Date.now();
+
+        return {
+            total: campaign.total,
+            duplicatesRemoved: campaign.duplicates,
+            counts: { ...counts },
+            sent,
+            delivered,
+            read: counts.read,
+            deliveryRate: rate(delivered, sent),
+            readRate: rate(counts.read, sent),
+            failureReasons: Object.entries(reasons)
+                .map(([reason, count]) => ({ reason, count }))
+                .sort((a, b) => b.count - a.count),
+            durationSeconds: startedAt ? Math.round((endedAt - startedAt) / 1000) : 0,
+            generatedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Descartar las campañas terminadas más antiguas pasado el máximo
+     */
+    prune() {
+        const data = this.store.load();
+        const finished = data.campaigns.filter(campaign => campaign.finishedAt);
+        if (data.campaigns.length <= this.MAX_CAMPAIGNS || finished.length === 0) return;
+
+        const drop = new Set(finished
+            .sort((a, b) => a.finishedAt.localeCompare(b.finishedAt))
+            .slice(0, data.campaigns.length - this.MAX_CAMPAIGNS)
+            .map(campaign => campaign.id));
+
+        drop.forEach(id => {
+            this.recipientStores.delete(id);
+            fs.rmSync(path.join(this.recipientsDir, `${id}.json`), { force: true });
+        });
+        this.messageIndex.forEach((entry, messageId) => {
+            if (drop.has(entry.campaignId)) this.messageIndex.delete(messageId);
+        });
+        data.campaigns = data.campaigns.filter(campaign => !drop.has(campaign.id));
+    }
+
+    /**
+     * Listar campañas, las más recientes primero
+     * @param {Object} filters - { canAccess, number, status }
+     * @param {Object} pagination - { page, limit }
+     */
+    list({ canAccess = () => true, number, status } = {}, { page = 1, limit = this.DEFAULT_PAGE_SIZE } = {}) {
+        const results = this.getCampaigns()
+            .filter(campaign => canAccess(campaign.number))
+            .filter(campaign => !number || campaign.number === String(number))
+            .filter(campaign => !status || campaign.status === status)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+        const pageSize = Math.min(limit, this.MAX_PAGE_SIZE);
+        const start = (page - 1) * pageSize;
+
+        return {
+            campaigns: results.slice(start, start + pageSize).map(campaign => this.toPublic(campaign)),
+            pagination: {
+                total: results.length,
+                page,
+                limit: pageSize,
+                totalPages: Math.ceil(results.length / pageSize)
+            }
+        };
+    }
+
+    /**
+     * Destinatarios de una campaña, en el orden de la lista
+     */
+    listRecipients(id, { status } = {}, { page = 1, limit = this.DEFAULT_PAGE_SIZE } = {}) {
+        const results = this.getRecipients(id)
+            .filter(recipient => !status || recipient.status === status);
+
+        const pageSize = Math.min(limit, this.MAX_PAGE_SIZE);
+        const start = (page - 1) * pageSize;
+
+        return {
+            recipients: results.slice(start, start + pageSize).map(({ retryAt, ...recipient }) => recipient),
+            pagination: {
+                total: results.length,
+                page,
+                limit: pageSize,
+                totalPages: Math.ceil(results.length / pageSize)
+            }
+        };
+    }
+
+    /**
+     * Vista pública: sin la ruta interna del adjunto; el avance en porcentaje
+     */
+    toPublic(campaign) {
+        const { content, ...view } = campaign;
+        const { media, ...publicContent } = content;
+        const done = campaign.total - campaign.counts.queued - campaign.counts.sending;
+
+        return {
+            ...view,
+            content: media ? { ...publicContent, media: this.media.describe(media) } : publicContent,
+            progress: campaign.total > 0 ? Math.round((done / campaign.total) * 1000) / 10 : 100
+        };
+    }
+
+    /**
+     * Adjunto de una campaña en base64 (para MessageMedia)
+     */
+    readMedia(campaign) {
+        return this.media.read(campaign.content.media);
+    }
+}
+
+module.exports = new CampaignManager();
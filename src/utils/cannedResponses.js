@@ -0,0 +1,256 @@
+// utils/cannedResponses.js
+const crypto = require('crypto');
+const path = require('path');
+const logger = require('../conf/logger');
+const config = require('../conf/config');
+const JsonFileStore = require('./jsonFileStore');
+const MediaLibrary = require('./mediaLibrary');
+
+/**
+ * Respuestas predefinidas para agentes, globales ('*') o de un número
+ *
+ * - Cada respuesta tiene un shortcode único en su ámbito (el de un número tiene prioridad sobre el global)
+ * - El texto admite marcadores {{contact.name}}, {{agent.name}}... con valor por defecto opcional:
+ *   {{contact.name|cliente}}; se rellenan al enviar y un marcador sin valor ni defecto impide el envío
+ * - Puede llevar un adjunto, guardado en dataPath/canned-media; el texto se envía como pie
+ */
+class CannedResponses {
+    constructor() {
+        this.ALL_NUMBERS = '*';
+        this.MAX_TEXT_LENGTH = 4096;
+        this.SHORTCODE_PATTERN = /^[a-z0-9_-]{1,32}$/;
+        this.PLACEHOLDER_PATTERN = /\{\{\s*([a-zA-Z_][\w]*(?:\.[a-zA-Z_][\w]*)*)\s*(?:\|([^}]*))?\}\}/g;
+
+        this.media = new MediaLibrary(path.join(config.dataPath, 'canned-media'), { label: 'Canned' });
+        this.store = new JsonFileStore(path.join(config.dataPath, 'cannedResponses.json'), { responses: [] });
+    }
+
+    getResponses() {
+        return this.store.load().responses;
+    }
+
+    findById(id) {
+        return this.getResponses().find(response => response.id === id) || null;
+    }
+
+    normalizeShortcode(shortcode) {
+        return String(shortcode || '').trim().replace(/^\//, '').toLowerCase();
+    }
+
+    /**
+     * Respuesta por shortcode para un número: primero la del número, después la global
+     */
+    findByShortcode(number, shortcode) {
+        const code = this.normalizeShortcode(shortcode);
+        const candidates = this.getResponses().filter(response => response.shortcode === code);
+
+        return candidates.find(response => response.number === String(number))
+            || candidates.find(response => response.number === this.ALL_NUMBERS)
+            || null;
+    }
+
+    /**
+     * Se puede usar con un número si es global o de ese número
+     */
+    isAvailableFor(response, number) {
+        return response.number === this.ALL_NUMBERS || response.number === String(number);
+    }
+
+    /**
+     * Marcadores de un texto, sin repetir
+     * @returns {string[]} Rutas (contact.name, agent.name...)
+     */
+    getPlaceholders(text) {
+        return [...new Set([...String(text || '').matchAll(this.PLACEHOLDER_PATTERN)].map(match => match[1]))];
+    }
+
+    /**
+     * Rellenar los marcadores de un texto
+     * @param {string} text
+     * @param {Object} context - { contact, agent, client, ...variables }
+     * @returns {{ text: string, missing: string[] }}
+     */
+    render(text, context) {
+        const missing = new Set();
+
+        const rendered = String(text || '').replace(this.PLACEHOLDER_PATTERN, (placeholder, key, fallback) => {
+            const value = key.split('.').reduce((current, part) =>
+                (current !== null && typeof current === 'object' ? current[part] : undefined), context);
+
+            if (value !== undefined && value !== null && value !== '' && typeof value !== 'object') {
+                return String(value);
+            }
+            if (fallback !== undefined) {
+                return fallback.trim();
+            }
+
+            missing.add(key);
+            return placeholder;
+        });
+
+        return { text: rendered, missing: [...missing] };
+    }
+
+    assertUniqueShortcode(number, shortcode, exceptId = null) {
+        const taken = this.getResponses().some(response =>
+            response.id !== exceptId && response.number === number && response.shortcode === shortcode);
+
+        if (taken) {
+            throw new Error(`El shortcode /${shortcode} ya existe para ${number === this.ALL_NUMBERS ? 'todos los números' : number}`);
+        }
+    }
+
+    /**
+     * Adjunto de una respuesta en base64 (para MessageMedia)
+     * @returns {Promise<{ mimetype: string, data: string, fileName: string }|null>}
+     */
+    readMedia(response) {
+        return this.media.read(response.media);
+    }
+
+    /**
+     * Crear una respuesta
+     * @param {Object} options
+     * @param {string} [options.number] - Número del cliente o '*' para todos (por defecto)
+     * @param {string} options.shortcode
+     * @param {string} options.text
+     * @param {string} [options.title]
+     * @param {string} [options.category]
+     * @param {Object} [options.media] - { fileName, fileContent (base64) }
+     * @param {string} [createdBy] - keyId
+     */
+    create({ number = this.ALL_NUMBERS, shortcode, text, title = null, category = null, media = null }, createdBy = null) {
+        const code = this.normalizeShortcode(shortcode);
+        const scope = String(number);
+        this.assertUniqueShortcode(scope, code);
+
+        if (!text && !media) {
+            throw new Error('La respuesta necesita texto o un adjunto');
+        }
+
+        const id = crypto.randomBytes(8).toString('hex');
+        const now = new Date().toISOString();
+        const response = {
+            id,
+            number: scope,
+            shortcode: code,
+            title,
+            category: category ? category.trim().toLowerCase() : null,
+            text: text || '',
+            media: media ? this.media.save(id, media) : null,
+            createdBy,
+            createdAt: now,
+            updatedAt: now,
+            usageCount: 0,
+            lastUsedAt: null
+        };
+
+        this.getResponses().push(response);
+        this.store.save();
+
+        logger.info(`[Canned] Respuesta /${code} (${id}) creada para ${scope}`);
+        return this.toPublic(response);
+    }
+
+    /**
+     * Modificar una respuesta; media null quita el adjunto
+     */
+    update(id, changes, updatedBy = null) {
+        const response = this.findById(id);
+        if (!response) return null;
+
+        const nextText = changes.text !== undefined ? changes.text || '' : response.text;
+        const nextMedia = changes.media !== undefined ? changes.media : response.media;
+        if (!nextText && !nextMedia) {
+            throw new Error('La respuesta necesita texto o un adjunto');
+        }
+
+        if (changes.shortcode !== undefined) {
+            const code = this.normalizeShortcode(changes.shortcode);
+            this.assertUniqueShortcode(response.number, code, id);
+            response.shortcode = code;
+        }
+
+        if (changes.media !== undefined) {
+            const previous = response.media;
+            response.media = changes.media ? this.media.save(id, changes.media) : null;
+            this.media.remove(previous);
+        }
+
+        if (changes.title !== undefined) {
+            response.title = changes.title || null;
+        }
+        if (changes.category !== undefined) {
+            response.category = changes.category ? changes.category.trim().toLowerCase() : null;
+        }
+        response.text = nextText;
+
+        response.updatedAt = new Date().toISOString();
+        response.updatedBy = updatedBy;
+        this.store.save();
+
+        return this.toPublic(response);
+    }
+
+    remove(id) {
+        const data = this.store.load();
+        const index = data.responses.findIndex(response => response.id === id);
+        if (index === -1) return null;
+
+        const [removed] = data.responses.splice(index, 1);
+        this.store.save();
+        this.media.remove(removed.media);
+
+        logger.info(`[Canned] Respuesta /${removed.shortcode} (${id}) eliminada`);
+        return this.toPublic(removed);
+    }
+
+    recordUse(id) {
+        const response = this.findById(id);
+        if (!response) return;
+
+        response.usageCount += 1;
+        response.lastUsedAt = new Date().toISOString();
+        this.store.scheduleSave();
+    }
+
+    /**
+     * Listar respuestas
+     * @param {Object} filters
+     * @param {Function} filters.canAccess - (number) => boolean, para las respuestas de un número
+     * @param {string} [filters.number] - Las de ese número y las globales
+     * @param {string} [filters.category]
+     * @param {string} [filters.q] - Texto en shortcode, título o texto
+     */
+    list({ canAccess = () => true, number, category, q } = {}) {
+        const needle = q ? q.toLowerCase() : null;
+
+        return this.getResponses()
+            .filter(response => response.number === this.ALL_NUMBERS || canAccess(response.number))
+            .filter(response => !number || this.isAvailableFor(response, number))
+            .filter(response => !category || response.category === category.toLowerCase())
+            .filter(response => !needle || [response.shortcode, response.title, response.text]
+                .some(value => value && value.toLowerCase().includes(needle)))
+            .sort((a, b) => a.shortcode.localeCompare(b.shortcode) || (a.number === this.ALL_NUMBERS ? 1 : -1))
+            .map(response => this.toPublic(response));
+    }
+
+    getCategories(responses) {
+        return [...new Set(responses.map(response => response.category).filter(Boolean))].sort();
+    }
+
+    /**
+     * Vista pública: sin la ruta interna del adjunto y con los marcadores del texto
+     */
+    toPublic(response) {
+        const { media, ...view } = response;
+
+        return {
+            ...view,
+            placeholders: this.getPlaceholders(response.text),
+            media: this.media.describe(media)
+        };
+    }
+}
+
+module.exports = new CannedResponses();
@@ -333,6 +333,37 @@ class ChatCacheManager {
         logger.info(`[Cache] Limpiado para ${clientNumber}`);
     }
 
+    /**
+     * Copia serializable del caché de un cliente (migración entre instancias)
+     */
+    exportSnapshot(clientNumber) {
+        if (!this.isCacheReady(clientNumber)) return null;
+
+        return {
+            chats: Array.from(this.chatCache.get(clientNumber)?.values() || []),
+            groups: Array.from(this.groupCache.get(clientNumber)?.values() || []),
+            unread: Array.from(this.unreadChats.get(clientNumber) || []),
+            initializedAt: this.initTimestamps.get(clientNumber) || null
+        };
+    }
+
+    /**
+     * Restaurar un caché exportado con exportSnapshot; el cliente arranca sin volver a pedir los chats
+     */
+    importSnapshot(clientNumber, snapshot) {
+        if (!snapshot?.chats) return false;
+
+        this.chatCache.set(clientNumber, new Map(snapshot.chats.map(chat => [chat.id, chat])));
+        this.groupCache.set(clientNumber, new Map((snapshot.groups || []).map(group => [group.id, group])));
+        this.unreadChats.set(clientNumber, new Set(snapshot.unread || []));
+        this.isLoaded.set(clientNumber, true);
+        this.groupsLoaded.set(clientNumber, true);
+        this.initTimestamps.set(clientNumber, snapshot.initializedAt || Date.now());
+
+        logger.info(`[Cache] Restaurado para ${clientNumber}: ${snapshot.chats.length} chats (${snapshot.groups?.length || 0} grupos)`);
+        return true;
+    }
+
     /**
      * Obtener referencia al objeto chat original (si existe en cliente)
      */
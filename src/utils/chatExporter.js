@@ -0,0 +1,675 @@
+// utils/chatExporter.js
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const logger = require('../conf/logger');
+const config = require('../conf/config');
+const JsonFileStore = require('./jsonFileStore');
+const messageStore = require('./messageStore');
+const { encryption } = require('./encryption');
+
+/**
+ * Exportación asíncrona del historial de chats a JSON, CSV o HTML
+ *
+ * - Los trabajos se ejecutan de uno en uno y guardan su progreso en data/exports.json
+ * - El archivo generado (y la media enlazada) se guarda en data/exports/<id>/
+ * - La descarga usa un token propio del trabajo, válido hasta expiresAt; después se borran los archivos
+ */
+class ChatExporter {
+    constructor() {
+        this.FORMATS = ['json', 'csv', 'html'];
+        this.MEDIA_MODES = ['none', 'link', 'embed'];
+        this.EXTENSIONS = { json: 'json', csv: 'csv', html: 'html' };
+        this.CONTENT_TYPES = {
+            json: 'application/json; charset=utf-8',
+            csv: 'text/csv; charset=utf-8',
+            html: 'text/html; charset=utf-8'
+        };
+        this.CSV_COLUMNS = [
+            'chatId', 'chatName', 'messageId', 'date', 'from', 'author', 'fromMe', 'type',
+            'body', 'caption', 'mediaFilename', 'mediaMimetype', 'mediaUrl', 'status', 'edited', 'deleted'
+        ];
+
+        this.MAX_CHATS = 50;
+        this.MAX_JOBS = 200;
+        this.MAX_MESSAGES_PER_CHAT = config.exportMaxMessages;
+        this.EMBED_MAX_BYTES = config.exportEmbedMaxBytes;
+        this.LINK_TTL_MS = config.exportLinkTtlHours * 60 * 60 * 1000;
+        this.MEDIA_TIMEOUT = 30000;
+        this.CLEANUP_INTERVAL = 15 * 60 * 1000;
+
+        this.exportsDir = path.join(config.dataPath, 'exports');
+        this.store = new JsonFileStore(path.join(config.dataPath, 'exports.json'), { jobs: [] });
+
+        // Cola en memoria: los clientes de WhatsApp no sobreviven a un reinicio
+        this.queue = [];
+        this.clients = new Map();
+        this.cancelled = new Set();
+        this.processing = false;
+
+        this.recoverInterruptedJobs();
+
+        this.cleanupTimer = setInterval(() => this.cleanupExpired(), this.CLEANUP_INTERVAL);
+        this.cleanupTimer.unref?.();
+    }
+
+    getJobs() {
+        return this.store.load().jobs;
+    }
+
+    findById(id) {
+        return this.getJobs().find(job => job.id === id) || null;
+    }
+
+    getJobDir(id) {
+        return path.join(this.exportsDir, id);
+    }
+
+    /**
+     * Vista pública de un trabajo (nunca incluye el token de descarga)
+     */
+    toPublic(job) {
+        // baseUrl: trabajos guardados cuando el enlace se tomaba de la petición
+        const { token, baseUrl, ...publicData } = job;
+        return publicData;
+    }
+
+    list() {
+        return this.getJobs().map(job => this.toPublic(job));
+    }
+
+    /**
+     * Trabajos que quedaron a medias por un reinicio del servidor
+     */
+    recoverInterruptedJobs() {
+        const interrupted = this.getJobs().filter(job => job.status === 'queued' || job.status === 'running');
+        if (interrupted.length === 0) return;
+
+        interrupted.forEach(job => {
+            job.status = 'failed';
+            job.error = 'Interrumpido por reinicio del servidor';
+            job.finishedAt = new Date().toISOString();
+            fs.rmSync(this.getJobDir(job.id), { recursive: true, force: true });
+        });
+
+        this.store.save();
+        logger.warn(`[Export] ${interrupted.length} exportaciones interrumpidas marcadas como fallidas`);
+    }
+
+    /**
+     * Crear un trabajo de exportación y encolarlo
+     * @param {Object} options
+     * @param {string} options.number - Número del cliente
+     * @param {string[]} options.chatIds - Chats serializados (xxx@c.us / xxx@g.us)
+     * @param {string} options.format - json | csv | html
+     * @param {string} options.media - none | link | embed
+     * @param {Object} client - Cliente de whatsapp-web.js
+     * @param {string} createdBy - keyId que crea el trabajo
+     * @returns {Object} Trabajo (vista pública)
+     */
+    create({ number, chatIds, format, media = 'none' }, client, createdBy) {
+        if (!this.FORMATS.includes(format)) {
+            throw new Error(`Formato no soportado: ${format}`);
+        }
+        if (!this.MEDIA_MODES.includes(media)) {
+            throw new Error(`Modo de media no soportado: ${media}`);
+        }
+        if (format === 'csv' && media === 'embed') {
+            throw new Error('El formato CSV no admite media embebida; usa link o none');
+        }
+
+        const uniqueChatIds = [...new Set(chatIds)];
+        if (uniqueChatIds.length === 0 || uniqueChatIds.length > this.MAX_CHATS) {
+            throw new Error(`Indica entre 1 y ${this.MAX_CHATS} chats`);
+        }
+
+        const job = {
+            id: crypto.randomBytes(8).toString('hex'),
+            number: String(number),
+            chatIds: uniqueChatIds,
+            format,
+            media,
+            status: 'queued',
+            progress: {
+                totalChats: uniqueChatIds.length,
+                completedChats: 0,
+                currentChat: null,
+                messages: 0,
+                mediaFiles: 0,
+                mediaSkipped: 0,
+                percent: 0
+            },
+            chats: [],
+            file: null,
+            error: null,
+            createdBy,
+            createdAt: new Date().toISOString(),
+            startedAt: null,
+            finishedAt: null,
+            expiresAt: null,
+            token: encryption.encrypt(crypto.randomBytes(24).toString('base64url'))
+        };
+
+        const jobs = this.getJobs();
+        jobs.push(job);
+        this.prune();
+        this.store.save();
+
+        this.clients.set(job.id, client);
+        this.queue.push(job.id);
+        logger.info(`[Export] Exportación ${job.id} encolada (${number}, ${uniqueChatIds.length} chats, ${format})`);
+
+        setImmediate(() => this.processQueue());
+        return this.toPublic(job);
+    }
+
+    /**
+     * Cancelar un trabajo en cola o en curso y borrar sus archivos
+     * @returns {Object|null} Trabajo eliminado
+     */
+    remove(id) {
+        const jobs = this.getJobs();
+        const index = jobs.findIndex(job => job.id === id);
+        if (index === -1) return null;
+
+        const [job] = jobs.splice(index, 1);
+        this.queue = this.queue.filter(queuedId => queuedId !== id);
+        this.clients.delete(id);
+
+        if (job.status === 'running') {
+            // El proceso en curso lo detecta entre mensajes y borra lo generado
+            this.cancelled.add(id);
+        } else {
+            fs.rmSync(this.getJobDir(id), { recursive: true, force: true });
+        }
+
+        this.store.save();
+        logger.info(`[Export] Exportación ${id} eliminada`);
+        return this.toPublic(job);
+    }
+
+    async processQueue() {
+        if (this.processing) return;
+        this.processing = true;
+
+        try {
+            while (this.queue.length > 0) {
+                const id = this.queue.shift();
+                const job = this.findById(id);
+                const client = this.clients.get(id);
+                this.clients.delete(id);
+
+                if (job) {
+                    await this.runJob(job, client);
+                }
+            }
+        } finally {
+            this.processing = false;
+        }
+    }
+
+    async runJob(job, client) {
+        job.status = 'running';
+        job.startedAt = new Date().toISOString();
+        this.store.save();
+
+        const jobDir = this.getJobDir(job.id);
+        const fileName = `chat-export-${job.id}.${this.EXTENSIONS[job.format]}`;
+
+        try {
+            if (!client?.info) {
+                throw new Error('El cliente no está conectado');
+            }
+
+            fs.mkdirSync(path.join(jobDir, 'media'), { recursive: true });
+
+            const writer = this.createWriter(path.join(jobDir, fileName));
+            await this.writeHeader(writer, job);
+
+            for (const chatId of job.chatIds) {
+                job.progress.currentChat = chatId;
+                this.store.scheduleSave();
+
+                await this.exportChat(writer, job, client, chatId);
+
+                job.progress.completedChats++;
+                job.progress.percent = Math.round((job.progress.completedChats / job.progress.totalChats) * 100);
+                this.store.scheduleSave();
+            }
+
+            await this.writeFooter(writer, job);
+            await writer.close();
+
+            if (this.cancelled.has(job.id)) {
+                throw new Error('Exportación cancelada');
+            }
+
+            job.status = 'completed';
+            job.progress.currentChat = null;
+            job.file = {
+                name: fileName,
+                size: fs.statSync(path.join(jobDir, fileName)).size,
+                contentType: this.CONTENT_TYPES[job.format]
+            };
+            job.expiresAt = new Date(Date.now() + this.LINK_TTL_MS).toISOString();
+
+            logger.info(`[Export] Exportación ${job.id} completada: ${job.progress.messages} mensajes`);
+        } catch (error) {
+            fs.rmSync(jobDir, { recursive: true, force: true });
+
+            if (this.cancelled.delete(job.id)) {
+                logger.info(`[Export] Exportación ${job.id} cancelada`);
+                return;
+            }
+
+            job.status = 'failed';
+            job.error = error.message;
+            logger.error(`[Export] Error en la exportación ${job.id}:`, error);
+        } finally {
+            job.finishedAt = new Date().toISOString();
+            if (this.findById(job.id)) {
+                this.store.save();
+            }
+        }
+    }
+
+    /**
+     * Traer el historial completo de WhatsApp al almacén y volcarlo en el archivo
+     */
+    async exportChat(writer, job, client, chatId) {
+        let chat;
+        try {
+            chat = await client.getChatById(chatId);
+        } catch (error) {
+            chat = null;
+        }
+
+        if (!chat) {
+            job.chats.push({ chatId, name: null, messages: 0, error: 'Chat no encontrado' });
+            return;
+        }
+
+        const fetched = await chat.fetchMessages({ limit: this.MAX_MESSAGES_PER_CHAT });
+        for (const message of fetched) {
+            await messageStore.importMessage(job.number, message);
+        }
+
+        const summary = { chatId, name: chat.name || null, isGroup: Boolean(chat.isGroup), messages: 0 };
+        await this.writeChatStart(writer, job, summary);
+
+        let first = true;
+        for await (const document of messageStore.iterateChatMessages(job.number, chatId)) {
+            if (this.cancelled.has(job.id)) {
+                throw new Error('Exportación cancelada');
+            }
+
+            const message = this.toExportMessage(document);
+            if (document.hasMedia && !document.deleted && job.media !== 'none') {
+                message.media = await this.resolveMedia(job, client, document);
+            }
+
+            await this.writeMessage(writer, job, summary, message, first);
+            first = false;
+
+            summary.messages++;
+            job.progress.messages++;
+        }
+
+        await this.writeChatEnd(writer, job);
+        job.chats.push(summary);
+    }
+
+    toExportMessage(document) {
+        return {
+            id: document.messageId,
+            timestamp: document.timestamp,
+            date: document.timestamp ? new Date(document.timestamp * 1000).toISOString() : null,
+            from: document.from,
+            to: document.to,
+            author: document.author,
+            fromMe: document.fromMe,
+            type: document.type,
+            body: document.body,
+            caption: document.caption,
+            hasMedia: document.hasMedia,
+            media: document.media ? { ...document.media } : null,
+            location: document.location,
+            vcardNames: document.vcardNames || [],
+            quotedMessageId: document.quotedMessageId,
+            isForwarded: document.isForwarded,
+            status: document.status || null,
+            edited: Boolean(document.editedAt),
+            edits: document.edits || [],
+            deleted: Boolean(document.deleted),
+            deletedFor: document.deletedFor || null
+        };
+    }
+
+    /**
+     * Descargar la media de un mensaje y embeberla (data URI) o guardarla junto a la exportación
+     */
+    async resolveMedia(job, client, document) {
+        const media = { ...document.media };
+
+        if (job.media === 'embed' && media.size && media.size > this.EMBED_MAX_BYTES) {
+            job.progress.mediaSkipped++;
+            return { ...media, status: 'tooLarge' };
+        }
+
+        try {
+            const message = await client.getMessageById(document.messageId);
+            const downloaded = message && await Promise.race([
+                message.downloadMedia(),
+                new Promise((_, reject) =>
+                    setTimeout(() => reject(new Error('Timeout descargando media')), this.MEDIA_TIMEOUT)
+                )
+            ]);
+
+            if (!downloaded?.data) {
+                job.progress.mediaSkipped++;
+                return { ...media, status: 'unavailable' };
+            }
+
+            const buffer = Buffer.from(downloaded.data, 'base64');
+            media.mimetype = downloaded.mimetype || media.mimetype;
+            media.filename = downloaded.filename || media.filename;
+            media.size = buffer.length;
+
+            if (job.media === 'embed') {
+                if (buffer.length > this.EMBED_MAX_BYTES) {
+                    job.progress.mediaSkipped++;
+                    return { ...media, status: 'tooLarge' };
+                }
+
+                job.progress.mediaFiles++;
+                return { ...media, status: 'embedded', dataUrl: `data:${media.mimetype};base64,${downloaded.data}` };
+            }
+
+            const fileName = this.getMediaFileName(document, media);
+            await fs.promises.writeFile(path.join(this.getJobDir(job.id), 'media', fileName), buffer);
+
+            job.progress.mediaFiles++;
+            return { ...media, status: 'linked', url: this.getDownloadUrl(job, fileName) };
+        } catch (error) {
+            logger.warn(`[Export] Media no disponible para ${document.messageId}: ${error.message}`);
+            job.progress.mediaSkipped++;
+            return { ...media, status: 'unavailable' };
+        }
+    }
+
+    getMediaFileName(document, media) {
+        const id = document.messageId.replace(/[^a-zA-Z0-9]/g, '_');
+        const subtype = (media.mimetype || '').split(';')[0].split('/')[1] || 'bin';
+        const extension = path.extname(media.filename || '') || `.${subtype}`;
+
+        return `${id}${extension.replace(/[^a-zA-Z0-9.]/g, '')}`;
+    }
+
+    /**
+     * Enlace de descarga firmado con el token del trabajo
+     * @param {Object} job - Trabajo (interno, con token)
+     * @param {string} [fileName] - Archivo de media; por defecto, la exportación
+     */
+    getDownloadUrl(job, fileName = null) {
+        const params = new URLSearchParams({ token: encryption.decrypt(job.token) });
+        if (fileName) params.set('file', fileName);
+
+        return `${config.publicBaseUrl}/api/exports/${job.id}/download?${params}`;
+    }
+
+    /**
+     * Resolver un archivo descargable validando token y vigencia
+     * @returns {{ filePath: string, fileName: string, contentType: string|null }|null}
+     */
+    resolveDownload(id, token, fileName = null) {
+        const job = this.findById(id);
+        if (!job || job.status !== 'completed' || typeof token !== 'string') return null;
+        if (new Date(job.expiresAt).getTime() <= Date.now()) return null;
+
+        const expected = crypto.createHash('sha256').update(encryption.decrypt(job.token)).digest();
+        const received = crypto.createHash('sha256').update(token).digest();
+        if (!crypto.timingSafeEqual(expected, received)) return null;
+
+        if (!fileName) {
+            return {
+                filePath: path.join(this.getJobDir(id), job.file.name),
+                fileName: job.file.name,
+                contentType: job.file.contentType
+            };
+        }
+
+        // Solo nombres generados por el exportador, sin rutas
+        if (!/^[\w.-]+$/.test(fileName) || fileName.startsWith('.')) return null;
+
+        const filePath = path.join(this.getJobDir(id), 'media', fileName);
+        if (!fs.existsSync(filePath)) return null;
+
+        return { filePath, fileName, contentType: null };
+    }
+
+    /**
+     * Borrar los archivos de exportaciones caducadas (el registro se conserva como 'expired')
+     */
+    cleanupExpired() {
+        const now = Date.now();
+        let expired = 0;
+
+        this.getJobs()
+            .filter(job => job.status === 'completed' && new Date(job.expiresAt).getTime() <= now)
+            .forEach(job => {
+                fs.rmSync(this.getJobDir(job.id), { recursive: true, force: true });
+                job.status = 'expired';
+                expired++;
+            });
+
+        if (expired > 0) {
+            this.store.save();
+            logger.info(`[Export] ${expired} exportaciones caducadas eliminadas`);
+        }
+    }
+
+    /**
+     * Limitar el número de trabajos guardados (descarta los terminados más antiguos)
+     */
+    prune() {
+        const jobs = this.getJobs();
+        const finished = jobs.filter(job => !['queued', 'running', 'completed'].includes(job.status));
+        const excess = jobs.length - this.MAX_JOBS;
+
+        finished.slice(0, Math.max(0, excess)).forEach(job => {
+            jobs.splice(jobs.indexOf(job), 1);
+            fs.rmSync(this.getJobDir(job.id), { recursive: true, force: true });
+        });
+    }
+
+    // ── Escritura de archivos ──
+
+    /**
+     * Escritura en streaming respetando backpressure
+     */
+    createWriter(filePath) {
+        const stream = fs.createWriteStream(filePath, { mode: 0o600 });
+
+        return {
+            write: chunk => new Promise((resolve, reject) => {
+                if (stream.write(chunk)) return resolve();
+                stream.once('drain', resolve);
+                stream.once('error', reject);
+            }),
+            close: () => new Promise((resolve, reject) => {
+                stream.once('error', reject);
+                stream.end(resolve);
+            })
+        };
+    }
+
+    async writeHeader(writer, job) {
+        const exportedAt = new Date().toISOString();
+
+        if (job.format === 'json') {
+            await writer.write(`{"number":${JSON.stringify(job.number)},"exportedAt":"${exportedAt}","chats":[`);
+        } else if (job.format === 'csv') {
+            // BOM para que Excel detecte UTF-8
+            await writer.write(`\uFEFF${this.CSV_COLUMNS.join(',')}\r\n`);
+        } else {
+            await writer.write(this.renderHtmlHeader(job, exportedAt));
+        }
+    }
+
+    async writeFooter(writer, job) {
+        if (job.format === 'json') {
+            await writer.write(']}\n');
+        } else if (job.format === 'html') {
+            await writer.write('</body>\n</html>\n');
+        }
+    }
+
+    async writeChatStart(writer, job, summary) {
+        if (job.format === 'json') {
+            const separator = job.chats.some(chat => !chat.error) ? ',' : '';
+            const { messages, ...chat } = summary;
+            await writer.write(`${separator}${JSON.stringify(chat).slice(0, -1)},"messages":[`);
+        } else if (job.format === 'html') {
+            await writer.write(`<section class="chat">\n<h2>${this.escapeHtml(summary.name || summary.chatId)}</h2>\n` +
+                `<p class="chat-id">${this.escapeHtml(summary.chatId)}</p>\n`);
+        }
+    }
+
+    async writeChatEnd(writer, job) {
+        if (job.format === 'json') {
+            await writer.write(']}');
+        } else if (job.format === 'html') {
+            await writer.write('</section>\n');
+        }
+    }
+
+    async writeMessage(writer, job, summary, message, first) {
+        if (job.format === 'json') {
+            await writer.write(`${first ? '' : ','}${JSON.stringify(message)}`);
+        } else if (job.format === 'csv') {
+            await writer.write(`${this.toCsvRow(summary, message)}\r\n`);
+        } else {
+            await writer.write(this.renderHtmlMessage(message, summary.isGroup));
+        }
+    }
+
+    toCsvRow(summary, message) {
+        const values = [
+            summary.chatId,
+            summary.name,
+            message.id,
+            message.date,
+            message.from,
+            message.author,
+            message.fromMe,
+            message.type,
+            message.body,
+            message.caption,
+            message.media?.filename,
+            message.media?.mimetype,
+            message.media?.url,
+            message.status,
+            message.edited,
+            message.deleted
+        ];
+
+        return values.map(value => this.escapeCsv(value)).join(',');
+    }
+
+    escapeCsv(value) {
+        if (value === null || value === undefined) return '';
+
+        let text = String(value);
+        // Evitar que las hojas de cálculo interpreten el contenido como fórmula
+        if (/^[=+\-@\t\r]/.test(text)) {
+            text = `'${text}`;
+        }
+
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    escapeHtml(text) {
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    renderHtmlHeader(job, exportedAt) {
+        return `<!DOCTYPE html>
+<html lang="es">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Exportación de chats - ${this.escapeHtml(job.number)}</title>
+<style>
+body { font-family: system-ui, sans-serif; background: #efeae2; margin: 0; padding: 1rem; }
+header, .chat { max-width: 860px; margin: 0 auto 1.5rem; }
+.chat { background: #fff; border-radius: 8px; padding: 1rem; }
+.chat-id { color: #667781; font-size: .85rem; margin-top: -.5rem; }
+.message { max-width: 75%; margin: .4rem 0; padding: .4rem .6rem; border-radius: 6px; background: #f0f2f5; clear: both; }
+.message.me { background: #d9fdd3; margin-left: auto; }
+.meta { color: #667781; font-size: .75rem; }
+.deleted { opacity: .6; }
+.body { white-space: pre-wrap; word-wrap: break-word; }
+img, video { max-width: 100%; border-radius: 4px; }
+</style>
+</head>
+<body>
+<header>
+<h1>Exportación de chats</h1>
+<p class="meta">Número ${this.escapeHtml(job.number)} · generado ${this.escapeHtml(exportedAt)}</p>
+</header>
+`;
+    }
+
+    renderHtmlMessage(message, isGroup) {
+        const classes = ['message', message.fromMe ? 'me' : '', message.deleted ? 'deleted' : ''].filter(Boolean).join(' ');
+        const sender = message.fromMe ? 'Yo' : (isGroup ? message.author : message.from);
+        const flags = [
+            message.isForwarded ? 'reenviado' : null,
+            message.edited ? 'editado' : null,
+            message.deleted ? 'eliminado' : null
+        ].filter(Boolean).join(' · ');
+
+        let content = '';
+        if (message.media) {
+            content += this.renderHtmlMedia(message.media);
+        }
+        if (message.location) {
+            content += `<div>📍 ${this.escapeHtml(message.location.description || '')} ` +
+                `(${message.location.latitude}, ${message.location.longitude})</div>`;
+        }
+
+        const text = message.caption || (message.type === 'vcard' ? message.vcardNames.join(', ') : message.body);
+        if (text) {
+            content += `<div class="body">${this.escapeHtml(text)}</div>`;
+        }
+
+        return `<div class="${classes}">` +
+            `<div class="meta">${this.escapeHtml(sender || '')} · ${this.escapeHtml(message.date || '')}` +
+            `${flags ? ` · ${flags}` : ''}</div>${content}</div>\n`;
+    }
+
+    renderHtmlMedia(media) {
+        const source = media.dataUrl || media.url;
+        const label = this.escapeHtml(media.filename || media.mimetype || 'archivo');
+
+        if (!source) {
+            return `<div class="meta">[${label}: ${this.escapeHtml(media.status || 'no incluido')}]</div>`;
+        }
+
+        const src = this.escapeHtml(source);
+        const type = (media.mimetype || '').split('/')[0];
+
+        if (type === 'image') return `<img src="${src}" alt="${label}">`;
+        if (type === 'video') return `<video src="${src}" controls></video>`;
+        if (type === 'audio') return `<audio src="${src}" controls></audio>`;
+
+        return `<div><a href="${src}" download="${label}">${label}</a></div>`;
+    }
+}
+
+module.exports = new ChatExporter();
@@ -0,0 +1,239 @@
+// utils/clientBundle.js
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const logger = require('../conf/logger');
+const sessionVault = require('./sessionVault');
+const { encryption } = require('./encryption');
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+const scrypt = promisify(crypto.scrypt);
+
+/**
+ * Bundle portable de un cliente de WhatsApp para migrarlo entre instancias
+ *
+ * Formato binario: MAGIC (4) | longitud de cabecera (uint32 BE) | cabecera JSON | datos cifrados | tag GCM (16)
+ * - La clave se deriva de una passphrase con scrypt (las instancias no comparten ENCRYPTION_KEYS)
+ * - La cabecera va autenticada como AAD; los datos son el payload JSON comprimido con gzip
+ */
+class ClientBundle {
+    constructor() {
+        this.MAGIC = Buffer.from('WACB');
+        this.VERSION = 1;
+        this.TAG_LENGTH = 16;
+        this.SALT_LENGTH = 16;
+        this.IV_LENGTH = 12;
+        this.MIN_PASSPHRASE_LENGTH = 12;
+        this.KDF_PARAMS = { N: 2 ** 15, r: 8, p: 1 };
+        this.SCRYPT_MAXMEM = 64 * 1024 * 1024;
+    }
+
+    validatePassphrase(passphrase) {
+        if (typeof passphrase !== 'string' || passphrase.length < this.MIN_PASSPHRASE_LENGTH) {
+            throw new Error(`La passphrase debe tener al menos ${this.MIN_PASSPHRASE_LENGTH} caracteres`);
+        }
+    }
+
+    deriveKey(passphrase, salt, { N, r, p }) {
+        return scrypt(passphrase, salt, 32, { N, r, p, maxmem: this.SCRYPT_MAXMEM });
+    }
+
+    /**
+     * Cifrar un payload con una passphrase
+     * @param {Object} payload - Contenido del bundle
+     * @param {string} passphrase
+     * @returns {Promise<Buffer>}
+     */
+    async seal(payload, passphrase) {
+        this.validatePassphrase(passphrase);
+
+        const salt = crypto.randomBytes(this.SALT_LENGTH);
+        const iv = crypto.randomBytes(this.IV_LENGTH);
+        const header = Buffer.from(JSON.stringify({
+            version: this.VERSION,
+            number: payload.number,
+            exportedAt: payload.exportedAt,
+            kdf: { name: 'scrypt', salt: salt.toString('base64'), ...this.KDF_PARAMS },
+            cipher: { name: 'aes-256-gcm', iv: iv.toString('base64') }
+        }));
+
+        const key = await this.deriveKey(passphrase, salt, this.KDF_PARAMS);
+        const cipher = crypto.createCipheriv('aes-256-gcm', key, iv, { authTagLength: this.TAG_LENGTH });
+        cipher.setAAD(header);
+
+        const compressed = await gzip(Buffer.from(JSON.stringify(payload)));
+        const encrypted = Buffer.concat([cipher.update(compressed), cipher.final()]);
+
+        const headerLength = Buffer.alloc(4);
+        headerLength.writeUInt32BE(header.length);
+
+        return Buffer.concat([this.MAGIC, headerLength, header, encrypted, cipher.getAuthTag()]);
+    }
+
+    /**
+     * Valor base64 de una cabecera que decodifica exactamente a length bytes
+     */
+    isBase64OfLength(value, length) {
+        return typeof value === 'string' &&
+            /^[A-Za-z0-9+/]+={0,2}$/.test(value) &&
+            Buffer.from(value, 'base64').length === length;
+    }
+
+    /**
+     * Leer la cabecera sin descifrar (número y fecha de exportación)
+     * @param {Buffer} buffer
+     * @returns {{ header: Object, headerBuffer: Buffer, offset: number }}
+     */
+    readHeader(buffer) {
+        if (!Buffer.isBuffer(buffer) || buffer.length < 8 || !buffer.subarray(0, 4).equals(this.MAGIC)) {
+            throw new Error('El archivo no es un bundle de cliente');
+        }
+
+        const headerLength = buffer.readUInt32BE(4);
+        const offset = 8 + headerLength;
+        if (offset + this.TAG_LENGTH > buffer.length) {
+            throw new Error('Bundle truncado');
+        }
+
+        const headerBuffer = buffer.subarray(8, offset);
+        let header;
+        try {
+            header = JSON.parse(headerBuffer.toString('utf8'));
+        } catch {
+            throw new Error('Cabecera del bundle inválida');
+        }
+
+        if (header.version !== this.VERSION) {
+            throw new Error(`Versión de bundle no soportada: ${header.version}`);
+        }
+
+        // El número forma rutas de la sesión: solo dígitos, nada de separadores ni '..'
+        if (typeof header.number !== 'string' || !/^\d+$/.test(header.number)) {
+            throw new Error('Número del bundle inválido');
+        }
+
+        // La cabecera solo se autentica al final del descifrado: antes de derivar la clave no se acepta
+        // ningún parámetro de scrypt distinto de los propios (un p enorme bloquearía el threadpool minutos)
+        const { kdf, cipher } = header;
+        const kdfMatches = kdf && typeof kdf === 'object' && kdf.name === 'scrypt' &&
+            Object.entries(this.KDF_PARAMS).every(([param, value]) => kdf[param] === value);
+        if (!kdfMatches || !this.isBase64OfLength(kdf.salt, this.SALT_LENGTH)) {
+            throw new Error('Parámetros de derivación del bundle inválidos');
+        }
+        if (!cipher || typeof cipher !== 'object' || cipher.name !== 'aes-256-gcm' ||
+            !this.isBase64OfLength(cipher.iv, this.IV_LENGTH)) {
+            throw new Error('Parámetros de cifrado del bundle inválidos');
+        }
+
+        return { header, headerBuffer, offset };
+    }
+
+    /**
+     * Descifrar un bundle
+     * @param {Buffer} buffer
+     * @param {string} passphrase
+     * @returns {Promise<Object>} Payload
+     */
+    async open(buffer, passphrase) {
+        this.validatePassphrase(passphrase);
+
+        const { header, headerBuffer, offset } = this.readHeader(buffer);
+        const key = await this.deriveKey(passphrase, Buffer.from(header.kdf.salt, 'base64'), this.KDF_PARAMS);
+        const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(header.cipher.iv, 'base64'), {
+            authTagLength: this.TAG_LENGTH
+        });
+        decipher.setAAD(headerBuffer);
+        decipher.setAuthTag(buffer.subarray(buffer.length - this.TAG_LENGTH));
+
+        let compressed;
+        try {
+            compressed = Buffer.concat([
+                decipher.update(buffer.subarray(offset, buffer.length - this.TAG_LENGTH)),
+                decipher.final()
+            ]);
+        } catch {
+            throw new Error('Passphrase incorrecta o bundle dañado');
+        }
+
+        const payload = JSON.parse((await gunzip(compressed)).toString('utf8'));
+        if (payload.number !== header.number) {
+            throw new Error('El contenido del bundle no coincide con su cabecera');
+        }
+
+        return payload;
+    }
+
+    /**
+     * Leer los archivos de la sesión LocalAuth (en claro o desde la copia sellada)
+     * Debe llamarse con el navegador del cliente cerrado para obtener una copia consistente
+     * @param {string} number - Número del cliente
+     * @returns {Promise<Array<{ path: string, data: string }>>}
+     */
+    async readSession(number) {
+        const plainPath = sessionVault.getPlainPath(number);
+        const sealedPath = sessionVault.getSealedPath(number);
+
+        let rootDir = plainPath;
+        let decode = content => content;
+
+        if (!await sessionVault.isNonEmptyDirectory(plainPath)) {
+            if (!await sessionVault.exists(sealedPath)) {
+                throw new Error(`No hay sesión guardada para ${number}`);
+            }
+            rootDir = sealedPath;
+            decode = content => encryption.decryptBuffer(content);
+        }
+
+        const files = [];
+        for await (const relativePath of sessionVault.walk(rootDir)) {
+            const content = decode(await fs.readFile(path.join(rootDir, relativePath)));
+            files.push({
+                path: relativePath.split(path.sep).join('/'),
+                data: content.toString('base64')
+            });
+        }
+
+        return files;
+    }
+
+    /**
+     * Escribir los archivos de sesión de un bundle como sesión en claro del número
+     * (se sellará al apagar si el cifrado de sesiones está activo)
+     * @param {string} number - Número del cliente
+     * @param {Array<{ path: string, data: string }>} files
+     */
+    async writeSession(number, files) {
+        const plainPath = sessionVault.getPlainPath(number);
+        const tempPath = `${plainPath}${sessionVault.TEMP_SUFFIX}`;
+
+        await fs.rm(tempPath, { recursive: true, force: true });
+        await fs.mkdir(tempPath, { recursive: true, mode: 0o700 });
+
+        try {
+            for (const file of files) {
+                const targetPath = path.resolve(tempPath, ...file.path.split('/'));
+
+                // Rutas del bundle siempre relativas y dentro de la sesión
+                if (!targetPath.startsWith(`${path.resolve(tempPath)}${path.sep}`)) {
+                    throw new Error(`Ruta inválida en el bundle: ${file.path}`);
+                }
+
+                await fs.mkdir(path.dirname(targetPath), { recursive: true, mode: 0o700 });
+                await fs.writeFile(targetPath, Buffer.from(file.data, 'base64'), { mode: 0o600 });
+            }
+
+            await fs.rm(plainPath, { recursive: true, force: true });
+            await fs.rename(tempPath, plainPath);
+        } catch (error) {
+            await fs.rm(tempPath, { recursive: true, force: true });
+            throw error;
+        }
+
+        logger.info(`[Bundle] ${number}: sesión restaurada (${files.length} archivos)`);
+    }
+}
+
+module.exports = new ClientBundle();
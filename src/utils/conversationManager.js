@@ -0,0 +1,280 @@
+// utils/conversationManager.js
+const crypto = require('crypto');
+const path = require('path');
+const { EventEmitter } = require('events');
+const logger = require('../conf/logger');
+const config = require('../conf/config');
+const JsonFileStore = require('./jsonFileStore');
+
+/**
+ * Bandeja compartida: conversaciones sobre los chats de cada número
+ *
+ * - Un mensaje entrante abre la conversación del chat; si estaba pendiente o resuelta, la reabre
+ * - Estados: open (espera al equipo) → pending (espera al cliente) → resolved; los cambia la API
+ * - Se puede asignar a un agente y/o a un equipo (identificadores libres del helpdesk)
+ * - markChatRead pone a cero los no leídos; markChatUnread los marca y reabre una conversación resuelta
+ *
+ * Emite 'conversationAssigned' y 'conversationStatusChanged' con { number, chatId, conversation, ... }
+ */
+class ConversationManager extends EventEmitter {
+    constructor() {
+        super();
+
+        this.STATUSES = ['open', 'pending', 'resolved'];
+        this.MAX_HISTORY = 50;
+        this.MAX_PREVIEW_LENGTH = 200;
+        this.DEFAULT_PAGE_SIZE = 50;
+        this.MAX_PAGE_SIZE = 200;
+
+        this.includeGroups = config.inboxIncludeGroups;
+        this.store = new JsonFileStore(path.join(config.dataPath, 'conversations.json'), { conversations: [] });
+    }
+
+    getConversations() {
+        return this.store.load().conversations;
+    }
+
+    findById(id) {
+        return this.getConversations().find(conversation => conversation.id === id) || null;
+    }
+
+    findByChat(number, chatId) {
+        return this.getConversations().find(conversation =>
+            conversation.number === String(number) && conversation.chatId === chatId) || null;
+    }
+
+    /**
+     * Escuchar los mensajes entrantes de WhatsAppClient
+     * @param {EventEmitter} emitter - Instancia de WhatsAppClient
+     */
+    attach(emitter) {
+        emitter.on('message', ({ number, message }) => {
+            try {
+                this.handleInbound(number, message);
+            } catch (error) {
+                logger.error(`[Inbox] Error registrando mensaje de ${number}:`, error);
+            }
+        });
+    }
+
+    handleInbound(number, message) {
+        if (!message || message.fromMe) return;
+
+        const chatId = message.id?.remote || message.from;
+        if (!chatId || chatId === 'status@broadcast') return;
+
+        const isGroup = chatId.endsWith('@g.us');
+        if (isGroup && !this.includeGroups) return;
+
+        const now = new Date().toISOString();
+        const preview = {
+            messageId: message.id?._serialized || null,
+            body: (message.body || '').slice(0, this.MAX_PREVIEW_LENGTH),
+            type: message.type || 'chat',
+            timestamp: message.timestamp || null
+        };
+
+        let conversation = this.findByChat(number, chatId);
+
+        if (!conversation) {
+            conversation = {
+                id: crypto.randomBytes(8).toString('hex'),
+                number: String(number),
+                chatId,
+                isGroup,
+                status: 'open',
+                agentId: null,
+                teamId: null,
+                unreadCount: 0,
+                reopenCount: 0,
+                openedAt: now,
+                updatedAt: now,
+                resolvedAt: null,
+                lastInboundAt: null,
+                lastReadAt: null,
+                lastReadBy: null,
+                lastMessage: null,
+                history: []
+            };
+            this.getConversations().push(conversation);
+            this.addHistory(conversation, { type: 'opened', at: now, by: null });
+            logger.info(`[Inbox] Conversación ${conversation.id} abierta para ${number} ${chatId}`);
+        }
+
+        conversation.unreadCount += 1;
+        conversation.lastInboundAt = now;
+        conversation.lastMessage = preview;
+        conversation.updatedAt = now;
+
+        // El cliente respondió: vuelve a esperar al equipo
+        if (conversation.status !== 'open') {
+            if (conversation.status === 'resolved') {
+                conversation.reopenCount += 1;
+            }
+            this.changeStatus(conversation, 'open', { by: null, reason: 'inbound' });
+        }
+
+        this.store.scheduleSave();
+    }
+
+    /**
+     * Hook de markChatRead: el agente leyó el chat
+     * @param {string} number - Número del cliente
+     * @param {string} chatId - Chat serializado
+     * @param {string|null} by - Key que lo marcó
+     */
+    markRead(number, chatId, by = null) {
+        const conversation = this.findByChat(number, chatId);
+        if (!conversation) return null;
+
+        conversation.unreadCount = 0;
+        conversation.lastReadAt = new Date().toISOString();
+        conversation.lastReadBy = by;
+        conversation.updatedAt = conversation.lastReadAt;
+        this.store.scheduleSave();
+
+        return conversation;
+    }
+
+    /**
+     * Hook de markChatUnread: el agente lo deja para más tarde; una conversación resuelta se reabre
+     */
+    markUnread(number, chatId, by = null) {
+        const conversation = this.findByChat(number, chatId);
+        if (!conversation) return null;
+
+        conversation.unreadCount = Math.max(conversation.unreadCount, 1);
+        conversation.updatedAt = new Date().toISOString();
+
+        if (conversation.status === 'resolved') {
+            conversation.reopenCount += 1;
+            this.changeStatus(conversation, 'open', { by, reason: 'markedUnread' });
+        }
+
+        this.store.scheduleSave();
+        return conversation;
+    }
+
+    /**
+     * Asignar (o desasignar con null) agente y/o equipo; un campo undefined no cambia
+     * @param {string} id - Id de la conversación
+     * @param {Object} assignment - { agentId, teamId }
+     * @param {string} by - Key que asigna
+     */
+    assign(id, { agentId, teamId }, by) {
+        const conversation = this.findById(id);
+        if (!conversation) return null;
+
+        const previous = { agentId: conversation.agentId, teamId: conversation.teamId };
+        const next = {
+            agentId: agentId === undefined ? previous.agentId : agentId,
+            teamId: teamId === undefined ? previous.teamId : teamId
+        };
+
+        if (next.agentId === previous.agentId && next.teamId === previous.teamId) {
+            return conversation;
+        }
+
+        const now = new Date().toISOString();
+        Object.assign(conversation, next, { updatedAt: now });
+        this.addHistory(conversation, { type: 'assigned', at: now, by, previous, ...next });
+        this.store.save();
+
+        logger.info(`[Inbox] Conversación ${id} asignada a agente ${next.agentId || '-'} / equipo ${next.teamId || '-'} por ${by}`);
+        this.emit('conversationAssigned', {
+            number: conversation.number,
+            chatId: conversation.chatId,
+            conversation: this.toPublic(conversation),
+            previous,
+            assignedBy: by
+        });
+
+        return conversation;
+    }
+
+    /**
+     * Cambiar el estado desde la API
+     */
+    setStatus(id, status, by) {
+        const conversation = this.findById(id);
+        if (!conversation) return null;
+        if (conversation.status === status) return conversation;
+
+        if (conversation.status === 'resolved') {
+            conversation.reopenCount += 1;
+        }
+        this.changeStatus(conversation, status, { by, reason: 'manual' });
+        this.store.save();
+
+        return conversation;
+    }
+
+    changeStatus(conversation, status, { by, reason }) {
+        const previousStatus = conversation.status;
+        const now = new Date().toISOString();
+
+        conversation.status = status;
+        conversation.updatedAt = now;
+        conversation.resolvedAt = status === 'resolved' ? now : null;
+        this.addHistory(conversation, { type: 'status', at: now, by, reason, from: previousStatus, to: status });
+
+        logger.info(`[Inbox] Conversación ${conversation.id}: ${previousStatus} → ${status} (${reason})`);
+        this.emit('conversationStatusChanged', {
+            number: conversation.number,
+            chatId: conversation.chatId,
+            conversation: this.toPublic(conversation),
+            previousStatus,
+            status,
+            reason,
+            changedBy: by
+        });
+    }
+
+    addHistory(conversation, entry) {
+        conversation.history.push(entry);
+        if (conversation.history.length > this.MAX_HISTORY) {
+            conversation.history.splice(0, conversation.history.length - this.MAX_HISTORY);
+        }
+    }
+
+    /**
+     * Listar conversaciones, más recientes primero
+     * @param {Object} filters - { canAccess, number, chatId, status, agentId, teamId, unassigned }
+     *   canAccess(number) limita el resultado a los números visibles para quien consulta
+     * @param {Object} pagination - { page, limit }
+     */
+    list({ canAccess = () => true, number, chatId, status, agentId, teamId, unassigned } = {}, { page = 1, limit = this.DEFAULT_PAGE_SIZE } = {}) {
+        const results = this.getConversations()
+            .filter(conversation => canAccess(conversation.number))
+            .filter(conversation => !number || conversation.number === String(number))
+            .filter(conversation => !chatId || conversation.chatId === chatId)
+            .filter(conversation => !status || conversation.status === status)
+            .filter(conversation => !agentId || conversation.agentId === agentId)
+            .filter(conversation => !teamId || conversation.teamId === teamId)
+            .filter(conversation => !unassigned || (!conversation.agentId && !conversation.teamId))
+            .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+
+        const pageSize = Math.min(limit, this.MAX_PAGE_SIZE);
+        const start = (page - 1) * pageSize;
+
+        return {
+            conversations: results.slice(start, start + pageSize).map(conversation => this.toPublic(conversation)),
+            pagination: {
+                total: results.length,
+                page,
+                limit: pageSize,
+                totalPages: Math.ceil(results.length / pageSize)
+            }
+        };
+    }
+
+    /**
+     * Vista sin el historial (se pide aparte con includeHistory)
+     */
+    toPublic(conversation, { includeHistory = false } = {}) {
+        const { history, ...view } = conversation;
+        return includeHistory ? { ...view, history: [...history] } : view;
+    }
+}
+
+module.exports = new ConversationManager();
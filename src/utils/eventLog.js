@@ -0,0 +1,101 @@
+// utils/eventLog.js
+const path = require('path');
+const logger = require('../conf/logger');
+const config = require('../conf/config');
+const JsonFileStore = require('./jsonFileStore');
+
+/**
+ * Números de secuencia y registro de reenvío de los eventos emitidos por WebSocket
+ *
+ * - Cada número tiene su propia secuencia, creciente también entre reinicios (se persiste el contador)
+ * - Se guardan en memoria los últimos eventos de cada número, ya serializados, para reenviarlos
+ *   a un socket que reconecta y pide 'resume' con su última secuencia
+ */
+class EventLog {
+    constructor() {
+        this.MAX_EVENTS_PER_NUMBER = config.eventReplaySize;
+        this.MAX_EVENT_BYTES = 256 * 1024;
+        this.NO_NUMBER = '*';
+
+        this.store = new JsonFileStore(path.join(config.dataPath, 'eventSequences.json'), { sequences: {} });
+
+        // number -> [{ seq, eventType, frame }]
+        this.logs = new Map();
+    }
+
+    getSequences() {
+        return this.store.load().sequences;
+    }
+
+    getKey(number) {
+        return number != null ? String(number) : this.NO_NUMBER;
+    }
+
+    getCurrentSeq(number) {
+        return this.getSequences()[this.getKey(number)] || 0;
+    }
+
+    /**
+     * Asignar secuencia a un evento y guardarlo para reenvíos
+     * @param {string} eventType - Tipo de evento
+     * @param {Object} data - Datos del evento (con number)
+     * @returns {{ seq: number, number: string|null, frame: string }} frame = JSON listo para enviar
+     */
+    append(eventType, data) {
+        const key = this.getKey(data?.number);
+        const sequences = this.getSequences();
+        const seq = (sequences[key] || 0) + 1;
+
+        sequences[key] = seq;
+        this.store.scheduleSave();
+
+        const number = key === this.NO_NUMBER ? null : key;
+        const frame = JSON.stringify({ eventType, data, seq, number });
+
+        if (!this.logs.has(key)) {
+            this.logs.set(key, []);
+        }
+        const log = this.logs.get(key);
+
+        // Eventos enormes (media en base64) no se guardan: quien los pierda recibirá un aviso de hueco
+        if (frame.length <= this.MAX_EVENT_BYTES) {
+            log.push({ seq, eventType, frame });
+            if (log.length > this.MAX_EVENTS_PER_NUMBER) {
+                log.shift();
+            }
+        } else {
+            logger.debug(`[EventLog] Evento ${eventType} #${seq} de ${key} demasiado grande para el registro`);
+        }
+
+        return { seq, number, frame };
+    }
+
+    /**
+     * Eventos posteriores a lastSeq y si el registro cubre todo el rango pedido
+     * @param {string} number - Número
+     * @param {number} lastSeq - Última secuencia que recibió el cliente
+     * @returns {{ events: Object[], complete: boolean, currentSeq: number, oldestSeq: number|null }}
+     */
+    since(number, lastSeq) {
+        const key = this.getKey(number);
+        const log = this.logs.get(key) || [];
+        const currentSeq = this.getCurrentSeq(number);
+        const events = log.filter(event => event.seq > lastSeq);
+
+        // Hueco: secuencias sin guardar entre lastSeq y el primer evento disponible,
+        // o un lastSeq posterior al actual (el cliente viene de otra instancia o de datos borrados)
+        const expectedFirst = lastSeq + 1;
+        const complete = lastSeq <= currentSeq &&
+            (events.length === 0 ? lastSeq === currentSeq : events[0].seq === expectedFirst) &&
+            events.every((event, index) => index === 0 || event.seq === events[index - 1].seq + 1);
+
+        return {
+            events,
+            complete,
+            currentSeq,
+            oldestSeq: log[0]?.seq ?? null
+        };
+    }
+}
+
+module.exports = new EventLog();
@@ -0,0 +1,219 @@
+// utils/eventStream.js
+const logger = require('../conf/logger');
+const requestContext = require('./requestContext');
+const apiKeyStore = require('./apiKeyStore');
+
+/**
+ * Server-Sent Events: mismos eventos que el WebSocket, sobre HTTP plano
+ *
+ * - Cada evento lleva id "<arranque>-<secuencia>"; el navegador lo reenvía en Last-Event-ID al reconectar
+ * - Un búfer acotado en memoria permite reenviar lo perdido durante la reconexión
+ * - Si el búfer ya no cubre ese id (o el servidor se reinició) se envía un evento 'reset'
+ * - La conexión se cierra cuando su key se revoca o expira (comprobado en cada evento y en el heartbeat)
+ */
+class EventStream {
+    constructor() {
+        this.EVENT_TYPES = [
+            'message',
+            'qrCode',
+            'ready',
+            'authenticated',
+            'disconnected',
+            'auth_failure',
+            'browserCrash',
+            'messageAck',
+            'conversationAssigned',
+            'conversationStatusChanged',
+            'campaignFinished'
+        ];
+
+        this.BUFFER_SIZE = 1000;
+        this.HEARTBEAT_INTERVAL = 25000;
+        this.RETRY_MS = 5000;
+
+        this.bootId = Date.now().toString(36);
+        this.sequence = 0;
+        this.buffer = [];
+        this.clients = new Set();
+
+        // Comentarios periódicos para que proxies y balanceadores no cierren la conexión
+        this.heartbeatTimer = setInterval(() => this.heartbeat(), this.HEARTBEAT_INTERVAL);
+        this.heartbeatTimer.unref?.();
+    }
+
+    /**
+     * Publicar un evento a los clientes conectados y guardarlo para reenvíos
+     * @param {string} eventType - Tipo de evento
+     * @param {Object} data - Datos (con number)
+     */
+    publish(eventType, data) {
+        let payload;
+        try {
+            payload = JSON.stringify(data ?? null);
+        } catch (error) {
+            logger.error(`[SSE] No se pudo serializar ${eventType}:`, error);
+            return;
+        }
+
+        const event = {
+            seq: ++this.sequence,
+            id: `${this.bootId}-${this.sequence}`,
+            eventType,
+            number: data?.number != null ? String(data.number) : null,
+            payload
+        };
+
+        this.buffer.push(event);
+        if (this.buffer.length > this.BUFFER_SIZE) {
+            this.buffer.shift();
+        }
+
+        this.clients.forEach(client => {
+            if (this.closeIfRevoked(client)) return;
+            if (this.matches(client, event)) {
+                this.write(client, event);
+            }
+        });
+    }
+
+    /**
+     * Cerrar la conexión si su key se revocó o expiró después de conectar
+     * @returns {boolean} true si se cerró
+     */
+    closeIfRevoked(client) {
+        if (apiKeyStore.isPrincipalActive(client.principal)) return false;
+
+        logger.info(`[SSE] Cerrando ${client.ip} (key ${client.principal?.keyId}): API key revocada o expirada`);
+        try {
+            client.res.write(`event: unauthorized\ndata: ${JSON.stringify({ reason: 'API key revoked or expired' })}\n\n`);
+        } catch (error) {
+            // La conexión ya estaba cerrada
+        }
+        this.removeClient(client);
+        return true;
+    }
+
+    matches(client, event) {
+        if (client.events && !client.events.has(event.eventType)) return false;
+        if (client.numbers && !client.numbers.has(event.number)) return false;
+        return requestContext.canAccessNumber(event.number, client.principal);
+    }
+
+    write(client, event) {
+        try {
+            client.res.write(`id: ${event.id}\nevent: ${event.eventType}\ndata: ${event.payload}\n\n`);
+        } catch (error) {
+            logger.error(`[SSE] Error escribiendo a ${client.ip}:`, error);
+            this.removeClient(client);
+        }
+    }
+
+    /**
+     * Interpretar un Last-Event-ID
+     * @returns {{ bootId: string, seq: number }|null}
+     */
+    parseEventId(lastEventId) {
+        const match = /^([a-z0-9]+)-(\d+)$/.exec(String(lastEventId || '').trim());
+        return match ? { bootId: match[1], seq: parseInt(match[2], 10) } : null;
+    }
+
+    /**
+     * Registrar una conexión SSE
+     * @param {Object} res - Respuesta Express
+     * @param {Object} options
+     * @param {Object} options.principal - API key autenticada
+     * @param {string[]} [options.numbers] - Filtrar por números
+     * @param {string[]} [options.events] - Filtrar por tipos de evento
+     * @param {string} [options.lastEventId] - Último id recibido antes de reconectar
+     * @param {string} [options.ip]
+     */
+    addClient(res, { principal, numbers, events, lastEventId, ip }) {
+        const client = {
+            res,
+            principal,
+            ip,
+            numbers: numbers?.length ? new Set(numbers.map(String)) : null,
+            events: events?.length ? new Set(events) : null,
+            connectedAt: new Date().toISOString()
+        };
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream; charset=utf-8',
+            'Cache-Control': 'no-cache, no-transform',
+            Connection: 'keep-alive',
+            // nginx: no almacenar la respuesta en búfer
+            'X-Accel-Buffering': 'no'
+        });
+        res.write(`retry: ${this.RETRY_MS}\n\n`);
+
+        if (lastEventId) {
+            this.replay(client, lastEventId);
+        }
+
+        this.clients.add(client);
+        res.on('close', () => this.removeClient(client));
+
+        logger.info(`[SSE] Cliente conectado desde ${ip} (key ${principal?.keyId}), ${this.clients.size} activos`);
+        return client;
+    }
+
+    /**
+     * Reenviar los eventos posteriores a lastEventId que siguen en el búfer
+     */
+    replay(client, lastEventId) {
+        const last = this.parseEventId(lastEventId);
+        const oldest = this.buffer[0];
+
+        // Reinicio del servidor: todo el búfer actual es posterior a la desconexión
+        const sameBoot = last?.bootId === this.bootId;
+        const fromSeq = sameBoot ? last.seq : 0;
+        const covered = sameBoot && (!oldest || oldest.seq <= last.seq + 1);
+
+        if (!covered) {
+            client.res.write(`event: reset\ndata: ${JSON.stringify({
+                reason: sameBoot ? 'buffer_exceeded' : 'server_restarted',
+                lastEventId: String(lastEventId),
+                oldestAvailableId: oldest?.id || null
+            })}\n\n`);
+        }
+
+        const missed = this.buffer.filter(event => event.seq > fromSeq && this.matches(client, event));
+        missed.forEach(event => this.write(client, event));
+
+        if (missed.length > 0) {
+            logger.info(`[SSE] ${missed.length} eventos reenviados a ${client.ip}`);
+        }
+    }
+
+    removeClient(client) {
+        if (!this.clients.delete(client)) return;
+
+        try {
+            client.res.end();
+        } catch (error) {
+            // La conexión ya estaba cerrada
+        }
+        logger.info(`[SSE] Cliente ${client.ip} desconectado, ${this.clients.size} activos`);
+    }
+
+    heartbeat() {
+        this.clients.forEach(client => {
+            if (this.closeIfRevoked(client)) return;
+            try {
+                client.res.write(': ping\n\n');
+            } catch (error) {
+                this.removeClient(client);
+            }
+        });
+    }
+
+    /**
+     * Cerrar todas las conexiones (apagado del servidor)
+     */
+    closeAll() {
+        Array.from(this.clients).forEach(client => this.removeClient(client));
+        clearInterval(this.heartbeatTimer);
+    }
+}
+
+module.exports = new EventStream();
@@ -0,0 +1,122 @@
+// utils/jsonFileStore.js
+const fs = require('fs');
+const path = require('path');
+const logger = require('../conf/logger');
+
+// Stores con un guardado diferido pendiente, para volcarlos al apagar
+const pendingStores = new Set();
+
+/**
+ * Persistencia simple en un archivo JSON
+ * Lectura síncrona al arrancar y escritura atómica (archivo temporal + rename)
+ */
+class JsonFileStore {
+    constructor(filePath, defaults = {}) {
+        this.filePath = filePath;
+        this.defaults = defaults;
+        this.data = null;
+        this.saveTimer = null;
+        this.saveDelay = 500;
+    }
+
+    load() {
+        if (this.data) return this.data;
+
+        let raw;
+        try {
+            raw = fs.readFileSync(this.filePath, 'utf8');
+        } catch (error) {
+            // Sin archivo se empieza de cero; cualquier otro error no debe acabar en un archivo vacío al guardar
+            if (error.code !== 'ENOENT') {
+                logger.error(`[Store] Error leyendo ${this.filePath}:`, error);
+                throw error;
+            }
+            this.data = JSON.parse(JSON.stringify(this.defaults));
+            return this.data;
+        }
+
+        try {
+            this.data = { ...this.defaults, ...JSON.parse(raw) };
+        } catch (error) {
+            this.setAsideCorrupt(error);
+            this.data = JSON.parse(JSON.stringify(this.defaults));
+        }
+
+        return this.data;
+    }
+
+    /**
+     * Apartar un archivo ilegible para que el próximo save() no lo sobrescriba
+     */
+    setAsideCorrupt(error) {
+        const corruptPath = `${this.filePath}.corrupt-${Date.now()}`;
+
+        try {
+            fs.renameSync(this.filePath, corruptPath);
+        } catch (renameError) {
+            logger.error(`[Store] ${this.filePath} está dañado y no se pudo apartar:`, renameError);
+            throw error;
+        }
+
+        logger.error(`[Store] ${this.filePath} está dañado (${error.message}); copia guardada en ${corruptPath}, se empieza con los valores por defecto`);
+    }
+
+    save() {
+        if (this.saveTimer) {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = null;
+        }
+        pendingStores.delete(this);
+
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            const tempPath = `${this.filePath}.tmp`;
+            fs.writeFileSync(tempPath, JSON.stringify(this.load(), null, 2), { mode: 0o600 });
+            fs.renameSync(tempPath, this.filePath);
+        } catch (error) {
+            logger.error(`[Store] Error guardando ${this.filePath}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Agrupa escrituras frecuentes (p. ej. lastUsedAt) en una sola
+     */
+    scheduleSave() {
+        if (this.saveTimer) return;
+
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            try {
+                this.save();
+            } catch (error) {
+                // Ya registrado en save()
+            }
+        }, this.saveDelay);
+
+        this.saveTimer.unref?.();
+        pendingStores.add(this);
+    }
+
+    /**
+     * Escribir ya el guardado diferido pendiente, si lo hay
+     */
+    flush() {
+        if (!this.saveTimer) return;
+
+        try {
+            this.save();
+        } catch (error) {
+            // Ya registrado en save()
+        }
+    }
+
+    /**
+     * Volcar los guardados pendientes de todos los stores (al apagar el servidor)
+     */
+    static flushAll() {
+        Array.from(pendingStores).forEach(store => store.flush());
+    }
+}
+
+module.exports = JsonFileStore;
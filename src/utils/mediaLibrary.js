@@ -0,0 +1,84 @@
+// utils/mediaLibrary.js
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const mime = require('mime-types');
+const logger = require('../conf/logger');
+
+/**
+ * Adjuntos guardados junto a otros datos (respuestas predefinidas, plantillas)
+ * Se reciben en base64 y se guardan como archivo en un directorio propio; el registro
+ * solo conserva { fileName, mimetype, size, file }
+ */
+class MediaLibrary {
+    constructor(directory, { maxBytes = 16 * 1024 * 1024, label = 'Media' } = {}) {
+        this.directory = directory;
+        this.maxBytes = maxBytes;
+        this.label = label;
+    }
+
+    /**
+     * Guardar un adjunto (base64, con o sin prefijo data:)
+     * @param {string} ownerId - Id del registro al que pertenece (prefijo del archivo)
+     * @param {Object} media - { fileName, fileContent }
+     * @returns {Object} { fileName, mimetype, size, file }
+     */
+    save(ownerId, { fileName, fileContent }) {
+        const content = String(fileContent);
+        const buffer = Buffer.from(content.includes(',') ? content.split(',')[1] : content, 'base64');
+
+        if (buffer.length === 0) {
+            throw new Error('El adjunto está vacío o no es base64 válido');
+        }
+        if (buffer.length > this.maxBytes) {
+            throw new Error(`El adjunto supera ${this.maxBytes / (1024 * 1024)} MB`);
+        }
+
+        const safeName = path.basename(fileName);
+        const file = `${ownerId}-${crypto.randomBytes(4).toString('hex')}${path.extname(safeName).toLowerCase()}`;
+
+        fs.mkdirSync(this.directory, { recursive: true });
+        fs.writeFileSync(path.join(this.directory, file), buffer, { mode: 0o600 });
+
+        return {
+            fileName: safeName,
+            mimetype: mime.lookup(safeName) || 'application/octet-stream',
+            size: buffer.length,
+            file
+        };
+    }
+
+    remove(media) {
+        if (!media?.file) return;
+
+        fs.promises.unlink(path.join(this.directory, media.file)).catch(error => {
+            if (error.code !== 'ENOENT') {
+                logger.warn(`[${this.label}] No se pudo borrar ${media.file}: ${error.message}`);
+            }
+        });
+    }
+
+    /**
+     * Contenido de un adjunto en base64 (para MessageMedia)
+     * @returns {Promise<{ mimetype: string, data: string, fileName: string }|null>}
+     */
+    async read(media) {
+        if (!media?.file) return null;
+
+        const buffer = await fs.promises.readFile(path.join(this.directory, media.file));
+        return {
+            mimetype: media.mimetype,
+            data: buffer.toString('base64'),
+            fileName: media.fileName
+        };
+    }
+
+    /**
+     * Datos del adjunto que se muestran por la API
+     */
+    describe(media) {
+        return media ? { fileName: media.fileName, mimetype: media.mimetype, size: media.size } : null;
+    }
+}
+
+module.exports = MediaLibrary;
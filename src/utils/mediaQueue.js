@@ -15,6 +15,9 @@ class MediaQueue extends EventEmitter {
     this.maxWorkers = 3;
     this.retryAttempts = 2;
     this.jobTimeout = 30000; // 30 segundos
+    this.maxExtractedText = 100 * 1024; // Texto indexable de documentos
+    // Documentos cuyo contenido se indexa; PDF y otros binarios solo se encuentran por su pie de foto
+    this.textDocumentTypes = ['text/*', 'application/json', 'application/xml', 'application/csv'];
     
     this.startWorkers();
   }
@@ -144,7 +147,7 @@ class MediaQueue extends EventEmitter {
     );
 
     try {
-      const resultPromise = this.downloadAndProcessMedia(message, type);
+      const resultPromise = this.downloadAndProcessMedia(message, type, clientId);
       const mediaData = await Promise.race([resultPromise, timeoutPromise]);
 
       if (mediaData) {
@@ -181,10 +184,16 @@ class MediaQueue extends EventEmitter {
   /**
    * Descargar y procesar media (lógica extraída de formatMessage)
    */
-  async downloadAndProcessMedia(message, type) {
+  async downloadAndProcessMedia(message, type, clientId) {
     const media = await this.attemptDownloadMedia(message);
     if (!media) return null;
 
+    // Documentos de texto: publicar el contenido para la búsqueda
+    if (type === 'document' && this.isTextMimeType(media.mimetype)) {
+      const text = Buffer.from(media.data, 'base64').toString('utf8').slice(0, this.maxExtractedText);
+      this.emit('document:text', { messageId: message.id._serialized, clientId, text });
+    }
+
     const mediaData = {
       mediaType: type,
       mediaMimeType: media.mimetype,
@@ -221,6 +230,16 @@ class MediaQueue extends EventEmitter {
     return mediaData;
   }
 
+  /**
+   * Tipos de documento cuyo contenido es texto plano (ver textDocumentTypes)
+   */
+  isTextMimeType(mimetype = '') {
+    const type = mimetype.split(';')[0].trim();
+    return this.textDocumentTypes.some(pattern => (pattern.endsWith('/*')
+      ? type.startsWith(pattern.slice(0, -1))
+      : type === pattern));
+  }
+
   /**
    * Intentar descarga con reintentos
    */
@@ -0,0 +1,159 @@
+// utils/messageAckTracker.js
+const path = require('path');
+const logger = require('../conf/logger');
+const config = require('../conf/config');
+const JsonFileStore = require('./jsonFileStore');
+
+/**
+ * Seguimiento del ciclo de vida de los mensajes enviados (evento message_ack)
+ * pending → server → device → read → played, con historial de cambios
+ */
+class MessageAckTracker {
+    constructor() {
+        // Valores de MessageAck en whatsapp-web.js
+        this.ACK_STATES = {
+            '-1': 'error',
+            0: 'pending',
+            1: 'server',
+            2: 'device',
+            3: 'read',
+            4: 'played'
+        };
+
+        this.MAX_TRACKED = 5000;
+        this.RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+        this.store = new JsonFileStore(path.join(config.dataPath, 'messageAcks.json'), { messages: {} });
+    }
+
+    getStatusName(ack) {
+        return this.ACK_STATES[ack] || 'unknown';
+    }
+
+    getMessages() {
+        return this.store.load().messages;
+    }
+
+    /**
+     * Registrar un mensaje recién enviado
+     * @param {string} number - Número del cliente
+     * @param {Object} message - Message de whatsapp-web.js devuelto por sendMessage
+     * @returns {Object|null} Resumen para la respuesta de la API
+     */
+    trackSent(number, message) {
+        const messageId = message?.id?._serialized;
+        if (!messageId) return null;
+
+        const now = new Date().toISOString();
+        const ack = message.ack ?? 0;
+        const entry = {
+            messageId,
+            number: String(number),
+            chatId: message.to || message.id.remote,
+            ack,
+            status: this.getStatusName(ack),
+            sentAt: now,
+            updatedAt: now,
+            history: [{ ack, status: this.getStatusName(ack), timestamp: now }]
+        };
+
+        this.getMessages()[messageId] = entry;
+        this.prune();
+        this.store.scheduleSave();
+
+        return {
+            messageId,
+            chatId: entry.chatId,
+            ack,
+            status: entry.status
+        };
+    }
+
+    /**
+     * Aplicar un cambio de ack
+     * @param {string} number - Número del cliente
+     * @param {Object} message - Message de whatsapp-web.js
+     * @param {number} ack - Nuevo valor de ack
+     * @returns {Object|null} Cambio aplicado, o null si no hay novedad
+     */
+    recordAck(number, message, ack) {
+        const messageId = message?.id?._serialized;
+        if (!messageId) return null;
+
+        const messages = this.getMessages();
+        let entry = messages[messageId];
+
+        // Mensajes enviados fuera de la API (p. ej. desde el teléfono)
+        if (!entry) {
+            if (!message.fromMe) return null;
+
+            entry = messages[messageId] = {
+                messageId,
+                number: String(number),
+                chatId: message.to || message.id.remote,
+                ack: null,
+                status: null,
+                sentAt: message.timestamp ? new Date(message.timestamp * 1000).toISOString() : null,
+                updatedAt: null,
+                history: []
+            };
+        }
+
+        if (entry.ack === ack) return null;
+
+        const timestamp = new Date().toISOString();
+        const status = this.getStatusName(ack);
+
+        // Los acks pueden llegar desordenados; el estado actual es el más avanzado
+        if (entry.ack === null || ack > entry.ack || ack === -1) {
+            entry.ack = ack;
+            entry.status = status;
+        }
+
+        entry.updatedAt = timestamp;
+        entry.history.push({ ack, status, timestamp });
+
+        this.prune();
+        this.store.scheduleSave();
+
+        logger.debug(`[Ack] ${number} ${messageId}: ${status}`);
+
+        return {
+            number: entry.number,
+            messageId,
+            chatId: entry.chatId,
+            ack,
+            status,
+            currentStatus: entry.status,
+            timestamp
+        };
+    }
+
+    getStatus(messageId) {
+        return this.getMessages()[messageId] || null;
+    }
+
+    /**
+     * Eliminar entradas antiguas y limitar el total
+     */
+    prune() {
+        const messages = this.getMessages();
+        const cutoff = Date.now() - this.RETENTION_MS;
+
+        Object.entries(messages).forEach(([messageId, entry]) => {
+            if (new Date(entry.updatedAt || entry.sentAt).getTime() < cutoff) {
+                delete messages[messageId];
+            }
+        });
+
+        const ids = Object.keys(messages);
+        if (ids.length > this.MAX_TRACKED) {
+            ids
+                .sort((a, b) => (messages[a].updatedAt || '').localeCompare(messages[b].updatedAt || ''))
+                .slice(0, ids.length - this.MAX_TRACKED)
+                .forEach(messageId => delete messages[messageId]);
+        }
+    }
+}
+
+module.exports = new MessageAckTracker();
@@ -0,0 +1,110 @@
+// utils/messageBackfill.js
+const logger = require('../conf/logger');
+const config = require('../conf/config');
+const messageStore = require('./messageStore');
+
+/**
+ * Importación de mensajes anteriores desde WhatsApp al almacén local
+ * Se ejecuta cuando un cliente queda listo; solo inserta mensajes que aún no existen
+ */
+class MessageBackfill {
+    constructor() {
+        this.MAX_CHATS = config.messageBackfillChats;
+        this.MESSAGES_PER_CHAT = config.messageBackfillLimit;
+        this.CHAT_DELAY = 500;
+        this.GET_CHATS_TIMEOUT = 30000;
+
+        // Un único backfill en curso por número
+        this.running = new Map();
+        this.lastRuns = new Map();
+    }
+
+    isRunning(number) {
+        return this.running.has(number);
+    }
+
+    getStatus(number) {
+        return {
+            running: this.isRunning(number),
+            lastRun: this.lastRuns.get(number) || null
+        };
+    }
+
+    /**
+     * Lanzar el backfill de un cliente (devuelve el que esté en curso si ya hay uno)
+     * @param {string} number - Número del cliente
+     * @param {Object} client - Cliente de whatsapp-web.js
+     */
+    run(number, client) {
+        if (this.running.has(number)) {
+            return this.running.get(number);
+        }
+
+        const job = this.backfillClient(number, client)
+            .catch(error => {
+                logger.error(`[Backfill] Error para ${number}:`, error);
+                return { number, error: error.message };
+            })
+            .finally(() => this.running.delete(number));
+
+        this.running.set(number, job);
+        return job;
+    }
+
+    async backfillClient(number, client) {
+        const startedAt = Date.now();
+        logger.info(`[Backfill] Iniciando importación de historial para ${number}`);
+
+        const chats = await Promise.race([
+            client.getChats(),
+            new Promise((_, reject) =>
+                setTimeout(() => reject(new Error('getChats timeout')), this.GET_CHATS_TIMEOUT)
+            )
+        ]);
+
+        // Chats con actividad más reciente primero
+        const selected = (chats || [])
+            .filter(chat => chat.id?._serialized !== 'status@broadcast')
+            .sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0))
+            .slice(0, this.MAX_CHATS);
+
+        const summary = { number, chats: 0, imported: 0, failedChats: 0 };
+
+        for (const chat of selected) {
+            // El cliente pudo desconectarse durante el backfill
+            if (!client.info) break;
+
+            try {
+                summary.imported += await this.backfillChat(number, chat);
+                summary.chats++;
+            } catch (error) {
+                summary.failedChats++;
+                logger.warn(`[Backfill] ${number} - chat ${chat.id?._serialized}: ${error.message}`);
+            }
+
+            await new Promise(resolve => setTimeout(resolve, this.CHAT_DELAY));
+        }
+
+        summary.durationMs = Date.now() - startedAt;
+        summary.finishedAt = new Date().toISOString();
+        this.lastRuns.set(number, summary);
+
+        logger.info(`[Backfill] ${number}: ${summary.imported} mensajes importados de ${summary.chats} chats`);
+        return summary;
+    }
+
+    async backfillChat(number, chat) {
+        const messages = await chat.fetchMessages({ limit: this.MESSAGES_PER_CHAT });
+        let imported = 0;
+
+        for (const message of messages) {
+            if (await messageStore.importMessage(number, message)) {
+                imported++;
+            }
+        }
+
+        return imported;
+    }
+}
+
+module.exports = new MessageBackfill();
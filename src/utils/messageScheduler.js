@@ -0,0 +1,667 @@
+// utils/messageScheduler.js
+const crypto = require('crypto');
+const path = require('path');
+const { CronExpressionParser } = require('cron-parser');
+const logger = require('../conf/logger');
+const config = require('../conf/config');
+const JsonFileStore = require('./jsonFileStore');
+const MediaLibrary = require('./mediaLibrary');
+const messageTemplates = require('./messageTemplates');
+const cannedResponses = require('./cannedResponses');
+
+/**
+ * Mensajes programados: envío único (sendAt) o recurrente (cron de 5 campos con zona horaria)
+ *
+ * - Los trabajos se guardan en data/scheduledMessages.json y sobreviven a un reinicio; un envío
+ *   interrumpido por la caída no se reintenta (pudo llegar): se registra con outcome 'unknown',
+ *   el único pasa a failed y el recurrente sigue con su siguiente ocurrencia
+ * - Un único timer apunta al próximo vencimiento; los envíos se hacen de uno en uno
+ * - Si el cliente no está listo el trabajo queda aparcado (parked) hasta su evento ready
+ * - Un envío fallido se reintenta con backoff exponencial; agotados los intentos, el único pasa a
+ *   failed y el recurrente espera a su siguiente ocurrencia
+ * - Tras una parada no se recuperan todas las ocurrencias perdidas: se envía una y se sigue desde ahora.
+ *   Con misfireGraceMinutes, lo que llega más tarde de ese margen se salta (recordatorios que ya no sirven)
+ */
+class MessageScheduler {
+    constructor() {
+        this.STATUSES = ['scheduled', 'parked', 'running', 'paused', 'completed', 'failed', 'cancelled'];
+        this.ACTIVE_STATUSES = ['scheduled', 'parked', 'running', 'paused'];
+        this.CONTENT_TYPES = ['text', 'media', 'template', 'canned'];
+
+        this.MAX_ATTEMPTS = config.schedulerMaxAttempts;
+        this.BASE_DELAY = config.schedulerRetryBaseDelay;
+        this.MAX_DELAY = 30 * 60 * 1000;
+        this.DEFAULT_TIMEZONE = config.schedulerTimezone;
+        // setTimeout no admite más de ~24,8 días; el timer se rearma antes
+        this.MAX_SLEEP = 60 * 60 * 1000;
+        // Los aparcados salen con el evento ready; por si se pierde, se revisan cada minuto
+        this.PARKED_RECHECK = 60 * 1000;
+        this.MAX_HISTORY = 20;
+        this.MAX_FINISHED = 500;
+        this.MAX_ACTIVE_PER_NUMBER = 1000;
+        this.DEFAULT_PAGE_SIZE = 50;
+        this.MAX_PAGE_SIZE = 100;
+
+        this.media = new MediaLibrary(path.join(config.dataPath, 'scheduled-media'), { label: 'Scheduler' });
+        this.store = new JsonFileStore(path.join(config.dataPath, 'scheduledMessages.json'), { jobs: [] });
+
+        this.send = null;
+        this.isReady = () => false;
+        this.timer = null;
+        this.processing = false;
+    }
+
+    getJobs() {
+        return this.store.load().jobs;
+    }
+
+    findById(id) {
+        return this.getJobs().find(job => job.id === id) || null;
+    }
+
+    /**
+     * Empezar a enviar: recuperar lo interrumpido, escuchar los ready y armar el timer
+     * @param {EventEmitter} emitter - Instancia de WhatsAppClient (isReady + evento ready)
+     * @param {Function} send - (job) => Promise<{ messageId }>, el envío real (WhatsAppService)
+     */
+    attach(emitter, send) {
+        this.send = send;
+        this.isReady = number => emitter.isReady(number);
+
+        // El envío pudo llegar a WhatsApp antes del reinicio: no se repite para no duplicar el mensaje
+        const interrupted = this.getJobs().filter(job => job.status === 'running');
+        interrupted.forEach(job => {
+            const scheduledFor = job.attempt > 1 && job.lastRun?.scheduledFor ? job.lastRun.scheduledFor : job.nextRunAt;
+
+            this.record(job, {
+                scheduledFor: new Date(scheduledFor),
+                outcome: 'unknown',
+                error: 'Interrumpido por un reinicio; puede haberse enviado'
+            });
+            job.failures += 1;
+
+            if (job.schedule.type === 'once') {
+                this.finish(job, 'failed');
+            } else {
+                this.advance(job);
+            }
+        });
+        if (interrupted.length > 0) {
+            this.store.save();
+            logger.warn(`[Scheduler] ${interrupted.length} envíos interrumpidos por un reinicio; no se reintentan por si ya se enviaron`);
+        }
+
+        emitter.on('ready', ({ number }) => this.unpark(number));
+
+        const active = this.getJobs().filter(job => job.status === 'scheduled' || job.status === 'parked').length;
+        logger.info(`[Scheduler] ${active} mensajes programados pendientes`);
+        this.arm();
+    }
+
+    /**
+     * Próxima ejecución de un horario a partir de una fecha
+     * @returns {Date|null} null si ya no hay más (sendAt pasado, endAt alcanzado)
+     */
+    computeNextRun(schedule, from = new Date()) {
+        if (schedule.sendAt) {
+            const sendAt = new Date(schedule.sendAt);
+            return sendAt > from ? sendAt : null;
+        }
+
+        const start = schedule.startAt && new Date(schedule.startAt) > from ? new Date(schedule.startAt) : from;
+        try {
+            const expression = CronExpressionParser.parse(schedule.cron, {
+                currentDate: start,
+                endDate: schedule.endAt ? new Date(schedule.endAt) : undefined,
+                tz: schedule.timezone
+            });
+            return expression.next().toDate();
+        } catch (error) {
+            // Sin más fechas antes de endAt
+            return null;
+        }
+    }
+
+    /**
+     * Normalizar y comprobar un horario
+     * @param {Object} options - { sendAt } o { cron, timezone, startAt, endAt, maxRuns }, más misfireGraceMinutes
+     * @returns {Object} Horario guardado
+     * @throws {Error} Si no es válido o ya no tiene ejecuciones futuras
+     */
+    buildSchedule({ sendAt, cron, timezone, startAt, endAt, maxRuns, misfireGraceMinutes }) {
+        if (Boolean(sendAt) === Boolean(cron)) {
+            throw new Error('Indica sendAt (envío único) o cron (recurrente)');
+        }
+
+        const grace = misfireGraceMinutes === undefined || misfireGraceMinutes === null ? null : Number(misfireGraceMinutes);
+        let schedule;
+
+        if (sendAt) {
+            schedule = { type: 'once', sendAt: new Date(sendAt).toISOString(), misfireGraceMinutes: grace };
+        } else {
+            const zone = timezone || this.DEFAULT_TIMEZONE;
+            try {
+                new Intl.DateTimeFormat('en-US', { timeZone: zone });
+            } catch (error) {
+                throw new Error(`Zona horaria desconocida: ${zone}`);
+            }
+
+            const fields = String(cron).trim().split(/\s+/);
+            if (fields.length !== 5) {
+                throw new Error('cron debe tener 5 campos: minuto hora día-del-mes mes día-de-la-semana');
+            }
+            try {
+                CronExpressionParser.parse(fields.join(' '), { tz: zone });
+            } catch (error) {
+                throw new Error(`Expresión cron inválida: ${error.message}`);
+            }
+
+            schedule = {
+                type: 'cron',
+                cron: fields.join(' '),
+                timezone: zone,
+                startAt: startAt ? new Date(startAt).toISOString() : null,
+                endAt: endAt ? new Date(endAt).toISOString() : null,
+                maxRuns: maxRuns ? Number(maxRuns) : null,
+                misfireGraceMinutes: grace
+            };
+        }
+
+        if (!this.computeNextRun(schedule)) {
+            throw new Error(schedule.type === 'once' ? 'sendAt debe ser una fecha futura' : 'El cron no tiene ejecuciones antes de endAt');
+        }
+
+        return schedule;
+    }
+
+    /**
+     * Normalizar y comprobar el contenido: texto, adjunto (con texto como pie), plantilla o respuesta predefinida
+     * @returns {Object} Contenido sin el adjunto (se guarda aparte)
+     */
+    buildContent(number, chatId, { message, fileName, fileContent, templateId, templateName, params, locale, templateVersion, cannedResponseId, variables }) {
+        if (templateId || templateName) {
+            const template = templateId ? messageTemplates.findById(templateId) : messageTemplates.findByName(number, templateName);
+            if (!template || !messageTemplates.isAvailableFor(template, number)) {
+                throw new Error(`Plantilla no encontrada: ${templateId || templateName}`);
+            }
+
+            // Se valida ya con la versión indicada o la activa; al enviar se vuelve a renderizar
+            const preview = messageTemplates.render(template, { params, locale, version: templateVersion, number, chatId });
+            if (!preview.valid) {
+                throw new Error(`Parámetros de plantilla inválidos: ${preview.errors.map(e => `${e.field} (${e.message})`).join(', ')}`);
+            }
+
+            return {
+                type: 'template',
+                templateId: template.id,
+                params: params || {},
+                locale: locale || null,
+                templateVersion: templateVersion ? Number(templateVersion) : null
+            };
+        }
+
+        if (cannedResponseId) {
+            const response = cannedResponses.findById(cannedResponseId);
+            if (!response || !cannedResponses.isAvailableFor(response, number)) {
+                throw new Error(`Respuesta predefinida no encontrada: ${cannedResponseId}`);
+            }
+            if (!chatId.endsWith('@c.us')) {
+                throw new Error('Las respuestas predefinidas solo se programan para chats individuales');
+            }
+            return { type: 'canned', cannedResponseId, variables: variables || {} };
+        }
+
+        if (fileContent) {
+            if (!fileName) throw new Error('fileName es obligatorio con fileContent');
+            return { type: 'media', message: message || null };
+        }
+
+        if (!message) {
+            throw new Error('Indica message, fileContent, templateId/templateName o cannedResponseId');
+        }
+        return { type: 'text', message };
+    }
+
+    normalizeChatId(chatId, isGroup = false) {
+        const value = String(chatId).trim();
+        return value.includes('@') ? value : `${value}@${isGroup ? 'g.us' : 'c.us'}`;
+    }
+
+    /**
+     * Programar un mensaje
+     * @param {Object} options
+     * @param {string} options.clientId - Número del cliente que envía
+     * @param {string} options.chatId - Destino (número, xxx@c.us o xxx@g.us)
+     * @param {boolean} [options.isGroup] - Con chatId sin sufijo
+     * @param {string} [options.label] - Nombre para identificarlo
+     * @param {Object} options.content - Ver buildContent
+     * @param {Object} options.schedule - Ver buildSchedule
+     * @param {string} [createdBy] - keyId
+     */
+    create({ clientId, chatId, isGroup = false, label = null, content, schedule }, createdBy = null) {
+        const number = String(clientId);
+        const active = this.getJobs().filter(job => job.number === number && this.ACTIVE_STATUSES.includes(job.status));
+        if (active.length >= this.MAX_ACTIVE_PER_NUMBER) {
+            throw new Error(`Máximo ${this.MAX_ACTIVE_PER_NUMBER} mensajes programados activos por número`);
+        }
+
+        const target = this.normalizeChatId(chatId, isGroup);
+        const builtSchedule = this.buildSchedule(schedule);
+        const builtContent = this.buildContent(number, target, content);
+
+        const id = crypto.randomBytes(8).toString('hex');
+        if (builtContent.type === 'media') {
+            builtContent.media = this.media.save(id, { fileName: content.fileName, fileContent: content.fileContent });
+        }
+
+        const now = new Date().toISOString();
+        const job = {
+            id,
+            number,
+            chatId: target,
+            label,
+            content: builtContent,
+            schedule: builtSchedule,
+            status: 'scheduled',
+            nextRunAt: this.computeNextRun(builtSchedule).toISOString(),
+            attempt: 0,
+            runs: 0,
+            failures: 0,
+            lastRun: null,
+            history: [],
+            parkedAt: null,
+            createdBy,
+            createdAt: now,
+            updatedAt: now,
+            finishedAt: null
+        };
+
+        this.getJobs().push(job);
+        this.prune();
+        this.store.save();
+        this.arm();
+
+        logger.info(`[Scheduler] Mensaje ${id} programado (${number} → ${target}, ${this.describeSchedule(builtSchedule)})`);
+        return this.toPublic(job);
+    }
+
+    /**
+     * Modificar un trabajo activo; el contenido se sustituye entero si llega cualquiera de sus campos
+     * y el horario si llega sendAt o cron (los demás campos de horario se pueden cambiar por separado)
+     */
+    update(id, { label, content, schedule = {} }) {
+        const job = this.findById(id);
+        if (!job) return null;
+
+        if (!this.ACTIVE_STATUSES.includes(job.status) || job.status === 'running') {
+            throw new Error(`No se puede modificar un mensaje ${job.status}`);
+        }
+
+        const scheduleChanged = Object.values(schedule).some(value => value !== undefined);
+        let nextSchedule = job.schedule;
+        if (scheduleChanged) {
+            const base = schedule.sendAt || schedule.cron
+                ? {}
+                : (job.schedule.type === 'once' ? { sendAt: job.schedule.sendAt } : { ...job.schedule });
+            const merged = { ...base, misfireGraceMinutes: job.schedule.misfireGraceMinutes };
+            Object.entries(schedule).forEach(([key, value]) => {
+                if (value !== undefined) merged[key] = value;
+            });
+            delete merged.type;
+            nextSchedule = this.buildSchedule(merged);
+        }
+
+        let nextContent = null;
+        if (content) {
+            nextContent = this.buildContent(job.number, job.chatId, content);
+            if (nextContent.type === 'media') {
+                nextContent.media = this.media.save(id, { fileName: content.fileName, fileContent: content.fileContent });
+            }
+        }
+
+        if (nextContent) {
+            this.media.remove(job.content.media);
+            job.content = nextContent;
+        }
+        if (scheduleChanged) {
+            job.schedule = nextSchedule;
+            job.attempt = 0;
+            if (job.status !== 'paused') {
+                job.status = 'scheduled';
+                job.parkedAt = null;
+            }
+            job.nextRunAt = this.computeNextRun(nextSchedule).toISOString();
+        }
+        if (label !== undefined) {
+            job.label = label || null;
+        }
+
+        job.updatedAt = new Date().toISOString();
+        this.store.save();
+        this.arm();
+
+        return this.toPublic(job);
+    }
+
+    pause(id) {
+        const job = this.findById(id);
+        if (!job) return null;
+
+        if (!['scheduled', 'parked'].includes(job.status)) {
+            throw new Error(`Solo se pausan mensajes programados o aparcados (estado actual: ${job.status})`);
+        }
+
+        job.status = 'paused';
+        job.parkedAt = null;
+        job.updatedAt = new Date().toISOString();
+        this.store.save();
+        this.arm();
+
+        logger.info(`[Scheduler] Mensaje ${id} pausado`);
+        return this.toPublic(job);
+    }
+
+    /**
+     * Reanudar un trabajo pausado (o reintentar uno fallido); un envío único ya vencido sale en el momento
+     */
+    resume(id) {
+        const job = this.findById(id);
+        if (!job) return null;
+
+        if (!['paused', 'failed'].includes(job.status)) {
+            throw new Error(`Solo se reanudan mensajes pausados o fallidos (estado actual: ${job.status})`);
+        }
+
+        const next = job.schedule.type === 'once'
+            ? new Date(Math.max(Date.now(), new Date(job.schedule.sendAt).getTime()))
+            : this.computeNextRun(job.schedule);
+
+        if (!next) {
+            throw new Error('El horario ya no tiene ejecuciones futuras');
+        }
+
+        job.status = 'scheduled';
+        job.attempt = 0;
+        job.finishedAt = null;
+        job.nextRunAt = next.toISOString();
+        job.updatedAt = new Date().toISOString();
+        this.store.save();
+        this.arm();
+
+        logger.info(`[Scheduler] Mensaje ${id} reanudado; próximo envío ${job.nextRunAt}`);
+        return this.toPublic(job);
+    }
+
+    cancel(id) {
+        const job = this.findById(id);
+        if (!job) return null;
+
+        if (!this.ACTIVE_STATUSES.includes(job.status) && job.status !== 'failed') {
+            throw new Error(`El mensaje ya está ${job.status}`);
+        }
+
+        // Uno en curso termina su envío; el resultado ya no lo reprograma
+        this.finish(job, 'cancelled');
+        this.store.save();
+        this.arm();
+
+        logger.info(`[Scheduler] Mensaje ${id} cancelado`);
+        return this.toPublic(job);
+    }
+
+    finish(job, status) {
+        job.status = status;
+        job.nextRunAt = null;
+        job.parkedAt = null;
+        job.finishedAt = new Date().toISOString();
+        job.updatedAt = job.finishedAt;
+
+        if (status !== 'failed') {
+            this.media.remove(job.content.media);
+        }
+    }
+
+    /**
+     * Trabajos aparcados de un número que acaba de quedar listo
+     */
+    unpark(number) {
+        const parked = this.getJobs().filter(job => job.number === String(number) && job.status === 'parked');
+        if (parked.length === 0) return;
+
+        parked.forEach(job => {
+            job.status = 'scheduled';
+        });
+        this.store.save();
+
+        logger.info(`[Scheduler] ${parked.length} mensajes aparcados de ${number} vuelven a la cola`);
+        this.arm();
+    }
+
+    /**
+     * Programar el timer para el próximo vencimiento
+     */
+    arm() {
+        if (!this.send) return;
+
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+
+        const jobs = this.getJobs();
+        const next = jobs
+            .filter(job => job.status === 'scheduled')
+            .reduce((earliest, job) => Math.min(earliest, new Date(job.nextRunAt).getTime()), Infinity);
+        const hasParked = jobs.some(job => job.status === 'parked');
+        if (next === Infinity && !hasParked) return;
+
+        const delay = Math.min(Math.max(next - Date.now(), 0), hasParked ? this.PARKED_RECHECK : this.MAX_SLEEP);
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.processDue();
+        }, delay);
+        this.timer.unref?.();
+    }
+
+    async processDue() {
+        if (this.processing) return;
+        this.processing = true;
+
+        try {
+            this.getJobs()
+                .filter(job => job.status === 'parked' && this.isReady(job.number))
+                .forEach(job => {
+                    job.status = 'scheduled';
+                });
+
+            let job;
+            while ((job = this.nextDue())) {
+                await this.run(job);
+            }
+        } catch (error) {
+            logger.error('[Scheduler] Error procesando mensajes programados:', error);
+        } finally {
+            this.processing = false;
+            this.arm();
+        }
+    }
+
+    nextDue() {
+        const now = Date.now();
+        return this.getJobs()
+            .filter(job => job.status === 'scheduled' && new Date(job.nextRunAt).getTime() <= now)
+            .sort((a, b) => a.nextRunAt.localeCompare(b.nextRunAt))[0] || null;
+    }
+
+    async run(job) {
+        const dueAt = new Date(job.nextRunAt);
+        const grace = job.schedule.misfireGraceMinutes;
+
+        // Un reintento conserva la hora original del envío para calcular el retraso
+        const scheduledFor = job.attempt > 0 && job.lastRun?.scheduledFor ? new Date(job.lastRun.scheduledFor) : dueAt;
+
+        if (grace !== null && Date.now() - scheduledFor.getTime() > grace * 60 * 1000) {
+            logger.warn(`[Scheduler] Mensaje ${job.id} omitido: ${Math.round((Date.now() - scheduledFor) / 60000)} min tarde`);
+            this.record(job, { scheduledFor, outcome: 'skipped', error: 'Fuera del margen misfireGraceMinutes' });
+            this.advance(job);
+            this.store.save();
+            return;
+        }
+
+        if (!this.isReady(job.number)) {
+            job.status = 'parked';
+            job.parkedAt = job.parkedAt || new Date().toISOString();
+            this.store.save();
+            logger.warn(`[Scheduler] Mensaje ${job.id} aparcado: el cliente ${job.number} no está listo`);
+            return;
+        }
+
+        job.status = 'running';
+        job.attempt += 1;
+        this.store.save();
+
+        try {
+            const result = await this.send(job);
+
+            job.runs += 1;
+            this.record(job, { scheduledFor, outcome: 'sent', messageId: result?.messageId || null });
+            logger.info(`[Scheduler] Mensaje ${job.id} enviado (${job.number} → ${job.chatId})`);
+
+            if (job.status === 'running') {
+                this.advance(job);
+            }
+        } catch (error) {
+            // Datos inválidos (plantilla borrada, parámetros...) no se arreglan reintentando
+            const permanent = [400, 403, 404].includes(error.statusCode);
+            const retry = !permanent && job.attempt < this.MAX_ATTEMPTS;
+
+            this.record(job, { scheduledFor, outcome: retry ? 'retrying' : 'failed', error: error.message });
+            logger.warn(`[Scheduler] Envío ${job.id} fallido (intento ${job.attempt}): ${error.message}`);
+
+            if (job.status === 'running') {
+                if (retry) {
+                    const delay = Math.min(this.BASE_DELAY * 2 ** (job.attempt - 1), this.MAX_DELAY);
+                    job.status = 'scheduled';
+                    job.nextRunAt = new Date(Date.now() + delay).toISOString();
+                } else {
+                    job.failures += 1;
+                    if (job.schedule.type === 'once') {
+                        this.finish(job, 'failed');
+                    } else {
+                        this.advance(job);
+                    }
+                }
+            }
+        }
+
+        job.updatedAt = new Date().toISOString();
+        this.store.save();
+    }
+
+    record(job, { scheduledFor, outcome, messageId = null, error = null }) {
+        job.lastRun = {
+            at: new Date().toISOString(),
+            scheduledFor: scheduledFor.toISOString(),
+            outcome,
+            attempt: job.attempt,
+            messageId,
+            error
+        };
+        job.history.push(job.lastRun);
+        if (job.history.length > this.MAX_HISTORY) {
+            job.history.splice(0, job.history.length - this.MAX_HISTORY);
+        }
+    }
+
+    /**
+     * Pasar a la siguiente ocurrencia (o terminar)
+     */
+    advance(job) {
+        job.attempt = 0;
+        job.parkedAt = null;
+
+        const next = job.schedule.type === 'cron' && !(job.schedule.maxRuns && job.runs >= job.schedule.maxRuns)
+            ? this.computeNextRun(job.schedule)
+            : null;
+
+        if (next) {
+            job.status = 'scheduled';
+            job.nextRunAt = next.toISOString();
+        } else {
+            this.finish(job, 'completed');
+        }
+    }
+
+    /**
+     * Descartar los terminados más antiguos pasado el máximo
+     */
+    prune() {
+        const data = this.store.load();
+        const finished = data.jobs.filter(job => !this.ACTIVE_STATUSES.includes(job.status));
+        if (finished.length <= this.MAX_FINISHED) return;
+
+        const drop = new Set(finished
+            .sort((a, b) => a.finishedAt.localeCompare(b.finishedAt))
+            .slice(0, finished.length - this.MAX_FINISHED)
+            .map(job => job.id));
+
+        data.jobs
+            .filter(job => drop.has(job.id))
+            .forEach(job => this.media.remove(job.content.media));
+        data.jobs = data.jobs.filter(job => !drop.has(job.id));
+    }
+
+    describeSchedule(schedule) {
+        return schedule.type === 'once' ? `el ${schedule.sendAt}` : `cron "${schedule.cron}" ${schedule.timezone}`;
+    }
+
+    /**
+     * Adjunto de un trabajo en base64 (para MessageMedia)
+     */
+    readMedia(job) {
+        return this.media.read(job.content.media);
+    }
+
+    /**
+     * Listar trabajos
+     * @param {Object} filters - { canAccess, number, chatId, status }
+     * @param {Object} pagination - { page, limit }
+     */
+    list({ canAccess = () => true, number, chatId, status } = {}, { page = 1, limit = this.DEFAULT_PAGE_SIZE } = {}) {
+        const results = this.getJobs()
+            .filter(job => canAccess(job.number))
+            .filter(job => !number || job.number === String(number))
+            .filter(job => !chatId || job.chatId === chatId || job.chatId.split('@')[0] === chatId)
+            .filter(job => !status || job.status === status)
+            .sort((a, b) => (a.nextRunAt || '9999').localeCompare(b.nextRunAt || '9999') || b.createdAt.localeCompare(a.createdAt));
+
+        const pageSize = Math.min(limit, this.MAX_PAGE_SIZE);
+        const start = (page - 1) * pageSize;
+
+        return {
+            scheduledMessages: results.slice(start, start + pageSize).map(job => this.toPublic(job)),
+            pagination: {
+                total: results.length,
+                page,
+                limit: pageSize,
+                totalPages: Math.ceil(results.length / pageSize)
+            }
+        };
+    }
+
+    /**
+     * Vista pública: sin la ruta interna del adjunto
+     */
+    toPublic(job, { includeHistory = false } = {}) {
+        const { history, content, ...view } = job;
+        const { media, ...publicContent } = content;
+
+        return {
+            ...view,
+            content: media ? { ...publicContent, media: this.media.describe(media) } : publicContent,
+            ...(includeHistory ? { history: [...history] } : {})
+        };
+    }
+}
+
+module.exports = new MessageScheduler();
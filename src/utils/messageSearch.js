@@ -0,0 +1,233 @@
+// utils/messageSearch.js
+const MiniSearch = require('minisearch');
+const logger = require('../conf/logger');
+const messageStore = require('./messageStore');
+const mediaQueue = require('./mediaQueue');
+
+/**
+ * Búsqueda de texto completo sobre el almacén de mensajes
+ * Índice en memoria (MiniSearch) construido al arrancar y actualizado con cada cambio del almacén
+ */
+class MessageSearch {
+    constructor() {
+        this.SEARCH_FIELDS = ['body', 'caption', 'vcardNames', 'documentText'];
+        this.STORE_FIELDS = ['messageId', 'number', 'chatId', 'from', 'author', 'fromMe', 'type', 'hasMedia', 'timestamp', 'deleted'];
+        this.SNIPPET_RADIUS = 60;
+        this.MAX_SNIPPETS = 3;
+
+        this.index = this.createIndex();
+        this.ready = this.build();
+
+        messageStore.on('change', document => this.indexDocument(document));
+
+        // Texto de documentos descargados por la cola de media
+        mediaQueue.on('document:text', ({ messageId, clientId, text }) => {
+            messageStore.setDocumentText(clientId, messageId, text).catch(error =>
+                logger.error(`[Search] Error guardando texto del documento ${messageId}:`, error));
+        });
+    }
+
+    /**
+     * Normalizar términos: minúsculas y sin tildes (factura = fáctura)
+     */
+    normalize(text) {
+        return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    }
+
+    createIndex() {
+        return new MiniSearch({
+            idField: 'key',
+            fields: this.SEARCH_FIELDS,
+            storeFields: this.STORE_FIELDS,
+            extractField: (document, field) => (field === 'vcardNames'
+                ? (document.vcardNames || []).join(' ')
+                : document[field]),
+            processTerm: term => this.normalize(term),
+            searchOptions: {
+                boost: { body: 2, caption: 1.5, vcardNames: 1.5 },
+                prefix: true,
+                fuzzy: 0.2,
+                combineWith: 'AND'
+            }
+        });
+    }
+
+    hasText(document) {
+        return this.SEARCH_FIELDS.some(field => (field === 'vcardNames'
+            ? document.vcardNames?.length > 0
+            : Boolean(document[field])));
+    }
+
+    async build() {
+        try {
+            const startedAt = Date.now();
+            const documents = await messageStore.getAllMessages();
+
+            // Los cambios recibidos durante la carga ya están indexados y son más recientes
+            documents
+                .filter(document => this.hasText(document) && !this.index.has(document.key))
+                .forEach(document => this.index.add(document));
+
+            logger.info(`[Search] Índice construido: ${this.index.documentCount} mensajes en ${Date.now() - startedAt}ms`);
+        } catch (error) {
+            logger.error('[Search] Error construyendo el índice:', error);
+        }
+    }
+
+    /**
+     * Añadir o actualizar un mensaje en el índice
+     */
+    indexDocument(document) {
+        try {
+            if (this.index.has(document.key)) {
+                if (this.hasText(document)) {
+                    this.index.replace(document);
+                } else {
+                    this.index.discard(document.key);
+                }
+            } else if (this.hasText(document)) {
+                this.index.add(document);
+            }
+        } catch (error) {
+            logger.error(`[Search] Error indexando ${document.key}:`, error);
+        }
+    }
+
+    matchesFilters(result, filters) {
+        const { numbers, number, chatId, sender, since, until, type, hasMedia, includeDeleted } = filters;
+
+        if (numbers && !numbers.includes(result.number)) return false;
+        if (number && result.number !== number) return false;
+        if (chatId && result.chatId !== chatId) return false;
+        if (sender && result.from !== sender && result.author !== sender) return false;
+        if (since && result.timestamp < since) return false;
+        if (until && result.timestamp > until) return false;
+        if (type && result.type !== type) return false;
+        if (hasMedia !== undefined && result.hasMedia !== hasMedia) return false;
+        if (!includeDeleted && result.deleted) return false;
+
+        return true;
+    }
+
+    /**
+     * Buscar mensajes
+     * @param {string} query - Texto a buscar
+     * @param {Object} filters - { numbers, number, chatId, sender, since, until, type, hasMedia, includeDeleted }
+     * @param {Object} pagination - { page, limit }
+     * @returns {Promise<Object>} Resultados ordenados por relevancia con snippets
+     */
+    async search(query, filters = {}, { page = 1, limit = 20 } = {}) {
+        await this.ready;
+
+        const results = this.index.search(query, {
+            filter: result => this.matchesFilters(result, filters)
+        });
+
+        const start = (page - 1) * limit;
+        const pageResults = results.slice(start, start + limit);
+
+        // Textos completos solo para la página pedida
+        const documents = await messageStore.getMessagesByKeys(pageResults.map(result => result.id));
+        const documentsByKey = new Map(documents.map(document => [document.key, document]));
+
+        return {
+            total: results.length,
+            page,
+            limit,
+            totalPages: Math.ceil(results.length / limit),
+            // El texto de los adjuntos solo se indexa para estos tipos (un PDF no se busca por su contenido)
+            indexedDocumentTypes: mediaQueue.textDocumentTypes,
+            results: pageResults.map(result => {
+                const document = documentsByKey.get(result.id) || {};
+                const { id, score, terms, queryTerms, match, ...fields } = result;
+
+                return {
+                    ...fields,
+                    score: Number(score.toFixed(4)),
+                    matchedTerms: terms,
+                    snippets: this.buildSnippets(document, terms, match)
+                };
+            })
+        };
+    }
+
+    /**
+     * Fragmentos con los términos encontrados resaltados con <mark>
+     */
+    buildSnippets(document, terms, match) {
+        const fields = new Set(Object.values(match).flat());
+        const snippets = [];
+
+        for (const field of this.SEARCH_FIELDS) {
+            if (!fields.has(field) || snippets.length >= this.MAX_SNIPPETS) continue;
+
+            const text = field === 'vcardNames'
+                ? (document.vcardNames || []).join(', ')
+                : document[field];
+
+            const snippet = text ? this.highlight(text, terms) : null;
+            if (snippet) {
+                snippets.push({ field, text: snippet });
+            }
+        }
+
+        return snippets;
+    }
+
+    /**
+     * Recortar el texto alrededor de la primera coincidencia y resaltar todas las del fragmento
+     */
+    highlight(text, terms) {
+        // Texto normalizado con correspondencia de posiciones al original
+        let normalized = '';
+        const positions = [];
+        for (let i = 0; i < text.length; i++) {
+            for (const char of this.normalize(text[i])) {
+                normalized += char;
+                positions.push(i);
+            }
+        }
+
+        const ranges = [];
+        terms.forEach(term => {
+            let index = normalized.indexOf(term);
+            while (index !== -1) {
+                ranges.push([positions[index], positions[index + term.length - 1] + 1]);
+                index = normalized.indexOf(term, index + term.length);
+            }
+        });
+
+        if (ranges.length === 0) return null;
+        ranges.sort((a, b) => a[0] - b[0]);
+
+        const windowStart = Math.max(0, ranges[0][0] - this.SNIPPET_RADIUS);
+        const windowEnd = Math.min(text.length, ranges[0][1] + this.SNIPPET_RADIUS);
+
+        let snippet = windowStart > 0 ? '…' : '';
+        let cursor = windowStart;
+
+        ranges
+            .filter(([start, end]) => start >= cursor && end <= windowEnd)
+            .forEach(([start, end]) => {
+                if (start < cursor) return;
+                snippet += this.escapeHtml(text.slice(cursor, start));
+                snippet += `<mark>${this.escapeHtml(text.slice(start, end))}</mark>`;
+                cursor = end;
+            });
+
+        snippet += this.escapeHtml(text.slice(cursor, windowEnd));
+        if (windowEnd < text.length) snippet += '…';
+
+        return snippet;
+    }
+
+    escapeHtml(text) {
+        return text
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
+
+module.exports = new MessageSearch();
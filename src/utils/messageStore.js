@@ -0,0 +1,333 @@
+// utils/messageStore.js
+const fs = require('fs').promises;
+const path = require('path');
+const { EventEmitter } = require('events');
+const Datastore = require('@seald-io/nedb');
+const logger = require('../conf/logger');
+const config = require('../conf/config');
+const messageAckTracker = require('./messageAckTracker');
+
+/**
+ * Almacén persistente de mensajes (NeDB, un documento por mensaje)
+ * Guarda entrantes y salientes con cuerpo, referencias de media, acks, ediciones y borrados
+ * Emite 'change' (documento) cuando cambia el contenido de un mensaje
+ */
+class MessageStore extends EventEmitter {
+    constructor() {
+        super();
+
+        this.DEFAULT_PAGE_SIZE = 30;
+        this.MAX_PAGE_SIZE = 100;
+        this.COMPACTION_INTERVAL = 60 * 60 * 1000;
+
+        this.filePath = path.join(config.dataPath, 'messages.db');
+        this.db = this.createDatastore();
+
+        this.ready = this.initialize();
+        // Nadie espera ready al arrancar: si el almacén no se puede abrir fallan sus consultas, no el proceso
+        this.ready.catch(() => {});
+    }
+
+    createDatastore() {
+        return new Datastore({ filename: this.filePath, timestampData: true });
+    }
+
+    async initialize() {
+        try {
+            await this.open();
+        } catch (error) {
+            await this.setAsideCorrupt(error);
+
+            try {
+                this.db = this.createDatastore();
+                await this.open();
+            } catch (retryError) {
+                logger.error('[MessageStore] Error cargando la base de datos:', retryError);
+                throw retryError;
+            }
+        }
+
+        logger.info('[MessageStore] Base de datos de mensajes cargada');
+    }
+
+    async open() {
+        await this.db.loadDatabaseAsync();
+        // Dos clientes en el mismo grupo ven el mismo id de mensaje: la clave incluye el número
+        await this.db.ensureIndexAsync({ fieldName: 'key', unique: true });
+        await this.db.ensureIndexAsync({ fieldName: 'messageId' });
+        await this.db.ensureIndexAsync({ fieldName: 'number' });
+        await this.db.ensureIndexAsync({ fieldName: 'chatId' });
+        await this.db.ensureIndexAsync({ fieldName: 'timestamp' });
+
+        this.db.setAutocompactionInterval(this.COMPACTION_INTERVAL);
+    }
+
+    /**
+     * Apartar una base de datos ilegible (p. ej. por encima del umbral de corrupción de NeDB)
+     * para empezar con una vacía sin perder el archivo original
+     */
+    async setAsideCorrupt(error) {
+        const corruptPath = `${this.filePath}.corrupt-${Date.now()}`;
+
+        try {
+            await fs.rename(this.filePath, corruptPath);
+        } catch (renameError) {
+            logger.error(`[MessageStore] ${this.filePath} no se pudo cargar (${error.message}) ni apartar:`, renameError);
+            throw error;
+        }
+
+        logger.error(`[MessageStore] ${this.filePath} no se pudo cargar (${error.message}); copia guardada en ${corruptPath}, se empieza con un almacén vacío`);
+    }
+
+    getKey(number, messageId) {
+        return `${number}:${messageId}`;
+    }
+
+    /**
+     * Chat al que pertenece un mensaje (id.remote es el chat tanto en entrantes como en salientes)
+     */
+    getChatId(message) {
+        return message.id?.remote || (message.fromMe ? message.to : message.from);
+    }
+
+    /**
+     * Extraer nombres de contactos de un vCard (FN:)
+     */
+    extractVCardNames(message) {
+        const cards = message.vCards?.length ? message.vCards : (message.type === 'vcard' ? [message.body] : []);
+
+        return cards
+            .map(card => /^FN:(.*)$/m.exec(card || '')?.[1]?.trim())
+            .filter(Boolean);
+    }
+
+    /**
+     * Convertir un Message de whatsapp-web.js al documento almacenado
+     * @param {string} number - Número del cliente
+     * @param {Object} message - Message de whatsapp-web.js
+     */
+    toDocument(number, message) {
+        const data = message._data || {};
+
+        const document = {
+            key: this.getKey(number, message.id._serialized),
+            messageId: message.id._serialized,
+            number: String(number),
+            chatId: this.getChatId(message),
+            from: message.from,
+            to: message.to,
+            author: message.author || null,
+            fromMe: Boolean(message.fromMe),
+            type: message.type,
+            body: message.body || '',
+            caption: data.caption || null,
+            timestamp: message.timestamp,
+            hasMedia: Boolean(message.hasMedia),
+            media: message.hasMedia
+                ? {
+                    mimetype: data.mimetype || null,
+                    filename: data.filename || null,
+                    size: data.size || null
+                }
+                : null,
+            location: message.location
+                ? {
+                    latitude: message.location.latitude,
+                    longitude: message.location.longitude,
+                    description: message.location.description || null
+                }
+                : null,
+            vcardNames: this.extractVCardNames(message),
+            hasQuotedMsg: Boolean(message.hasQuotedMsg),
+            quotedMessageId: data.quotedStanzaID || null,
+            quotedParticipant: data.quotedParticipant || null,
+            isForwarded: Boolean(message.isForwarded),
+            isStarred: Boolean(message.isStarred)
+        };
+
+        return document;
+    }
+
+    /**
+     * Guardar o actualizar un mensaje (conserva ediciones, borrado y acks registrados)
+     * @param {string} number - Número del cliente
+     * @param {Object} message - Message de whatsapp-web.js
+     * @returns {Promise<Object>} Documento guardado
+     */
+    async saveMessage(number, message) {
+        await this.ready;
+
+        const document = this.toDocument(number, message);
+        return this.update(document.key, { $set: document }, { upsert: true });
+    }
+
+    /**
+     * Actualizar un documento y notificar el cambio
+     * @private
+     */
+    async update(key, modifier, options = {}) {
+        const { affectedDocuments } = await this.db.updateAsync(
+            { key },
+            modifier,
+            { ...options, returnUpdatedDocs: true }
+        );
+
+        if (affectedDocuments) {
+            this.emit('change', affectedDocuments);
+        }
+
+        return affectedDocuments;
+    }
+
+    /**
+     * Importar un mensaje solo si no existe (backfill)
+     * @returns {Promise<boolean>} true si se insertó
+     */
+    async importMessage(number, message) {
+        await this.ready;
+
+        const document = this.toDocument(number, message);
+        const existing = await this.db.findOneAsync({ key: document.key });
+        if (existing) return false;
+
+        if (message.fromMe && message.ack !== undefined) {
+            document.ack = message.ack;
+            document.status = messageAckTracker.getStatusName(message.ack);
+        }
+
+        try {
+            this.emit('change', await this.db.insertAsync(document));
+            return true;
+        } catch (error) {
+            // Insertado en paralelo por message_create
+            if (error.errorType === 'uniqueViolated') return false;
+            throw error;
+        }
+    }
+
+    async recordAck(number, messageId, ack, status) {
+        await this.ready;
+        await this.db.updateAsync({ key: this.getKey(number, messageId) }, { $set: { ack, status } });
+    }
+
+    /**
+     * Registrar una edición conservando el historial de cuerpos anteriores
+     */
+    async recordEdit(number, messageId, newBody, previousBody) {
+        await this.ready;
+
+        await this.update(this.getKey(number, messageId), {
+            $set: { body: newBody, editedAt: Math.floor(Date.now() / 1000) },
+            $push: { edits: { body: previousBody, replacedAt: Math.floor(Date.now() / 1000) } }
+        });
+    }
+
+    /**
+     * Marcar un mensaje como borrado (para todos o solo para mí); el contenido se conserva
+     */
+    async recordDeletion(number, messageId, scope) {
+        await this.ready;
+
+        await this.update(this.getKey(number, messageId), {
+            $set: { deleted: true, deletedFor: scope, deletedAt: Math.floor(Date.now() / 1000) }
+        });
+    }
+
+    /**
+     * Guardar el texto extraído de un documento adjunto
+     */
+    async setDocumentText(number, messageId, text) {
+        await this.ready;
+        await this.update(this.getKey(number, messageId), { $set: { documentText: text } });
+    }
+
+    async getMessagesByKeys(keys) {
+        await this.ready;
+        if (keys.length === 0) return [];
+        return this.db.findAsync({ key: { $in: keys } });
+    }
+
+    /**
+     * Recorrer todos los mensajes (para reconstruir índices)
+     */
+    async getAllMessages() {
+        await this.ready;
+        return this.db.findAsync({});
+    }
+
+    async getMessage(number, messageId) {
+        await this.ready;
+        return this.db.findOneAsync({ key: this.getKey(number, messageId) });
+    }
+
+    /**
+     * Historial paginado de un chat, del más reciente hacia atrás
+     * @param {string} number - Número del cliente
+     * @param {string} chatId - Chat serializado (xxx@c.us / xxx@g.us)
+     * @param {Object} [options]
+     * @param {number} [options.limit] - Mensajes por página
+     * @param {number} [options.before] - Timestamp (segundos) para pedir la página anterior
+     * @param {string} [options.beforeId] - messageId del mismo mensaje: desempata los del mismo segundo
+     * @returns {Promise<{ messages: Object[], hasMore: boolean, nextBefore: number|null, nextBeforeId: string|null }>}
+     */
+    async getChatHistory(number, chatId, { limit = this.DEFAULT_PAGE_SIZE, before = null, beforeId = null } = {}) {
+        await this.ready;
+
+        const pageSize = Math.min(limit, this.MAX_PAGE_SIZE);
+        const query = { number: String(number), chatId };
+        if (before && beforeId) {
+            // Cursor compuesto: los timestamps son de segundos y varios mensajes pueden compartirlo
+            query.$or = [
+                { timestamp: { $lt: before } },
+                { timestamp: before, messageId: { $lt: beforeId } }
+            ];
+        } else if (before) {
+            query.timestamp = { $lt: before };
+        }
+
+        // Se pide uno extra para saber si hay más páginas
+        const documents = await this.db.findAsync(query)
+            .sort({ timestamp: -1, messageId: -1 })
+            .limit(pageSize + 1)
+            .execAsync();
+
+        const hasMore = documents.length > pageSize;
+        const page = documents.slice(0, pageSize).reverse();
+
+        return {
+            messages: page,
+            hasMore,
+            nextBefore: hasMore && page.length > 0 ? page[0].timestamp : null,
+            nextBeforeId: hasMore && page.length > 0 ? page[0].messageId : null
+        };
+    }
+
+    /**
+     * Recorrer el historial completo de un chat en orden cronológico, por lotes
+     * @param {string} number - Número del cliente
+     * @param {string} chatId - Chat serializado
+     * @param {number} [batchSize]
+     */
+    async *iterateChatMessages(number, chatId, batchSize = 500) {
+        await this.ready;
+
+        const query = { number: String(number), chatId };
+        for (let skip = 0; ; skip += batchSize) {
+            const documents = await this.db.findAsync(query)
+                .sort({ timestamp: 1, messageId: 1 })
+                .skip(skip)
+                .limit(batchSize)
+                .execAsync();
+
+            yield* documents;
+            if (documents.length < batchSize) return;
+        }
+    }
+
+    async countChatMessages(number, chatId) {
+        await this.ready;
+        return this.db.countAsync({ number: String(number), chatId });
+    }
+}
+
+module.exports = new MessageStore();
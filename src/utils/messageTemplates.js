@@ -0,0 +1,508 @@
+// utils/messageTemplates.js
+const crypto = require('crypto');
+const path = require('path');
+const logger = require('../conf/logger');
+const config = require('../conf/config');
+const JsonFileStore = require('./jsonFileStore');
+const MediaLibrary = require('./mediaLibrary');
+
+/**
+ * Plantillas de mensajes transaccionales con parámetros tipados y variantes por idioma
+ *
+ * - Cada plantilla tiene un nombre único en su ámbito ('*' o un número) y versiones inmutables;
+ *   se envía la versión activa salvo que se pida otra
+ * - Una versión declara sus parámetros ({ name, type, required, ... }) y una variante por idioma
+ *   { header, body, footer }; el texto usa {{param}} con modificadores de formato de WhatsApp:
+ *   {{total|bold}}, {{nota|italic}}, {{codigo|mono}}... y admite el formato literal (*negrita*, _cursiva_)
+ * - Los parámetros list se muestran como lista con viñetas o numerada
+ * - Idioma: el pedido explícitamente, si no el guardado para el contacto, si no el del prefijo
+ *   de su número y por último el idioma por defecto de la versión
+ * - Una versión puede llevar un adjunto como cabecera; el texto se envía como pie
+ */
+class MessageTemplates {
+    constructor() {
+        this.ALL_NUMBERS = '*';
+        this.NAME_PATTERN = /^[a-z][a-z0-9_]{0,63}$/;
+        this.PARAM_NAME_PATTERN = /^[a-zA-Z][a-zA-Z0-9_]{0,63}$/;
+        this.LOCALE_PATTERN = /^[a-z]{2,3}(-[A-Z]{2})?$/;
+        this.PLACEHOLDER_PATTERN = /\{\{\s*([a-zA-Z][a-zA-Z0-9_]*)\s*((?:\|\s*[a-z]+\s*)*)\}\}/g;
+        this.PARAM_TYPES = ['string', 'number', 'integer', 'currency', 'date', 'enum', 'list'];
+        this.MODIFIERS = {
+            bold: value => `*${value}*`,
+            italic: value => `_${value}_`,
+            strike: value => `~${value}~`,
+            mono: value => `\`\`\`${value}\`\`\``,
+            upper: value => value.toUpperCase(),
+            lower: value => value.toLowerCase()
+        };
+        this.MAX_PARAMS = 30;
+        this.MAX_LIST_ITEMS = 50;
+        this.MAX_STRING_LENGTH = 1024;
+        this.MAX_TEXT_LENGTH = 4096;
+        this.MAX_VERSIONS = 50;
+
+        // Prefijo internacional → idioma (el más largo gana)
+        this.CALLING_CODE_LOCALES = {
+            1: 'en', 44: 'en', 61: 'en', 64: 'en', 353: 'en', 27: 'en',
+            34: 'es', 52: 'es', 54: 'es', 56: 'es', 57: 'es', 51: 'es', 58: 'es', 53: 'es',
+            502: 'es', 503: 'es', 504: 'es', 505: 'es', 506: 'es', 507: 'es',
+            591: 'es', 593: 'es', 595: 'es', 598: 'es',
+            55: 'pt', 351: 'pt', 33: 'fr', 49: 'de', 39: 'it'
+        };
+
+        this.media = new MediaLibrary(path.join(config.dataPath, 'template-media'), { label: 'Templates' });
+        this.store = new JsonFileStore(path.join(config.dataPath, 'messageTemplates.json'), { templates: [], contactLocales: {} });
+    }
+
+    getTemplates() {
+        return this.store.load().templates;
+    }
+
+    findById(id) {
+        return this.getTemplates().find(template => template.id === id) || null;
+    }
+
+    /**
+     * Plantilla por nombre para un número: primero la del número, después la global
+     */
+    findByName(number, name) {
+        const candidates = this.getTemplates().filter(template => template.name === name);
+
+        return candidates.find(template => template.number === String(number))
+            || candidates.find(template => template.number === this.ALL_NUMBERS)
+            || null;
+    }
+
+    isAvailableFor(template, number) {
+        return template.number === this.ALL_NUMBERS || template.number === String(number);
+    }
+
+    getVersion(template, version = template.currentVersion) {
+        return template.versions.find(entry => entry.version === Number(version)) || null;
+    }
+
+    /**
+     * Comprobar una versión antes de guardarla
+     * @throws {Error} Con la lista de problemas
+     */
+    validateDefinition({ defaultLocale, parameters = [], variants = {} }) {
+        const errors = [];
+
+        if (!this.LOCALE_PATTERN.test(defaultLocale || '')) {
+            errors.push(`defaultLocale inválido: ${defaultLocale}`);
+        }
+        if (!variants[defaultLocale]) {
+            errors.push(`Falta la variante del idioma por defecto (${defaultLocale})`);
+        }
+        if (parameters.length > this.MAX_PARAMS) {
+            errors.push(`Máximo ${this.MAX_PARAMS} parámetros`);
+        }
+
+        const names = new Set();
+        parameters.forEach(param => {
+            const found = errors.length;
+
+            if (!this.PARAM_NAME_PATTERN.test(param.name || '')) {
+                errors.push(`Nombre de parámetro inválido: ${param.name}`);
+            } else if (names.has(param.name)) {
+                errors.push(`Parámetro repetido: ${param.name}`);
+            }
+            names.add(param.name);
+
+            if (!this.PARAM_TYPES.includes(param.type)) {
+                errors.push(`${param.name}: tipo inválido ${param.type} (${this.PARAM_TYPES.join(', ')})`);
+            }
+            if (param.type === 'enum' && (!Array.isArray(param.values) || param.values.length === 0)) {
+                errors.push(`${param.name}: un enum necesita values`);
+            }
+            if (param.type === 'currency' && !/^[A-Z]{3}$/.test(param.currency || '')) {
+                errors.push(`${param.name}: un currency necesita currency (código ISO 4217)`);
+            }
+            // El default solo se comprueba si la definición del parámetro es válida
+            if (errors.length === found && param.default !== undefined && param.default !== null) {
+                const { error } = this.coerce(param, param.default, defaultLocale);
+                if (error) errors.push(`${param.name}: default inválido (${error})`);
+            }
+        });
+
+        Object.entries(variants).forEach(([locale, variant]) => {
+            if (!this.LOCALE_PATTERN.test(locale)) {
+                errors.push(`Idioma inválido: ${locale}`);
+            }
+            if (!variant || typeof variant.body !== 'string' || variant.body.trim() === '') {
+                errors.push(`${locale}: body es obligatorio`);
+                return;
+            }
+
+            const text = ['header', 'body', 'footer'].map(part => variant[part] || '').join('\n');
+            if (text.length > this.MAX_TEXT_LENGTH) {
+                errors.push(`${locale}: el texto supera ${this.MAX_TEXT_LENGTH} caracteres`);
+            }
+
+            [...text.matchAll(this.PLACEHOLDER_PATTERN)].forEach(([, name, modifiers]) => {
+                if (!names.has(name)) {
+                    errors.push(`${locale}: {{${name}}} no es un parámetro declarado`);
+                }
+                this.parseModifiers(modifiers)
+                    .filter(modifier => !this.MODIFIERS[modifier])
+                    .forEach(modifier => errors.push(`${locale}: modificador desconocido ${modifier}`));
+            });
+        });
+
+        if (errors.length > 0) {
+            throw new Error(errors.join('; '));
+        }
+    }
+
+    parseModifiers(modifiers) {
+        return (modifiers || '').split('|').map(modifier => modifier.trim()).filter(Boolean);
+    }
+
+    buildVersion(template, { defaultLocale, parameters = [], variants, media }, createdBy) {
+        const definition = {
+            defaultLocale,
+            parameters: parameters.map(({ name, type, required = true, description = null, ...options }) => ({
+                name, type, required, description, ...options
+            })),
+            variants
+        };
+        this.validateDefinition(definition);
+
+        const previous = this.getVersion(template);
+
+        return {
+            version: (template.versions.at(-1)?.version || 0) + 1,
+            ...definition,
+            // Sin media se mantiene el adjunto de la versión anterior; null lo quita
+            media: media === undefined ? previous?.media || null : (media ? this.media.save(template.id, media) : null),
+            createdBy,
+            createdAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Crear una plantilla (versión 1)
+     * @param {Object} options
+     * @param {string} options.name - Nombre único en su ámbito
+     * @param {string} [options.number] - Número del cliente o '*' (por defecto)
+     * @param {string} [options.description]
+     * @param {string} options.defaultLocale
+     * @param {Object[]} [options.parameters]
+     * @param {Object} options.variants - { "<idioma>": { header, body, footer } }
+     * @param {Object} [options.media] - { fileName, fileContent (base64) }
+     * @param {string} [createdBy] - keyId
+     */
+    create({ name, number = this.ALL_NUMBERS, description = null, ...definition }, createdBy = null) {
+        const scope = String(number);
+        if (this.getTemplates().some(template => template.name === name && template.number === scope)) {
+            throw new Error(`Ya existe la plantilla ${name} para ${scope === this.ALL_NUMBERS ? 'todos los números' : scope}`);
+        }
+
+        const now = new Date().toISOString();
+        const template = {
+            id: crypto.randomBytes(8).toString('hex'),
+            name,
+            number: scope,
+            description,
+            currentVersion: 1,
+            versions: [],
+            createdBy,
+            createdAt: now,
+            updatedAt: now
+        };
+
+        template.versions.push(this.buildVersion(template, definition, createdBy));
+        this.getTemplates().push(template);
+        this.store.save();
+
+        logger.info(`[Templates] Plantilla ${name} (${template.id}) creada para ${scope}`);
+        return this.toPublic(template);
+    }
+
+    /**
+     * Añadir una versión; las anteriores se conservan para poder volver a ellas
+     * @param {boolean} [activate] - Pasar a usarla (true)
+     */
+    addVersion(id, definition, { activate = true, description } = {}, createdBy = null) {
+        const template = this.findById(id);
+        if (!template) return null;
+
+        const version = this.buildVersion(template, definition, createdBy);
+        template.versions.push(version);
+
+        // Las versiones más antiguas (nunca la activa) se descartan pasado el máximo
+        while (template.versions.length > this.MAX_VERSIONS) {
+            const index = template.versions.findIndex(entry => entry.version !== template.currentVersion);
+            const [discarded] = template.versions.splice(index, 1);
+            if (discarded.media && !template.versions.some(entry => entry.media?.file === discarded.media.file)) {
+                this.media.remove(discarded.media);
+            }
+        }
+
+        if (activate) {
+            template.currentVersion = version.version;
+        }
+        if (description !== undefined) {
+            template.description = description;
+        }
+        template.updatedAt = version.createdAt;
+        this.store.save();
+
+        logger.info(`[Templates] ${template.name} v${version.version} creada${activate ? ' y activada' : ''}`);
+        return this.toPublic(template);
+    }
+
+    activateVersion(id, version) {
+        const template = this.findById(id);
+        if (!template) return null;
+
+        if (!this.getVersion(template, version)) {
+            throw new Error(`La plantilla no tiene la versión ${version}`);
+        }
+
+        template.currentVersion = Number(version);
+        template.updatedAt = new Date().toISOString();
+        this.store.save();
+
+        logger.info(`[Templates] ${template.name}: versión activa ${version}`);
+        return this.toPublic(template);
+    }
+
+    remove(id) {
+        const data = this.store.load();
+        const index = data.templates.findIndex(template => template.id === id);
+        if (index === -1) return null;
+
+        const [removed] = data.templates.splice(index, 1);
+        this.store.save();
+
+        new Set(removed.versions.map(version => version.media?.file).filter(Boolean))
+            .forEach(file => this.media.remove({ file }));
+
+        logger.info(`[Templates] Plantilla ${removed.name} (${id}) eliminada`);
+        return this.toPublic(removed);
+    }
+
+    // El contacto se guarda sin sufijo (@c.us) para que tel y chatId den la misma clave
+    contactKey(number, chatId) {
+        return `${number}:${String(chatId).split('@')[0]}`;
+    }
+
+    /**
+     * Idioma guardado para un contacto de un número
+     */
+    getContactLocale(number, chatId) {
+        return this.store.load().contactLocales[this.contactKey(number, chatId)] || null;
+    }
+
+    setContactLocale(number, chatId, locale) {
+        const locales = this.store.load().contactLocales;
+        const key = this.contactKey(number, chatId);
+
+        if (locale) {
+            locales[key] = locale;
+        } else {
+            delete locales[key];
+        }
+        this.store.scheduleSave();
+    }
+
+    /**
+     * Idioma probable por el prefijo internacional del número (chat individual)
+     */
+    guessLocale(chatId) {
+        const digits = String(chatId || '').split('@')[0];
+        if (!/^\d+$/.test(digits) || String(chatId).endsWith('@g.us')) return null;
+
+        for (let length = 3; length >= 1; length--) {
+            const locale = this.CALLING_CODE_LOCALES[digits.slice(0, length)];
+            if (locale) return locale;
+        }
+        return null;
+    }
+
+    /**
+     * Elegir la variante: idioma exacto, después el idioma base (es-MX → es) y por último el de la versión
+     * @returns {{ locale: string, variant: Object, source: string }}
+     */
+    selectVariant(version, { locale, number, chatId } = {}) {
+        const candidates = [
+            [locale, 'request'],
+            [number && chatId ? this.getContactLocale(number, chatId) : null, 'contact'],
+            [this.guessLocale(chatId), 'phonePrefix']
+        ];
+
+        for (const [candidate, source] of candidates) {
+            if (!candidate) continue;
+            const match = [candidate, candidate.split('-')[0]].find(option => version.variants[option]);
+            if (match) {
+                return { locale: match, variant: version.variants[match], source };
+            }
+        }
+
+        return { locale: version.defaultLocale, variant: version.variants[version.defaultLocale], source: 'default' };
+    }
+
+    /**
+     * Validar y formatear el valor de un parámetro
+     * @returns {{ value?: string, error?: string }}
+     */
+    coerce(param, raw, locale) {
+        switch (param.type) {
+        case 'string': {
+            if (typeof raw !== 'string' && typeof raw !== 'number') return { error: 'debe ser texto' };
+            const value = String(raw);
+            const maxLength = param.maxLength || this.MAX_STRING_LENGTH;
+            if (value.length > maxLength) return { error: `máximo ${maxLength} caracteres` };
+            return { value };
+        }
+        case 'number':
+        case 'integer':
+        case 'currency': {
+            const value = typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : raw;
+            if (typeof value !== 'number' || !Number.isFinite(value)) return { error: 'debe ser un número' };
+            if (param.type === 'integer' && !Number.isInteger(value)) return { error: 'debe ser un entero' };
+            if (param.min !== undefined && value < param.min) return { error: `mínimo ${param.min}` };
+            if (param.max !== undefined && value > param.max) return { error: `máximo ${param.max}` };
+
+            const format = param.type === 'currency'
+                ? { style: 'currency', currency: param.currency }
+                : { maximumFractionDigits: param.type === 'integer' ? 0 : (param.decimals ?? 2) };
+            return { value: new Intl.NumberFormat(locale, format).format(value) };
+        }
+        case 'date': {
+            const date = new Date(raw);
+            if (raw === null || raw === '' || typeof raw === 'boolean' || Number.isNaN(date.getTime())) {
+                return { error: 'debe ser una fecha ISO 8601 o un timestamp' };
+            }
+            const options = { dateStyle: param.style || 'long', ...(param.time ? { timeStyle: 'short' } : {}) };
+            if (param.timeZone) options.timeZone = param.timeZone;
+            return { value: new Intl.DateTimeFormat(locale, options).format(date) };
+        }
+        case 'enum': {
+            if (!param.values.includes(raw)) return { error: `debe ser uno de: ${param.values.join(', ')}` };
+            // Etiqueta traducida opcional: labels: { es: { paid: 'pagado' } }
+            const labels = param.labels?.[locale] || param.labels?.[locale.split('-')[0]];
+            return { value: String(labels?.[raw] ?? raw) };
+        }
+        case 'list': {
+            if (!Array.isArray(raw) || raw.length === 0) return { error: 'debe ser un array no vacío' };
+            if (raw.length > (param.maxItems || this.MAX_LIST_ITEMS)) return { error: `máximo ${param.maxItems || this.MAX_LIST_ITEMS} elementos` };
+            if (!raw.every(item => typeof item === 'string' || typeof item === 'number')) return { error: 'los elementos deben ser texto' };
+            const lines = raw.map((item, index) => (param.style === 'numbered' ? `${index + 1}. ${item}` : `- ${item}`));
+            return { value: lines.join('\n') };
+        }
+        default:
+            return { error: `tipo desconocido ${param.type}` };
+        }
+    }
+
+    /**
+     * Renderizar una versión sin enviarla
+     * @param {Object} template
+     * @param {Object} options
+     * @param {Object} [options.params] - Valores de los parámetros
+     * @param {string} [options.locale] - Idioma pedido
+     * @param {number} [options.version] - Versión (por defecto la activa)
+     * @param {string} [options.number] - Número que envía (idioma guardado del contacto)
+     * @param {string} [options.chatId] - Destinatario
+     * @returns {Object} { valid, errors, version, locale, localeSource, text, media }
+     */
+    render(template, { params = {}, locale, version, number, chatId } = {}) {
+        const selected = this.getVersion(template, version ?? template.currentVersion);
+        if (!selected) {
+            return { valid: false, errors: [{ field: 'version', message: `La plantilla no tiene la versión ${version}` }] };
+        }
+
+        const { locale: chosen, variant, source } = this.selectVariant(selected, { locale, number, chatId });
+        const errors = [];
+        const values = {};
+
+        selected.parameters.forEach(param => {
+            const raw = params[param.name] ?? param.default;
+
+            if (raw === undefined || raw === null) {
+                if (param.required) errors.push({ field: `params.${param.name}`, message: 'Parámetro obligatorio' });
+                values[param.name] = '';
+                return;
+            }
+
+            const { value, error } = this.coerce(param, raw, chosen);
+            if (error) {
+                errors.push({ field: `params.${param.name}`, message: error, value: raw });
+            } else {
+                values[param.name] = value;
+            }
+        });
+
+        const declared = new Set(selected.parameters.map(param => param.name));
+        Object.keys(params)
+            .filter(name => !declared.has(name))
+            .forEach(name => errors.push({ field: `params.${name}`, message: 'Parámetro no declarado en la plantilla' }));
+
+        const fill = (text) => String(text || '').replace(this.PLACEHOLDER_PATTERN, (match, name, modifiers) =>
+            this.parseModifiers(modifiers).reduce((value, modifier) =>
+                (value ? this.MODIFIERS[modifier](value) : value), values[name] ?? ''));
+
+        // Cabecera en negrita y pie en cursiva, separados del cuerpo por una línea en blanco
+        const header = fill(variant.header).trim();
+        const footer = fill(variant.footer).trim();
+        const text = [
+            header ? `*${header}*` : null,
+            fill(variant.body).trim(),
+            footer ? `_${footer}_` : null
+        ].filter(Boolean).join('\n\n');
+
+        return {
+            valid: errors.length === 0,
+            errors,
+            templateId: template.id,
+            name: template.name,
+            version: selected.version,
+            locale: chosen,
+            localeSource: source,
+            text,
+            media: this.media.describe(selected.media)
+        };
+    }
+
+    readMedia(template, version) {
+        return this.media.read(this.getVersion(template, version ?? template.currentVersion)?.media);
+    }
+
+    /**
+     * Listar plantillas
+     * @param {Object} filters - { canAccess, number, q }
+     */
+    list({ canAccess = () => true, number, q } = {}) {
+        const needle = q ? q.toLowerCase() : null;
+
+        return this.getTemplates()
+            .filter(template => template.number === this.ALL_NUMBERS || canAccess(template.number))
+            .filter(template => !number || this.isAvailableFor(template, number))
+            .filter(template => !needle || [template.name, template.description]
+                .some(value => value && value.toLowerCase().includes(needle)))
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .map(template => this.toPublic(template));
+    }
+
+    /**
+     * Vista pública: la versión activa completa y un resumen del resto
+     */
+    toPublic(template, { includeVersions = false } = {}) {
+        const { versions, ...view } = template;
+        const describe = ({ media, ...version }) => ({ ...version, media: this.media.describe(media) });
+        const current = this.getVersion(template);
+
+        return {
+            ...view,
+            locales: Object.keys(current?.variants || {}),
+            current: current ? describe(current) : null,
+            versions: includeVersions
+                ? versions.map(describe)
+                : versions.map(({ version, createdAt, createdBy }) => ({ version, createdAt, createdBy }))
+        };
+    }
+}
+
+module.exports = new MessageTemplates();
@@ -0,0 +1,564 @@
+// utils/openApi.js
+const fs = require('fs');
+const { body } = require('express-validator');
+const logger = require('../conf/logger');
+const { version } = require('../../package.json');
+
+/**
+ * Especificación OpenAPI 3 generada a partir de la tabla de rutas (routes/links.js)
+ * y de las reglas de express-validator (middleware/validation.js)
+ *
+ * - Cada regla aporta tipo, restricciones (longitudes, rangos, enum, patrón) y sus mensajes de error
+ * - El scope de cada grupo, los límites de peticiones y los sobres de respuesta salen de la misma tabla
+ * - La especificación se genera una vez, en la primera petición, y se guarda en memoria
+ */
+class OpenApi {
+    constructor() {
+        this.sources = null;
+        this.spec = null;
+
+        // Validadores de express-validator implementados como funciones anónimas: se reconocen por su código
+        this.CUSTOM_VALIDATORS = {
+            [body().isString().builder.stack[0].validator.toString()]: { type: 'string' },
+            [body().isArray().builder.stack[0].validator.toString()]: { type: 'array' },
+            [body().isObject().builder.stack[0].validator.toString()]: { type: 'object' },
+            [body().isBoolean({ strict: true }).builder.stack[0].validator.toString()]: { type: 'boolean' }
+        };
+
+        this.PARAMETER_LOCATIONS = { params: 'path', query: 'query', headers: 'header' };
+    }
+
+    /**
+     * Registrar las fuentes de la especificación (lo llama routes/links.js al cargar)
+     * @param {Object} sources
+     * @param {Object} sources.routes - Tabla de rutas por grupo
+     * @param {Object} sources.groupScopes - Scope de los grupos que no usan su propio nombre
+     * @param {Object} sources.defaultController - Controlador de las rutas sin controller propio
+     * @param {Function} sources.getValidationRules - Reglas por nombre de handler
+     * @param {Object} sources.apiLimit - Límite global de /api ({ windowMs, max })
+     * @param {Array} sources.publicRoutes - Rutas sin API key ({ path, method, summary, description, rateLimit, produces, query })
+     */
+    register(sources) {
+        this.sources = sources;
+        this.spec = null;
+    }
+
+    getSpec() {
+        if (!this.spec) {
+            this.spec = this.generate();
+        }
+        return this.spec;
+    }
+
+    generate() {
+        if (!this.sources) {
+            throw new Error('OpenAPI sources not registered');
+        }
+
+        const { routes, groupScopes, apiLimit, publicRoutes = [] } = this.sources;
+        const paths = {};
+
+        const addOperation = (path, method, operation) => {
+            const openApiPath = this.toOpenApiPath(path);
+            paths[openApiPath] = paths[openApiPath] || {};
+            paths[openApiPath][method] = operation;
+        };
+
+        Object.entries(routes).forEach(([group, routeConfigs]) => {
+            const scope = groupScopes[group] || group;
+
+            routeConfigs.forEach(route => {
+                // Las rutas cuyo handler no existe no se registran en el router
+                const routeController = route.controller || this.sources.defaultController;
+                if (typeof routeController[route.handler] !== 'function') return;
+
+                const operationId = this.getOperationId(route, routeConfigs);
+                addOperation(route.path, route.method, this.buildOperation({ ...route, controller: routeController }, group, scope, operationId));
+            });
+        });
+
+        publicRoutes.forEach(route => {
+            addOperation(route.path, route.method, this.buildPublicOperation(route));
+        });
+
+        return {
+            openapi: '3.0.3',
+            info: {
+                title: 'WhatsApp API',
+                version,
+                description: [
+                    'REST API for WhatsApp clients. Every route except those marked as public needs an API key with the scope listed on the operation (`*` grants all scopes).',
+                    `All /api routes share a limit of ${this.describeRateLimit(apiLimit)} per IP; some operations add their own limit per API key (x-rateLimit), shared with the same call over WebSocket RPC and GraphQL.`,
+                    'Real-time events are also available over WebSocket (frames described at /api/events/websocket-schema), Server-Sent Events (GET /api/events) and GraphQL (/api/graphql, subscriptions over WebSocket at /graphql).'
+                ].join('\n\n')
+            },
+            servers: [{ url: '/api' }],
+            tags: Object.keys(routes).map(name => ({ name })).concat([{ name: 'public' }]),
+            paths,
+            components: this.buildComponents()
+        };
+    }
+
+    /**
+     * operationId único: el nombre del handler, o con sufijo si el handler atiende varias rutas
+     * (GET y POST de GraphQL, o /health/metrics y /health/metrics/:number)
+     */
+    getOperationId(route, routeConfigs) {
+        const siblings = routeConfigs.filter(other => other.handler === route.handler);
+        if (siblings.length === 1) return route.handler;
+
+        if (new Set(siblings.map(other => other.method)).size === siblings.length) {
+            return `${route.handler}${this.capitalize(route.method)}`;
+        }
+
+        const params = this.getPathParameterNames(route.path);
+        return params.length > 0
+            ? `${route.handler}By${params.map(param => this.capitalize(param)).join('And')}`
+            : route.handler;
+    }
+
+    /**
+     * Operación de una ruta autenticada
+     */
+    buildOperation(route, group, scope, operationId) {
+        const { path, method, handler, rateLimit, allowQueryToken, produces, consumes } = route;
+        const rules = this.sources.getValidationRules(handler) || [];
+        const { parameters, bodySchema } = this.describeRules(rules, path, method);
+        const summary = this.humanize(handler);
+        const description = [
+            this.getHandlerDescription(route.controller, handler),
+            `Required scope: \`${scope}\``,
+            rateLimit ? `Rate limit: ${this.describeRateLimit(rateLimit)}` : null
+        ].filter(Boolean).join('\n\n');
+
+        const operation = {
+            tags: [group],
+            summary,
+            description,
+            operationId,
+            'x-scope': scope,
+            security: [
+                { bearerAuth: [] },
+                { apiKeyHeader: [] },
+                ...(allowQueryToken ? [{ apiKeyQuery: [] }] : [])
+            ],
+            parameters
+        };
+
+        if (consumes) {
+            operation.requestBody = {
+                required: true,
+                content: { [consumes]: { schema: { type: 'string', format: 'binary' } } }
+            };
+        } else if (bodySchema) {
+            operation.requestBody = {
+                required: (bodySchema.required || []).length > 0,
+                content: { 'application/json': { schema: bodySchema } }
+            };
+        }
+
+        if (rateLimit) {
+            operation['x-rateLimit'] = { windowMs: rateLimit.windowMs, max: rateLimit.max };
+        }
+
+        operation.responses = {
+            200: this.successResponse(produces),
+            ...(rules.length > 0 ? { 400: { $ref: '#/components/responses/ValidationFailed' } } : {}),
+            401: { $ref: '#/components/responses/Unauthorized' },
+            403: { $ref: '#/components/responses/Forbidden' },
+            ...(/:\w+/.test(path) ? { 404: { $ref: '#/components/responses/NotFound' } } : {}),
+            429: { $ref: '#/components/responses/TooManyRequests' },
+            500: { $ref: '#/components/responses/InternalError' }
+        };
+
+        return operation;
+    }
+
+    buildPublicOperation({ path, method, summary, description, rateLimit, produces, query = {} }) {
+        const parameters = [
+            ...this.getPathParameterNames(path).map(name => ({ name, in: 'path', required: true, schema: { type: 'string' } })),
+            ...Object.entries(query).map(([name, paramDescription]) => ({
+                name,
+                in: 'query',
+                required: true,
+                description: paramDescription,
+                schema: { type: 'string' }
+            }))
+        ];
+
+        return {
+            tags: ['public'],
+            summary,
+            description: [description, rateLimit ? `Rate limit: ${this.describeRateLimit(rateLimit)}` : null].filter(Boolean).join('\n\n'),
+            security: [],
+            parameters,
+            ...(rateLimit ? { 'x-rateLimit': { windowMs: rateLimit.windowMs, max: rateLimit.max } } : {}),
+            responses: {
+                200: produces
+                    ? { description: 'OK', content: { [produces]: { schema: {} } } }
+                    : { description: 'OK', content: { 'application/json': { schema: { type: 'object' } } } },
+                ...(parameters.length > 0 ? { 404: { $ref: '#/components/responses/NotFound' } } : {}),
+                429: { $ref: '#/components/responses/TooManyRequests' }
+            }
+        };
+    }
+
+    successResponse(produces) {
+        if (produces) {
+            const binary = produces === 'application/octet-stream';
+            return {
+                description: 'OK',
+                content: { [produces]: { schema: binary ? { type: 'string', format: 'binary' } : { type: 'string' } } }
+            };
+        }
+        return { $ref: '#/components/responses/Success' };
+    }
+
+    /**
+     * Convertir las cadenas de validación de una ruta en parámetros y esquema del cuerpo
+     * @returns {{ parameters: Object[], bodySchema: Object|null }}
+     */
+    describeRules(rules, path, method) {
+        const parameters = new Map();
+        let bodySchema = null;
+
+        // Los parámetros de ruta son siempre obligatorios, tengan regla o no
+        this.getPathParameterNames(path).forEach(name => {
+            parameters.set(`path:${name}`, { name, in: 'path', required: true, schema: { type: 'string' } });
+        });
+
+        rules.forEach(chain => {
+            const { fields, locations, optional } = chain.builder;
+            const field = this.describeChain(chain);
+
+            // check(campo, ['body', 'query']): cuerpo salvo en GET
+            const location = locations.length > 1
+                ? (method === 'get' ? 'query' : 'body')
+                : locations[0];
+
+            fields.forEach(name => {
+                if (location === 'body') {
+                    bodySchema = bodySchema || { type: 'object', properties: {} };
+                    const fieldSchema = field.description ? { ...field.schema, description: field.description } : field.schema;
+                    this.setBodyField(bodySchema, name, fieldSchema, !optional && field.validated);
+                    return;
+                }
+
+                const where = this.PARAMETER_LOCATIONS[location];
+                if (!where) return;
+
+                const key = `${where}:${where === 'header' ? name.toLowerCase() : name}`;
+                const current = parameters.get(key);
+                const parameter = {
+                    name: current?.name || name,
+                    in: where,
+                    required: where === 'path' || current?.required || (!optional && field.validated),
+                    ...(field.description ? { description: field.description } : {}),
+                    schema: { ...(current?.schema || {}), ...field.schema }
+                };
+                parameters.set(key, parameter);
+            });
+        });
+
+        return { parameters: [...parameters.values()], bodySchema };
+    }
+
+    /**
+     * Esquema JSON de una cadena de express-validator
+     * @returns {{ schema: Object, description: string|null, validated: boolean }}
+     */
+    describeChain(chain) {
+        const { stack, optional } = chain.builder;
+        const schema = {};
+        const messages = new Set();
+        let validated = false;
+
+        stack.forEach(item => {
+            if (item.message && typeof item.message === 'string') {
+                messages.add(item.message);
+            }
+
+            // Sanitizadores (trim...) implican texto
+            if (item.sanitizer) {
+                schema.type = schema.type || 'string';
+                return;
+            }
+
+            if (!item.validator) return;
+            validated = true;
+
+            if (item.validator.name) {
+                this.applyStandardValidator(schema, item.validator.name, item.options, item.negated);
+                return;
+            }
+
+            const known = this.CUSTOM_VALIDATORS[item.validator.toString()];
+            if (known) {
+                Object.assign(schema, known);
+            }
+        });
+
+        if (optional === 'null' || optional === 'falsy') {
+            schema.nullable = true;
+        }
+
+        if (schema.type === 'array' && !schema.items) {
+            schema.items = {};
+        }
+
+        return {
+            schema,
+            description: messages.size > 0 ? [...messages].join('; ') : null,
+            validated
+        };
+    }
+
+    /**
+     * Traducir un validador de validator.js a restricciones de JSON Schema
+     */
+    applyStandardValidator(schema, name, options = [], negated = false) {
+        const [option] = options;
+
+        switch (name) {
+        case 'isInt':
+            schema.type = 'integer';
+            if (option?.min !== undefined) schema.minimum = option.min;
+            if (option?.max !== undefined) schema.maximum = option.max;
+            break;
+        case 'isFloat':
+        case 'isNumeric':
+        case 'isDecimal':
+            schema.type = 'number';
+            break;
+        case 'isBoolean':
+            schema.type = 'boolean';
+            break;
+        case 'isLength':
+            schema.type = schema.type || 'string';
+            if (option?.min !== undefined) schema.minLength = option.min;
+            if (option?.max !== undefined) schema.maxLength = option.max;
+            break;
+        case 'isEmpty':
+            // notEmpty()
+            if (negated) {
+                schema.type = schema.type || 'string';
+                schema.minLength = Math.max(schema.minLength || 0, 1);
+            }
+            break;
+        case 'isIn':
+            if (Array.isArray(option)) schema.enum = option;
+            break;
+        case 'matches':
+            schema.type = schema.type || 'string';
+            schema.pattern = option instanceof RegExp ? option.source : String(option);
+            break;
+        case 'isHexadecimal':
+            schema.type = schema.type || 'string';
+            schema.pattern = schema.pattern || '^[0-9a-fA-F]+$';
+            break;
+        case 'isISO8601':
+            schema.type = 'string';
+            schema.format = 'date-time';
+            break;
+        case 'isURL':
+            schema.type = 'string';
+            schema.format = 'uri';
+            break;
+        case 'isEmail':
+            schema.type = 'string';
+            schema.format = 'email';
+            break;
+        case 'isUUID':
+            schema.type = 'string';
+            schema.format = 'uuid';
+            break;
+        case 'isBase64':
+            schema.type = 'string';
+            schema.format = 'byte';
+            break;
+        default:
+            schema.type = schema.type || 'string';
+        }
+    }
+
+    /**
+     * Añadir un campo (admite rutas anidadas 'a.b' y comodines 'lista.*') al esquema del cuerpo
+     */
+    setBodyField(root, name, fieldSchema, required) {
+        const segments = name.split('.');
+        let node = root;
+
+        segments.forEach((segment, index) => {
+            const last = index === segments.length - 1;
+
+            if (segment === '*') {
+                node.type = 'array';
+                node.items = node.items || {};
+                node = node.items;
+            } else {
+                node.type = node.type || 'object';
+                node.properties = node.properties || {};
+                node.properties[segment] = node.properties[segment] || {};
+
+                // Los campos dentro de listas ('lista.*.campo') no se marcan como obligatorios
+                if (last && required && !segments.includes('*')) {
+                    node.required = [...new Set([...(node.required || []), segment])];
+                }
+                node = node.properties[segment];
+            }
+
+            if (last) {
+                const { items, ...rest } = fieldSchema;
+                Object.assign(node, rest);
+                if (items && !node.items) node.items = items;
+            }
+        });
+    }
+
+    /**
+     * Primer párrafo del JSDoc del handler en el fichero de su controlador
+     */
+    getHandlerDescription(controller, handler) {
+        const filename = this.findModuleFile(controller);
+        if (!filename) return null;
+
+        try {
+            const source = fs.readFileSync(filename, 'utf8');
+            const match = source.match(new RegExp(`/\\*\\*((?:(?!\\*/)[\\s\\S])*)\\*/\\s*(?:async\\s+)?${handler}\\s*\\(`));
+            if (!match) return null;
+
+            return match[1]
+                .split('\n')
+                .map(line => line.replace(/^\s*\*\s?/, '').trim())
+                .filter(line => line && !line.startsWith('@'))
+                .join(' ') || null;
+        } catch (error) {
+            logger.warn(`[OpenApi] No se pudo leer la documentación de ${handler}: ${error.message}`);
+            return null;
+        }
+    }
+
+    findModuleFile(controller) {
+        const module = Object.values(require.cache).find(entry => entry.exports === controller);
+        return module?.filename || null;
+    }
+
+    getPathParameterNames(path) {
+        return [...path.matchAll(/:(\w+)/g)].map(match => match[1]);
+    }
+
+    toOpenApiPath(path) {
+        return path.replace(/:(\w+)/g, '{$1}');
+    }
+
+    humanize(handler) {
+        const words = handler.replace(/([a-z0-9])([A-Z])/g, '$1 $2').toLowerCase();
+        return this.capitalize(words);
+    }
+
+    capitalize(value) {
+        return value.charAt(0).toUpperCase() + value.slice(1);
+    }
+
+    describeRateLimit({ windowMs, max }) {
+        const minutes = windowMs / 60000;
+        const window = minutes === 1 ? 'minute' : `${minutes} minutes`;
+        return `${max} requests per ${window}`;
+    }
+
+    buildComponents() {
+        const errorEnvelope = {
+            type: 'object',
+            required: ['success', 'error'],
+            properties: {
+                success: { type: 'boolean', enum: [false] },
+                error: { type: 'string' }
+            }
+        };
+        const authEnvelope = {
+            type: 'object',
+            required: ['status', 'message'],
+            properties: {
+                status: { type: 'string', enum: ['error'] },
+                message: { type: 'string' },
+                error: { type: 'string' }
+            }
+        };
+
+        return {
+            securitySchemes: {
+                bearerAuth: { type: 'http', scheme: 'bearer', description: 'Authorization: Bearer <api key>' },
+                apiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+                apiKeyQuery: { type: 'apiKey', in: 'query', name: 'token', description: 'Only on routes that clients cannot call with headers (EventSource)' }
+            },
+            schemas: {
+                Success: {
+                    type: 'object',
+                    description: 'Successful responses carry success: true plus the operation fields',
+                    required: ['success'],
+                    properties: {
+                        success: { type: 'boolean', enum: [true] }
+                    },
+                    additionalProperties: true
+                },
+                Error: errorEnvelope,
+                AuthError: authEnvelope,
+                ValidationError: {
+                    type: 'object',
+                    required: ['success', 'message', 'errors'],
+                    properties: {
+                        success: { type: 'boolean', enum: [false] },
+                        message: { type: 'string', enum: ['Validation failed'] },
+                        errors: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    field: { type: 'string' },
+                                    message: { type: 'string' },
+                                    value: {}
+                                }
+                            }
+                        }
+                    }
+                }
+            },
+            responses: {
+                Success: { description: 'OK', content: { 'application/json': { schema: { $ref: '#/components/schemas/Success' } } } },
+                ValidationFailed: {
+                    description: 'Invalid parameters (rule messages) or a request the handler rejected',
+                    content: {
+                        'application/json': {
+                            schema: { oneOf: [{ $ref: '#/components/schemas/ValidationError' }, { $ref: '#/components/schemas/Error' }] }
+                        }
+                    }
+                },
+                Unauthorized: {
+                    description: 'Missing, invalid, revoked or expired API key',
+                    headers: { 'WWW-Authenticate': { schema: { type: 'string' } } },
+                    content: { 'application/json': { schema: { $ref: '#/components/schemas/AuthError' } } }
+                },
+                Forbidden: {
+                    description: 'The API key lacks the scope or access to the number',
+                    content: {
+                        'application/json': {
+                            schema: { oneOf: [{ $ref: '#/components/schemas/AuthError' }, { $ref: '#/components/schemas/Error' }] }
+                        }
+                    }
+                },
+                NotFound: { description: 'Resource not found', content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } },
+                TooManyRequests: { description: 'Rate limit exceeded', content: { 'text/plain': { schema: { type: 'string' } } } },
+                InternalError: {
+                    description: 'Unexpected error',
+                    content: {
+                        'application/json': {
+                            schema: { oneOf: [{ $ref: '#/components/schemas/Error' }, { $ref: '#/components/schemas/AuthError' }] }
+                        }
+                    }
+                }
+            }
+        };
+    }
+}
+
+module.exports = new OpenApi();
@@ -0,0 +1,45 @@
+// utils/requestContext.js
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Contexto por petición (principal autenticado) disponible en toda la cadena async
+ * Permite que los servicios apliquen la tenencia por número sin recibir req
+ */
+class RequestContext {
+    constructor() {
+        this.storage = new AsyncLocalStorage();
+    }
+
+    run(principal, callback) {
+        return this.storage.run({ principal }, callback);
+    }
+
+    getPrincipal() {
+        return this.storage.getStore()?.principal || null;
+    }
+
+    /**
+     * Números permitidos para el principal actual
+     * @returns {Array<string>|null} null = sin restricción (o fuera de una petición)
+     */
+    getAllowedNumbers() {
+        const principal = this.getPrincipal();
+        if (!principal || !Array.isArray(principal.numbers) || principal.numbers.length === 0) {
+            return null;
+        }
+        return principal.numbers;
+    }
+
+    canAccessNumber(number, principal = this.getPrincipal()) {
+        if (!principal || !Array.isArray(principal.numbers) || principal.numbers.length === 0) {
+            return true;
+        }
+        return principal.numbers.includes(String(number));
+    }
+
+    filterNumbers(numbers, principal = this.getPrincipal()) {
+        return numbers.filter(number => this.canAccessNumber(number, principal));
+    }
+}
+
+module.exports = new RequestContext();
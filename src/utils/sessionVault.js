@@ -0,0 +1,228 @@
+// utils/sessionVault.js
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('../conf/logger');
+const config = require('../conf/config');
+const { encryption } = require('./encryption');
+
+/**
+ * Cifrado en reposo de las sesiones LocalAuth (.wwebjs_auth/session-<número>)
+ *
+ * - session-<n>         → sesión en claro, solo existe mientras el cliente está en marcha
+ * - session-<n>.sealed  → misma estructura, cada archivo cifrado con la clave activa
+ *
+ * unseal() antes de arrancar el cliente, seal() después de cerrarlo (shutdown).
+ */
+class SessionVault {
+    constructor() {
+        this.authPath = config.authPath;
+        this.SEALED_SUFFIX = '.sealed';
+        this.TEMP_SUFFIX = '.tmp';
+        // Sellados en curso: el apagado forzado los espera para no cortar uno a medias
+        this.pendingSeals = new Set();
+
+        // Cachés de Chromium: no contienen credenciales y pueden pesar cientos de MB
+        this.EXCLUDED_DIRS = new Set([
+            'Cache',
+            'Code Cache',
+            'GPUCache',
+            'DawnCache',
+            'GrShaderCache',
+            'ShaderCache',
+            'CacheStorage',
+            'Crashpad'
+        ]);
+
+        this.enabled = config.sessionEncryption && encryption.isConfigured();
+
+        if (config.sessionEncryption && !encryption.isConfigured()) {
+            logger.warn('[SessionVault] ENCRYPTION_KEYS no configurado: las sesiones se guardarán en claro');
+        }
+    }
+
+    getPlainPath(number) {
+        return path.join(this.authPath, `session-${number}`);
+    }
+
+    getSealedPath(number) {
+        return `${this.getPlainPath(number)}${this.SEALED_SUFFIX}`;
+    }
+
+    /**
+     * Copia sellada anterior mientras se reemplaza (termina en TEMP_SUFFIX: no se toma por un cliente)
+     */
+    getPreviousSealedPath(number) {
+        return `${this.getSealedPath(number)}.previous${this.TEMP_SUFFIX}`;
+    }
+
+    isSealedDirectory(dirName) {
+        return dirName.endsWith(this.SEALED_SUFFIX);
+    }
+
+    /**
+     * Número del cliente a partir del nombre de directorio (plano o sellado)
+     */
+    getNumberFromDirectory(dirName) {
+        if (!dirName.startsWith('session-') || dirName.endsWith(this.TEMP_SUFFIX)) return null;
+
+        const baseName = this.isSealedDirectory(dirName)
+            ? dirName.slice(0, -this.SEALED_SUFFIX.length)
+            : dirName;
+
+        return baseName.replace('session-', '') || null;
+    }
+
+    async exists(targetPath) {
+        try {
+            await fs.access(targetPath);
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    async isNonEmptyDirectory(dirPath) {
+        try {
+            const entries = await fs.readdir(dirPath);
+            return entries.length > 0;
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * Recorrer archivos regulares (se omiten symlinks como SingletonLock y las cachés)
+     */
+    async *walk(rootDir, relativeDir = '') {
+        const entries = await fs.readdir(path.join(rootDir, relativeDir), { withFileTypes: true });
+
+        for (const entry of entries) {
+            const relativePath = path.join(relativeDir, entry.name);
+
+            if (entry.isDirectory()) {
+                if (this.EXCLUDED_DIRS.has(entry.name)) continue;
+                yield* this.walk(rootDir, relativePath);
+            } else if (entry.isFile()) {
+                yield relativePath;
+            }
+        }
+    }
+
+    /**
+     * Transformar un árbol de archivos en otro (cifrando o descifrando cada archivo)
+     * @private
+     */
+    async transformTree(sourceDir, targetDir, transform) {
+        await fs.rm(targetDir, { recursive: true, force: true });
+        await fs.mkdir(targetDir, { recursive: true, mode: 0o700 });
+
+        let files = 0;
+        for await (const relativePath of this.walk(sourceDir)) {
+            const targetPath = path.join(targetDir, relativePath);
+            await fs.mkdir(path.dirname(targetPath), { recursive: true, mode: 0o700 });
+
+            const content = await fs.readFile(path.join(sourceDir, relativePath));
+            await fs.writeFile(targetPath, transform(content), { mode: 0o600 });
+            files++;
+        }
+
+        return files;
+    }
+
+    /**
+     * Descifrar la sesión de un número antes de iniciar su cliente
+     * @param {string} number - Número del cliente
+     * @returns {Promise<boolean>} true si se restauró desde la copia sellada
+     */
+    async unseal(number) {
+        if (!this.enabled) return false;
+
+        const sealedPath = this.getSealedPath(number);
+        const plainPath = this.getPlainPath(number);
+        const previousPath = this.getPreviousSealedPath(number);
+
+        // Un seal() interrumpido entre sus dos rename deja solo la copia anterior
+        if (!await this.exists(sealedPath) && await this.exists(previousPath)) {
+            logger.warn(`[SessionVault] ${number}: recuperada la copia sellada anterior (sellado interrumpido)`);
+            await fs.rename(previousPath, sealedPath);
+        }
+
+        if (!await this.exists(sealedPath)) return false;
+
+        // Sesión en claro sobrante de un cierre abrupto: es más reciente que la sellada
+        if (await this.isNonEmptyDirectory(plainPath)) {
+            logger.warn(`[SessionVault] ${number}: sesión en claro encontrada (cierre sin sellar), se usará y se sellará al apagar`);
+            return false;
+        }
+
+        const tempPath = `${plainPath}${this.TEMP_SUFFIX}`;
+        const files = await this.transformTree(sealedPath, tempPath, content => encryption.decryptBuffer(content));
+
+        await fs.rm(plainPath, { recursive: true, force: true });
+        await fs.rename(tempPath, plainPath);
+
+        logger.info(`[SessionVault] ${number}: sesión descifrada (${files} archivos)`);
+        return true;
+    }
+
+    /**
+     * Cifrar la sesión de un número y eliminar la copia en claro
+     * Debe llamarse con el navegador del cliente ya cerrado
+     * @param {string} number - Número del cliente
+     */
+    async seal(number) {
+        const sealing = this.sealSession(number);
+        this.pendingSeals.add(sealing);
+
+        try {
+            return await sealing;
+        } finally {
+            this.pendingSeals.delete(sealing);
+        }
+    }
+
+    waitForSeals() {
+        return Promise.allSettled(Array.from(this.pendingSeals));
+    }
+
+    /**
+     * @private
+     */
+    async sealSession(number) {
+        if (!this.enabled) return false;
+
+        const plainPath = this.getPlainPath(number);
+        if (!await this.exists(plainPath)) return false;
+
+        const sealedPath = this.getSealedPath(number);
+        const tempPath = `${sealedPath}${this.TEMP_SUFFIX}`;
+        const previousPath = this.getPreviousSealedPath(number);
+
+        const files = await this.transformTree(plainPath, tempPath, content => encryption.encryptBuffer(content));
+
+        // rename no sustituye un directorio con contenido: la copia anterior se aparta (no se borra)
+        // hasta que la nueva ocupa su sitio, y unseal() la recupera si el proceso muere entre medias
+        await fs.rm(previousPath, { recursive: true, force: true });
+        if (await this.exists(sealedPath)) {
+            await fs.rename(sealedPath, previousPath);
+        }
+        await fs.rename(tempPath, sealedPath);
+        await fs.rm(previousPath, { recursive: true, force: true });
+        await fs.rm(plainPath, { recursive: true, force: true });
+
+        logger.info(`[SessionVault] ${number}: sesión sellada (${files} archivos)`);
+        return true;
+    }
+
+    /**
+     * Eliminar la copia sellada (logout o sesión inválida)
+     */
+    async destroy(number) {
+        const sealedPath = this.getSealedPath(number);
+        await fs.rm(sealedPath, { recursive: true, force: true });
+        await fs.rm(`${sealedPath}${this.TEMP_SUFFIX}`, { recursive: true, force: true });
+        await fs.rm(this.getPreviousSealedPath(number), { recursive: true, force: true });
+    }
+}
+
+module.exports = new SessionVault();
@@ -0,0 +1,414 @@
+// utils/webhookManager.js
+const crypto = require('crypto');
+const path = require('path');
+const axios = require('axios');
+const logger = require('../conf/logger');
+const config = require('../conf/config');
+const JsonFileStore = require('./jsonFileStore');
+const { encryption } = require('./encryption');
+
+/**
+ * Webhooks salientes por número y tipo de evento
+ *
+ * - Cada entrega es un POST JSON firmado con HMAC-SHA256:
+ *   X-Webhook-Signature: sha256=hex(HMAC(secret, `${timestamp}.${body}`))
+ * - Reintentos con backoff exponencial; agotados, la entrega pasa a la dead-letter queue
+ * - El secreto se guarda cifrado con la clave activa
+ */
+class WebhookManager {
+    constructor() {
+        this.ALL_NUMBERS = '*';
+        this.EVENT_TYPES = [
+            'message',
+            'ready',
+            'authenticated',
+            'auth_failure',
+            'disconnected',
+            'qrUpdated',
+            'status',
+            'groupJoin',
+            'groupLeave',
+            'groupUpdate',
+            'groupAdminChanged',
+            'messageReaction',
+            'messageAck',
+            'contactChanged'
+        ];
+
+        this.MAX_ATTEMPTS = config.webhookMaxAttempts;
+        this.BASE_DELAY = config.webhookRetryBaseDelay;
+        this.MAX_DELAY = 5 * 60 * 1000;
+        this.REQUEST_TIMEOUT = 10000;
+        this.MAX_LOG_ENTRIES = 100;
+        this.MAX_DEAD_LETTERS = 1000;
+
+        this.store = new JsonFileStore(path.join(config.dataPath, 'webhooks.json'), { subscriptions: [] });
+        this.deadLetterStore = new JsonFileStore(path.join(config.dataPath, 'webhookDeadLetters.json'), { items: [] });
+        this.deliveryStore = new JsonFileStore(path.join(config.dataPath, 'webhookDeliveries.json'), { logs: {} });
+
+        // Reintentos en espera: timer -> { subscriptionId, envelope, attempt }
+        this.pendingRetries = new Map();
+        this.emitter = null;
+    }
+
+    getSubscriptions() {
+        return this.store.load().subscriptions;
+    }
+
+    findById(id) {
+        return this.getSubscriptions().find(subscription => subscription.id === id) || null;
+    }
+
+    /**
+     * Vista pública de una suscripción (nunca incluye el secreto)
+     */
+    toPublic(subscription) {
+        const { secret, ...publicData } = subscription;
+        return publicData;
+    }
+
+    list() {
+        return this.getSubscriptions().map(subscription => this.toPublic(subscription));
+    }
+
+    /**
+     * Registrar una suscripción
+     * @param {Object} options
+     * @param {string} options.url - Destino del POST
+     * @param {string} options.number - Número del cliente o '*' para todos
+     * @param {string[]} options.events - Tipos de evento
+     * @param {string} [options.secret] - Secreto HMAC (se genera si no se indica)
+     * @param {string} [options.description]
+     * @param {string} [createdBy] - keyId que la registra
+     * @returns {{ secret: string, subscription: Object }} El secreto solo se devuelve aquí
+     */
+    create({ url, number, events, secret, description = null }, createdBy = null) {
+        const invalid = (events || []).filter(event => !this.EVENT_TYPES.includes(event));
+        if (!events?.length || invalid.length > 0) {
+            throw new Error(`Eventos inválidos: ${invalid.join(', ') || '(vacío)'}`);
+        }
+
+        const rawSecret = secret || crypto.randomBytes(32).toString('base64url');
+        const subscription = {
+            id: crypto.randomBytes(8).toString('hex'),
+            url,
+            number: String(number),
+            events: Array.from(new Set(events)),
+            description,
+            secret: encryption.encrypt(rawSecret),
+            active: true,
+            createdAt: new Date().toISOString(),
+            createdBy
+        };
+
+        this.getSubscriptions().push(subscription);
+        this.store.save();
+
+        logger.info(`[Webhooks] Suscripción ${subscription.id} creada para ${subscription.number} → ${url}`);
+
+        return { secret: rawSecret, subscription: this.toPublic(subscription) };
+    }
+
+    remove(id) {
+        const data = this.store.load();
+        const index = data.subscriptions.findIndex(subscription => subscription.id === id);
+        if (index === -1) return null;
+
+        const [removed] = data.subscriptions.splice(index, 1);
+        this.store.save();
+
+        delete this.deliveryStore.load().logs[id];
+        this.deliveryStore.scheduleSave();
+
+        logger.info(`[Webhooks] Suscripción ${id} eliminada`);
+        return this.toPublic(removed);
+    }
+
+    /**
+     * Suscripciones de un número con el secreto en claro (bundle de migración, que va cifrado)
+     * Las suscripciones a '*' son de la instancia y no viajan con el cliente
+     */
+    exportForNumber(number) {
+        return this.getSubscriptions()
+            .filter(subscription => subscription.number === String(number))
+            .map(({ url, events, description, active, secret }) => ({
+                url,
+                events,
+                description,
+                active,
+                secret: encryption.decrypt(secret)
+            }));
+    }
+
+    /**
+     * Registrar las suscripciones de un bundle (omite las que ya existen con la misma URL)
+     * @returns {number} Suscripciones creadas
+     */
+    importForNumber(number, subscriptions = [], createdBy = null) {
+        let created = 0;
+
+        subscriptions.forEach(({ url, events, description, active, secret }) => {
+            const exists = this.getSubscriptions()
+                .some(subscription => subscription.number === String(number) && subscription.url === url);
+            if (exists) return;
+
+            const validEvents = (events || []).filter(event => this.EVENT_TYPES.includes(event));
+            if (validEvents.length === 0) return;
+
+            const { subscription } = this.create({ url, number, events: validEvents, secret, description }, createdBy);
+            if (active === false) {
+                this.findById(subscription.id).active = false;
+                this.store.save();
+            }
+            created++;
+        });
+
+        return created;
+    }
+
+    /**
+     * Escuchar los eventos del gestor de clientes de WhatsApp
+     * @param {EventEmitter} emitter - Instancia de WhatsAppClient
+     */
+    attach(emitter) {
+        if (this.emitter) return;
+        this.emitter = emitter;
+
+        this.EVENT_TYPES.forEach(event => {
+            emitter.on(event, (...args) => {
+                // qrUpdated se emite como (number, qr); el resto como un objeto con number
+                const data = event === 'qrUpdated'
+                    ? { number: args[0], qr: args[1] }
+                    : args[0];
+
+                this.dispatch(event, data).catch(error =>
+                    logger.error(`[Webhooks] Error despachando ${event}:`, error));
+            });
+        });
+
+        logger.info('[Webhooks] Escuchando eventos de WhatsApp');
+    }
+
+    matches(subscription, event, number) {
+        return subscription.active &&
+            subscription.events.includes(event) &&
+            (subscription.number === this.ALL_NUMBERS || subscription.number === String(number));
+    }
+
+    /**
+     * Serializar datos de whatsapp-web.js (se omite _data, que puede incluir media en base64)
+     */
+    serialize(data) {
+        return JSON.parse(JSON.stringify(data ?? null, (key, value) => (key === '_data' ? undefined : value)));
+    }
+
+    buildEnvelope(event, data) {
+        return {
+            id: crypto.randomUUID(),
+            event,
+            number: data?.number != null ? String(data.number) : null,
+            timestamp: new Date().toISOString(),
+            data: this.serialize(data)
+        };
+    }
+
+    /**
+     * Enviar un evento a todas las suscripciones que coinciden
+     */
+    async dispatch(event, data) {
+        const number = data?.number;
+        const subscriptions = this.getSubscriptions().filter(subscription => this.matches(subscription, event, number));
+        if (subscriptions.length === 0) return;
+
+        const envelope = this.buildEnvelope(event, data);
+        await Promise.allSettled(subscriptions.map(subscription => this.deliver(subscription, envelope)));
+    }
+
+    sign(secret, timestamp, body) {
+        return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    }
+
+    getRetryDelay(attempt) {
+        const delay = Math.min(this.MAX_DELAY, this.BASE_DELAY * 2 ** (attempt - 1));
+        // Jitter de hasta un 20% para no sincronizar reintentos
+        return Math.round(delay + delay * 0.2 * Math.random());
+    }
+
+    /**
+     * Intentar una entrega y programar el reintento si falla
+     * @param {Object} subscription - Suscripción destino
+     * @param {Object} envelope - Evento a entregar
+     * @param {number} [attempt=1] - Número de intento
+     * @returns {Promise<Object>} Resultado del intento
+     */
+    async deliver(subscription, envelope, attempt = 1) {
+        const body = JSON.stringify(envelope);
+        const timestamp = Math.floor(Date.now() / 1000);
+        const startedAt = Date.now();
+        let result;
+
+        try {
+            const secret = encryption.decrypt(subscription.secret);
+            const response = await axios.post(subscription.url, body, {
+                timeout: this.REQUEST_TIMEOUT,
+                maxRedirects: 0,
+                validateStatus: () => true,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'whatsapp-api-webhooks/1.0',
+                    'X-Webhook-Id': envelope.id,
+                    'X-Webhook-Event': envelope.event,
+                    'X-Webhook-Timestamp': String(timestamp),
+                    'X-Webhook-Attempt': String(attempt),
+                    'X-Webhook-Signature': `sha256=${this.sign(secret, timestamp, body)}`
+                }
+            });
+
+            const success = response.status >= 200 && response.status < 300;
+            result = {
+                success,
+                statusCode: response.status,
+                error: success ? null : `HTTP ${response.status}`
+            };
+        } catch (error) {
+            result = { success: false, statusCode: null, error: error.message };
+        }
+
+        result.durationMs = Date.now() - startedAt;
+        this.logDelivery(subscription.id, envelope, attempt, result);
+
+        if (!result.success) {
+            if (attempt < this.MAX_ATTEMPTS) {
+                this.scheduleRetry(subscription.id, envelope, attempt + 1);
+            } else {
+                this.addDeadLetter(subscription, envelope, attempt, result.error);
+            }
+        }
+
+        return { attempt, ...result };
+    }
+
+    scheduleRetry(subscriptionId, envelope, attempt) {
+        const delay = this.getRetryDelay(attempt - 1);
+
+        const timer = setTimeout(() => {
+            this.pendingRetries.delete(timer);
+
+            // La suscripción pudo eliminarse o desactivarse mientras tanto
+            const subscription = this.findById(subscriptionId);
+            if (!subscription || !subscription.active) return;
+
+            this.deliver(subscription, envelope, attempt).catch(error =>
+                logger.error(`[Webhooks] Error en reintento ${envelope.id}:`, error));
+        }, delay);
+
+        timer.unref?.();
+        this.pendingRetries.set(timer, { subscriptionId, envelope, attempt });
+
+        logger.debug(`[Webhooks] Reintento ${attempt}/${this.MAX_ATTEMPTS} de ${envelope.id} en ${delay}ms`);
+    }
+
+    logDelivery(subscriptionId, envelope, attempt, result) {
+        const logs = this.deliveryStore.load().logs;
+        const entries = logs[subscriptionId] || (logs[subscriptionId] = []);
+
+        entries.push({
+            deliveryId: envelope.id,
+            event: envelope.event,
+            number: envelope.number,
+            attempt,
+            success: result.success,
+            statusCode: result.statusCode,
+            error: result.error,
+            durationMs: result.durationMs,
+            timestamp: new Date().toISOString()
+        });
+
+        if (entries.length > this.MAX_LOG_ENTRIES) {
+            entries.splice(0, entries.length - this.MAX_LOG_ENTRIES);
+        }
+
+        this.deliveryStore.scheduleSave();
+    }
+
+    /**
+     * Historial de entregas de una suscripción, más recientes primero
+     */
+    getDeliveries(subscriptionId, limit = this.MAX_LOG_ENTRIES) {
+        const entries = this.deliveryStore.load().logs[subscriptionId] || [];
+        return entries.slice(-limit).reverse();
+    }
+
+    addDeadLetter(subscription, envelope, attempts, lastError) {
+        const items = this.deadLetterStore.load().items;
+
+        items.push({
+            id: crypto.randomBytes(8).toString('hex'),
+            subscriptionId: subscription.id,
+            number: envelope.number,
+            event: envelope.event,
+            envelope,
+            attempts,
+            lastError,
+            failedAt: new Date().toISOString()
+        });
+
+        if (items.length > this.MAX_DEAD_LETTERS) {
+            const dropped = items.splice(0, items.length - this.MAX_DEAD_LETTERS);
+            logger.warn(`[Webhooks] Dead-letter queue llena, descartadas ${dropped.length} entregas antiguas`);
+        }
+
+        this.deadLetterStore.save();
+        logger.warn(`[Webhooks] Entrega ${envelope.id} a ${subscription.id} movida a dead-letter tras ${attempts} intentos: ${lastError}`);
+    }
+
+    listDeadLetters({ subscriptionId } = {}) {
+        return this.deadLetterStore.load().items
+            .filter(item => !subscriptionId || item.subscriptionId === subscriptionId);
+    }
+
+    findDeadLetter(id) {
+        return this.deadLetterStore.load().items.find(item => item.id === id) || null;
+    }
+
+    /**
+     * Reenviar manualmente una entrega de la dead-letter queue
+     * Sale de la cola y vuelve a pasar por el ciclo de reintentos
+     * @param {string} id - Id de la dead letter
+     * @returns {Promise<Object|null>} Resultado del primer intento, o null si no existe
+     */
+    async redeliver(id) {
+        const data = this.deadLetterStore.load();
+        const index = data.items.findIndex(item => item.id === id);
+        if (index === -1) return null;
+
+        const item = data.items[index];
+        const subscription = this.findById(item.subscriptionId);
+        if (!subscription) {
+            throw new Error('La suscripción de esta entrega ya no existe');
+        }
+
+        data.items.splice(index, 1);
+        this.deadLetterStore.save();
+
+        logger.info(`[Webhooks] Reenvío manual de ${item.envelope.id} a ${subscription.id}`);
+        return this.deliver(subscription, item.envelope);
+    }
+
+    /**
+     * Al apagar, los reintentos pendientes pasan a la dead-letter queue para no perderse
+     */
+    shutdown() {
+        for (const [timer, { subscriptionId, envelope, attempt }] of this.pendingRetries) {
+            clearTimeout(timer);
+            const subscription = this.findById(subscriptionId);
+            if (subscription) {
+                this.addDeadLetter(subscription, envelope, attempt - 1, 'Reintento pendiente al apagar el servidor');
+            }
+        }
+        this.pendingRetries.clear();
+        this.deliveryStore.save();
+    }
+}
+
+module.exports = new WebhookManager();